@@ -2,10 +2,13 @@
 // One server handles all lnker.com subdomains via Host header routing.
 // Robots: all subdomains are noindex/nofollow (private archive, not for search engines).
 // Caching: sets Cache-Control so Cloudflare edge can cache everything after first request.
+// Snapshots: `?snapshot=screenshot|pdf` on a page serves its rendered capture (_meta/snapshots); pages that have one get a
+// small link bar. Nothing else under _meta/ (DB, cookie jar) is served.
 import { createServer } from 'http';
 import { readFileSync, existsSync, statSync } from 'fs';
-import { join, extname, basename } from 'path';
+import { join, extname, basename, relative } from 'path';
 import { getMirrorRoot } from '../src/config.js';
+import { SNAPSHOT_KINDS } from '../src/snapshots.js';
 
 const PORT = parseInt(process.env.LNKER_PORT || '7841', 10);
 
@@ -83,6 +86,8 @@ createServer((req, res) => {
 
   // Prevent path traversal
   if (!filePath.startsWith(domainRoot)) return serve(res, 403, 'Forbidden');
+  // Site DB, cookie jar and other run state stay private; snapshots are reached through their page
+  if (filePath.startsWith(join(domainRoot, '_meta'))) return serve(res, 403, 'Forbidden');
 
   // Directory -> try index.html
   if (existsSync(filePath) && statSync(filePath).isDirectory()) filePath = join(filePath, 'index.html');
@@ -92,6 +97,15 @@ createServer((req, res) => {
 
   if (!existsSync(filePath)) return serve(res, 404, `Not found: ${urlPath}`);
 
+  // Rendered-page snapshots live at _meta/snapshots/<mirror path>.<png|pdf> (src/snapshots.js)
+  const snapshotOf = (kind) => join(domainRoot, '_meta', 'snapshots', `${relative(domainRoot, filePath)}${SNAPSHOT_KINDS[kind].ext}`);
+  const wanted = new URLSearchParams(req.url.split('?')[1] ?? '').get('snapshot');
+  if (wanted) {
+    if (!SNAPSHOT_KINDS[wanted]) return serve(res, 400, `Unknown snapshot kind: ${wanted}`);
+    if (!existsSync(snapshotOf(wanted))) return serve(res, 404, `No ${wanted} snapshot of ${urlPath}`);
+    return serve(res, 200, readFileSync(snapshotOf(wanted)), SNAPSHOT_KINDS[wanted].mime, SNAPSHOT_KINDS[wanted].ext);
+  }
+
   const ext = extname(filePath).toLowerCase();
   const mime = MIME[ext] || 'application/octet-stream';
   let body = readFileSync(filePath);
@@ -101,6 +115,12 @@ createServer((req, res) => {
     body = Buffer.from(
       body.toString('utf8').replace(new RegExp(`https?://${siteDomain.replace('.', '\\.')}(/|")`, 'g'), '$1')
     );
+    const snaps = Object.keys(SNAPSHOT_KINDS).filter(k => existsSync(snapshotOf(k)));
+    if (snaps.length) {
+      const bar = '<div style="position:fixed;top:0;right:0;z-index:2147483647;font:12px sans-serif;background:#fffbe6;border:1px solid #ccc;padding:2px 6px">' +
+        `Snapshot: ${snaps.map(k => `<a href="?snapshot=${k}">${k === 'pdf' ? 'PDF' : k}</a>`).join(' · ')}</div>`;
+      body = Buffer.from(body.toString('utf8').replace(/<body[^>]*>/i, m => m + bar));
+    }
   }
   serve(res, 200, body, mime, ext);
 
@@ -5,6 +5,7 @@ import { join } from 'path';
 import { execSync, exec } from 'child_process';                // exec for async dir-size (never blocks requests)
 import { getMirrorRoot, mdDir } from '../src/config.js';       // root paths
 import { openDb } from '../src/db.js';                         // per-site SQLite
+import { frontierCounts } from '../src/frontier.js';           // crawl queue counts
 import { mapDoc } from './report-utils.js';                    // DB row → API doc shape
 
 const PER_PAGE = 50;
@@ -77,6 +78,10 @@ export const siteSummary = (domain, siteUrl, description = null) => {
     const mirrorProgressRaw = db.prepare(`SELECT value FROM site_meta WHERE key='mirror_progress'`).get()?.value;
     const mirror_progress = mirrorProgressRaw ? JSON.parse(mirrorProgressRaw) : null;
     const current_stage = db.prepare(`SELECT value FROM site_meta WHERE key='current_stage'`).get()?.value || null;
+    // True remaining count from the persisted crawl frontier, URLs deferred by a path quota included (0 when no crawl is in progress)
+    const frontier_remaining = frontierCounts(db).remaining;
+    // Set by mirror's rate controller when a host is blocking us; crawl resumes after this time
+    const crawl_paused_until = db.prepare(`SELECT value FROM site_meta WHERE key='crawl_paused_until'`).get()?.value || null;
     const total_cost_usd = db.prepare('SELECT SUM(cost_usd) as total FROM llm_calls').get()?.total || 0;
     return {
       domain, url: siteUrl, description, available: true,
@@ -95,6 +100,8 @@ export const siteSummary = (domain, siteUrl, description = null) => {
       last_run: lastRun || null,
       recent_fails: recentFails,
       mirror_progress,
+      frontier_remaining,
+      crawl_paused_until,
       current_stage,
       mirror_size_bytes: dirSizeBytes(join(getMirrorRoot(), domain)),
       md_size_bytes: dirSizeBytes(mdDir(domain))
@@ -177,6 +184,11 @@ export const siteDocs = (domain, params) => {
       const hostRows = db.prepare(`SELECT hosted_url, MIN(host_url) AS host_url FROM hosts WHERE hosted_url IN (${ph}) GROUP BY hosted_url`).all(...rows.map(r => r.url));
       const hostMap = new Map(hostRows.map(h => [h.hosted_url, h.host_url]));
       for (const r of rows) r.source_url = hostMap.get(r.url) || null;
+      // Snapshot kinds (screenshot, pdf) of those host pages, for the dashboard's "page snapshot" links
+      const sources = [...new Set(rows.map(r => r.source_url).filter(Boolean))];
+      const snapRows = sources.length
+        ? db.prepare(`SELECT url, kind FROM snapshots WHERE url IN (${sources.map(() => '?').join(',')}) ORDER BY kind`).all(...sources) : [];
+      for (const r of rows) r.source_snapshots = snapRows.filter(s => s.url === r.source_url).map(s => s.kind);
     }
     return { docs: rows.map(d => mapDoc(d, domain)), total, page, pages: Math.ceil(total / PER_PAGE), per_page: PER_PAGE };
   } finally { db.close(); }
@@ -1,5 +1,5 @@
 // HTTP API + static file server for the PDF report dashboard.
-// Routes: /api/sites /api/docs /api/docs/upgrade /api/docs/reset /api/thumbnail /api/runs /api/pdf /api/focus /api/activity
+// Routes: /api/sites /api/docs /api/docs/upgrade /api/docs/reset /api/thumbnail /api/runs /api/pdf /api/snapshot /api/focus /api/activity
 // Serves public/ as static files. Admin auth via REPORT_ADMIN_PASSWORD env var.
 // Polls SLP pipeline (PIPELINE_URL) every 3s for job progress; saves receipts to pdf_upgrade_queue.
 import { createServer } from 'http';
@@ -13,10 +13,12 @@ import { loadConfig, getMirrorRoot } from '../src/config.js';                 //
 import { openDb } from '../src/db.js';                                        // per-site DB with migrations
 import { detectLanguage } from '../src/language.js';                          // language detection for inline summarization
 import { siteSummary, siteDocs, siteTabCounts, recentRuns } from './report-queries.js'; // SQL → API shapes
-import { stripHtml, getLinkContext, buildSummaryPrompt } from './report-utils.js';      // response transforms
+import { stripHtml, getLinkContext, buildSummaryPrompt, siteDomain, siteForUrl } from './report-utils.js'; // response transforms, site lookup
 import { generateThumb } from './thumb-worker-pool.js';                       // PDF → JPEG thumbnail worker pool
 import { runScorePdfs } from '../src/score-pdfs.js';                          // re-score PDFs on demand
 import { maybeQueue } from '../src/score.js';                                 // check score → insert upgrade queue
+import { sniffFile } from '../src/sniff.js';                                  // magic-byte type of the stored file
+import { SNAPSHOT_KINDS } from '../src/snapshots.js';                         // rendered-page screenshot/PDF types
 import { PipelineClient } from '../src/slp-client.js';                       // SLP HTTP client for job submission
 import { buildJobContext } from '../src/slp-context.js';                      // hosting-page → DeepSeek → SLP `context` block
 
@@ -173,7 +175,7 @@ createServer(async (req, res) => {
 
   let cfg;
   try { cfg = loadConfig(); } catch (e) { return err(res, 500, `Config error: ${e.message}`); }
-  const sites = cfg.sites.map(s => ({ domain: new URL(s.url).hostname, url: s.url, description: s.description || null }));
+  const sites = cfg.sites.map(s => ({ domain: siteDomain(s), url: s.url, description: s.description || null }));
 
   if (path === '/api/auth' && req.method === 'POST') {
     const auth = req.headers['authorization'] || '';
@@ -286,7 +288,7 @@ createServer(async (req, res) => {
     // dashboard sending a stale `site` during a site switch.
     const urlHost = (() => { try { return new URL(docUrl).hostname; } catch { return null; } })();
     const candidates = [...new Set([
-      sites.find(s => s.domain === urlHost)?.domain,
+      sites.find(s => s.domain === urlHost)?.domain ?? siteForUrl(sites, docUrl)?.domain,
       url.searchParams.get('site'),
     ].filter(Boolean))];
     if (!candidates.length) return err(res, 404, 'unknown domain');
@@ -480,10 +482,9 @@ createServer(async (req, res) => {
       const page = db.prepare('SELECT local_path FROM pages WHERE url=?').get(docUrl);
       if (!page) return err(res, 404, 'doc not found in mirror');
       if (!page.local_path || !existsSync(page.local_path)) return err(res, 400, `PDF file not on disk: ${page.local_path || '(no path)'}`);
-      try {
-        const pdfHeader = readFileSync(page.local_path).slice(0, 5).toString('ascii');
-        if (pdfHeader !== '%PDF-') return err(res, 400, `Not a valid PDF: ${page.local_path.split('/').pop()}`);
-      } catch (e) { return err(res, 400, `Cannot read PDF: ${e.message}`); }
+      const sniffed = sniffFile(page.local_path);
+      if (!sniffed) return err(res, 400, `Cannot read PDF: ${page.local_path.split('/').pop()}`);
+      if (sniffed !== 'application/pdf') return err(res, 400, `Not a valid PDF (${sniffed}): ${page.local_path.split('/').pop()}`);
 
       const upgradeMethod = url.searchParams.get('method') || 'ocr'; // 'spell-fix' | 'ocr'
       const existing = db.prepare('SELECT status, before_score FROM pdf_upgrade_queue WHERE url=?').get(docUrl);
@@ -588,9 +589,7 @@ createServer(async (req, res) => {
 
     // Re-score and requeue in background — threshold=1.0 so ALL PDFs are queued,
     // including easy text-layer PDFs (they process in seconds via pipeline, skipping OCR)
-    const baseSiteConfig = sites.find(s => {
-      try { return new URL(s.url).hostname === domain; } catch { return false; }
-    }) ?? {};
+    const baseSiteConfig = sites.find(s => s.domain === domain) ?? {};
     const siteConfig = { ...baseSiteConfig, pdf_upgrade: { ...(baseSiteConfig.pdf_upgrade ?? {}), score_threshold: 1.0 } };
     const db2 = safeOpenDb(domain);
     if (db2) {
@@ -681,7 +680,7 @@ createServer(async (req, res) => {
   if (path === '/api/pdf') {
     const docUrl = url.searchParams.get('url');
     if (!docUrl) return err(res, 400, 'url param required');
-    const domain = sites.find(s => docUrl.startsWith(`https://${s.domain}`) || docUrl.startsWith(`http://${s.domain}`))?.domain;
+    const domain = siteForUrl(sites, docUrl)?.domain;
     if (!domain) return err(res, 404, 'unknown domain');
     const db = safeOpenDb(domain);
     if (!db) return err(res, 404, 'db unavailable');
@@ -694,6 +693,25 @@ createServer(async (req, res) => {
     return res.end(readFileSync(row.local_path));
   }
 
+  // Rendered-page snapshot (screenshot PNG or print-to-PDF) of a mirrored page, e.g. a PDF's host page
+  if (path === '/api/snapshot') {
+    const pageUrl = url.searchParams.get('url');
+    const kind = url.searchParams.get('kind') || 'screenshot';
+    if (!pageUrl) return err(res, 400, 'url param required');
+    if (!SNAPSHOT_KINDS[kind]) return err(res, 400, 'kind must be screenshot or pdf');
+    const domain = siteForUrl(sites, pageUrl)?.domain;
+    if (!domain) return err(res, 404, 'unknown domain');
+    const db = safeOpenDb(domain);
+    if (!db) return err(res, 404, 'db unavailable');
+    let row;
+    try { row = db.prepare('SELECT path FROM snapshots WHERE url=? AND kind=?').get(pageUrl, kind); }
+    finally { db.close(); }
+    if (!row?.path || !existsSync(row.path)) return err(res, 404, 'snapshot not found');
+    const stat = statSync(row.path);
+    res.writeHead(200, { 'Content-Type': SNAPSHOT_KINDS[kind].mime, 'Content-Length': stat.size, 'Cache-Control': 'public, max-age=3600', 'Access-Control-Allow-Origin': '*' });
+    return res.end(readFileSync(row.path));
+  }
+
   if (path === '/api/docs/summarize' && req.method === 'POST') {
     if (!isAdmin(req)) return err(res, 401, 'Admin password required');
     const domain = url.searchParams.get('site');
@@ -723,7 +741,7 @@ createServer(async (req, res) => {
     if (row.content_hash) {
       const cfg2 = loadConfig();
       for (const site of cfg2.sites) {
-        const d2 = new URL(site.url).hostname;
+        const d2 = siteDomain(site);
         if (d2 === domain) continue;
         const db2 = safeOpenDb(d2);
         if (!db2) continue;
@@ -804,8 +822,8 @@ if (SLP_API_URL) {
     let sites;
     try { ({ sites } = loadConfig()); } catch { return; }
     for (const site of sites) {
-      let domain;
-      try { domain = new URL(site.url).hostname; } catch { continue; }
+      const domain = siteDomain(site);
+      if (!domain) continue;
       const db = safeOpenDb(domain);
       if (!db) continue;
       try {
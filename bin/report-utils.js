@@ -1,4 +1,4 @@
-// API response utilities: HTML stripping, link context, free summary, doc mapping. Exports: stripHtml, getLinkContext, buildFreeSummary, mapDoc, buildSummaryPrompt. Deps: language
+// API response utilities: HTML stripping, link context, free summary, doc mapping, site lookup. Exports: stripHtml, getLinkContext, buildFreeSummary, mapDoc, buildSummaryPrompt, siteDomain, siteForUrl. Deps: language
 import { detectLanguage, LANG_COST, LANG_DISPLAY } from '../src/language.js';
 
 // Estimated cost to spell-fix a doc (Haiku pricing: $0.80/MTok in, $4.00/MTok out)
@@ -181,3 +181,13 @@ export const buildSummaryPrompt = (row) => {
     row.excerpt && `Excerpt: ${row.excerpt.slice(0, 500)}`
   ].filter(Boolean).join('\n')}\n\nRespond with exactly two plain-text lines (no markdown, no numbering):\nLine 1: one sentence describing this document.\nLine 2: Author: [full name, or Unknown]`;
 };
+
+/** Domain a site's data lives under: its configured `domain`, else its URL's host (file:// collections have none). */
+export const siteDomain = (site) => {
+  if (site.domain) return site.domain;
+  try { return new URL(site.url).hostname || null; } catch { return null; }
+};
+
+/** Site whose URLs include url: http(s) sites by domain, local collections by their file:// root. */
+export const siteForUrl = (sites, url) => sites.find(s => url.startsWith(`https://${s.domain}`) || url.startsWith(`http://${s.domain}`) ||
+  (s.url?.startsWith('file:') && url.startsWith(s.url.replace(/\/?$/, '/'))));
@@ -0,0 +1,129 @@
+// Fetch-adapter registry -- adapters by name (the built-ins from fetch-adapters.js plus plugins loaded from a local
+// directory), config-block validation against each adapter's schema, and chaining several adapters for one site.
+// The adapter interface is documented in docs/adapters.md.
+// Exports: ADAPTERS, registerAdapter, adapterNames, isOfflineSite, loadAdapterPlugins, validateAdapterOptions, resolveAdapters,
+// chainAdapters. Deps: config
+import { readdirSync, existsSync } from 'fs';
+import { join, isAbsolute, extname } from 'path';
+import { pathToFileURL } from 'url';
+import { getSiteRoot, adapterPluginsDir } from './config.js';
+
+const TYPES = ['string', 'number', 'boolean', 'array', 'object'];
+const PLUGIN_EXTS = new Set(['.js', '.mjs']);
+const loadedDirs = new Map();
+
+/** name → { create(siteConfig, { options, client, db? }), schema?, config_key?, discover?(siteConfig, ctx), offline? } */
+export const ADAPTERS = new Map();
+
+/** Add or replace an adapter definition. Plugins are registered the same way when their module is loaded. */
+export const registerAdapter = (name, def) => {
+  if (!name || typeof def?.create !== 'function') throw new Error(`adapter ${name || '(unnamed)'} needs a name and a create() function`);
+  for (const [key, rule] of Object.entries(def.schema ?? {})) {
+    const bad = [rule.type].flat().filter(t => !TYPES.includes(t));
+    if (bad.length) throw new Error(`adapter ${name}: schema key ${key} has unknown type ${bad.join(', ')}`);
+  }
+  ADAPTERS.set(name, def);
+};
+
+/**
+ * Adapter names configured for a site, in fallback order: `fetch_adapter` is a name or a list (default http, or
+ * filesystem when `url` is a file:// root).
+ */
+export const adapterNames = (siteConfig) => {
+  const fallback = siteConfig.url?.startsWith('file:') ? 'filesystem' : 'http';
+  const names = [siteConfig.fetch_adapter ?? fallback].flat().filter(Boolean);
+  return names.length ? names : [fallback];
+};
+
+/** True when every adapter of the site serves it without the network (archives): no live sitemaps or robots.txt. */
+export const isOfflineSite = (siteConfig) => adapterNames(siteConfig).every(n => ADAPTERS.get(n)?.offline === true);
+
+/**
+ * Import every .js/.mjs module in dir and register its adapter (default export, or an `adapter` export:
+ * { name, create, schema?, config_key?, discover?, offline? }). Each directory is read once per process.
+ * @returns {Promise<string[]>} names registered from dir
+ */
+export const loadAdapterPlugins = async (dir) => {
+  if (loadedDirs.has(dir)) return loadedDirs.get(dir);
+  const names = [];
+  loadedDirs.set(dir, names);
+  if (!existsSync(dir)) return names;
+  for (const file of readdirSync(dir).filter(f => PLUGIN_EXTS.has(extname(f))).sort()) {
+    const mod = await import(pathToFileURL(join(dir, file)).href);
+    const def = mod.default ?? mod.adapter;
+    if (!def) { console.warn(`[adapters] ${file} exports no adapter, skipped`); continue; }
+    registerAdapter(def.name, def);
+    names.push(def.name);
+  }
+  if (names.length) console.log(`[adapters] loaded ${names.join(', ')} from ${dir}`);
+  return names;
+};
+
+const typeOf = (v) => Array.isArray(v) ? 'array' : v === null ? 'null' : typeof v;
+
+/**
+ * Check a site's config block for an adapter against its schema ({ key: { type, required?, default?, enum? } })
+ * and return it with defaults filled in. Wrong types, missing required keys and values outside `enum` throw;
+ * keys the schema doesn't know are only warned about.
+ */
+export const validateAdapterOptions = (name, schema, value, where = name) => {
+  if (value != null && typeOf(value) !== 'object') throw new Error(`fetch_adapter ${name}: ${where} must be a mapping`);
+  const options = { ...value };
+  if (!schema) return options;
+  for (const [key, rule] of Object.entries(schema)) {
+    const v = options[key];
+    if (v == null) {
+      if (rule.required) throw new Error(`fetch_adapter ${name}: ${where}.${key} is required`);
+      if (rule.default !== undefined) options[key] = rule.default;
+      continue;
+    }
+    const types = [rule.type].flat();
+    if (!types.includes(typeOf(v))) throw new Error(`fetch_adapter ${name}: ${where}.${key} must be ${types.join(' or ')}, got ${typeOf(v)}`);
+    if (rule.enum && !rule.enum.includes(v)) throw new Error(`fetch_adapter ${name}: ${where}.${key} must be one of ${rule.enum.join(', ')}`);
+  }
+  const unknown = Object.keys(options).filter(k => !(k in schema));
+  if (unknown.length) console.warn(`[adapters] ${where}: unknown key(s) ${unknown.join(', ')} for ${name}`);
+  return options;
+};
+
+/**
+ * Definitions and validated options for a site's adapter chain. Names not registered yet are looked up in the
+ * plugins directory (`fetch_adapter_plugins`, relative to SITE2RAG_ROOT; default <root>/adapters).
+ * @returns {Promise<Array<{ name, def, options }>>}
+ */
+export const resolveAdapters = async (siteConfig) => {
+  const names = adapterNames(siteConfig);
+  if (names.some(n => !ADAPTERS.has(n))) {
+    const dir = siteConfig.fetch_adapter_plugins;
+    await loadAdapterPlugins(dir ? (isAbsolute(dir) ? dir : join(getSiteRoot(), dir)) : adapterPluginsDir());
+  }
+  return names.map(name => {
+    const def = ADAPTERS.get(name);
+    if (!def) throw new Error(`unknown fetch_adapter ${name} for ${siteConfig.domain} (known: ${[...ADAPTERS.keys()].join(', ')})`);
+    const key = def.config_key ?? name;
+    return { name, def, options: validateAdapterOptions(name, def.schema, siteConfig[key], key) };
+  });
+};
+
+const declined = (result) => result === undefined || (result !== null && (!result.status || result.status >= 400));
+
+/**
+ * One adapter over several ({ name, adapter } in order): each URL goes to the first adapter, and on to the next
+ * when it returns undefined (declined), an error status (0, 4xx, 5xx) or throws. null (304/skip) is final. The last
+ * adapter's answer stands (a 404 if it declines too). Results carry `adapter`, the name of the adapter that produced them.
+ */
+export const chainAdapters = (chain) => ({
+  async fetch(url, existing) {
+    let result, error;
+    for (const { name, adapter } of chain) {
+      error = null;
+      try { result = await adapter.fetch(url, existing); } catch (err) { error = err; result = undefined; }
+      if (!declined(result)) return result && { ...result, adapter: name };
+    }
+    if (error) throw error;
+    return { ...(result ?? { status: 404, buf: null, mimeType: null, etag: null, lastModified: null }), adapter: chain.at(-1).name };
+  },
+  async close() {
+    for (const { adapter } of chain) await adapter.close?.();
+  },
+});
@@ -0,0 +1,67 @@
+// hreflang alternate-language graph -- reads alternates from sitemaps and <link rel=alternate>, stores page_alternates,
+// lists a page's translations for frontmatter. Exports: sitemapAlternates, htmlAlternates, entryLanguage, confirmedLocalePrefixes,
+// addLocalePrefixes, recordAlternates, translationsFor. Deps: language
+import { normLangTag, langTagFromUrlPath } from './language.js';
+
+const asArray = (v) => v == null ? [] : Array.isArray(v) ? v : [v];
+
+/** `<xhtml:link rel="alternate" hreflang href>` nodes of a sitemap <url> → [{ hreflang, href }]. */
+export const sitemapAlternates = (links) => asArray(links)
+  .filter(l => l && typeof l === 'object' && (l['@_rel'] ?? 'alternate') === 'alternate' && l['@_hreflang'] && l['@_href'])
+  .map(l => ({ hreflang: String(l['@_hreflang']).trim().toLowerCase().replace(/_/g, '-'), href: String(l['@_href']).trim() }));
+
+/** `<link rel="alternate" hreflang>` in an HTML page, hrefs resolved against pageUrl → [{ hreflang, href }]. */
+export const htmlAlternates = ($, pageUrl) => $('link[rel~="alternate"][hreflang][href]').toArray().flatMap(el => {
+  try {
+    return [{ hreflang: $(el).attr('hreflang').trim().toLowerCase().replace(/_/g, '-'), href: new URL($(el).attr('href'), pageUrl).href }];
+  } catch { return []; }
+});
+
+/**
+ * Language of url: its own hreflang entry among alternates, else a locale prefix in the path (`confirmed`: prefixes
+ * the hreflang graph confirms, see langTagFromUrlPath), else null.
+ */
+export const entryLanguage = (url, alternates = [], confirmed = null) =>
+  normLangTag(alternates.find(a => a.href === url && a.hreflang !== 'x-default')?.hreflang) ?? langTagFromUrlPath(url, confirmed);
+
+/**
+ * Add to `prefixes` the locale path prefixes (`de`, `pt-br`) that alternates confirm: the first path segment of an
+ * alternate's href that names its own hreflang (or that tag's language). Returns prefixes.
+ */
+export const addLocalePrefixes = (prefixes, alternates) => {
+  for (const { hreflang, href } of alternates) {
+    const lang = normLangTag(hreflang);
+    const tag = lang && langTagFromUrlPath(href, new Set([lang, lang.split('-')[0]]));
+    if (tag && (tag === lang || tag === lang.split('-')[0])) prefixes.add(tag);
+  }
+  return prefixes;
+};
+
+/** Locale path prefixes the site's stored hreflang graph confirms. */
+export const confirmedLocalePrefixes = (db) =>
+  addLocalePrefixes(new Set(), db.prepare('SELECT DISTINCT hreflang, alt_url AS href FROM page_alternates').all());
+
+/** Replace the alternates recorded for url from one source ('sitemap' | 'html'). */
+export const recordAlternates = (db, url, alternates, source) => {
+  const now = new Date().toISOString();
+  const del = db.prepare('DELETE FROM page_alternates WHERE url=? AND source=?');
+  const ins = db.prepare('INSERT OR REPLACE INTO page_alternates (url, hreflang, alt_url, source, seen_at) VALUES (?, ?, ?, ?, ?)');
+  db.transaction(() => {
+    del.run(url, source);
+    for (const a of alternates) ins.run(url, a.hreflang, a.href, source, now);
+  })();
+};
+
+/**
+ * Other-language versions of url with their export paths: [{ lang, url, md_path }], sorted by lang.
+ * Uses the page's own alternates, plus pages that list it as an alternate (their language from their self entry).
+ */
+export const translationsFor = (db, url) => {
+  const own = db.prepare(`SELECT a.hreflang AS lang, a.alt_url AS url, e.md_path FROM page_alternates a
+    LEFT JOIN exports e ON e.url=a.alt_url WHERE a.url=? AND a.alt_url<>? AND a.hreflang<>'x-default'`).all(url, url);
+  const inbound = db.prepare(`SELECT (SELECT s.hreflang FROM page_alternates s WHERE s.url=r.url AND s.alt_url=r.url LIMIT 1) AS lang,
+    r.url, e.md_path FROM page_alternates r LEFT JOIN exports e ON e.url=r.url WHERE r.alt_url=? AND r.url<>?`).all(url, url);
+  const byUrl = new Map();
+  for (const t of [...own, ...inbound]) if (t.lang && !byUrl.has(t.url)) byUrl.set(t.url, { lang: t.lang, url: t.url, md_path: t.md_path ?? null });
+  return [...byUrl.values()].sort((a, b) => a.lang.localeCompare(b.lang) || a.url.localeCompare(b.url));
+};
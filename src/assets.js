@@ -1,13 +1,15 @@
-// Assets stage: downloads images and documents from mirrored HTML pages; sha256 dedup. Exports: runAssets. Deps: undici, cheerio, config, db, constants
-import { fetch } from 'undici';
-import { createHash } from 'crypto';
-import { mkdirSync, writeFileSync, existsSync, readFileSync } from 'fs';
+// Assets stage: downloads images and documents from mirrored HTML pages; sha256 dedup. Exports: runAssets. Deps: cheerio, config, db, constants, robots, download, http-client, sniff, links
+import { mkdirSync, existsSync, readFileSync, copyFileSync, renameSync } from 'fs';
 import { join, extname } from 'path';
 import * as cheerio from 'cheerio';
-import { assetsDir, mirrorDir } from './config.js';
+import { assetsDir, mirrorDir, downloadsDir } from './config.js';
 import { upsertAsset, addAssetRef } from './db.js';
 import { DOC_EXTS, DOC_MIMES, IMAGE_MIMES } from './constants.js';
-const sha256 = (buf) => createHash('sha256').update(buf).digest('hex');
+import { createRobotsCache } from './robots.js';
+import { download, discardDownload, probeHead } from './download.js';
+import { httpClientFor } from './http-client.js';
+import { sniffFile, reconcileMime } from './sniff.js';
+import { srcsetUrls } from './links.js';
 /** Resolve URL relative to page URL. */
 export const resolveUrl = (href, pageUrl) => { try { return new URL(href, pageUrl).toString().split('#')[0]; } catch { return null; } };
 /** Return asset type based on URL and MIME. */
@@ -19,14 +21,14 @@ export const classifyAsset = (url, mime = '') => {
 };
 /** Compute asset storage path: _assets/<sha[0:2]>/<sha>.<ext> */
 const assetPath = (domain, hash, ext) => join(assetsDir(domain), hash.slice(0, 2), `${hash}${ext}`);
-/** Write asset at its original URL path in the mirror so lnker-server can serve it by path. */
-const writeMirrorPath = (domain, assetUrl, buf) => {
+/** Copy stored asset to its original URL path in the mirror so lnker-server can serve it by path. */
+const writeMirrorPath = (domain, assetUrl, storedPath) => {
   try {
     const pathname = new URL(assetUrl).pathname;
     const mirrorPath = join(mirrorDir(domain), pathname);
     if (!existsSync(mirrorPath)) {
       mkdirSync(join(mirrorPath, '..'), { recursive: true });
-      writeFileSync(mirrorPath, buf);
+      copyFileSync(storedPath, mirrorPath);
     }
   } catch {}
 };
@@ -39,10 +41,18 @@ const writeMirrorPath = (domain, assetUrl, buf) => {
 export const runAssets = async (db, siteConfig) => {
   const domain = siteConfig.domain;
   const ua = siteConfig.user_agent || 'site2rag/1.0';
+  const client = httpClientFor(siteConfig);
   const assetsCfg = siteConfig.assets || {};
   const types = assetsCfg.types || ['image', 'document'];
   const imageMaxBytes = assetsCfg.image_max_bytes ?? 10485760;
+  // Bodies stream to disk: images capped by image_max_bytes, documents by the site's download.max_bytes
+  const downloadCfg = siteConfig.download ?? {};
+  const maxBytesFor = (type) => type === 'image' ? imageMaxBytes : downloadCfg.max_bytes;
+  const recordSkipped = (assetUrl, mime, bytes, reason) => db.prepare('INSERT OR IGNORE INTO assets (hash, path, original_url, mime_type, bytes, first_seen_at, last_seen_at, ref_count, skipped_reason) VALUES (?,?,?,?,?,?,?,?,?)')
+    .run(`${reason}:${assetUrl}`, '', assetUrl, mime, bytes, new Date().toISOString(), new Date().toISOString(), 0, reason);
   const stats = { total: 0, new_assets: 0, skipped: 0, bytes: 0 };
+  // Assets often live on other hosts (CDNs, allow_domains); each origin's robots.txt is honored separately
+  const robots = siteConfig.respect_robots_txt ? createRobotsCache(db, ua, { client }) : null;
   // Process all HTML pages in DB
   const pages = db.prepare("SELECT url, local_path FROM pages WHERE gone=0 AND mime_type LIKE 'text/html%' AND local_path IS NOT NULL").all();
   for (const page of pages) {
@@ -57,6 +67,11 @@ export const runAssets = async (db, siteConfig) => {
         const resolved = resolveUrl(src, page.url);
         if (resolved) assetUrls.push({ url: resolved, type: 'image' });
       });
+      // Responsive images: the largest srcset candidate (unless it is the src itself)
+      $('img[srcset], source[srcset]').each((_, el) => {
+        const best = srcsetUrls($(el).attr('srcset'), page.url).at(-1);
+        if (best && !assetUrls.some(a => a.url === best)) assetUrls.push({ url: best, type: 'image' });
+      });
     }
     // Documents via <a href>
     if (types.includes('document')) {
@@ -70,42 +85,50 @@ export const runAssets = async (db, siteConfig) => {
       });
     }
     for (const { url: assetUrl, type } of assetUrls) {
+      // Files of a local collection (file://) are mirrored by the filesystem adapter, not downloaded
+      if (!/^https?:/i.test(assetUrl)) continue;
       stats.total++;
       // Check if already downloaded (by original_url)
       const existing = db.prepare('SELECT * FROM assets WHERE original_url=?').get(assetUrl);
       if (existing) {
         // Ensure mirror path exists even if asset was downloaded before this feature was added
         if (existing.path && existsSync(existing.path)) {
-          writeMirrorPath(domain, assetUrl, readFileSync(existing.path));
+          writeMirrorPath(domain, assetUrl, existing.path);
         }
         addAssetRef(db, existing.hash, page.url);
         continue;
       }
-      let res;
+      if (robots && !(await robots.isAllowed(assetUrl))) { stats.skipped++; continue; }
+      const headers = client.headers(assetUrl);
+      if (downloadCfg.head_first) {
+        const probe = await probeHead(assetUrl, { headers, maxBytes: maxBytesFor(type), client }).catch(() => null);
+        if (probe?.tooLarge) { recordSkipped(assetUrl, probe.mimeType, probe.bytes, 'oversize'); stats.skipped++; continue; }
+      }
+      let dl;
       try {
-        res = await fetch(assetUrl, { headers: { 'User-Agent': ua }, signal: AbortSignal.timeout(15000), redirect: 'follow' });
-        if (!res.ok) { stats.skipped++; continue; }
+        dl = await download(assetUrl, { dir: downloadsDir(domain), headers, maxBytes: maxBytesFor(type), timeoutMs: 15000, resume: downloadCfg.resume !== false, client });
       } catch { stats.skipped++; continue; }
-      let buf;
-      try { buf = Buffer.from(await res.arrayBuffer()); } catch { stats.skipped++; continue; }
-      const mime = (res.headers.get('content-type') || '').split(';')[0].trim();
-      // Size cap for images
-      if (type === 'image' && buf.length > imageMaxBytes) {
-        db.prepare('INSERT OR IGNORE INTO assets (hash, path, original_url, mime_type, bytes, first_seen_at, last_seen_at, ref_count, skipped_reason) VALUES (?,?,?,?,?,?,?,?,?)')
-          .run(`oversize:${assetUrl}`, '', assetUrl, mime, buf.length, new Date().toISOString(), new Date().toISOString(), 0, 'oversize');
+      if (!dl.res.ok) { stats.skipped++; continue; }
+      const declared = (dl.res.headers.get('content-type') || '').split(';')[0].trim();
+      if (dl.skipped) { recordSkipped(assetUrl, declared, dl.bytes, 'oversize'); stats.skipped++; continue; }
+      // An HTML page (login wall, error page) or empty body where an image/document was linked isn't stored
+      const { mimeType: mime, softError } = reconcileMime(declared, sniffFile(dl.path));
+      if (softError && !IMAGE_MIMES.has(mime) && !DOC_MIMES.has(mime)) {
+        discardDownload(dl);
+        recordSkipped(assetUrl, mime, dl.bytes, 'soft_error');
         stats.skipped++;
         continue;
       }
-      const hash = sha256(buf);
+      const hash = dl.sha256;
       const ext = extname(new URL(assetUrl).pathname).toLowerCase() || `.${mime.split('/')[1] || 'bin'}`;
       const storagePath = assetPath(domain, hash, ext);
       mkdirSync(join(assetsDir(domain), hash.slice(0, 2)), { recursive: true });
-      if (!existsSync(storagePath)) writeFileSync(storagePath, buf);
-      writeMirrorPath(domain, assetUrl, buf);
-      upsertAsset(db, { hash, path: storagePath, original_url: assetUrl, mime_type: mime, bytes: buf.length });
+      if (!existsSync(storagePath)) renameSync(dl.path, storagePath); else discardDownload(dl);
+      writeMirrorPath(domain, assetUrl, storagePath);
+      upsertAsset(db, { hash, path: storagePath, original_url: assetUrl, mime_type: mime, declared_mime: declared, bytes: dl.bytes });
       addAssetRef(db, hash, page.url);
       stats.new_assets++;
-      stats.bytes += buf.length;
+      stats.bytes += dl.bytes;
     }
   }
   return stats;
@@ -0,0 +1,219 @@
+// Authenticated crawling -- HTTP Basic/Bearer credentials from env vars, a cookie jar persisted under _meta, and a
+// scripted form login (plain HTTP or the Playwright pool) that is repeated when a login page shows up mid-crawl.
+// Exports: parseSetCookie, createCookieJar, createAuth. Deps: cheerio, redirects, http-client, config
+import { readFileSync, writeFileSync, mkdirSync, existsSync } from 'fs';
+import { dirname, join } from 'path';
+import * as cheerio from 'cheerio';
+import { fetchFollowing } from './redirects.js';
+import { httpClientFor } from './http-client.js';
+import { metaDir } from './config.js';
+
+const LOGIN_TIMEOUT_MS = 30000;
+// Crawling a logout link would end the session the rest of the crawl depends on
+const LOGOUT = /\/(?:log-?out|sign-?out|log-?off)\b/i;
+const escapeRe = (s) => s.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+/** RFC 6265 default-path: the request path up to its last '/'. */
+const defaultPath = (pathname) => pathname.lastIndexOf('/') > 0 ? pathname.slice(0, pathname.lastIndexOf('/')) : '/';
+const domainMatch = (host, c) => c.hostOnly ? host === c.domain : host === c.domain || host.endsWith(`.${c.domain}`);
+const pathMatch = (path, cookiePath) => path === cookiePath || path.startsWith(cookiePath.endsWith('/') ? cookiePath : `${cookiePath}/`);
+
+/**
+ * One Set-Cookie header as received from url.
+ * @returns {{ name, value, domain, hostOnly, path, expires: number|null, secure, httpOnly }|null} null when the cookie
+ *   is malformed or names a domain the URL can't set; expires is epoch ms (null = session, past = delete)
+ */
+export const parseSetCookie = (header, url) => {
+  const [pair, ...attrs] = String(header).split(';');
+  const eq = pair.indexOf('=');
+  if (eq < 1) return null;
+  const u = new URL(url);
+  const cookie = { name: pair.slice(0, eq).trim(), value: pair.slice(eq + 1).trim(), domain: u.hostname, hostOnly: true,
+    path: defaultPath(u.pathname), expires: null, secure: false, httpOnly: false };
+  let maxAge = null;
+  for (const attr of attrs) {
+    const [k, ...rest] = attr.split('=');
+    const key = k.trim().toLowerCase(), val = rest.join('=').trim();
+    if (key === 'domain' && val) {
+      const domain = val.replace(/^\./, '').toLowerCase();
+      if (!domainMatch(u.hostname, { domain, hostOnly: false })) return null;
+      Object.assign(cookie, { domain, hostOnly: false });
+    } else if (key === 'path' && val.startsWith('/')) cookie.path = val;
+    else if (key === 'expires') { const t = Date.parse(val); if (Number.isFinite(t)) cookie.expires = t; }
+    else if (key === 'max-age' && /^-?\d+$/.test(val)) maxAge = Number(val);
+    else if (key === 'secure') cookie.secure = true;
+    else if (key === 'httponly') cookie.httpOnly = true;
+  }
+  if (maxAge != null) cookie.expires = Date.now() + maxAge * 1000;
+  return cookie;
+};
+
+/**
+ * In-memory cookie jar, optionally persisted as JSON (mode 600) at path. Session cookies are kept across runs too:
+ * a crawl is one long session as far as the site is concerned.
+ */
+export const createCookieJar = (path = null) => {
+  const cookies = new Map();
+  const keyOf = (c) => `${c.domain}|${c.path}|${c.name}`;
+  const put = (c) => { if (c.expires != null && c.expires <= Date.now()) cookies.delete(keyOf(c)); else cookies.set(keyOf(c), c); };
+  if (path && existsSync(path)) {
+    try { JSON.parse(readFileSync(path, 'utf8')).forEach(put); } catch (err) { console.warn(`[auth] ignoring unreadable cookie jar ${path}: ${err.message}`); }
+  }
+  return {
+    /** Store the cookies of one Set-Cookie header received from url. */
+    set(url, header) { const c = parseSetCookie(header, url); if (c) put(c); },
+    /** Store every Set-Cookie header of a fetch response (responses without getSetCookie carry none we can read). */
+    store(url, res) { for (const h of res?.headers?.getSetCookie?.() ?? []) this.set(url, h); },
+    /** Cookie request header for url, or null. */
+    header(url) {
+      const u = new URL(url), now = Date.now();
+      const matching = [...cookies.values()].filter(c => domainMatch(u.hostname, c) && pathMatch(u.pathname, c.path) &&
+        (!c.secure || u.protocol === 'https:') && (c.expires == null || c.expires > now));
+      // Longer paths first, as browsers send them
+      return matching.length ? matching.sort((a, b) => b.path.length - a.path.length).map(c => `${c.name}=${c.value}`).join('; ') : null;
+    },
+    get size() { return cookies.size; },
+    clear() { cookies.clear(); },
+    /** Cookies in Playwright's BrowserContext.addCookies() shape. */
+    toPlaywright: () => [...cookies.values()].map(c => ({ name: c.name, value: c.value, domain: c.hostOnly ? c.domain : `.${c.domain}`,
+      path: c.path, expires: c.expires == null ? -1 : Math.floor(c.expires / 1000), secure: c.secure, httpOnly: c.httpOnly })),
+    /** Take over the cookies of a Playwright context (BrowserContext.cookies()). */
+    addPlaywright(list) {
+      for (const c of list) put({ name: c.name, value: c.value, domain: c.domain.replace(/^\./, ''), hostOnly: !c.domain.startsWith('.'),
+        path: c.path || '/', expires: c.expires > 0 ? c.expires * 1000 : null, secure: !!c.secure, httpOnly: !!c.httpOnly });
+    },
+    save() {
+      if (!path) return;
+      mkdirSync(dirname(path), { recursive: true });
+      writeFileSync(path, JSON.stringify([...cookies.values()], null, 2), { mode: 0o600 });
+    },
+  };
+};
+
+const fromEnv = (name, what) => {
+  if (!name) return null;
+  const value = process.env[name];
+  if (!value) console.warn(`[auth] ${what}: env var ${name} is not set`);
+  return value || null;
+};
+
+/**
+ * Auth for one site from its `auth:` block (null when there is none):
+ * `basic: { username_env, password_env }` | `bearer: { token_env }` -- sent only to the seed host and `auth.hosts`;
+ * `cookie_jar` (default true) -- persisted to _meta/cookies.json;
+ * `login: { url, via: http|playwright, username_env, password_env, username_field, password_field, fields, form_selector,
+ *   username_selector, password_selector, submit_selector, max_attempts (3), detect: { url_pattern, statuses ([401]), selector, text } }`;
+ * `skip_pattern` -- URLs never fetched while logged in (default: logout links).
+ */
+export const createAuth = (siteConfig) => {
+  const cfg = siteConfig.auth;
+  if (!cfg) return null;
+  const client = httpClientFor(siteConfig);
+  const hosts = new Set([new URL(siteConfig.url).hostname, ...(cfg.hosts ?? [])]);
+  const jar = cfg.cookie_jar === false ? null : createCookieJar(join(metaDir(siteConfig.domain), 'cookies.json'));
+  let authorization = null;
+  if (cfg.basic) {
+    const user = fromEnv(cfg.basic.username_env, 'basic'), pass = fromEnv(cfg.basic.password_env, 'basic');
+    if (user && pass) authorization = `Basic ${Buffer.from(`${user}:${pass}`).toString('base64')}`;
+  } else if (cfg.bearer) {
+    const token = fromEnv(cfg.bearer.token_env, 'bearer');
+    if (token) authorization = `Bearer ${token}`;
+  }
+  const login = cfg.login?.url ? cfg.login : null;
+  const detect = login?.detect ?? {};
+  const loginUrlPattern = login ? new RegExp(detect.url_pattern ?? `^${escapeRe(new URL(login.url).origin + new URL(login.url).pathname)}(?:[?#]|$)`) : null;
+  const loginStatuses = new Set(detect.statuses ?? [401]);
+  const skipPattern = cfg.skip_pattern ? new RegExp(cfg.skip_pattern) : LOGOUT;
+  let attemptsLeft = login?.max_attempts ?? 3;
+  let pending = null;
+
+  /** Looks like the login page (by status, final URL or configured selector/text) rather than the requested content. */
+  const isLoginPage = (url, result) => {
+    if (!login || !result) return false;
+    if (loginStatuses.has(result.status)) return true;
+    if (loginUrlPattern.test(result.finalUrl ?? url)) return true;
+    if (!result.buf || !(detect.selector || detect.text)) return false;
+    const html = result.buf.toString('utf8');
+    if (detect.text && html.includes(detect.text)) return true;
+    return !!detect.selector && cheerio.load(html)(detect.selector).length > 0;
+  };
+
+  /** GET the login form, fill in credentials and every other field it carries (CSRF tokens), POST it through the jar. */
+  const httpLogin = async (user, pass) => {
+    const page = await fetchFollowing(login.url, { headers: client.headers(login.url), signal: AbortSignal.timeout(LOGIN_TIMEOUT_MS) }, { jar, client });
+    const $ = cheerio.load(await page.res.text());
+    const form = $(login.form_selector ?? 'form:has(input[type=password])').first();
+    if (!form.length) throw new Error(`no login form at ${login.url}`);
+    const body = new URLSearchParams();
+    form.find('input[name], select[name], textarea[name]').each((_, el) => {
+      const $el = $(el), type = ($el.attr('type') ?? '').toLowerCase();
+      if (['submit', 'button', 'image', 'reset', 'file'].includes(type) || (['checkbox', 'radio'].includes(type) && $el.attr('checked') == null)) return;
+      body.set($el.attr('name'), $el.is('select') ? $el.find('option[selected]').attr('value') ?? $el.find('option').first().attr('value') ?? '' : $el.val() ?? '');
+    });
+    const userField = login.username_field ?? form.find('input[type=email][name], input[type=text][name], input:not([type])[name]').first().attr('name');
+    const passField = login.password_field ?? form.find('input[type=password][name]').first().attr('name');
+    if (!userField || !passField) throw new Error(`can't tell the username/password fields of the login form at ${login.url}`);
+    body.set(userField, user);
+    body.set(passField, pass);
+    for (const [k, v] of Object.entries(login.fields ?? {})) body.set(k, String(v));
+    const action = new URL(form.attr('action') || page.url, page.url).toString();
+    const method = (form.attr('method') ?? 'post').toUpperCase();
+    const target = method === 'GET' ? `${action.split('?')[0]}?${body}` : action;
+    const { res, url } = await fetchFollowing(target, {
+      method: method === 'GET' ? 'GET' : 'POST',
+      headers: client.headers(target, { Referer: page.url, ...(method === 'GET' ? {} : { 'Content-Type': 'application/x-www-form-urlencoded' }) }),
+      body: method === 'GET' ? undefined : body.toString(), signal: AbortSignal.timeout(LOGIN_TIMEOUT_MS),
+    }, { jar, client });
+    const buf = Buffer.from(await res.arrayBuffer());
+    return res.status < 400 && !isLoginPage(login.url, { status: res.status, finalUrl: url, buf });
+  };
+
+  /** Fill and submit the login form in a browser (for forms built by JavaScript); the context's cookies go to the jar. */
+  const playwrightLogin = async (pool, user, pass) => {
+    const { cookies, url, html } = await pool.login({
+      url: login.url, cookies: jar?.toPlaywright() ?? [],
+      fields: [[login.username_selector ?? 'input[type=email], input[name*=user i], input[type=text]', user], [login.password_selector ?? 'input[type=password]', pass]],
+      submitSelector: login.submit_selector ?? 'button[type=submit], input[type=submit]',
+    });
+    jar?.addPlaywright(cookies);
+    return !isLoginPage(login.url, { status: 200, finalUrl: url, buf: Buffer.from(html) });
+  };
+
+  const doLogin = async (pool) => {
+    const user = fromEnv(login.username_env, 'login'), pass = fromEnv(login.password_env, 'login');
+    if (!user || !pass) return false;
+    const viaPlaywright = login.via === 'playwright';
+    if (viaPlaywright && !pool) console.warn(`[auth] ${siteConfig.domain}: login.via playwright but no browser is available, posting the form over HTTP`);
+    const ok = viaPlaywright && pool ? await playwrightLogin(pool, user, pass) : await httpLogin(user, pass);
+    console.log(`[auth] ${siteConfig.domain}: login ${ok ? 'succeeded' : 'failed'}`);
+    if (ok) jar?.save();
+    return ok;
+  };
+
+  return {
+    jar,
+    /** Credential headers for url: Authorization on the site's own hosts only. */
+    headersFor: (url) => authorization && hosts.has(new URL(url).hostname) ? { Authorization: authorization } : {},
+    /** URLs never fetched (logout links, `skip_pattern`). */
+    skip: (url) => skipPattern.test(url),
+    isLoginPage,
+    /** The login URL itself: fetching it must not trigger another login. */
+    isLoginUrl: (url) => !!login && loginUrlPattern.test(url),
+    /**
+     * (Re-)authenticate with the scripted login. Concurrent callers share one attempt; after login.max_attempts
+     * failed or repeated logins this run, returns false without trying.
+     * @param {object|null} pool - Playwright pool for `via: playwright`
+     */
+    relogin(pool = null) {
+      if (!login) return Promise.resolve(false);
+      if (pending) return pending;
+      if (attemptsLeft <= 0) return Promise.resolve(false);
+      attemptsLeft--;
+      pending = doLogin(pool)
+        .catch(err => { console.warn(`[auth] ${siteConfig.domain}: login error: ${err.message}`); return false; })
+        .finally(() => { pending = null; });
+      return pending;
+    },
+    save() { jar?.save(); },
+  };
+};
@@ -0,0 +1,49 @@
+// Crawl budgets -- per-run caps on pages fetched, bytes downloaded, new pages, runtime and per-path-prefix page counts,
+// so a site that explodes (calendars, faceted search) stops cleanly and the next run picks up its frontier.
+// Exports: BUDGET_STOP_KEY, createCrawlBudget. Deps: none
+
+/** site_meta key holding the last budget stop ({ reason, at }) until a run completes its frontier. */
+export const BUDGET_STOP_KEY = 'crawl_budget_stop';
+
+const positive = (v) => Number.isFinite(Number(v)) && Number(v) > 0 ? Number(v) : null;
+
+/**
+ * Budget for one mirror run from `crawl_budget: { max_pages, max_bytes, max_new_pages, max_runtime_minutes, paths }`,
+ * `paths` mapping URL path prefixes to page quotas (`{ /events/: 200 }`; the longest matching prefix counts).
+ * Pages and path quotas are counted when a URL is claimed, so concurrency never overshoots them; bytes, new pages and
+ * runtime are checked between claims and can be exceeded by the fetches already in flight.
+ * @param {{ startedAt?: number }} opts - runtime is measured from startedAt (default: now)
+ */
+export const createCrawlBudget = (cfg = {}, { startedAt = Date.now() } = {}) => {
+  const maxPages = positive(cfg.max_pages), maxBytes = positive(cfg.max_bytes), maxNew = positive(cfg.max_new_pages);
+  const maxRuntimeMs = positive(cfg.max_runtime_minutes) ? cfg.max_runtime_minutes * 60000 : null;
+  const quotas = Object.entries(cfg.paths ?? {}).filter(([, n]) => positive(n)).sort((a, b) => b[0].length - a[0].length);
+  const used = { pages: 0, bytes: 0, paths: {} };
+  const prefixOf = (url) => {
+    let path;
+    try { path = new URL(url).pathname; } catch { return null; }
+    return quotas.find(([prefix]) => path.startsWith(prefix)) ?? null;
+  };
+  return {
+    /** Reason to stop claiming URLs: max_pages | max_bytes | max_new_pages | max_runtime, or null to go on. */
+    exhausted(stats) {
+      if (maxPages && used.pages >= maxPages) return 'max_pages';
+      if (maxBytes && used.bytes >= maxBytes) return 'max_bytes';
+      if (maxNew && (stats?.new_pages ?? 0) >= maxNew) return 'max_new_pages';
+      if (maxRuntimeMs && Date.now() - startedAt >= maxRuntimeMs) return 'max_runtime';
+      return null;
+    },
+    /** Count a claimed URL against the page and path quotas; false (nothing counted) when its path quota is used up. */
+    take(url) {
+      const quota = prefixOf(url);
+      if (quota && (used.paths[quota[0]] ?? 0) >= quota[1]) return false;
+      if (quota) used.paths[quota[0]] = (used.paths[quota[0]] ?? 0) + 1;
+      used.pages++;
+      return true;
+    },
+    /** Add downloaded body bytes. */
+    addBytes(n) { used.bytes += n || 0; },
+    /** Usage so far, for mirror_progress and logs. */
+    snapshot: () => ({ pages: used.pages, bytes: used.bytes, runtime_s: Math.round((Date.now() - startedAt) / 1000), paths: { ...used.paths } }),
+  };
+};
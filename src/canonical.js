@@ -0,0 +1,125 @@
+// URL canonicalization -- one spelling per document: scheme/www/port, index files, percent-encoding, session + tracking
+// params, sorted query; plus the aliases table learned from rel=canonical so duplicate URLs fold into one page row.
+// Exports: compileCanonical, canonicalizeUrl, recordAlias, resolveAlias, adoptAliasRow, foldAliases. Deps: none (db passed in)
+
+/** Conservative defaults: only rewrites that cannot change which document a server returns. */
+const DEFAULTS = {
+  scheme: 'seed',         // 'seed' (match the seed URL on the seed's host) | 'https' | 'http' | 'keep'
+  www: 'seed',            // 'seed' | 'strip' | 'add' | 'keep' -- applied to the seed's host family only
+  index_files: ['index.html', 'index.htm', 'index.php', 'default.aspx'],
+  trailing_slash: 'keep', // 'keep' | 'add' | 'strip' -- 'add'/'strip' only touch extensionless last segments
+  strip_params: ['jsessionid', 'phpsessid', 'sessionid', 'aspsessionid*', 'cfid', 'cftoken', 'utm_*', 'fbclid', 'gclid', 'mc_cid', 'mc_eid'],
+  sort_query: true,
+  lowercase_path: false,
+  follow_rel_canonical: true,
+};
+const UNRESERVED = /[A-Za-z0-9\-._~]/;
+const MATRIX_SESSION_RE = /;(jsessionid|phpsessid|sessionid)=[^/?#]*/gi;
+
+const bareHost = (h) => h.replace(/^www\./, '');
+
+/**
+ * Compile the `rules.canonical` block. seedUrl anchors the 'seed' scheme/www preferences.
+ * `rules.canonical_strip_query` (legacy) is merged into strip_params.
+ */
+export const compileCanonical = (cfg = {}, seedUrl = null, legacyStrip = []) => {
+  const c = { ...DEFAULTS, ...cfg };
+  const seed = seedUrl ? new URL(seedUrl) : null;
+  const params = [...new Set([...(c.strip_params || []), ...legacyStrip].map(p => p.toLowerCase()))];
+  return {
+    ...c,
+    seedHost: seed ? bareHost(seed.hostname) : null,
+    scheme: c.scheme === 'seed' ? (seed ? seed.protocol.replace(':', '') : 'keep') : c.scheme,
+    www: c.www === 'seed' ? (seed ? (seed.hostname.startsWith('www.') ? 'add' : 'strip') : 'keep') : c.www,
+    index_files: new Set((c.index_files || []).map(f => f.toLowerCase())),
+    stripExact: new Set(params.filter(p => !p.endsWith('*'))),
+    stripPrefixes: params.filter(p => p.endsWith('*')).map(p => p.slice(0, -1)),
+  };
+};
+
+/** Upper-case escapes and decode escaped unreserved characters (RFC 3986 §6.2.2). */
+const normalizeEscapes = (s) => s.replace(/%([0-9a-fA-F]{2})/g, (_, hex) => {
+  const ch = String.fromCharCode(parseInt(hex, 16));
+  return UNRESERVED.test(ch) ? ch : `%${hex.toUpperCase()}`;
+});
+
+/**
+ * Canonical spelling of a URL. Throws on unparseable input (callers treat that as malformed).
+ * @param {object} compiled - compileRules() output (uses compiled.canonical) or a compileCanonical() result
+ */
+export const canonicalizeUrl = (compiled, urlStr) => {
+  const c = compiled.canonical ?? compiled;
+  const u = new URL(urlStr);
+  u.hash = '';
+  if (c.seedHost && bareHost(u.hostname) === c.seedHost) {
+    // An explicit non-default port means a different service -- leave its scheme alone
+    if ((c.scheme === 'https' || c.scheme === 'http') && /^https?:$/.test(u.protocol) && !u.port) u.protocol = `${c.scheme}:`;
+    if (c.www === 'strip') u.hostname = bareHost(u.hostname);
+    else if (c.www === 'add' && !u.hostname.startsWith('www.')) u.hostname = `www.${u.hostname}`;
+  }
+  let path = normalizeEscapes(u.pathname.replace(MATRIX_SESSION_RE, ''));
+  if (c.lowercase_path) path = path.toLowerCase();
+  const segs = path.split('/');
+  const last = segs[segs.length - 1];
+  if (c.index_files.has(last.toLowerCase())) segs[segs.length - 1] = '';
+  else if (last && !last.includes('.') && c.trailing_slash === 'add') segs.push('');
+  else if (!last && segs.length > 2 && !segs[segs.length - 2].includes('.') && c.trailing_slash === 'strip') segs.pop();
+  u.pathname = segs.join('/') || '/';
+  if (u.search) {
+    const stripped = (name) => {
+      const k = decodeURIComponent(name.replace(/\+/g, ' ')).toLowerCase();
+      return c.stripExact.has(k) || c.stripPrefixes.some(p => k.startsWith(p));
+    };
+    let pairs = u.search.slice(1).split('&').filter(Boolean).map(normalizeEscapes)
+      .filter(pair => { try { return !stripped(pair.split('=')[0]); } catch { return true; } });
+    if (c.sort_query) pairs = pairs.map((p, i) => [p, i]).sort((a, b) => {
+      const ka = a[0].split('=')[0], kb = b[0].split('=')[0];
+      return ka < kb ? -1 : ka > kb ? 1 : a[1] - b[1];
+    }).map(([p]) => p);
+    u.search = pairs.length ? `?${pairs.join('&')}` : '';
+  }
+  return u.toString();
+};
+
+/** Record that alias_url is another spelling of canonical_url. Ignores self-aliases and two-URL loops. */
+export const recordAlias = (db, aliasUrl, canonicalUrl, source) => {
+  if (aliasUrl === canonicalUrl) return false;
+  if (db.prepare('SELECT 1 FROM aliases WHERE alias_url=? AND canonical_url=?').get(canonicalUrl, aliasUrl)) return false;
+  db.prepare('INSERT OR REPLACE INTO aliases (alias_url, canonical_url, source, detected_at) VALUES (?, ?, ?, ?)')
+    .run(aliasUrl, canonicalUrl, source, new Date().toISOString());
+  return true;
+};
+
+/** Follow the aliases table to the URL's canonical target (max 5 hops). Returns url itself when not an alias. */
+export const resolveAlias = (db, url) => {
+  const get = db.prepare('SELECT canonical_url FROM aliases WHERE alias_url=?');
+  let cur = url;
+  for (let i = 0; i < 5; i++) {
+    const next = get.get(cur)?.canonical_url;
+    if (!next || next === url) break;
+    cur = next;
+  }
+  return cur;
+};
+
+/**
+ * Before fetching canonicalUrl for the first time, rename a live row stored under an old non-canonical spelling
+ * ('normalize' alias) so it keeps its etag/history instead of being re-downloaded as a new page. Returns true if renamed.
+ */
+export const adoptAliasRow = (db, canonicalUrl) => {
+  if (db.prepare('SELECT 1 FROM pages WHERE url=?').get(canonicalUrl)) return false;
+  const row = db.prepare(`SELECT p.url FROM pages p JOIN aliases a ON a.alias_url=p.url
+    WHERE a.canonical_url=? AND a.source='normalize' AND p.gone=0 ORDER BY p.last_seen_at DESC LIMIT 1`).get(canonicalUrl);
+  if (!row) return false;
+  db.prepare('UPDATE pages SET url=? WHERE url=?').run(canonicalUrl, row.url);
+  return true;
+};
+
+/**
+ * Fold alias page rows into canonicalUrl: each live alias row is marked gone with alias_of set, so exports,
+ * scoring and upgrades happen once on the canonical row. HTTP redirect rows carry no content and stay live
+ * (page_role 'redirect') so rechecks notice when the redirect changes. Returns rows folded.
+ */
+export const foldAliases = (db, canonicalUrl) => db.prepare(`UPDATE pages SET gone=1, gone_since=COALESCE(gone_since, ?), alias_of=?
+  WHERE gone=0 AND url IN (SELECT alias_url FROM aliases WHERE canonical_url=? AND source != 'redirect') AND url != ?`)
+  .run(new Date().toISOString(), canonicalUrl, canonicalUrl, canonicalUrl).changes;
@@ -1,9 +1,11 @@
-// Classify stage -- rules-first 4-role classifier. Exports: classifyPage, runClassify. Deps: cheerio, jsdom, readability, rules, constants
+// Classify stage -- rules-first 4-role classifier. Exports: classifyPage, runClassify. Deps: cheerio, jsdom, readability, rules, canonical, simhash, constants
 import { readFileSync, existsSync } from 'fs';
 import * as cheerio from 'cheerio';
 import { Readability } from '@mozilla/readability';
 import { JSDOM } from 'jsdom';
 import { compileRules, applyClassifyOverride } from './rules.js';
+import { canonicalizeUrl } from './canonical.js';
+import { simhash } from './simhash.js';
 import { DOC_EXTS } from './constants.js';
 /** Strip HTML to plain text. */
 const toText = (html) => cheerio.load(html).text().replace(/\s+/g, ' ').trim();
@@ -61,14 +63,17 @@ export const heuristicRole = (features, wordThreshold) => {
   if (ttr < 5 && outbound_link_count > 10) return 'index';
   return 'content';
 };
-/** Populate the hosts table for a host_page. */
-const populateHosts = ($, pageUrl, db) => {
+/** Populate the hosts table for a host_page. hosted_url uses the site's canonical spelling when rules are compiled with it. */
+const populateHosts = ($, pageUrl, db, compiled) => {
   $('a[href]').each((_, el) => {
     const href = $(el).attr('href') || '';
     const ext = href.split('.').pop().toLowerCase().split('?')[0];
     if (!DOC_EXTS.has(`.${ext}`)) return;
     let hosted_url;
-    try { hosted_url = new URL(href, pageUrl).toString().split('#')[0]; } catch { return; }
+    try {
+      hosted_url = new URL(href, pageUrl).toString().split('#')[0];
+      if (compiled?.canonical) hosted_url = canonicalizeUrl(compiled, hosted_url);
+    } catch { return; }
     const hosted_title = $(el).text().trim() || href.split('/').pop();
     db.prepare('INSERT OR REPLACE INTO hosts (host_url, hosted_url, hosted_title, detected_at) VALUES (?, ?, ?, ?)').run(pageUrl, hosted_url, hosted_title, new Date().toISOString());
   });
@@ -80,16 +85,14 @@ const populateHosts = ($, pageUrl, db) => {
  * @param {object} compiled - Compiled rules from compileRules()
  * @param {number} wordThreshold - Min words for content role
  * @param {object} db - SQLite db (for hosts table population)
- * @returns {{ role, classify_method, word_count_clean }}
+ * @returns {{ role, classify_method, word_count_clean, simhash }} simhash of the clean text ('' when too short)
  */
 export const classifyPage = (html, url, compiled, wordThreshold, db) => {
   const overrideRole = applyClassifyOverride(compiled, url);
   if (overrideRole) {
-    if (overrideRole === 'host_page' && db) {
-      const $ = cheerio.load(html);
-      populateHosts($, url, db);
-    }
-    return { role: overrideRole, classify_method: 'rules', word_count_clean: null };
+    const $ = cheerio.load(html);
+    if (overrideRole === 'host_page' && db) populateHosts($, url, db, compiled);
+    return { role: overrideRole, classify_method: 'rules', word_count_clean: null, simhash: simhash(extractCleanText($, html, compiled)) };
   }
   const $ = cheerio.load(html);
   const title = $('title').text().trim() || $('h1').first().text().trim() || '';
@@ -99,29 +102,39 @@ export const classifyPage = (html, url, compiled, wordThreshold, db) => {
   const outbound_link_count = $('a[href]').length;
   const ttr = textToLinkRatio($, cleanText);
   const role = heuristicRole({ wc, doc_link_count, title_doc_overlap, outbound_link_count, ttr }, wordThreshold);
-  if (role === 'host_page' && db) populateHosts($, url, db);
-  return { role, classify_method: 'heuristic', word_count_clean: wc };
+  if (role === 'host_page' && db) populateHosts($, url, db, compiled);
+  return { role, classify_method: 'heuristic', word_count_clean: wc, simhash: simhash(cleanText) };
 };
 /**
  * Backfill: classify all unclassified HTML pages from disk. Used for pages mirrored
- * before inline classification was wired up.
+ * before inline classification was wired up; also fingerprints heuristic pages still missing a simhash.
+ * Roles set by the fetch adapter (classify_method 'adapter') are kept.
  */
 export const runClassify = async (db, siteConfig) => {
   const wordThreshold = siteConfig.classify?.word_threshold ?? 200;
-  const compiled = compileRules(siteConfig.rules);
-  const pages = db.prepare("SELECT * FROM pages WHERE gone=0 AND mime_type LIKE 'text/html%' AND local_path IS NOT NULL AND (page_role IS NULL OR COALESCE(classify_method,'') != 'heuristic') LIMIT 50").all();
-  const stats = { classified: 0, host_pages: 0, rule_overrides: 0 };
+  const compiled = compileRules(siteConfig.rules, siteConfig.url);
+  const pages = db.prepare("SELECT * FROM pages WHERE gone=0 AND mime_type LIKE 'text/html%' AND local_path IS NOT NULL AND soft_error IS NULL AND (page_role IS NULL OR COALESCE(classify_method,'') NOT IN ('heuristic', 'adapter')) LIMIT 50").all();
+  const stats = { classified: 0, host_pages: 0, rule_overrides: 0, fingerprinted: 0 };
   for (let i = 0; i < pages.length; i++) {
     const page = pages[i];
     if (!existsSync(page.local_path)) continue;
     const html = readFileSync(page.local_path, 'utf8');
-    const { role, classify_method, word_count_clean } = classifyPage(html, page.url, compiled, wordThreshold, db);
-    db.prepare('UPDATE pages SET page_role=?, classify_method=?, word_count_clean=? WHERE url=?').run(role, classify_method, word_count_clean, page.url);
+    const { role, classify_method, word_count_clean, simhash: hash } = classifyPage(html, page.url, compiled, wordThreshold, db);
+    db.prepare('UPDATE pages SET page_role=?, classify_method=?, word_count_clean=?, simhash=? WHERE url=?').run(role, classify_method, word_count_clean, hash, page.url);
     if (role === 'host_page') stats.host_pages++;
     if (classify_method === 'rules') stats.rule_overrides++;
     stats.classified++;
     // Yield every page so GC can reclaim JSDOM memory
     await new Promise(r => setImmediate(r));
   }
+  // Fingerprint pages classified before simhash existed, without reclassifying them
+  const unhashed = db.prepare("SELECT url, local_path FROM pages WHERE gone=0 AND mime_type LIKE 'text/html%' AND local_path IS NOT NULL AND classify_method='heuristic' AND simhash IS NULL LIMIT 50").all();
+  for (const page of unhashed) {
+    if (!existsSync(page.local_path)) continue;
+    const html = readFileSync(page.local_path, 'utf8');
+    db.prepare('UPDATE pages SET simhash=? WHERE url=?').run(simhash(extractCleanText(cheerio.load(html), html, compiled)), page.url);
+    stats.fingerprinted++;
+    await new Promise(r => setImmediate(r));
+  }
   return stats;
 };
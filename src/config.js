@@ -33,6 +33,12 @@ export const mdDir = (domain) => join(getMdRoot(), domain);
 export const metaDir = (domain) => join(getMirrorRoot(), domain, '_meta');
 /** Return _assets dir for a domain's mirror. */
 export const assetsDir = (domain) => join(getMirrorRoot(), domain, '_assets');
+/** Return default WARC output dir for a domain's mirror (override with warc.dir). */
+export const warcDir = (domain) => join(getMirrorRoot(), domain, '_warc');
+/** Return in-progress download dir for a domain's mirror (partial bodies kept for Range resume). */
+export const downloadsDir = (domain) => join(getMirrorRoot(), domain, '_partial');
+/** Return default directory of fetch-adapter plugins (override per site with fetch_adapter_plugins). */
+export const adapterPluginsDir = () => join(getSiteRoot(), 'adapters');
 /** Load and parse websites.yaml from SITE2RAG_ROOT. */
 export const loadYaml = () => {
   const yamlPath = join(getSiteRoot(), 'websites.yaml');
@@ -149,6 +149,112 @@ CREATE TABLE IF NOT EXISTS llm_calls (
   ok INT,
   called_at TEXT
 );
+CREATE TABLE IF NOT EXISTS frontier (
+  url TEXT PRIMARY KEY,
+  depth INT DEFAULT 0,
+  from_sitemap INT DEFAULT 0,
+  priority INT DEFAULT 0,     -- higher claimed first; FIFO (rowid) within a tier
+  enqueued_at TEXT,
+  state TEXT DEFAULT 'pending' -- pending | active | done | skipped | deferred
+);
+CREATE INDEX IF NOT EXISTS idx_frontier_state ON frontier(state, priority);
+CREATE TABLE IF NOT EXISTS aliases (
+  alias_url TEXT PRIMARY KEY,
+  canonical_url TEXT NOT NULL,
+  source TEXT,                -- rel_canonical | normalize | redirect
+  detected_at TEXT
+);
+CREATE INDEX IF NOT EXISTS idx_aliases_canonical ON aliases(canonical_url);
+CREATE TABLE IF NOT EXISTS page_alternates (
+  url TEXT NOT NULL,
+  hreflang TEXT NOT NULL,     -- lower-cased BCP 47 tag or x-default
+  alt_url TEXT NOT NULL,      -- canonical URL of the alternate (may be url itself)
+  source TEXT,                -- sitemap | html
+  seen_at TEXT,
+  PRIMARY KEY (url, hreflang, alt_url)
+);
+CREATE INDEX IF NOT EXISTS idx_page_alternates_alt ON page_alternates(alt_url);
+CREATE TABLE IF NOT EXISTS page_changes (
+  id INTEGER PRIMARY KEY AUTOINCREMENT,
+  url TEXT NOT NULL,
+  changed_at TEXT NOT NULL,
+  kind TEXT NOT NULL,         -- new | changed
+  old_hash TEXT,
+  new_hash TEXT
+);
+CREATE INDEX IF NOT EXISTS idx_page_changes_url ON page_changes(url, changed_at);
+CREATE TABLE IF NOT EXISTS redirects (
+  url TEXT NOT NULL,          -- URL the fetch started from
+  hop INT NOT NULL,           -- 0-based position in the chain
+  from_url TEXT NOT NULL,
+  status INT,                 -- 301 | 302 | 303 | 307 | 308
+  location TEXT,              -- Location header as sent
+  to_url TEXT,                -- Location resolved against from_url
+  seen_at TEXT,
+  PRIMARY KEY (url, hop)
+);
+CREATE TABLE IF NOT EXISTS crawl_traps (
+  pattern TEXT PRIMARY KEY,   -- RegExp source tested against full URLs
+  kind TEXT NOT NULL,         -- repeated_segments | query_permutations | duplicate_content | fanout
+  example_url TEXT,
+  evidence TEXT,              -- what tripped it, e.g. '201 query variants of /search'
+  suggestion TEXT,            -- JSON rule for the site config: { exclude?: [prefix], follow_overrides: [{ pattern, follow: false }] }
+  hits INT DEFAULT 0,         -- URLs held back by the pattern
+  detected_at TEXT,
+  status TEXT DEFAULT 'active' -- active | suggested (fan-out alone: reported, not enforced) | ignored (set by hand to let the pattern through again)
+);
+CREATE INDEX IF NOT EXISTS idx_pages_content_hash ON pages(content_hash);
+CREATE TABLE IF NOT EXISTS snapshots (
+  url TEXT NOT NULL,
+  kind TEXT NOT NULL,         -- screenshot (full-page PNG) | pdf (print-to-PDF)
+  path TEXT NOT NULL,         -- under _meta/snapshots/, mirroring the page's mirror path
+  bytes INT,
+  sha256 TEXT,
+  content_hash TEXT,          -- pages.content_hash of the HTML it was captured with
+  captured_at TEXT,
+  PRIMARY KEY (url, kind)
+);
+CREATE TABLE IF NOT EXISTS oai_records (
+  identifier TEXT PRIMARY KEY,  -- OAI-PMH item identifier (oai:repo:123)
+  datestamp TEXT,
+  deleted INT DEFAULT 0,        -- header status="deleted"
+  metadata_prefix TEXT,         -- oai_dc, qdc, ...
+  sets TEXT,                    -- JSON setSpec list
+  metadata TEXT,                -- JSON { title, creators, date, language, subjects, description, publisher, type, rights }
+  landing_url TEXT,             -- item page on the repository
+  bitstreams TEXT,              -- JSON list of file URLs (PDFs, ...)
+  harvested_at TEXT
+);
+CREATE TABLE IF NOT EXISTS doc_metadata (
+  url TEXT PRIMARY KEY,         -- canonical page/document URL the metadata describes
+  source TEXT NOT NULL,         -- oai_pmh
+  record_id TEXT,               -- oai_records.identifier
+  title TEXT,
+  authors TEXT,                 -- JSON [{ name }]
+  date TEXT,
+  language TEXT,
+  subjects TEXT,                -- JSON list
+  description TEXT,
+  updated_at TEXT
+);
+CREATE INDEX IF NOT EXISTS idx_doc_metadata_record ON doc_metadata(record_id);
+CREATE TABLE IF NOT EXISTS mediawiki_pages (
+  title TEXT PRIMARY KEY,       -- normalized wiki title (spaces, not underscores)
+  url TEXT,                     -- canonical article URL
+  namespace INT,                -- namespace number the sync listed the title under (NULL: only fetched)
+  page_id INT,
+  rev_id INT,                   -- latest revision: the page's change token (ETag W/"mw-<rev_id>")
+  rev_timestamp TEXT,
+  last_editor TEXT,
+  redirect_to TEXT,             -- target title while the page is a redirect
+  deleted INT DEFAULT 0,
+  categories TEXT,              -- JSON [{ name, hidden }] from the last parse
+  templates TEXT,               -- JSON list of transcluded titles
+  properties TEXT,              -- JSON { name: value } page props (displaytitle, wikibase-shortdesc, ...)
+  changed_at TEXT,              -- when rev_id, redirect_to or deleted last changed
+  synced_at TEXT
+);
+CREATE INDEX IF NOT EXISTS idx_mediawiki_pages_url ON mediawiki_pages(url);
 `;
 /** Run ALTER TABLE migrations for columns added after initial schema. */
 const migrate = (db) => {
@@ -171,6 +277,33 @@ const migrate = (db) => {
   addCol('pdf_upgrade_queue', 'requested_method', 'TEXT'); // 'spell-fix' | 'ocr' | null (auto)
   addCol('pdf_upgrade_queue', 'receipt_json', 'TEXT');     // JSON receipt from pipeline
   addCol('pdf_upgrade_queue', 'importance', 'INT DEFAULT 1'); // pipeline processing depth 1-5
+  addCol('frontier', 'attempts', 'INT DEFAULT 0');         // throttled (429/503) fetch attempts
+  addCol('frontier', 'source_kind', 'TEXT');               // how the URL was found: sitemap, seed, recheck, a, frame, pdf, xhr, ... (links.js)
+  addCol('frontier', 'not_before', 'INT');                 // epoch ms: held back while its host waits out a delay or Retry-After
+  addCol('pages', 'alias_of', 'TEXT');                     // canonical URL this row was folded into
+  addCol('pages', 'simhash', 'TEXT');                      // 64-bit SimHash (hex) of clean text; '' = too short
+  addCol('pages', 'dup_cluster', 'TEXT');                  // near-duplicate cluster, keyed by representative URL
+  addCol('pages', 'duplicate_of', 'TEXT');                 // representative URL when this page is a non-representative member
+  addCol('pages', 'warc_filename', 'TEXT');                // WARC file holding the last full response for this page
+  addCol('pages', 'warc_offset', 'INT');                   // byte offset of that record's gzip member
+  addCol('pages', 'warc_length', 'INT');                   // compressed length of that record
+  addCol('pages', 'warc_target_uri', 'TEXT');              // WARC-Target-URI of that record (revisits refer to it)
+  addCol('pages', 'warc_date', 'TEXT');                    // WARC-Date of that record
+  addCol('sitemaps', 'title', 'TEXT');                     // news:title / feed item title
+  addCol('sitemaps', 'published_at', 'TEXT');              // news:publication_date / feed pubDate
+  addCol('sitemaps', 'language', 'TEXT');                  // news:language / feed language
+  addCol('sitemaps', 'images', 'TEXT');                    // JSON [{loc, title, caption}] from image:image
+  addCol('sitemaps', 'videos', 'TEXT');                    // JSON [{title, description, thumbnail_loc, ...}] from video:video
+  addCol('sitemaps', 'changefreq', 'TEXT');               // <changefreq> hint for recrawl scheduling
+  addCol('sitemaps', 'priority', 'REAL');                  // <priority> 0.0-1.0
+  addCol('pages', 'next_check_at', 'TEXT');                // adaptive recheck time (schedule.js); NULL = due
+  addCol('pages', 'recheck_days', 'REAL');                 // interval that produced next_check_at
+  addCol('pages', 'declared_mime', 'TEXT');                // Content-Type as sent by the server
+  addCol('pages', 'sniffed_mime', 'TEXT');                 // type detected from magic bytes (sniff.js); mime_type is the reconciled one
+  addCol('pages', 'soft_error', 'TEXT');                   // why the body isn't what was declared (e.g. HTML error page as PDF)
+  addCol('assets', 'declared_mime', 'TEXT');               // Content-Type as sent; mime_type is the sniffed/reconciled one
+  addCol('runs', 'stop_reason', 'TEXT');                   // why the mirror stopped early: max_pages | max_bytes | max_new_pages | max_runtime | path_quota | host_blocked
+  addCol('mediawiki_pages', 'namespace', 'INT');           // namespace the sync listed the title under
   // Fix readable_pages_pct stored as 0-100 instead of 0-1; recompute composite_score
   db.exec(`
     UPDATE pdf_quality
@@ -196,11 +329,11 @@ export const openDb = (domain) => {
   migrate(db);
   return db;
 };
-/** Insert a new run row, return run id. */
+/** Insert a new run row, return run id. Keeps mirror_run_started_at so runMirror can resume its persisted frontier. */
 export const startRun = (db) => {
   const now = new Date().toISOString();
   db.prepare(`UPDATE runs SET status='interrupted', finished_at=COALESCE(finished_at,?) WHERE status='running'`).run(now);
-  db.prepare(`DELETE FROM site_meta WHERE key IN ('mirror_progress','mirror_run_started_at','current_stage')`).run();
+  db.prepare(`DELETE FROM site_meta WHERE key IN ('mirror_progress','current_stage')`).run();
   return db.prepare('INSERT INTO runs (started_at, status) VALUES (?, ?)').run(now, 'running').lastInsertRowid;
 };
 /** Finish a run row. */
@@ -214,23 +347,27 @@ export const finishRun = (db, id, status, fields = {}) => {
 export const upsertPage = (db, page) => {
   const now = new Date().toISOString();
   const existing = db.prepare('SELECT * FROM pages WHERE url = ?').get(page.url);
+  const logChange = db.prepare('INSERT INTO page_changes (url, changed_at, kind, old_hash, new_hash) VALUES (?, ?, ?, ?, ?)');
   if (!existing) {
-    db.prepare(`INSERT INTO pages (url, path_slug, local_path, from_sitemap, sitemap_lastmod, etag, last_modified, content_hash, mime_type, status_code, depth, first_seen_at, last_seen_at, last_changed_at, gone, page_role, word_count_clean)
-      VALUES (@url, @path_slug, @local_path, @from_sitemap, @sitemap_lastmod, @etag, @last_modified, @content_hash, @mime_type, @status_code, @depth, @first_seen_at, @last_seen_at, @last_changed_at, @gone, @page_role, @word_count_clean)`)
-      .run({ sitemap_lastmod: null, etag: null, last_modified: null, content_hash: null, mime_type: null, status_code: null, depth: 0, path_slug: null, local_path: null, from_sitemap: 0, page_role: null, word_count_clean: null, first_seen_at: now, last_seen_at: now, last_changed_at: now, gone: 0, ...page });
+    if (page.content_hash) logChange.run(page.url, now, 'new', null, page.content_hash);
+    db.prepare(`INSERT INTO pages (url, path_slug, local_path, from_sitemap, sitemap_lastmod, etag, last_modified, content_hash, mime_type, declared_mime, sniffed_mime, soft_error, status_code, depth, first_seen_at, last_seen_at, last_changed_at, gone, page_role, word_count_clean)
+      VALUES (@url, @path_slug, @local_path, @from_sitemap, @sitemap_lastmod, @etag, @last_modified, @content_hash, @mime_type, @declared_mime, @sniffed_mime, @soft_error, @status_code, @depth, @first_seen_at, @last_seen_at, @last_changed_at, @gone, @page_role, @word_count_clean)`)
+      .run({ sitemap_lastmod: null, etag: null, last_modified: null, content_hash: null, mime_type: null, declared_mime: null, sniffed_mime: null, soft_error: null, status_code: null, depth: 0, path_slug: null, local_path: null, from_sitemap: 0, page_role: null, word_count_clean: null, first_seen_at: now, last_seen_at: now, last_changed_at: now, gone: 0, ...page });
   } else {
     const changed = page.content_hash && page.content_hash !== existing.content_hash;
-    db.prepare(`UPDATE pages SET path_slug=@path_slug, local_path=@local_path, from_sitemap=@from_sitemap, sitemap_lastmod=@sitemap_lastmod, etag=@etag, last_modified=@last_modified, content_hash=@content_hash, mime_type=@mime_type, status_code=@status_code, depth=@depth, last_seen_at=@last_seen_at, last_changed_at=@last_changed_at, gone=0, gone_since=NULL, page_role=COALESCE(@page_role, page_role), word_count_clean=COALESCE(@word_count_clean, word_count_clean) WHERE url=@url`)
-      .run({ sitemap_lastmod: null, etag: null, last_modified: null, content_hash: null, mime_type: null, status_code: null, depth: 0, path_slug: null, local_path: null, from_sitemap: 0, page_role: null, word_count_clean: null, ...page, last_seen_at: now, last_changed_at: changed ? now : existing.last_changed_at });
+    if (changed) logChange.run(page.url, now, existing.content_hash ? 'changed' : 'new', existing.content_hash, page.content_hash);
+    db.prepare(`UPDATE pages SET path_slug=@path_slug, local_path=@local_path, from_sitemap=@from_sitemap, sitemap_lastmod=@sitemap_lastmod, etag=@etag, last_modified=@last_modified, content_hash=@content_hash, mime_type=@mime_type, declared_mime=@declared_mime, sniffed_mime=@sniffed_mime, soft_error=@soft_error, status_code=@status_code, depth=@depth, last_seen_at=@last_seen_at, last_changed_at=@last_changed_at, gone=0, gone_since=NULL, page_role=COALESCE(@page_role, page_role), word_count_clean=COALESCE(@word_count_clean, word_count_clean) WHERE url=@url`)
+      .run({ sitemap_lastmod: null, etag: null, last_modified: null, content_hash: null, mime_type: null, declared_mime: null, sniffed_mime: null, soft_error: null, status_code: null, depth: 0, path_slug: null, local_path: null, from_sitemap: 0, page_role: null, word_count_clean: null, ...page, last_seen_at: now, last_changed_at: changed ? now : existing.last_changed_at });
   }
 };
 /** Mark URLs as gone that haven't been seen in this run (last_seen_at < run_start). */
 export const markGoneUrls = (db, runStartedAt) => {
   const now = new Date().toISOString();
-  // Never mark gone: pages in the upgrade queue (being actively processed)
+  // Never mark gone: pages in the upgrade queue (being actively processed), or pages not yet due for a recheck
   return db.prepare(`UPDATE pages SET gone=1, gone_since=? WHERE last_seen_at < ? AND gone=0
+    AND (next_check_at IS NULL OR next_check_at <= ?)
     AND url NOT IN (SELECT url FROM pdf_upgrade_queue WHERE status IN ('pending','processing','done'))`)
-    .run(now, runStartedAt).changes;
+    .run(now, runStartedAt, now).changes;
 };
 /** Get site_meta value. */
 export const getMeta = (db, key) => db.prepare('SELECT value FROM site_meta WHERE key=?').get(key)?.value;
@@ -240,12 +377,16 @@ export const setMeta = (db, key, value) => db.prepare('INSERT OR REPLACE INTO si
 export const upsertSitemap = (db, entry) => {
   const now = new Date().toISOString();
   const existing = db.prepare('SELECT * FROM sitemaps WHERE url=?').get(entry.url);
+  const row = {
+    lastmod: null, source_sitemap: null, title: null, published_at: null, language: null, changefreq: null, priority: null, ...entry,
+    images: entry.images ? JSON.stringify(entry.images) : null, videos: entry.videos ? JSON.stringify(entry.videos) : null,
+  };
   if (!existing) {
-    db.prepare('INSERT INTO sitemaps (url, lastmod, source_sitemap, first_seen_at, last_seen_at) VALUES (@url, @lastmod, @source_sitemap, @first_seen_at, @last_seen_at)')
-      .run({ ...entry, first_seen_at: now, last_seen_at: now });
+    db.prepare('INSERT INTO sitemaps (url, lastmod, source_sitemap, first_seen_at, last_seen_at, title, published_at, language, images, videos, changefreq, priority) VALUES (@url, @lastmod, @source_sitemap, @first_seen_at, @last_seen_at, @title, @published_at, @language, @images, @videos, @changefreq, @priority)')
+      .run({ ...row, first_seen_at: now, last_seen_at: now });
   } else {
-    db.prepare('UPDATE sitemaps SET lastmod=@lastmod, source_sitemap=@source_sitemap, last_seen_at=@last_seen_at, removed=0, removed_at=NULL WHERE url=@url')
-      .run({ ...entry, last_seen_at: now });
+    db.prepare('UPDATE sitemaps SET lastmod=@lastmod, source_sitemap=@source_sitemap, last_seen_at=@last_seen_at, removed=0, removed_at=NULL, title=@title, published_at=@published_at, language=@language, images=@images, videos=@videos, changefreq=@changefreq, priority=@priority WHERE url=@url')
+      .run({ ...row, last_seen_at: now });
   }
 };
 /** Mark sitemap URLs removed that weren't seen in current diff. */
@@ -271,6 +412,32 @@ export const upsertExport = (db, exp) => {
     VALUES (@url, @md_path, @source_hash, @md_hash, @exported_at, @conversion_method, @word_count, @ocr_used, @ocr_engines, @reconciler, @pages, @agreement_avg, @flagged_pages, @host_page_url, @status, @error)`)
     .run(exp);
 };
+/**
+ * Upsert authoritative metadata for a document URL (repository records). A changed row clears the export's
+ * source_hash so the document is re-exported with the new frontmatter. Returns true when the row changed.
+ */
+export const upsertDocMetadata = (db, row) => {
+  const fields = ['source', 'record_id', 'title', 'authors', 'date', 'language', 'subjects', 'description'];
+  const next = { record_id: null, title: null, date: null, language: null, description: null, ...row,
+    authors: row.authors?.length ? JSON.stringify(row.authors) : null, subjects: row.subjects?.length ? JSON.stringify(row.subjects) : null };
+  const existing = db.prepare('SELECT * FROM doc_metadata WHERE url=?').get(row.url);
+  if (existing && fields.every(f => existing[f] === next[f])) return false;
+  db.prepare(`INSERT OR REPLACE INTO doc_metadata (url, source, record_id, title, authors, date, language, subjects, description, updated_at)
+    VALUES (@url, @source, @record_id, @title, @authors, @date, @language, @subjects, @description, @updated_at)`).run({ ...next, updated_at: new Date().toISOString() });
+  db.prepare('UPDATE exports SET source_hash=NULL WHERE url=?').run(row.url);
+  return true;
+};
+/** Drop the authoritative metadata of url; its export is refreshed without it. */
+export const deleteDocMetadata = (db, url) => {
+  if (!db.prepare('DELETE FROM doc_metadata WHERE url=?').run(url).changes) return false;
+  db.prepare('UPDATE exports SET source_hash=NULL WHERE url=?').run(url);
+  return true;
+};
+/** Authoritative metadata for url with authors/subjects parsed, or null. */
+export const getDocMetadata = (db, url) => {
+  const row = db.prepare('SELECT * FROM doc_metadata WHERE url=?').get(url);
+  return row ? { ...row, authors: JSON.parse(row.authors ?? '[]'), subjects: JSON.parse(row.subjects ?? '[]') } : null;
+};
 /** Log an LLM call. */
 export const logLlmCall = (db, call) => {
   db.prepare('INSERT INTO llm_calls (stage, url, page_no, provider, model, tokens_in, tokens_out, cost_usd, ok, called_at) VALUES (@stage, @url, @page_no, @provider, @model, @tokens_in, @tokens_out, @cost_usd, @ok, @called_at)')
@@ -295,8 +462,8 @@ export const upsertAsset = (db, asset) => {
   const now = new Date().toISOString();
   const existing = db.prepare('SELECT * FROM assets WHERE hash=?').get(asset.hash);
   if (!existing) {
-    db.prepare('INSERT INTO assets (hash, path, original_url, mime_type, bytes, first_seen_at, last_seen_at, ref_count) VALUES (@hash, @path, @original_url, @mime_type, @bytes, @first_seen_at, @last_seen_at, @ref_count)')
-      .run({ ...asset, first_seen_at: now, last_seen_at: now, ref_count: 0 });
+    db.prepare('INSERT INTO assets (hash, path, original_url, mime_type, declared_mime, bytes, first_seen_at, last_seen_at, ref_count) VALUES (@hash, @path, @original_url, @mime_type, @declared_mime, @bytes, @first_seen_at, @last_seen_at, @ref_count)')
+      .run({ declared_mime: null, ...asset, first_seen_at: now, last_seen_at: now, ref_count: 0 });
   } else {
     db.prepare('UPDATE assets SET last_seen_at=?, gone_since=NULL WHERE hash=?').run(now, asset.hash);
   }
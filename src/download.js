@@ -0,0 +1,153 @@
+// Streaming HTTP downloads -- body goes to a temp file with SHA-256 computed on the fly, per-type max_bytes enforced
+// mid-stream, partial bodies resumed with Range/If-Range across retries and runs, optional HEAD probe.
+// Exports: maxBytesFor, probeHead, download, discardDownload. Deps: redirects
+import { fetchFollowing } from './redirects.js';
+import { createHash } from 'crypto';
+import { openSync, readSync, writeSync, closeSync, existsSync, readFileSync, writeFileSync, unlinkSync, statSync, renameSync, mkdirSync } from 'fs';
+import { join } from 'path';
+
+const RETRY_DELAYS_MS = [2000, 5000];
+const READ_CHUNK = 1 << 20;
+const RETRYABLE = /timeout|ECONNRESET|ECONNREFUSED|EPIPE|terminated|socket|aborted/i;
+
+/**
+ * Byte limit for a MIME type from `max_bytes`: a number applies to everything; a map is looked up by
+ * exact type, then `type/*`, then `default`. null = unlimited.
+ */
+export const maxBytesFor = (limits, mime = '') => {
+  if (limits == null) return null;
+  if (typeof limits === 'number') return limits;
+  const base = String(mime ?? '').split(';')[0].trim().toLowerCase();
+  return limits[base] ?? limits[`${base.split('/')[0]}/*`] ?? limits.default ?? null;
+};
+
+const mimeOf = (res) => (res.headers.get('content-type') || 'application/octet-stream').split(';')[0].trim();
+const lengthOf = (res) => { const n = parseInt(res.headers.get('content-length') ?? '', 10); return Number.isFinite(n) ? n : null; };
+const rangeStart = (res) => { const m = /^bytes (\d+)-/.exec(res.headers.get('content-range') ?? ''); return m ? Number(m[1]) : null; };
+// If-Range needs a strong validator: a weak ETag (W/"…") can't be used, Last-Modified can
+const validatorOf = (res) => {
+  const etag = res.headers.get('etag');
+  return etag && !etag.startsWith('W/') ? etag : res.headers.get('last-modified');
+};
+/** SHA-256 state primed with the bytes already in a partial file. */
+const hashFile = (path) => {
+  const hash = createHash('sha256');
+  const buf = Buffer.alloc(READ_CHUNK);
+  const fd = openSync(path, 'r');
+  try { for (let n; (n = readSync(fd, buf, 0, buf.length, null)) > 0;) hash.update(buf.subarray(0, n)); } finally { closeSync(fd); }
+  return hash;
+};
+const unlinkQuiet = (path) => { try { unlinkSync(path); } catch {} };
+
+/**
+ * HEAD probe, so oversized or unchanged binaries can be skipped before any body is sent.
+ * @returns {Promise<{ status, mimeType, bytes, etag, lastModified, tooLarge, unchanged }>} unchanged compares
+ *   validators with the stored page row (`etag`, `last_modified`)
+ */
+export const probeHead = async (url, { headers = {}, maxBytes = null, existing = null, timeoutMs = 15000, maxRedirects, jar, client } = {}) => {
+  const { res } = await fetchFollowing(url, { method: 'HEAD', headers, signal: AbortSignal.timeout(timeoutMs) }, { maxRedirects, jar, client });
+  const mimeType = mimeOf(res), bytes = lengthOf(res);
+  const etag = res.headers.get('etag'), lastModified = res.headers.get('last-modified');
+  const limit = maxBytesFor(maxBytes, mimeType);
+  return {
+    status: res.status, mimeType, bytes, etag, lastModified,
+    tooLarge: res.ok && limit != null && bytes != null && bytes > limit,
+    unchanged: res.ok && !!existing && (etag ? etag === existing.etag : !!lastModified && lastModified === existing.last_modified),
+  };
+};
+
+/**
+ * GET url, streaming the body into `dir`. A dropped connection leaves `<key>.part` plus a `.part.json` sidecar
+ * (URL + validator); the next attempt -- or the next run -- asks for the rest with Range/If-Range and appends.
+ * The idle timeout resets on every chunk, so large bodies aren't cut off by a wall-clock limit.
+ * Redirects are followed hop by hop (redirects.js); every result carries `finalUrl` and `hops`.
+ * @param {object} opts - { dir, headers, maxBytes (number | per-type map), timeoutMs (idle), resume (default true), retryDelaysMs, maxRedirects, jar, client }
+ * @returns {Promise<object>} non-2xx: { res, status } with the body cancelled, so the keep-alive socket is freed;
+ *   over the limit: { res, status, mimeType, skipped: 'oversize', bytes };
+ *   else { res, status, mimeType, path, bytes, sha256, resumed } -- path is a temp file the caller moves or discards
+ */
+export const download = async (url, { dir, headers = {}, maxBytes = null, timeoutMs = 30000, resume = true, retryDelaysMs = RETRY_DELAYS_MS, maxRedirects, jar, client } = {}) => {
+  mkdirSync(dir, { recursive: true });
+  const key = join(dir, createHash('sha256').update(url).digest('hex').slice(0, 32));
+  const part = `${key}.part`, sidecar = `${key}.part.json`, done = `${key}.body`;
+  const dropPart = () => { unlinkQuiet(part); unlinkQuiet(sidecar); };
+  unlinkQuiet(done);
+  let lastErr;
+  for (let attempt = 0; attempt <= retryDelaysMs.length; attempt++) {
+    if (attempt > 0) await new Promise(r => setTimeout(r, retryDelaysMs[attempt - 1]));
+    // Resume only a partial of this very URL for which we hold a validator to send as If-Range
+    let have = 0, validator = null;
+    if (resume && existsSync(part) && existsSync(sidecar)) {
+      try {
+        const m = JSON.parse(readFileSync(sidecar, 'utf8'));
+        if (m.url === url && m.validator) { have = statSync(part).size; validator = m.validator; }
+      } catch {}
+    }
+    if (!have) dropPart();
+    const ac = new AbortController();
+    let timer;
+    const arm = () => { clearTimeout(timer); timer = setTimeout(() => ac.abort(new Error('download idle timeout')), timeoutMs); };
+    arm();
+    let res, finalUrl, hops;
+    try {
+      ({ res, url: finalUrl, hops } = await fetchFollowing(url, { headers: have ? { ...headers, Range: `bytes=${have}-`, 'If-Range': validator } : headers, signal: ac.signal }, { maxRedirects, jar, client }));
+    } catch (err) {
+      clearTimeout(timer);
+      lastErr = err;
+      if (!RETRYABLE.test(err.message ?? '')) throw err;
+      continue;
+    }
+    if (res.status === 416 && have) { clearTimeout(timer); await res.body?.cancel?.().catch(() => {}); dropPart(); continue; }
+    const chain = { finalUrl, hops };
+    if (!res.ok) {
+      clearTimeout(timer);
+      await res.body?.cancel?.().catch(() => {});
+      return { res, status: res.status, ...chain };
+    }
+    // 206 continuing our partial → append; anything else is the whole body (validator changed or no range support)
+    const resumed = res.status === 206 && have > 0 && rangeStart(res) === have;
+    if (!resumed) { have = 0; dropPart(); }
+    const status = resumed ? 200 : res.status;
+    const mimeType = mimeOf(res);
+    const limit = maxBytesFor(maxBytes, mimeType);
+    const announced = lengthOf(res);
+    if (limit != null && announced != null && have + announced > limit) {
+      clearTimeout(timer);
+      await res.body?.cancel?.().catch(() => {});
+      dropPart();
+      return { res, status, mimeType, skipped: 'oversize', bytes: have + announced, ...chain };
+    }
+    const v = validatorOf(res);
+    if (resume && v && !resumed) writeFileSync(sidecar, JSON.stringify({ url, validator: v }));
+    const hash = resumed ? hashFile(part) : createHash('sha256');
+    let bytes = have, oversize = false;
+    const fd = openSync(part, resumed ? 'a' : 'w');
+    try {
+      // Responses without a stream body (non-undici fetch implementations) are read in one piece
+      const body = res.body ?? [new Uint8Array(await res.arrayBuffer())];
+      for await (const chunk of body) {
+        arm();
+        bytes += chunk.length;
+        if (limit != null && bytes > limit) { oversize = true; break; }
+        hash.update(chunk);
+        writeSync(fd, chunk);
+      }
+    } catch (err) {
+      lastErr = err;
+      if (!resume || !v) dropPart();
+      if (!RETRYABLE.test(err.message ?? '') && !ac.signal.aborted) throw err;
+      continue;
+    } finally {
+      try { closeSync(fd); } catch {}
+      clearTimeout(timer);
+    }
+    if (oversize) { dropPart(); return { res, status, mimeType, skipped: 'oversize', bytes, ...chain }; }
+    unlinkQuiet(sidecar);
+    renameSync(part, done);
+    return { res, status, mimeType, path: done, bytes, sha256: hash.digest('hex'), resumed, ...chain };
+  }
+  throw lastErr ?? new Error(`download failed: ${url}`);
+};
+
+/** Remove a finished download the caller decided not to keep. */
+export const discardDownload = (dl) => { if (dl?.path) unlinkQuiet(dl.path); };
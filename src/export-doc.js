@@ -4,20 +4,26 @@ import { readFileSync, writeFileSync, mkdirSync, existsSync } from 'fs';
 import { join } from 'path';
 import { createHash } from 'crypto';
 import { mdDir } from './config.js';
-import { upsertExport } from './db.js';
+import { upsertExport, getDocMetadata } from './db.js';
+import { docMetadataFrontmatter } from './metadata.js';
+import { publicUrl } from './filesystem.js';
 import { compileRules } from './rules.js';
 import { scorePdf, saveQualityScore, maybeQueue } from './score.js';
 export { addBacklink, assembleDocMd } from './export-doc-utils.js';
 import { addBacklink, assembleDocMd } from './export-doc-utils.js';
 import { wordQuality, detectLanguage } from './score.js';
 import { detectLanguageFromUrl } from './language.js';
+import { resniffPage } from './sniff.js';
 
 const sha256 = (buf) => createHash('sha256').update(buf).digest('hex');
 const PDF_PARSE_TIMEOUT_MS = 30_000;
 
 export const buildFrontmatter = (obj) => {
+  // Strings that would break YAML (repository titles like "Part: subtitle") are quoted
+  const yamlVal = (v) => typeof v === 'object' ? JSON.stringify(v)
+    : typeof v === 'string' && (v.includes(': ') || v.startsWith('"') || v.startsWith("'")) ? JSON.stringify(v) : String(v);
   const yaml = Object.entries(obj).filter(([, v]) => v !== null && v !== undefined)
-    .map(([k, v]) => `${k}: ${typeof v === 'object' ? JSON.stringify(v) : String(v)}`).join('\n');
+    .map(([k, v]) => `${k}: ${yamlVal(v)}`).join('\n');
   return `---\n${yaml}\n---\n\n`;
 };
 
@@ -65,7 +71,7 @@ export const exportTextPdf = async (db, siteConfig, page) => {
   const docMd = assembleDocMd(pageResults, page.url, backlinkFormat, backlinkGranularity);
   const hostRow = db.prepare('SELECT h.*, e.md_path FROM hosts h LEFT JOIN exports e ON h.host_url=e.url WHERE h.hosted_url=?').get(page.url);
   const frontmatter = {
-    source_url: page.url, backup_url: page.backup_url || null, domain,
+    source_url: page.url, public_url: publicUrl(siteConfig, page.url), backup_url: page.backup_url || null, domain,
     title: page.url.split('/').pop().replace(/\.\w+$/, ''),
     fetched_at: page.last_seen_at, content_hash: page.content_hash,
     mime_type: page.mime_type, mirror_path: page.local_path,
@@ -75,7 +81,8 @@ export const exportTextPdf = async (db, siteConfig, page) => {
     low_text_quality: lowTextQuality || undefined,
     word_quality_estimate: Math.round(wq * 100) / 100,
     host_page_url: hostRow?.host_url || null, host_page_md: hostRow?.md_path || null,
-    backlink_format: backlinkFormat, backlink_granularity: backlinkGranularity
+    backlink_format: backlinkFormat, backlink_granularity: backlinkGranularity,
+    ...docMetadataFrontmatter(getDocMetadata(db, page.url))
   };
   const outDir = mdDir(domain);
   mkdirSync(outDir, { recursive: true });
@@ -104,12 +111,13 @@ export const exportDocx = async (db, siteConfig, page) => {
     console.warn(`[export-docx] warnings for ${page.url}:`, messages.filter(m => m.type === 'error').map(m => m.message).join('; '));
   const md = td.turndown(html);
   const frontmatter = buildFrontmatter({
-    source_url: page.url, domain,
+    source_url: page.url, public_url: publicUrl(siteConfig, page.url), domain,
     title: page.url.split('/').pop().replace(/\.\w+$/, ''),
     fetched_at: page.last_seen_at, content_hash: page.content_hash,
     mime_type: page.mime_type, mirror_path: page.local_path,
     url_path: new URL(page.url).pathname, page_role: 'document',
     conversion_method: 'docx-mammoth',
+    ...docMetadataFrontmatter(getDocMetadata(db, page.url)),
   });
   const outDir = mdDir(domain);
   mkdirSync(outDir, { recursive: true });
@@ -154,11 +162,8 @@ export const runExportDoc = async (db, siteConfig) => {
 
   for (const page of pdfPages) {
     if (!existsSync(page.local_path)) { stats.failed++; continue; }
-    // Reject non-PDF files (HTML error pages saved as .pdf, empty stubs, etc.)
-    try {
-      const header = readFileSync(page.local_path).slice(0, 5).toString('ascii');
-      if (header !== '%PDF-') { db.prepare("UPDATE pages SET gone=1 WHERE url=?").run(page.url); stats.failed++; continue; }
-    } catch { stats.failed++; continue; }
+    // Non-PDF files (HTML error pages saved as .pdf, empty stubs, etc.) get their real type and a soft error instead
+    if (resniffPage(db, page)?.mimeType !== 'application/pdf') { stats.failed++; continue; }
     // Skip if already exported at same hash, UNLESS it was low-quality (re-attempt after OCR)
     const reprocessMethods = ['stub', 'pdf-text-garbled', 'pdf-text-sparse'];
     if (page.exp_hash && page.exp_hash === page.content_hash && !reprocessMethods.includes(page.exp_method)) { stats.skipped++; continue; }
@@ -178,12 +183,13 @@ export const runExportDoc = async (db, siteConfig) => {
         mkdirSync(outDir, { recursive: true });
         const mdPath = join(outDir, `${page.path_slug}.md`);
         const stub = buildFrontmatter({
-          source_url: page.url, domain,
+          source_url: page.url, public_url: publicUrl(siteConfig, page.url), domain,
           title: page.url.split('/').pop().replace(/\.\w+$/, ''),
           fetched_at: page.last_seen_at, content_hash: page.content_hash,
           mime_type: page.mime_type, mirror_path: page.local_path,
           url_path: new URL(page.url).pathname, page_role: 'document',
           ocr_used: false, upgrade_pending: true,
+          ...docMetadataFrontmatter(getDocMetadata(db, page.url)),
         });
         writeFileSync(mdPath, stub, 'utf8');
         upsertExport(db, {
@@ -1,5 +1,5 @@
-// HTML export: converts HTML pages to MD with rich frontmatter. Exports: exportHtmlPage, runExportHtml. Deps: cheerio, readability, jsdom, turndown, config, db, metadata, rules
-import { readFileSync, writeFileSync, mkdirSync, existsSync } from 'fs';
+// HTML export: converts HTML pages to MD with rich frontmatter. Exports: exportHtmlPage, retireExport, runExportHtml. Deps: cheerio, readability, jsdom, turndown, config, db, metadata, filesystem, rules, simhash, alternates, redirects
+import { readFileSync, writeFileSync, mkdirSync, existsSync, unlinkSync } from 'fs';
 import { join, dirname } from 'path';
 import { createHash } from 'crypto';
 import * as cheerio from 'cheerio';
@@ -8,9 +8,13 @@ import { JSDOM } from 'jsdom';
 import TurndownService from 'turndown';
 import { gfm } from 'turndown-plugin-gfm';
 import { mdDir, assetsDir } from './config.js';
-import { upsertExport } from './db.js';
-import { extractMetadata } from './metadata.js';
+import { upsertExport, getDocMetadata } from './db.js';
+import { extractMetadata, docMetadataFrontmatter } from './metadata.js';
+import { publicUrl } from './filesystem.js';
+import { translationsFor } from './alternates.js';
+import { redirectsTo } from './redirects.js';
 import { compileRules } from './rules.js';
+import { clusterDuplicates } from './simhash.js';
 const sha256 = (s) => createHash('sha256').update(s).digest('hex');
 const mkTurndown = () => { const td = new TurndownService({ codeBlockStyle: 'fenced', linkStyle: 'inlined' }); td.use(gfm); return td; };
 /** Build YAML frontmatter block from object. */
@@ -89,23 +93,37 @@ export const exportHtmlPage = (db, siteConfig, page, htmlStr) => {
       const hosted = db.prepare('SELECT h.*, e.md_path FROM hosts h LEFT JOIN exports e ON h.hosted_url=e.url WHERE h.host_url=?').all(page.url);
       hostsArr = hosted.map(h => ({ url: h.hosted_url, backup_url: h.backup_url || null, title: h.hosted_title, md_path: h.md_path || null }));
     }
+    const duplicates = db.prepare('SELECT url FROM pages WHERE duplicate_of=? AND gone=0 ORDER BY url').all(page.url).map(r => r.url);
+    const translations = translationsFor(db, page.url);
+    const redirectFrom = redirectsTo(db, page.url);
+    // Sitemap news/feed metadata fills in for pages whose HTML only yields an <h1> or filename title
+    const sm = db.prepare('SELECT title, published_at, language, images, videos FROM sitemaps WHERE url=? AND removed=0').get(page.url) || {};
+    const weakTitle = !titleOverride && (!meta.title || meta.title_source === 'h1' || meta.title_source === 'filename');
+    const [title, titleSource] = weakTitle && sm.title ? [sm.title, 'sitemap'] : [titleOverride || meta.title, meta.title_source];
     const frontmatter = {
-      source_url: page.url, canonical_url: meta.canonical_url || page.url,
+      source_url: page.url, public_url: publicUrl(siteConfig, page.url), canonical_url: meta.canonical_url || page.url,
       backup_url: page.backup_url || null, backup_archived_at: page.backup_archived_at || null,
       archive_only: page.archive_only === 1, domain,
-      title: titleOverride || meta.title, title_source: meta.title_source,
+      title, title_source: titleSource,
       fetched_at: page.last_seen_at, modified_at: page.last_changed_at,
-      date_published: meta.date_published || null, date_modified: meta.date_modified || null,
+      date_published: meta.date_published || sm.published_at || null, date_modified: meta.date_modified || null,
       content_hash: page.content_hash, mime_type: page.mime_type,
       mirror_path: page.local_path, url_path: new URL(page.url).pathname,
       crawl_depth: page.depth, from_sitemap: page.from_sitemap === 1,
-      language: meta.language || null, page_role: page.page_role,
+      language: meta.language || sm.language || null, page_role: page.page_role,
       conversion_method: method, ocr_used: false,
       word_count: md.split(/\s+/).filter(Boolean).length,
       authors: meta.authors?.length ? JSON.stringify(meta.authors) : null,
       keywords: meta.keywords?.length ? JSON.stringify(meta.keywords) : null,
+      categories: meta.categories?.length ? JSON.stringify(meta.categories) : null,
       schema_org_type: meta.schema_org_type || null,
-      ...(hostsArr ? { hosts: JSON.stringify(hostsArr) } : {})
+      sitemap_images: sm.images || null, sitemap_videos: sm.videos || null,
+      ...(hostsArr ? { hosts: JSON.stringify(hostsArr) } : {}),
+      ...(duplicates.length ? { duplicates: JSON.stringify(duplicates) } : {}),
+      ...(translations.length ? { translations: JSON.stringify(translations) } : {}),
+      ...(redirectFrom.length ? { redirect_from: JSON.stringify(redirectFrom) } : {}),
+      // Repository records (OAI-PMH) are authoritative over what the HTML yields
+      ...docMetadataFrontmatter(getDocMetadata(db, page.url))
     };
     const fullMd = buildFrontmatter(frontmatter) + md;
     writeFileSync(mdPath, fullMd, 'utf8');
@@ -131,20 +149,43 @@ export const exportHtmlPage = (db, siteConfig, page, htmlStr) => {
   }
 };
 
+/**
+ * Drop a page's MD file and record its export under status (once), pointing at the URL that now holds its content.
+ * @param {object} page - pages row joined with exp_status and exp_md_path
+ * @param {string} status - 'duplicate' (near-duplicate of hostUrl) or 'redirect' (now redirects to hostUrl)
+ */
+export const retireExport = (db, page, status, hostUrl) => {
+  if (page.exp_status === status) return;
+  if (page.exp_md_path && existsSync(page.exp_md_path)) unlinkSync(page.exp_md_path);
+  upsertExport(db, {
+    url: page.url, md_path: null, source_hash: page.content_hash ?? null, md_hash: null,
+    exported_at: new Date().toISOString(), conversion_method: null, word_count: null,
+    ocr_used: 0, ocr_engines: null, reconciler: null, pages: null,
+    agreement_avg: null, flagged_pages: null, host_page_url: hostUrl, status, error: null
+  });
+};
+/** Drop a near-duplicate's MD file and record the export as 'duplicate' (once). */
+const retireDuplicate = (db, page) => retireExport(db, page, 'duplicate', page.duplicate_of);
+
 /**
  * Run HTML export stage for a site. Exports all classified pages; re-exports
  * preliminary exports (source_hash=null) with correct page_role after classify.
+ * Near-duplicates (see simhash.js) are clustered first; only each cluster's representative is
+ * exported, listing the others under `duplicates`. Disable with `dedup.enabled: false`.
  * @param {object} db - Site SQLite db
  * @param {object} siteConfig - Merged site config
- * @returns {object} Stats: { written, skipped, failed }
+ * @returns {object} Stats: { written, skipped, failed, duplicates }
  */
 export const runExportHtml = (db, siteConfig) => {
-  const stats = { written: 0, skipped: 0, failed: 0 };
+  const stats = { written: 0, skipped: 0, failed: 0, duplicates: 0 };
+  const dedup = siteConfig.dedup?.enabled !== false;
+  if (dedup) clusterDuplicates(db, { maxDistance: siteConfig.dedup?.max_distance });
   // Include pages with exp_hash=null (preliminary exports) even if content unchanged
-  const pages = db.prepare("SELECT p.*, e.source_hash as exp_hash FROM pages p LEFT JOIN exports e ON p.url=e.url WHERE p.gone=0 AND p.mime_type LIKE 'text/html%' AND p.local_path IS NOT NULL AND p.page_role IS NOT NULL").all();
+  const pages = db.prepare("SELECT p.*, e.source_hash as exp_hash, e.status as exp_status, e.md_path as exp_md_path FROM pages p LEFT JOIN exports e ON p.url=e.url WHERE p.gone=0 AND p.mime_type LIKE 'text/html%' AND p.local_path IS NOT NULL AND p.page_role IS NOT NULL AND p.soft_error IS NULL").all();
   for (const page of pages) {
+    if (dedup && page.duplicate_of) { retireDuplicate(db, page); stats.duplicates++; continue; }
     if (!existsSync(page.local_path)) { stats.failed++; continue; }
-    if (page.exp_hash && page.exp_hash === page.content_hash) { stats.skipped++; continue; }
+    if (page.exp_hash && page.exp_hash === page.content_hash && page.exp_status !== 'duplicate') { stats.skipped++; continue; }
     try {
       const html = readFileSync(page.local_path, 'utf8');
       if (exportHtmlPage(db, siteConfig, page, html)) stats.written++;
@@ -1,18 +1,38 @@
-// Pluggable fetch adapters for mirror.js. Each adapter: fetch(url, existingPage) → { status, buf, mimeType, etag, lastModified } | null (304/skip).
-// Exports: getAdapter. Deps: undici, playwright-fetch
-import { fetch } from 'undici';
+// Pluggable fetch adapters for mirror.js. Each adapter: fetch(url, existingPage) → { status, buf, mimeType, etag, lastModified, retryAfter?, http?, finalUrl?, redirects?, links?, snapshot? } | null (304/skip).
+// `links`: extra URLs to crawl that the rendered page loaded through JSON APIs (playwright.capture_json); `snapshot`: screenshot/PDF buffers (snapshots.js).
+// `http` describes the raw exchange for WARC output: { url, statusText, headers, requestHeaders, body } (body = bytes as served, pre-Playwright).
+// Non-HTML bodies are streamed to disk (download.js) and returned as `file: { path, bytes, sha256 }` with buf null; mirror moves them into place.
+// Adapters are looked up by name in adapter-registry.js, which also loads plugins and chains adapters (docs/adapters.md).
+// Exports: getAdapter, adapterDiscovery. Deps: adapter-registry, playwright-fetch, warc, mediawiki, wordpress-rest, oai-pmh,
+// filesystem, download, auth, http-client, snapshots, rules, canonical, config
+import { createHash } from 'crypto';
+import { readFileSync } from 'fs';
+import { extname } from 'path';
 import { createPlaywrightPool, isHtmlShell, isWorthRendering } from './playwright-fetch.js';
+import { openWarcArchive } from './warc.js';
+import { compileRules } from './rules.js';
+import { canonicalizeUrl } from './canonical.js';
+import { download, discardDownload, probeHead } from './download.js';
+import { createAuth } from './auth.js';
+import { httpClientFor } from './http-client.js';
+import { snapshotOptions, snapshotDue } from './snapshots.js';
+import { createWordPressRestAdapter, discoverWpRest } from './wordpress-rest.js';
+import { discoverOai } from './oai-pmh.js';
+import { mwApiUrl, wikiUrl, revisionEtag, pageStates, revisionInfo, parseMeta, buildMwHtml, storeParsedPage, discoverMediaWiki } from './mediawiki.js';
+import { createFilesystemAdapter, discoverFilesystem, DEFAULT_EXTENSIONS } from './filesystem.js';
+import { registerAdapter, resolveAdapters, chainAdapters, isOfflineSite } from './adapter-registry.js';
+import { downloadsDir } from './config.js';
 
 const FETCH_TIMEOUT_MS = 30000;
 const RETRY_DELAYS_MS = [2000, 5000];
 
-/** Fetch with automatic retry on timeout/network error. */
-const fetchWithRetry = async (url, headers) => {
+/** Fetch through the site's HTTP client with automatic retry on timeout/network error. */
+const fetchWithRetry = async (client, url, headers = {}) => {
   let lastErr;
   for (let attempt = 0; attempt <= RETRY_DELAYS_MS.length; attempt++) {
     if (attempt > 0) await new Promise(r => setTimeout(r, RETRY_DELAYS_MS[attempt - 1]));
     try {
-      return await fetch(url, { headers, signal: AbortSignal.timeout(FETCH_TIMEOUT_MS), redirect: 'follow' });
+      return await client.fetch(url, { headers, signal: AbortSignal.timeout(FETCH_TIMEOUT_MS), redirect: 'follow' });
     } catch (err) {
       lastErr = err;
       if (!err.message?.includes('timeout') && !err.message?.includes('ECONNRESET') && !err.message?.includes('ECONNREFUSED')) throw err;
@@ -21,34 +41,112 @@ const fetchWithRetry = async (url, headers) => {
   throw lastErr;
 };
 
-/** Standard HTTP adapter with conditional GET and optional Playwright fallback. */
-export const createHttpAdapter = async (siteConfig) => {
-  const ua = siteConfig.user_agent || 'site2rag/1.0';
+/** Raw exchange details for WARC records, or null when the response object can't enumerate headers. */
+const httpMeta = (res, url, requestHeaders, body = null) => res?.headers?.entries
+  ? { url: res.url || url, statusText: res.statusText ?? '', headers: [...res.headers.entries()], requestHeaders: Object.entries(requestHeaders), body }
+  : null;
+
+/** Result for a non-ok response; carries Retry-After so mirror's rate controller can honor it. */
+const errorResult = (res, url, requestHeaders) => ({
+  status: res?.status ?? 0, buf: null, mimeType: null, etag: null, lastModified: null,
+  retryAfter: res?.headers?.get?.('retry-after') ?? null, http: requestHeaders ? httpMeta(res, url, requestHeaders) : null,
+});
+
+/** Conditional GET validators from the stored page row. */
+const conditionalHeaders = (existing) => ({
+  ...(existing?.etag ? { 'If-None-Match': existing.etag } : {}),
+  ...(existing?.last_modified ? { 'If-Modified-Since': existing.last_modified } : {}),
+});
+
+// URL extensions that name pages rather than binaries; anything else may get a HEAD probe first
+const PAGE_EXTS = new Set(['', '.html', '.htm', '.xhtml', '.php', '.asp', '.aspx', '.jsp', '.shtml', '.cfm']);
+
+/**
+ * Conditional GET through download.js (`download: { max_bytes, head_first, resume }`). HTML comes back in memory
+ * for Playwright, link extraction and classify; other bodies stay in a temp file. Oversized bodies (by HEAD,
+ * Content-Length or mid-stream count) return `skipped: 'oversize'` with no body. jar: auth.js cookie jar, applied to every hop.
+ */
+const streamFetch = async (siteConfig, url, headers, existing, jar = null) => {
+  const cfg = siteConfig.download ?? {};
+  const client = httpClientFor(siteConfig);
+  const skipped = (status, mimeType, bytes) => ({ status, buf: null, mimeType, etag: null, lastModified: null, skipped: 'oversize', bytes });
+  if (cfg.head_first && !PAGE_EXTS.has(extname(new URL(url).pathname).toLowerCase())) {
+    // The probe compares validators itself, so it goes out unconditional
+    const probeHeaders = Object.fromEntries(Object.entries(headers).filter(([k]) => !/^if-/i.test(k)));
+    const probe = await probeHead(url, { headers: probeHeaders, maxBytes: cfg.max_bytes, existing, jar, client }).catch(() => null);
+    if (probe?.tooLarge) return skipped(probe.status, probe.mimeType, probe.bytes);
+    if (probe?.unchanged) return { status: 304, buf: null, mimeType: null, etag: null, lastModified: null };
+  }
+  const dl = await download(url, { dir: downloadsDir(siteConfig.domain), headers, maxBytes: cfg.max_bytes, timeoutMs: FETCH_TIMEOUT_MS,
+    resume: cfg.resume !== false, maxRedirects: cfg.max_redirects, jar, client });
+  const { res } = dl;
+  // Every result says where the body really came from, so the mirror can store it under the final URL
+  const chain = { finalUrl: dl.finalUrl, redirects: dl.hops };
+  if (res.status === 304) return { status: 304, buf: null, mimeType: null, etag: null, lastModified: null, http: httpMeta(res, url, headers), ...chain };
+  if (!res.ok) return { ...errorResult(res, url, headers), ...chain };
+  if (dl.skipped) return { ...skipped(dl.status, dl.mimeType, dl.bytes), ...chain };
+  const base = { status: dl.status, mimeType: dl.mimeType, etag: res.headers.get('etag'), lastModified: res.headers.get('last-modified'), ...chain };
+  if (!dl.mimeType.includes('text/html')) {
+    const meta = httpMeta(res, url, headers);
+    return { ...base, buf: null, file: { path: dl.path, bytes: dl.bytes, sha256: dl.sha256 }, http: meta && { ...meta, bodyPath: dl.path } };
+  }
+  const buf = readFileSync(dl.path);
+  discardDownload(dl);
+  return { ...base, buf, http: httpMeta(res, url, headers, buf) };
+};
+
+/**
+ * Standard HTTP adapter with conditional GET and optional Playwright fallback. With `auth:` (auth.js) requests carry
+ * credentials and the site's cookie jar; a login page where content was expected triggers the scripted login and one
+ * retry, and a URL still behind the login comes back as `skipped: 'login_required'` instead of the login page.
+ * Rendered pages run the site's `playwright.actions` and may return `links` captured from XHR JSON (playwright-fetch.js),
+ * and with `snapshots.enabled` every HTML page comes back with `snapshot: { screenshot, pdf }` buffers (snapshots.js),
+ * unless the page is unchanged since its last snapshot or its known role isn't one snapshots keep (snapshotDue).
+ */
+export const createHttpAdapter = async (siteConfig, { db } = {}) => {
+  const client = httpClientFor(siteConfig);
   const playwrightEnabled = siteConfig.playwright?.enabled !== false;
   const forcePlaywright = siteConfig.playwright?.force === true;
-  const pool = playwrightEnabled ? await createPlaywrightPool(siteConfig.playwright ?? {}).catch(() => null) : null;
+  const pool = playwrightEnabled ? await createPlaywrightPool({ ...siteConfig.playwright, context: client.browserContext() }).catch(err => {
+    console.warn(`[mirror] playwright unavailable for ${siteConfig.domain}: ${err.message}`);
+    return null;
+  }) : null;
   let playwrightNeeded = forcePlaywright ? true : null;
+  const auth = createAuth(siteConfig);
+  const snapshotOpts = pool ? snapshotOptions(siteConfig.snapshots) : null;
+  const loginRequired = { status: 401, buf: null, mimeType: null, etag: null, lastModified: null, skipped: 'login_required' };
 
   return {
     async fetch(url, existing) {
-      const headers = { 'User-Agent': ua };
-      if (existing?.etag) headers['If-None-Match'] = existing.etag;
-      if (existing?.last_modified) headers['If-Modified-Since'] = existing.last_modified;
+      if (auth?.skip(url)) return { status: 0, buf: null, mimeType: null, etag: null, lastModified: null, skipped: 'auth_skip_pattern' };
+      const headers = client.headers(url, { ...auth?.headersFor(url), ...conditionalHeaders(existing) });
 
-      const res = await fetchWithRetry(url, headers);
-      if (res.status === 304) return { status: 304, buf: null, mimeType: null, etag: null, lastModified: null };
-      if (!res.ok) return { status: res.status, buf: null, mimeType: null, etag: null, lastModified: null };
-
-      let buf = Buffer.from(await res.arrayBuffer());
-      let mimeType = (res.headers.get('content-type') || 'application/octet-stream').split(';')[0].trim();
+      let result = await streamFetch(siteConfig, url, headers, existing, auth?.jar);
+      if (auth?.isLoginPage(url, result)) {
+        discardDownload(result.file);
+        if (auth.isLoginUrl(url) || !(await auth.relogin(pool))) return loginRequired;
+        result = await streamFetch(siteConfig, url, headers, existing, auth.jar);
+        if (auth.isLoginPage(url, result)) { discardDownload(result.file); return loginRequired; }
+      }
+      if (!result.buf) return result;
+      let { buf } = result, links, snapshot;
+      const { mimeType } = result;
 
-      if (mimeType.includes('text/html') && pool && playwrightNeeded !== false) {
+      // snapshots: every due HTML page is rendered for its capture; the rendered HTML replaces the static one only
+      // when Playwright mode says so
+      const wantSnapshot = snapshotOpts && mimeType.includes('text/html')
+        && snapshotDue(db, siteConfig.snapshots, existing, `sha256:${result.file?.sha256 ?? createHash('sha256').update(buf).digest('hex')}`);
+      if (mimeType.includes('text/html') && pool && (playwrightNeeded !== false || wantSnapshot)) {
         const staticHtml = buf.toString('utf8');
         const isShell = isHtmlShell(staticHtml);
-        if (isShell || playwrightNeeded === true) {
+        const useRendered = playwrightNeeded === true || (playwrightNeeded === null && isShell);
+        if (useRendered || wantSnapshot) {
           try {
-            const rendered = await pool.render(url);
-            if (playwrightNeeded === null) {
+            const { html: rendered, links: found, snapshot: shots } = await pool.render(result.finalUrl ?? url,
+              { cookies: auth?.jar?.toPlaywright() ?? [], snapshot: wantSnapshot ? snapshotOpts : null });
+            if (found?.length) links = found;
+            snapshot = shots;
+            if (useRendered && playwrightNeeded === null) {
               if (isWorthRendering(staticHtml, rendered)) {
                 playwrightNeeded = true;
                 buf = Buffer.from(rendered, 'utf8');
@@ -59,7 +157,7 @@ export const createHttpAdapter = async (siteConfig) => {
               } else {
                 playwrightNeeded = false;
               }
-            } else {
+            } else if (useRendered) {
               buf = Buffer.from(rendered, 'utf8');
             }
           } catch (e) {
@@ -68,23 +166,28 @@ export const createHttpAdapter = async (siteConfig) => {
         }
       }
 
-      return {
-        status: res.status,
-        buf,
-        mimeType,
-        etag: res.headers.get('etag'),
-        lastModified: res.headers.get('last-modified'),
-      };
+      return { ...result, buf, ...(links ? { links } : {}), ...(snapshot ? { snapshot } : {}) };
+    },
+    async close() {
+      auth?.save();
+      if (pool) await pool.close();
     },
-    async close() { if (pool) await pool.close(); },
   };
 };
 
-/** MediaWiki API adapter — fetches article HTML via api.php?action=parse, bypassing Cloudflare bot protection. */
-export const createMediaWikiAdapter = (siteConfig) => {
-  const ua = siteConfig.user_agent || 'site2rag/1.0';
+/**
+ * MediaWiki API adapter — fetches article HTML via api.php?action=parse, bypassing Cloudflare bot protection.
+ * The revision ID is the ETag. With the sync state in mediawiki_pages (mediawiki.js; `db` from the mirror) an article
+ * whose revision is unchanged is a 304 and a deleted one a 404, without a request; without it a stored revision ETag is
+ * checked with one prop=info query before the article is parsed again. A wiki redirect comes back as a redirect hop to
+ * its target's article. Categories, templates, page props and the last editor go into the HTML and mediawiki_pages.
+ */
+export const createMediaWikiAdapter = (siteConfig, { db = null } = {}) => {
+  const client = httpClientFor(siteConfig);
   const origin = new URL(siteConfig.url).origin;
   const wikiPrefix = siteConfig.mediawiki?.wiki_path ?? '/wiki/';
+  const synced = db ? db.prepare('SELECT * FROM mediawiki_pages WHERE title=?') : null;
+  const missing = (status) => ({ status, buf: null, mimeType: null, etag: null, lastModified: null });
 
   const titleFromUrl = (url) => {
     const path = new URL(url).pathname;
@@ -92,46 +195,60 @@ export const createMediaWikiAdapter = (siteConfig) => {
     return decodeURIComponent(path.slice(wikiPrefix.length)).replace(/_/g, ' ');
   };
 
-  const buildHtml = (title, bodyHtml) =>
-    `<!DOCTYPE html><html><head><meta charset="utf-8"><title>${title.replace(/</g, '&lt;')}</title></head>` +
-    `<body><h1 id="firstHeading">${title.replace(/</g, '&lt;')}</h1>` +
-    `<div id="mw-content-text"><div class="mw-parser-output">${bodyHtml}</div></div></body></html>`;
-
   return {
-    async fetch(url, _existing) {
+    async fetch(url, existing) {
       const title = titleFromUrl(url);
       if (!title) {
         // Fall back to plain HTTP for non-article URLs (images, special pages, etc.)
-        const res = await fetchWithRetry(url, { 'User-Agent': ua }).catch(() => null);
-        if (!res?.ok) return { status: res?.status ?? 0, buf: null, mimeType: null, etag: null, lastModified: null };
-        const buf = Buffer.from(await res.arrayBuffer());
-        const mimeType = (res.headers.get('content-type') || 'application/octet-stream').split(';')[0].trim();
-        return { status: res.status, buf, mimeType, etag: res.headers.get('etag'), lastModified: res.headers.get('last-modified') };
+        return streamFetch(siteConfig, url, client.headers(url), null).catch(() => errorResult(null));
+      }
+      const known = synced?.get(title);
+      if (known?.deleted) return missing(404);
+      if (known?.rev_id && !known.redirect_to && existing?.etag === revisionEtag(known.rev_id)) return missing(304);
+      if (!known && existing?.etag?.startsWith('W/"mw-')) {
+        const state = (await pageStates(client, origin, [title]).catch(() => new Map())).values().next().value;
+        if (state?.rev_id && !state.redirect_to && existing.etag === revisionEtag(state.rev_id)) return missing(304);
       }
 
-      const apiUrl = `${origin}/api.php?action=parse&page=${encodeURIComponent(title)}&prop=text&disablelimitreport=1&format=json`;
+      const apiUrl = mwApiUrl(origin, { action: 'parse', page: title, prop: 'text|revid|displaytitle|categories|templates|properties',
+        redirects: '1', disablelimitreport: '1' });
       let res;
       try {
-        res = await fetchWithRetry(apiUrl, { 'User-Agent': ua });
+        res = await fetchWithRetry(client, apiUrl);
       } catch (err) {
         console.warn(`[mediawiki] fetch error ${url}: ${err.message}`);
-        return { status: 0, buf: null, mimeType: null, etag: null, lastModified: null };
+        return missing(0);
       }
-      if (!res.ok) return { status: res.status, buf: null, mimeType: null, etag: null, lastModified: null };
+      if (!res.ok) return errorResult(res);
 
       let data;
-      try { data = await res.json(); } catch { return { status: 500, buf: null, mimeType: null, etag: null, lastModified: null }; }
+      try { data = await res.json(); } catch { return missing(500); }
       if (data.error) {
         // Missing page or invalid title
         const code = data.error.code;
-        const status = code === 'missingtitle' || code === 'invalidtitle' ? 404 : 500;
-        return { status, buf: null, mimeType: null, etag: null, lastModified: null };
+        return missing(code === 'missingtitle' || code === 'invalidtitle' ? 404 : 500);
       }
 
-      const bodyHtml = data.parse?.text?.['*'] ?? '';
-      const pageTitle = data.parse?.title ?? title;
-      const html = buildHtml(pageTitle, bodyHtml);
-      return { status: 200, buf: Buffer.from(html, 'utf8'), mimeType: 'text/html', etag: null, lastModified: null };
+      const parsed = data.parse ?? {};
+      const pageTitle = parsed.title ?? title;
+      const revId = parsed.revid ?? null;
+      const { categories, templates, properties } = parseMeta(parsed);
+      // Last editor and date: from the sync when it saw this revision, else looked up by revision ID
+      const target = pageTitle === title ? known : synced?.get(pageTitle);
+      let rev = target?.rev_id === revId ? { timestamp: target.rev_timestamp, user: target.last_editor } : null;
+      if (!rev && revId) rev = (await revisionInfo(client, origin, [revId]).catch(() => new Map())).get(revId) ?? null;
+      const finalUrl = parsed.redirects?.length ? wikiUrl(origin, wikiPrefix, pageTitle) : null;
+      if (db) {
+        storeParsedPage(db, { title: pageTitle, url: finalUrl ?? url, page_id: parsed.pageid ?? null, rev_id: revId, rev_timestamp: rev?.timestamp ?? null,
+          last_editor: rev?.user ?? null, categories, templates, properties });
+      }
+      const html = buildMwHtml({ title: pageTitle, url: finalUrl ?? url, bodyHtml: parsed.text?.['*'] ?? '', revId, timestamp: rev?.timestamp ?? null,
+        editor: rev?.user ?? null, categories, templates, properties });
+      return {
+        status: 200, buf: Buffer.from(html, 'utf8'), mimeType: 'text/html',
+        etag: revId ? revisionEtag(revId) : null, lastModified: rev?.timestamp ? new Date(rev.timestamp).toUTCString() : null,
+        ...(finalUrl ? { finalUrl, redirects: [{ url, status: 301, location: finalUrl, to: finalUrl, at: new Date().toISOString() }] } : {}),
+      };
     },
     async close() {},
   };
@@ -157,7 +274,7 @@ export const parseRssItems = (xml) => {
  * then fetches full article content from Wayback Machine for each post.
  */
 export const createWordPressRssAdapter = async (siteConfig) => {
-  const ua = siteConfig.user_agent || 'site2rag/1.0';
+  const client = httpClientFor(siteConfig);
   const origin = new URL(siteConfig.url).origin;
   const feedBase = `${origin}/feed/`;
   const ENUM_CONCURRENCY = siteConfig.wordpress_rss?.enum_concurrency ?? 2;
@@ -168,7 +285,7 @@ export const createWordPressRssAdapter = async (siteConfig) => {
 
   const fetchRssPage = async (p) => {
     try {
-      const res = await fetch(`${feedBase}?paged=${p}`, { headers: { 'User-Agent': ua }, signal: AbortSignal.timeout(20000) });
+      const res = await client.fetch(`${feedBase}?paged=${p}`, { signal: AbortSignal.timeout(20000) });
       if (!res.ok) return [];
       return parseRssItems(await res.text());
     } catch { return []; }
@@ -228,7 +345,7 @@ export const createWordPressRssAdapter = async (siteConfig) => {
   const fetchFromWayback = async (url) => {
     const wmUrl = `https://web.archive.org/web/${wmYear}id_/${url}`;
     try {
-      const res = await fetch(wmUrl, { headers: { 'User-Agent': ua }, signal: AbortSignal.timeout(30000), redirect: 'follow' });
+      const res = await client.fetch(wmUrl, { signal: AbortSignal.timeout(30000), redirect: 'follow' });
       if (!res.ok) return null;
       return Buffer.from(await res.arrayBuffer());
     } catch { return null; }
@@ -251,10 +368,154 @@ export const createWordPressRssAdapter = async (siteConfig) => {
   };
 };
 
-/** Return the right adapter instance for a site config. */
-export const getAdapter = async (siteConfig) => {
-  const strategy = siteConfig.fetch_adapter ?? 'http';
-  if (strategy === 'mediawiki_api') return createMediaWikiAdapter(siteConfig);
-  if (strategy === 'wordpress_rss') return createWordPressRssAdapter(siteConfig);
-  return createHttpAdapter(siteConfig);
+/** The site's warc_import archive, keyed by the site's canonical URLs. */
+const warcArchiveFor = (siteConfig) => {
+  const compiled = compileRules(siteConfig.rules, siteConfig.url);
+  return openWarcArchive(siteConfig.warc_import.files, { canonicalize: (url) => canonicalizeUrl(compiled, url) });
+};
+
+/**
+ * WARC/WACZ adapter — serves the crawl from local web archives (`warc_import.files`: files or directories), no network.
+ * Redirect captures are followed inside the archive; a seed URL missing from the archive gets a synthetic index page
+ * linking every captured URL so the crawl still reaches them.
+ */
+export const createWarcAdapter = (siteConfig) => {
+  const files = siteConfig.warc_import?.files ?? [];
+  if (!files.length) throw new Error(`fetch_adapter warc needs warc_import.files for ${siteConfig.domain}`);
+  const archive = warcArchiveFor(siteConfig);
+  console.log(`[warc] ${archive.size} captures indexed from ${files.length} path(s) for ${siteConfig.domain}`);
+  const esc = (s) => s.replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/"/g, '&quot;');
+  const buildIndexHtml = () => {
+    const links = archive.entries().filter(e => e.status === 200).map(e => `<li><a href="${esc(e.url)}">${esc(e.url)}</a></li>`).join('');
+    return `<!DOCTYPE html><html><head><meta charset="utf-8"><title>${esc(siteConfig.domain)}</title></head><body><ul>${links}</ul></body></html>`;
+  };
+  const miss = { status: 404, buf: null, mimeType: null, etag: null, lastModified: null };
+
+  return {
+    async fetch(url, _existing) {
+      let hit = archive.lookup(url);
+      for (let hops = 0; hit && hit.status >= 300 && hit.status < 400 && hit.headers.location && hops < 5; hops++) {
+        let next;
+        try { next = new URL(hit.headers.location, hit.uri).toString(); } catch { break; }
+        hit = archive.lookup(next);
+      }
+      if (!hit) {
+        if (url.replace(/\/$/, '') !== siteConfig.url.replace(/\/$/, '')) return miss;
+        return { status: 200, buf: Buffer.from(buildIndexHtml(), 'utf8'), mimeType: 'text/html', etag: null, lastModified: null };
+      }
+      if (hit.status !== 200) return { ...miss, status: hit.status };
+      const mimeType = (hit.headers['content-type'] || 'application/octet-stream').split(';')[0].trim();
+      return { status: 200, buf: hit.body, mimeType, etag: hit.headers.etag ?? null, lastModified: hit.headers['last-modified'] ?? null };
+    },
+    async close() {},
+  };
+};
+
+// Built-in adapters; plugins from the adapters directory register alongside them (adapter-registry.js)
+registerAdapter('http', { create: createHttpAdapter });
+registerAdapter('mediawiki_api', {
+  create: createMediaWikiAdapter,
+  config_key: 'mediawiki',
+  schema: {
+    wiki_path: { type: 'string' },
+    file_mimes: { type: 'array' },
+    sync: { type: 'boolean', default: true },
+    namespaces: { type: 'array', default: [0] },
+    rc_max_age_days: { type: 'number', default: 90 },
+  },
+  discover: discoverMediaWiki,
+});
+registerAdapter('wordpress_rss', {
+  create: createWordPressRssAdapter,
+  schema: { enum_concurrency: { type: 'number' }, enum_retries: { type: 'number' }, wayback_year: { type: ['string', 'number'] } },
+});
+registerAdapter('wordpress_rest', {
+  create: (siteConfig, ctx) => createWordPressRestAdapter(siteConfig, { ...ctx,
+    fallback: (url, existing) => streamFetch(siteConfig, url, ctx.client.headers(url, conditionalHeaders(existing)), existing).catch(() => errorResult(null)) }),
+  schema: {
+    api_base: { type: 'string' },
+    types: { type: 'array', default: ['posts', 'pages'] },
+    media_mimes: { type: 'array', default: ['application/pdf'] },
+    per_page: { type: 'number', default: 100 },
+    max_pages: { type: 'number', default: 1000 },
+  },
+  discover: discoverWpRest,
+});
+registerAdapter('oai_pmh', {
+  // Pages and bitstreams are plain HTTP; the repository's records drive discovery and frontmatter (oai-pmh.js)
+  create: (siteConfig, ctx) => createHttpAdapter(siteConfig, ctx),
+  schema: {
+    endpoint: { type: 'string', required: true },
+    metadata_prefix: { type: 'string' },
+    sets: { type: 'array' },
+    max_requests: { type: 'number', default: 1000 },
+  },
+  discover: discoverOai,
+});
+registerAdapter('filesystem', {
+  create: createFilesystemAdapter,
+  schema: {
+    public_base_url: { type: 'string' },
+    extensions: { type: 'array', default: DEFAULT_EXTENSIONS },
+    sidecars: { type: 'boolean', default: true },
+    manifests: { type: 'array', default: ['metadata.csv'] },
+    include_hidden: { type: 'boolean', default: false },
+  },
+  offline: true,
+  discover: discoverFilesystem,
+});
+registerAdapter('warc', {
+  create: createWarcAdapter,
+  config_key: 'warc_import',
+  schema: { files: { type: 'array', required: true } },
+  offline: true,
+  // Every 200 capture stands in for a sitemap entry
+  discover: (siteConfig) => warcArchiveFor(siteConfig).entries().filter(e => e.status === 200)
+    .map(e => ({ url: e.url, lastmod: e.date || null, source_sitemap: e.source })),
+});
+
+/**
+ * Return the adapter instance for a site config: `fetch_adapter` names one registered adapter or a list tried in order
+ * (chainAdapters). In a chain, an adapter that fails to start is left out with a warning while others remain.
+ * `ctx` is passed on to create() (the mirror passes its `db`).
+ */
+export const getAdapter = async (siteConfig, ctx = {}) => {
+  const resolved = await resolveAdapters(siteConfig);
+  const client = httpClientFor(siteConfig);
+  if (resolved.length === 1) return resolved[0].def.create(siteConfig, { ...ctx, options: resolved[0].options, client });
+  const chain = [];
+  for (const { name, def, options } of resolved) {
+    try {
+      chain.push({ name, adapter: await def.create(siteConfig, { ...ctx, options, client }) });
+    } catch (err) {
+      console.warn(`[adapters] ${name} unavailable for ${siteConfig.domain}: ${err.message}`);
+    }
+  }
+  if (!chain.length) throw new Error(`no fetch_adapter could start for ${siteConfig.domain}`);
+  return chainAdapters(chain);
+};
+
+/**
+ * Sitemap-stage input from the site's adapters: `entries` ({ url, lastmod?, source_sitemap? }) returned by their
+ * `discover` hooks, and `offline` when every adapter serves the site without the network (no live sitemaps or robots).
+ * In a chain, a hook that throws is skipped with a warning; a single adapter's failure fails the stage.
+ */
+export const adapterDiscovery = async (siteConfig, ctx = {}) => {
+  const resolved = await resolveAdapters(siteConfig);
+  const entries = [];
+  for (const { name, def, options } of resolved) {
+    if (!def.discover) continue;
+    let found;
+    try {
+      found = await def.discover(siteConfig, { ...ctx, options, client: httpClientFor(siteConfig) });
+    } catch (err) {
+      // Like getAdapter: in a chain the other adapters still serve the site
+      if (resolved.length === 1) throw err;
+      console.warn(`[adapters] ${name} discovery failed for ${siteConfig.domain}: ${err.message}`);
+      continue;
+    }
+    console.log(`[sitemap] ${name} adapter listed ${found.length} URLs for ${siteConfig.domain}`);
+    entries.push(...found);
+  }
+  return { entries, offline: isOfflineSite(siteConfig) };
 };
@@ -0,0 +1,244 @@
+// Filesystem adapter -- local document collections (partner hard drives, network shares) crawled like a site whose
+// `url` is a file:// root. Directories are served as their index.html or as a generated listing (page role `index`),
+// files are copied into the mirror with size+mtime as the ETag, and sidecar JSON / CSV manifest metadata becomes
+// doc_metadata for the frontmatter. `public_base_url` maps file URLs to where the collection is published.
+// Exports: DEFAULT_EXTENSIONS, parseCsv, sidecarFields, publicUrl, walkCollection, createFilesystemAdapter, discoverFilesystem.
+// Deps: db, rules, canonical, constants, config
+import { createHash } from 'crypto';
+import { openSync, readSync, writeSync, closeSync, readFileSync, readdirSync, statSync, lstatSync, realpathSync, existsSync, mkdirSync } from 'fs';
+import { join, relative, extname, basename, dirname, isAbsolute } from 'path';
+import { fileURLToPath, pathToFileURL } from 'url';
+import { upsertDocMetadata, deleteDocMetadata } from './db.js';
+import { compileRules } from './rules.js';
+import { canonicalizeUrl, resolveAlias } from './canonical.js';
+import { DOC_EXTS } from './constants.js';
+import { downloadsDir } from './config.js';
+
+const COPY_CHUNK = 1 << 20;
+const INDEX_FILES = ['index.html', 'index.htm'];
+export const DEFAULT_EXTENSIONS = [...DOC_EXTS, '.html', '.htm'];
+// Declared type by extension; mirror.js still sniffs the bytes and reconciles
+const EXT_MIMES = { '.pdf': 'application/pdf', '.doc': 'application/msword', '.odt': 'application/vnd.oasis.opendocument.text',
+  '.docx': 'application/vnd.openxmlformats-officedocument.wordprocessingml.document', '.epub': 'application/epub+zip',
+  '.txt': 'text/plain', '.html': 'text/html', '.htm': 'text/html' };
+const miss = { status: 404, buf: null, mimeType: null, etag: null, lastModified: null };
+const esc = (s) => String(s ?? '').replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/"/g, '&quot;');
+
+/** Absolute directory of a file:// site root. */
+const rootDir = (siteConfig) => fileURLToPath(siteConfig.url).replace(/\/$/, '') || '/';
+const isInside = (root, path) => { const rel = relative(root, path); return !rel.startsWith('..') && !isAbsolute(rel); };
+const isHidden = (root, path) => relative(root, path).split(/[\\/]/).some(name => name.startsWith('.'));
+const fileUrl = (path, isDir = false) => pathToFileURL(path).href.replace(/\/?$/, isDir ? '/' : '');
+
+/** Rows of a CSV document (RFC 4180: quoted fields, doubled quotes, CRLF or LF) as arrays of strings. */
+export const parseCsv = (text) => {
+  const rows = [];
+  let row = [], field = '', quoted = false;
+  const src = text.replace(/^\uFEFF/, '');
+  for (let i = 0; i < src.length; i++) {
+    const c = src[i];
+    if (quoted) {
+      if (c === '"' && src[i + 1] === '"') { field += '"'; i++; } else if (c === '"') quoted = false; else field += c;
+    } else if (c === '"') quoted = true;
+    else if (c === ',') { row.push(field); field = ''; }
+    else if (c === '\n' || c === '\r') {
+      if (c === '\r' && src[i + 1] === '\n') i++;
+      row.push(field); rows.push(row); row = []; field = '';
+    } else field += c;
+  }
+  if (field || row.length) { row.push(field); rows.push(row); }
+  return rows.filter(r => r.some(f => f.trim()));
+};
+
+/**
+ * doc_metadata fields from one sidecar record (JSON object or CSV row, keys case-insensitive). Multi-valued CSV cells
+ * are split on `;` or `|`. Returns null when the record names none of title/authors/date/language/subjects/description.
+ */
+export const sidecarFields = (record) => {
+  const r = Object.fromEntries(Object.entries(record ?? {}).map(([k, v]) => [k.trim().toLowerCase(), v]));
+  const first = (...keys) => keys.map(k => r[k]).find(v => v != null && String(v).trim() !== '');
+  const list = (v) => v == null ? [] : (Array.isArray(v) ? v : String(v).split(/[;|]/)).map(x => typeof x === 'string' ? x.trim() : x).filter(Boolean);
+  const str = (v) => v == null ? null : String(v).trim() || null;
+  const fields = {
+    title: str(first('title')),
+    authors: list(first('authors', 'author', 'creators', 'creator')).map(a => typeof a === 'object' ? a : { name: a }).filter(a => a?.name),
+    date: str(first('date_published', 'date', 'issued', 'year')),
+    language: str(first('language', 'lang'))?.toLowerCase() ?? null,
+    subjects: list(first('subjects', 'keywords', 'tags', 'subject')).map(String),
+    description: str(first('description', 'abstract', 'summary')),
+  };
+  return fields.title || fields.authors.length || fields.date || fields.language || fields.subjects.length || fields.description ? fields : null;
+};
+
+/** Published URL of a page of a filesystem site (`filesystem.public_base_url` + path under the root), else null. */
+export const publicUrl = (siteConfig, url) => {
+  const base = siteConfig.filesystem?.public_base_url;
+  if (!base || !siteConfig.url?.startsWith('file:')) return null;
+  const root = siteConfig.url.replace(/\/?$/, '/');
+  if (!url.startsWith(root) && `${url}/` !== root) return null;
+  return `${base.replace(/\/?$/, '/')}${url.slice(root.length)}`;
+};
+
+/**
+ * Collection files under root whose extension is in options.extensions, each { path, url, size, mtime }.
+ * Hidden entries are skipped unless include_hidden; symlinked directories are not followed, nor symlinks that
+ * resolve outside the root.
+ */
+export const walkCollection = (root, options) => {
+  const exts = new Set(options.extensions.map(e => e.toLowerCase()));
+  const realRoot = realpathSync(root);
+  const files = [];
+  const walk = (dir) => {
+    let names;
+    try { names = readdirSync(dir).sort(); } catch (err) { console.warn(`[filesystem] cannot read ${dir}: ${err.message}`); return; }
+    for (const name of names) {
+      if (name.startsWith('.') && !options.include_hidden) continue;
+      const path = join(dir, name);
+      let st, link;
+      try { link = lstatSync(path).isSymbolicLink(); st = statSync(path); } catch { continue; }
+      if (link && !isInside(realRoot, realpathSync(path))) continue;
+      if (st.isDirectory()) { if (!link) walk(path); }
+      else if (st.isFile() && exts.has(extname(name).toLowerCase())) files.push({ path, url: fileUrl(path), size: st.size, mtime: st.mtime });
+    }
+  };
+  walk(root);
+  return files;
+};
+
+/**
+ * Sidecar metadata of the listed files: `<file>.json` or `<name>.json` next to the file, and rows of CSV manifests
+ * (options.manifests, default metadata.csv) naming the file in a `file`, `filename` or `path` column relative to the
+ * manifest's directory (record id `<manifest>#<row>`). A JSON sidecar wins over a manifest row. Returns Map path → { record_id, ...sidecarFields }.
+ */
+const readSidecars = (root, files, options) => {
+  const found = new Map();
+  const byPath = new Set(files.map(f => f.path));
+  // A manifest may describe files in subdirectories, so every directory between a file and the root is looked at
+  const dirs = new Set();
+  for (const { path } of files) for (let d = dirname(path); isInside(root, d) && !dirs.has(d); d = dirname(d)) dirs.add(d);
+  for (const dir of dirs) {
+    for (const name of options.manifests) {
+      const manifest = join(dir, name);
+      if (!existsSync(manifest)) continue;
+      let rows;
+      try { rows = parseCsv(readFileSync(manifest, 'utf8')); } catch (err) { console.warn(`[filesystem] ${manifest}: ${err.message}`); continue; }
+      const header = (rows.shift() ?? []).map(h => h.trim());
+      const fileCol = header.findIndex(h => ['file', 'filename', 'path'].includes(h.toLowerCase()));
+      if (fileCol < 0) { console.warn(`[filesystem] ${manifest}: no file/filename/path column`); continue; }
+      rows.forEach((cells, i) => {
+        const path = join(dir, cells[fileCol]?.trim() ?? '');
+        const fields = byPath.has(path) && sidecarFields(Object.fromEntries(header.map((h, c) => [h, cells[c]])));
+        if (fields) found.set(path, { record_id: `${relative(root, manifest)}#${i + 1}`, ...fields });
+      });
+    }
+  }
+  for (const { path } of files) {
+    const stem = join(dirname(path), basename(path, extname(path)));
+    const sidecar = [`${path}.json`, `${stem}.json`].find(p => p !== path && existsSync(p));
+    if (!sidecar) continue;
+    try {
+      const fields = sidecarFields(JSON.parse(readFileSync(sidecar, 'utf8')));
+      if (fields) found.set(path, { record_id: relative(root, sidecar), ...fields });
+    } catch (err) { console.warn(`[filesystem] ${sidecar}: ${err.message}`); }
+  }
+  return found;
+};
+
+/** Copy a collection file into the site's download dir, hashing it on the way (the mirror moves the copy into place). */
+const copyHashed = (domain, path) => {
+  const dir = downloadsDir(domain);
+  mkdirSync(dir, { recursive: true });
+  const dest = join(dir, `${createHash('sha256').update(path).digest('hex').slice(0, 32)}.body`);
+  const hash = createHash('sha256');
+  const buf = Buffer.alloc(COPY_CHUNK);
+  const from = openSync(path, 'r'), to = openSync(dest, 'w');
+  let bytes = 0;
+  try {
+    for (let n; (n = readSync(from, buf, 0, COPY_CHUNK, null)) > 0; bytes += n) {
+      hash.update(buf.subarray(0, n));
+      writeSync(to, buf, 0, n);
+    }
+  } finally { closeSync(from); closeSync(to); }
+  return { path: dest, bytes, sha256: hash.digest('hex') };
+};
+
+/** Directory listing page: subdirectories, then the listed files, linked by file:// URL. */
+const listingHtml = (root, dir, options) => {
+  const exts = new Set(options.extensions.map(e => e.toLowerCase()));
+  const entries = [];
+  for (const name of readdirSync(dir).sort()) {
+    if (name.startsWith('.') && !options.include_hidden) continue;
+    let st;
+    try { st = statSync(join(dir, name)); } catch { continue; }
+    if (st.isDirectory()) entries.push({ name: `${name}/`, href: fileUrl(join(dir, name), true), dir: true });
+    else if (st.isFile() && exts.has(extname(name).toLowerCase())) entries.push({ name, href: fileUrl(join(dir, name)) });
+  }
+  entries.sort((a, b) => (b.dir ?? false) - (a.dir ?? false));
+  const title = `Index of /${relative(root, dir)}`;
+  return `<!DOCTYPE html><html><head><meta charset="utf-8"><title>${esc(title)}</title></head><body><h1>${esc(title)}</h1><ul>` +
+    entries.map(e => `<li><a href="${esc(e.href)}">${esc(e.name)}</a></li>`).join('') + '</ul></body></html>';
+};
+
+/**
+ * `fetch_adapter: filesystem` (the default for a file:// `url`): serves files under the root, never touching the
+ * network. A file whose size and mtime match the stored ETag answers 304; other files are copied to the download
+ * dir and returned as `file`. A directory is its index.html, else a generated listing returned with `pageRole: 'index'`.
+ * Missing paths answer 404, so deleted files go gone, and so does anything discovery would not list: paths outside
+ * the root (also through symlinks), hidden entries unless include_hidden, and files with other extensions.
+ */
+export const createFilesystemAdapter = (siteConfig, { options }) => {
+  const root = rootDir(siteConfig);
+  let rootStat;
+  try { rootStat = statSync(root); } catch { rootStat = null; }
+  if (!rootStat?.isDirectory()) throw new Error(`filesystem root ${root} is not a directory for ${siteConfig.domain}`);
+  const realRoot = realpathSync(root);
+  const exts = new Set(options.extensions.map(e => e.toLowerCase()));
+  return {
+    async fetch(url, existing) {
+      let path, st;
+      try { path = fileURLToPath(url); } catch { return miss; }
+      if (!isInside(root, path) || (!options.include_hidden && isHidden(root, path))) return miss;
+      try { st = statSync(path); } catch { return miss; }
+      if (!isInside(realRoot, realpathSync(path)) || (st.isFile() && !exts.has(extname(path).toLowerCase()))) return miss;
+      if (st.isDirectory()) {
+        const index = INDEX_FILES.map(n => join(path, n)).find(p => existsSync(p));
+        if (!index) {
+          return { status: 200, buf: Buffer.from(listingHtml(root, path, options), 'utf8'), mimeType: 'text/html',
+            etag: null, lastModified: st.mtime.toUTCString(), pageRole: 'index' };
+        }
+        path = index;
+        st = statSync(index);
+      }
+      const etag = `W/"fs-${st.size}-${Math.floor(st.mtimeMs)}"`;
+      if (existing?.etag === etag) return { status: 304, buf: null, mimeType: null, etag: null, lastModified: null };
+      const mimeType = EXT_MIMES[extname(path).toLowerCase()] ?? null;
+      const base = { status: 200, mimeType, etag, lastModified: st.mtime.toUTCString() };
+      if (mimeType === 'text/html') return { ...base, buf: readFileSync(path) };
+      return { ...base, buf: null, file: copyHashed(siteConfig.domain, path) };
+    },
+    async close() {},
+  };
+};
+
+/**
+ * Sitemap-stage entries for a filesystem site: every collection file with its mtime as lastmod. Sidecar metadata is
+ * stored as doc_metadata (source `sidecar`); rows whose sidecar is gone are dropped.
+ */
+export const discoverFilesystem = (siteConfig, { db, options }) => {
+  const root = rootDir(siteConfig);
+  const files = walkCollection(root, options);
+  if (db) {
+    const compiled = compileRules(siteConfig.rules, siteConfig.url);
+    const keep = new Set();
+    for (const [path, { record_id, ...fields }] of options.sidecars ? readSidecars(root, files, options) : []) {
+      let url;
+      try { url = resolveAlias(db, canonicalizeUrl(compiled, fileUrl(path))); } catch { continue; }
+      keep.add(url);
+      upsertDocMetadata(db, { url, source: 'sidecar', record_id, ...fields });
+    }
+    for (const { url } of db.prepare("SELECT url FROM doc_metadata WHERE source='sidecar'").all()) {
+      if (!keep.has(url)) deleteDocMetadata(db, url);
+    }
+  }
+  return files.map(f => ({ url: f.url, lastmod: f.mtime.toISOString() }));
+};
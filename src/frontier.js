@@ -0,0 +1,62 @@
+// Persistent crawl frontier -- SQLite-backed URL queue so an interrupted crawl resumes exactly where it stopped.
+// Exports: PRIORITY, resetFrontier, enqueueUrls, claimNext, markFrontier, retryLater, holdOrigin, heldUntil, requeueActive,
+// seedDoneFromPages, frontierCounts. Deps: none (db passed in)
+/** Queue tiers: sitemap adds/changes first, then discovered links (FIFO), then stale rechecks. */
+export const PRIORITY = { sitemap: 2, discover: 1, recheck: 0 };
+/** Drop all frontier rows -- called at the start of a fresh (non-resumed) crawl and after a complete one. */
+export const resetFrontier = (db) => db.prepare('DELETE FROM frontier').run();
+/**
+ * Enqueue URLs. Already-known URLs (any state) are ignored, so the frontier doubles as the visited set.
+ * @param {object[]} items - [{ url, depth, fromSitemap, priority, sourceKind }]
+ * @returns {number} Rows actually inserted
+ */
+export const enqueueUrls = (db, items) => {
+  if (!items.length) return 0;
+  const now = new Date().toISOString();
+  const ins = db.prepare('INSERT OR IGNORE INTO frontier (url, depth, from_sitemap, priority, enqueued_at, state, source_kind) VALUES (?, ?, ?, ?, ?, ?, ?)');
+  return db.transaction(rows => rows.reduce((n, r) =>
+    n + ins.run(r.url, r.depth ?? 0, r.fromSitemap ? 1 : 0, r.priority ?? PRIORITY.discover, now, 'pending', r.sourceKind ?? null).changes, 0))(items);
+};
+/**
+ * Claim the highest-priority pending URL (FIFO within a tier) whose not-before time has passed and mark it active.
+ * Returns row or undefined.
+ */
+export const claimNext = (db, now = Date.now()) => {
+  const row = db.prepare(`SELECT rowid, url, depth, from_sitemap, source_kind FROM frontier
+    WHERE state='pending' AND (not_before IS NULL OR not_before <= ?) ORDER BY priority DESC, rowid LIMIT 1`).get(now);
+  if (row) db.prepare("UPDATE frontier SET state='active' WHERE rowid=?").run(row.rowid);
+  return row;
+};
+/** Set a URL's frontier state: 'done' | 'skipped' | 'pending' | 'deferred' (path quota used up; kept for the next run). */
+export const markFrontier = (db, url, state) => db.prepare('UPDATE frontier SET state=? WHERE url=?').run(state, url);
+/** Put a throttled URL back in the pending pool. Returns false (leaves state alone) once maxAttempts is reached. */
+export const retryLater = (db, url, maxAttempts) => {
+  const row = db.prepare('SELECT attempts FROM frontier WHERE url=?').get(url);
+  if (!row || (row.attempts ?? 0) + 1 >= maxAttempts) return false;
+  db.prepare("UPDATE frontier SET state='pending', attempts=COALESCE(attempts, 0)+1 WHERE url=?").run(url);
+  return true;
+};
+/** Hold an origin's pending URLs back until `until` (epoch ms) while the rate controller keeps its host waiting. */
+export const holdOrigin = (db, origin, until) => db.prepare(`UPDATE frontier SET not_before=?
+  WHERE state='pending' AND (url=? OR substr(url, 1, ?)=?)`).run(until, origin, origin.length + 1, `${origin}/`).changes;
+/** Earliest not-before time (epoch ms) among held pending URLs still in the future, or null. */
+export const heldUntil = (db, now = Date.now()) =>
+  db.prepare("SELECT MIN(not_before) as at FROM frontier WHERE state='pending' AND not_before > ?").get(now)?.at ?? null;
+/**
+ * Return URLs that were in flight when the process died, or deferred by a crawl budget, to the pending pool.
+ * Holds from the previous run's rate controller are dropped too.
+ */
+export const requeueActive = (db) => {
+  db.prepare('UPDATE frontier SET not_before=NULL WHERE not_before IS NOT NULL').run();
+  return db.prepare("UPDATE frontier SET state='pending' WHERE state IN ('active', 'deferred')").run().changes;
+};
+/** Mark pages already fetched since runStartedAt as done -- covers runs interrupted before the frontier existed. */
+export const seedDoneFromPages = (db, runStartedAt) => db.prepare(`INSERT OR IGNORE INTO frontier (url, depth, from_sitemap, priority, enqueued_at, state)
+  SELECT url, COALESCE(depth, 0), COALESCE(from_sitemap, 0), ?, last_seen_at, 'done' FROM pages WHERE last_seen_at >= ?`).run(PRIORITY.discover, runStartedAt).changes;
+/** Frontier counts by state: { pending, active, done, skipped, deferred, total, remaining }. */
+export const frontierCounts = (db) => {
+  const counts = { pending: 0, active: 0, done: 0, skipped: 0, deferred: 0 };
+  for (const r of db.prepare('SELECT state, COUNT(*) as n FROM frontier GROUP BY state').all()) counts[r.state] = r.n;
+  const total = Object.values(counts).reduce((a, b) => a + b, 0);
+  return { ...counts, total, remaining: counts.pending + counts.active + counts.deferred };
+};
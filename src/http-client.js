@@ -0,0 +1,118 @@
+// Shared per-site HTTP client -- the site's request headers (User-Agent, contact/API-key headers from websites.yaml)
+// and one undici dispatcher (keep-alive pool, egress proxy, TLS options, DNS cache) used by every stage that talks to it.
+// Exports: createHttpClient, httpClientFor, closeHttpClients. Deps: undici
+import { fetch, Agent, ProxyAgent, interceptors } from 'undici';
+import { readFileSync } from 'fs';
+
+const DISPATCHER_KEYS = ['proxy', 'proxy_env', 'keep_alive_ms', 'connections', 'tls', 'dns_cache_ttl_ms'];
+const clients = new Map();
+
+const fromEnv = (name, what) => {
+  const v = name ? process.env[name] : null;
+  if (name && !v) console.warn(`[http] ${what}: env var ${name} is not set`);
+  return v || null;
+};
+const hostOf = (url) => { try { return new URL(url).hostname; } catch { return null; } };
+
+/** undici connect options from `tls: { ca_file, cert_file, key_file, reject_unauthorized, servername }`. */
+const tlsOptions = (tls = {}) => ({
+  ...(tls.ca_file ? { ca: readFileSync(tls.ca_file) } : {}),
+  ...(tls.cert_file ? { cert: readFileSync(tls.cert_file) } : {}),
+  ...(tls.key_file ? { key: readFileSync(tls.key_file) } : {}),
+  ...(tls.reject_unauthorized === false ? { rejectUnauthorized: false } : {}),
+  ...(tls.servername ? { servername: tls.servername } : {}),
+});
+
+/**
+ * Dispatcher for an `http:` block, or null (undici's global one) when it sets none of the transport options.
+ * Through a proxy every request is tunnelled (CONNECT) and names are resolved by the proxy, so the DNS cache only
+ * applies to direct connections.
+ */
+const createDispatcher = (cfg, domain) => {
+  if (!DISPATCHER_KEYS.some(k => cfg[k] != null)) return null;
+  const pool = {
+    ...(cfg.keep_alive_ms != null ? { keepAliveTimeout: cfg.keep_alive_ms } : {}),
+    ...(cfg.connections != null ? { connections: cfg.connections } : {}),
+  };
+  const proxy = cfg.proxy ?? fromEnv(cfg.proxy_env, `proxy for ${domain}`);
+  if (proxy) return new ProxyAgent({ uri: proxy, ...pool, requestTls: tlsOptions(cfg.tls), ...(cfg.proxy_tls ? { proxyTls: tlsOptions(cfg.proxy_tls) } : {}) });
+  const agent = new Agent({ ...pool, connect: tlsOptions(cfg.tls) });
+  return cfg.dns_cache_ttl_ms ? agent.compose(interceptors.dns({ maxTTL: cfg.dns_cache_ttl_ms })) : agent;
+};
+
+/**
+ * HTTP client for one site from its `user_agent` and `http:` block:
+ * `headers` -- sent with every request (`From`, `Accept-Language`, ...);
+ * `headers_env: { X-Api-Key: ENV_VAR }` -- secret header values read from env vars, sent only to the seed host and
+ * `http.hosts` and dropped on redirects that leave the origin (redirects.js);
+ * `proxy` (URL, credentials allowed) or `proxy_env` (env var holding it), `proxy_tls`;
+ * `keep_alive_ms`, `connections` (per origin), `tls: { ca_file, cert_file, key_file, reject_unauthorized, servername }`,
+ * `dns_cache_ttl_ms`. The dispatcher is built on first use.
+ */
+export const createHttpClient = (siteConfig) => {
+  const cfg = siteConfig.http ?? {};
+  const ua = siteConfig.user_agent || 'site2rag/1.0';
+  const hosts = new Set([hostOf(siteConfig.url), ...(cfg.hosts ?? [])].filter(Boolean));
+  const scoped = Object.fromEntries(Object.entries(cfg.headers_env ?? {})
+    .map(([name, env]) => [name, fromEnv(env, `header ${name} for ${siteConfig.domain}`)]).filter(([, v]) => v));
+  let dispatcher;
+  const client = {
+    /** Request headers for url: User-Agent, the configured headers, then extra (which wins). */
+    headers(url, extra = {}) {
+      return { 'User-Agent': ua, ...cfg.headers, ...(hosts.has(hostOf(url)) ? scoped : {}), ...extra };
+    },
+    /** Lower-cased names of headers that must not follow a redirect to another origin. */
+    originBound: Object.keys(scoped).map(k => k.toLowerCase()),
+    /** undici dispatcher to pass as `init.dispatcher`; undefined = undici's global one. */
+    get dispatcher() {
+      if (dispatcher === undefined) dispatcher = createDispatcher(cfg, siteConfig.domain);
+      return dispatcher ?? undefined;
+    },
+    /** undici fetch with the site's headers (init.headers added on top) and dispatcher. */
+    fetch: (url, init = {}) => {
+      const d = client.dispatcher;
+      return fetch(url, { ...init, headers: client.headers(url, init.headers), ...(d ? { dispatcher: d } : {}) });
+    },
+    /**
+     * Playwright context options carrying the same proxy, TLS leniency and plain headers, so rendered pages leave
+     * through the same egress. Secret headers stay out: the browser also loads third-party resources.
+     */
+    browserContext() {
+      const proxy = cfg.proxy ?? (cfg.proxy_env ? process.env[cfg.proxy_env] : null);
+      let proxyOpt;
+      if (proxy) {
+        const u = new URL(proxy);
+        proxyOpt = { server: `${u.protocol}//${u.host}`, ...(u.username ? { username: decodeURIComponent(u.username), password: decodeURIComponent(u.password) } : {}) };
+      }
+      return {
+        ...(cfg.headers ? { extraHTTPHeaders: { ...cfg.headers } } : {}),
+        ...(proxyOpt ? { proxy: proxyOpt } : {}),
+        ...(cfg.tls?.reject_unauthorized === false ? { ignoreHTTPSErrors: true } : {}),
+      };
+    },
+    async close() {
+      const d = dispatcher;
+      dispatcher = undefined;
+      await d?.close?.();
+    },
+  };
+  return client;
+};
+
+/**
+ * The shared client for a site config, created on first use; every stage of a run is handed the same config object,
+ * so they share one connection pool. A config reloaded from websites.yaml gets a fresh client.
+ */
+export const httpClientFor = (siteConfig) => {
+  if (!clients.has(siteConfig)) clients.set(siteConfig, createHttpClient(siteConfig));
+  return clients.get(siteConfig);
+};
+
+/** Close and forget shared clients (end of a site run): the one for siteConfig, or all of them. */
+export const closeHttpClients = async (siteConfig) => {
+  for (const [cfg, client] of [...clients]) {
+    if (siteConfig && cfg !== siteConfig) continue;
+    clients.delete(cfg);
+    await client.close();
+  }
+};
@@ -6,7 +6,7 @@ import yaml from 'js-yaml';
 import { loadConfig, getSiteRoot, getMirrorRoot, getMdRoot, getLogsRoot, mirrorDir, mdDir, metaDir } from './config.js'; // site config + paths
 import { openDb, startRun, finishRun, getMeta, setMeta } from './db.js';           // per-site SQLite
 import { runSitemap } from './sitemap.js';                                         // discover/diff sitemap
-import { runMirror } from './mirror.js';                                           // crawl + download
+import { runMirror, mirrorUpToDate } from './mirror.js';                           // crawl + download
 import { runAssets } from './assets.js';                                           // download linked images/docs
 import { runClassify } from './classify.js';                                       // classify page roles
 import { runExportHtml } from './export-html.js';                                  // HTML → Markdown
@@ -14,6 +14,9 @@ import { runExportDoc } from './export-doc.js';
 import { runArchive } from './archive.js';                                         // S3 Wayback sync
 import { runRetain } from './retain.js';                                           // cleanup gone pages
 import { runScorePdfs } from './score-pdfs.js';                                   // score PDFs, queue low-scorers for SLP
+import { writeRedirectsExport } from './redirects.js';                             // old → final URL mappings
+import { listTraps } from './traps.js';                                             // quarantined URL patterns
+import { closeHttpClients } from './http-client.js';                                // per-site connection pools
 const TICK_MS = 15 * 60 * 1000; // 15 minutes
 /** Ensure all top-level directories exist. */
 const ensureDirs = () => {
@@ -55,7 +58,7 @@ const writeStatusYaml = (siteConfig, db, runStats, runId) => {
     last_success_at: runStats.status === 'success' ? new Date().toISOString() : getMeta(db, 'last_success_at'),
     last_status: runStats.status || 'unknown',
     sitemap: { total_urls: runStats.sitemap?.total || 0, added_today: runStats.sitemap?.added?.length || 0, changed_today: runStats.sitemap?.changed?.length || 0, removed_today: runStats.sitemap?.removed?.length || 0 },
-    mirror: { pages_checked: runStats.mirror?.checked || 0, pages_new: runStats.mirror?.new_pages || 0, pages_changed: runStats.mirror?.changed || 0, pages_gone: runStats.mirror?.gone || 0, gc_deleted: runStats.retain?.gc_deleted || 0 },
+    mirror: { pages_checked: runStats.mirror?.checked || 0, pages_new: runStats.mirror?.new_pages || 0, pages_changed: runStats.mirror?.changed || 0, pages_gone: runStats.mirror?.gone || 0, gc_deleted: runStats.retain?.gc_deleted || 0, stop_reason: runStats.mirror?.stop_reason || null },
     retention: { grace_days: retentionCfg.gone_grace_days ?? 90, frozen: !!frozen_since, frozen_since, freeze_reason, net_loss_in_window: netLoss, net_loss_threshold: Math.round(threshold), preserve_always: retentionCfg.preserve_always ?? false, tombstones_active: tombstones, next_grace_clear_at: nextGrace ? new Date(new Date(nextGrace).getTime() + (retentionCfg.gone_grace_days ?? 90) * 86400000).toISOString() : null },
     assets: { total: db.prepare('SELECT COUNT(*) as cnt FROM assets').get()?.cnt || 0, new: runStats.assets?.new_assets || 0, bytes: runStats.assets?.bytes || 0 },
     archive: { enabled: siteConfig.archive?.enabled ?? false, uploaded_today: runStats.archive?.uploaded || 0, skipped_unchanged: runStats.archive?.skipped || 0, archive_only_pages: db.prepare('SELECT COUNT(*) as cnt FROM pages WHERE archive_only=1').get()?.cnt || 0, bucket_objects: archiveRow?.cnt || 0, bucket_bytes: 0, rewrite_html_assets: siteConfig.archive?.rewrite_html_assets ?? false },
@@ -64,6 +67,8 @@ const writeStatusYaml = (siteConfig, db, runStats, runId) => {
     ocr: { docs_processed: ocrStats?.ocr_used || 0, pages_total: ocrStats?.total || 0, pages_short_circuited: 0, reconciler_calls: db.prepare("SELECT COUNT(*) as cnt FROM llm_calls WHERE stage='ocr_reconcile'").get()?.cnt || 0, pages_flagged: 0, avg_agreement: db.prepare('SELECT AVG(agreement_avg) as avg FROM exports WHERE agreement_avg IS NOT NULL').get()?.avg || null },
     tokens: { ocr: tokens, total_cost_usd: 0 },
     rules: { rules_present: !!(siteConfig.rules && Object.keys(siteConfig.rules).length), rules_version: null },
+    crawl_traps: listTraps(db, { activeOnly: true }).map(t => ({ pattern: t.pattern, kind: t.kind, evidence: t.evidence, hits: t.hits, suggested_rule: t.suggestion })),
+    crawl_trap_suggestions: listTraps(db, { status: 'suggested' }).map(t => ({ pattern: t.pattern, kind: t.kind, evidence: t.evidence, suggested_rule: t.suggestion })),
     last_error: runStats.error || null
   };
   const statusPath = join(metaDir(domain), 'status.yaml');
@@ -102,9 +107,8 @@ const runSite = async (siteConfig) => {
       stage('export');
       runStats.exportHtml = runExportHtml(db, siteConfig);
     }
-    // Skip mirror entirely if sitemap reported no changes and we have a prior complete crawl
-    const lastComplete = getMeta(db, 'last_complete_crawl_at');
-    const sitemapUnchanged = sitemapStats.unchanged && lastComplete;
+    // Skip mirror entirely if sitemap reported no changes and we have a prior complete crawl (and no frontier left to continue)
+    const sitemapUnchanged = mirrorUpToDate(db, sitemapStats);
     if (sitemapUnchanged) {
       console.log(`[site2rag] ${domain} sitemap unchanged, skipping mirror`);
       runStats.mirror = { checked: 0, new_pages: 0, changed: 0, gone: 0, skipped: true };
@@ -129,6 +133,7 @@ const runSite = async (siteConfig) => {
         runExportDoc(db, siteConfig),
         new Promise((_, rej) => setTimeout(() => rej(new Error('exportDoc timeout after 30min')), 30 * 60 * 1000))
       ]);
+      runStats.redirects = writeRedirectsExport(db, domain);
     }
     // Archive
     if (siteConfig.archive?.enabled) {
@@ -142,7 +147,7 @@ const runSite = async (siteConfig) => {
     setMeta(db, 'last_check_at', new Date().toISOString());
     setMeta(db, 'last_success_at', new Date().toISOString());
     setMeta(db, 'current_stage', null);
-    finishRun(db, runId, 'success', { pages_new: mirrorStats.new_pages, pages_changed: mirrorStats.changed, pages_gone: mirrorStats.gone, pages_gc_deleted: runStats.retain?.gc_deleted || 0 });
+    finishRun(db, runId, 'success', { pages_new: mirrorStats.new_pages, pages_changed: mirrorStats.changed, pages_gone: mirrorStats.gone, pages_gc_deleted: runStats.retain?.gc_deleted || 0, stop_reason: mirrorStats.stop_reason ?? null });
   } catch (err) {
     runStats.status = 'failed';
     runStats.error = err.message;
@@ -151,6 +156,7 @@ const runSite = async (siteConfig) => {
     finishRun(db, runId, 'failed', { message: err.message });
   }
   clearTimeout(hardKill);
+  await closeHttpClients(siteConfig).catch(() => {});
   writeStatusYaml(siteConfig, db, runStats, runId);
   db.close();
   console.log(`[site2rag] finished site: ${domain} (${runStats.status})`);
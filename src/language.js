@@ -1,4 +1,4 @@
-// Language detection + cost/priority tables. Exports: detectLanguage, detectLanguageFromUrl, detectLanguageFromUrlPath, LANG_COST, LANG_DISPLAY, LANG_PRIORITY, LANG_WORDS
+// Language detection + cost/priority tables. Exports: detectLanguage, detectLanguageFromUrl, detectLanguageFromUrlPath, normLangTag, langTagFromUrlPath, langAllowed, LANG_COST, LANG_DISPLAY, LANG_PRIORITY, LANG_WORDS
 
 // Common words for Latin-script language discrimination — exported for language-aware scoring
 export const LANG_WORDS = {
@@ -104,6 +104,48 @@ export const detectLanguageFromUrlPath = (url) => {
   } catch { return null; }
 };
 
+/** Normalize a BCP 47 tag for comparison (`en_US` → `en-us`). Blank and `x-default` give null. */
+export const normLangTag = (tag) => {
+  const t = String(tag ?? '').trim().toLowerCase().replace(/_/g, '-');
+  return t && t !== 'x-default' ? t : null;
+};
+
+// Leading path segment that looks like a locale: /en/, /pt-br/, /zh_hans/
+const LOCALE_SEGMENT = /^([a-z]{2})(?:[-_](?:[a-z]{2}|[a-z]{4}))?$/i;
+// ISO 639-1 codes; other two-letter segments (/js/, /db/, /tv/, /go/) are not locales
+const ISO_639_1 = new Set(('aa ab ae af ak am an ar as av ay az ba be bg bh bi bm bn bo br bs ca ce ch co cr cs cu cv cy da de dv dz ' +
+  'ee el en eo es et eu fa ff fi fj fo fr fy ga gd gl gn gu gv ha he hi ho hr ht hu hy hz ia id ie ig ii ik io is it iu ja jv ka kg ki ' +
+  'kj kk kl km kn ko kr ks ku kv kw ky la lb lg li ln lo lt lu lv mg mh mi mk ml mn mr ms mt my na nb nd ne ng nl nn no nr nv ny oc oj ' +
+  'om or os pa pi pl ps pt qu rm rn ro ru rw sa sc sd se sg si sk sl sm sn so sq sr ss st su sv sw ta te tg th ti tk tl tn to tr ts tt ' +
+  'tw ty ug uk ur uz ve vi vo wa wo xh yi yo za zh zu').split(' '));
+// Codes that are also common path words (/id/123, /my/account, /hr/jobs): locales only when hreflang confirms them
+const AMBIGUOUS_CODES = new Set(['am', 'an', 'as', 'be', 'co', 'hr', 'id', 'ie', 'is', 'my', 'no', 'or', 'pi', 'so', 'to']);
+
+/**
+ * Language tag from the URL's first path segment (`/de/…`, `/pt-br/…`), or null. The segment must start with an
+ * ISO 639-1 code; one that is also a common path word counts only when `confirmed` (the prefixes the site's hreflang
+ * graph confirms, see alternates.js) holds it.
+ */
+export const langTagFromUrlPath = (url, confirmed = null) => {
+  let seg;
+  try { seg = new URL(url).pathname.split('/')[1]; } catch { return null; }
+  const m = seg?.match(LOCALE_SEGMENT);
+  const code = m?.[1].toLowerCase();
+  if (!code || !ISO_639_1.has(code)) return null;
+  const tag = normLangTag(seg);
+  return !AMBIGUOUS_CODES.has(code) || confirmed?.has(tag) ? tag : null;
+};
+
+/**
+ * Does a page language pass `sitemap.include_languages`? Empty list or unknown language → true.
+ * A bare entry admits its regional variants (`en` admits `en-gb`); a regional entry must match exactly.
+ */
+export const langAllowed = (lang, include = []) => {
+  const tag = normLangTag(lang);
+  if (!include?.length || !tag) return true;
+  return include.map(normLangTag).some(want => want && (tag === want || (!want.includes('-') && tag.split('-')[0] === want)));
+};
+
 // English = 1.0 baseline; non-Latin scripts cost more tokens
 export const LANG_COST = {
   english:    1.0,
@@ -0,0 +1,126 @@
+// Link discovery -- pluggable extractors over parsed HTML (anchors, frames, image maps, embeds, meta refresh, rel=alternate,
+// onclick navigation, srcset) plus URI annotations inside PDFs and URLs in JSON API responses; every link carries the kind
+// of source it came from.
+// Exports: LINK_EXTRACTORS, DEFAULT_LINK_KINDS, registerLinkExtractor, resolveHref, discoverLinks, srcsetUrls, jsonLinks,
+// extractPdfLinks.
+// Deps: pdfjs-dist (loaded on first PDF)
+import { readFileSync } from 'fs';
+
+const SKIP_SCHEMES = /^(?:mailto|javascript|data|tel|sms|about|blob):/i;
+// onclick="location.href='/x'", "window.location='/x'", "document.location.assign('/x')", "window.open('/x')"
+const ONCLICK_NAV = /(?:location(?:\.href)?\s*=|location\.(?:assign|replace)\(|window\.open\()\s*(['"])(.+?)\1/gi;
+const FEED_TYPES = new Set(['application/rss+xml', 'application/atom+xml']);
+
+/**
+ * Absolute http(s) URL for an href found in a page, without fragment; null for anchors, non-web schemes and junk.
+ * Pages of a local collection (file:// base) may also link file:// URLs.
+ */
+export const resolveHref = (href, baseUrl) => {
+  const h = String(href ?? '').trim();
+  if (!h || h.startsWith('#') || SKIP_SCHEMES.test(h)) return null;
+  try {
+    const u = new URL(h.replace(/ /g, '%20'), baseUrl);
+    const local = u.protocol === 'file:' && String(baseUrl).startsWith('file:');
+    return /^https?:$/.test(u.protocol) || local ? u.toString().split('#')[0] : null;
+  } catch { return null; }
+};
+
+/** Candidate URLs of a srcset attribute ("a.jpg 1x, b.jpg 2x"), widest/densest last. */
+export const srcsetUrls = (srcset, baseUrl) => String(srcset ?? '').split(/,\s+/)
+  .map(c => { const [url, size = '1x'] = c.trim().split(/\s+/); return { url: resolveHref(url, baseUrl), n: parseFloat(size) || 1 }; })
+  .filter(c => c.url).sort((a, b) => a.n - b.n).map(c => c.url);
+
+const attrs = ($, selector, attr) => $(selector).map((_, el) => $(el).attr(attr)).get();
+
+/**
+ * Extractors by source kind: ($, baseUrl) → raw hrefs (resolved by discoverLinks). hreflang alternates are left to
+ * alternates.js (the language filter decides which to follow); feeds are read by the sitemap stage.
+ */
+export const LINK_EXTRACTORS = new Map([
+  ['a', ($) => attrs($, 'a[href]', 'href')],
+  ['frame', ($) => attrs($, 'iframe[src], frame[src]', 'src')],
+  ['area', ($) => attrs($, 'area[href]', 'href')],
+  ['embed', ($) => [...attrs($, 'embed[src]', 'src'), ...attrs($, 'object[data]', 'data')]],
+  ['meta_refresh', ($) => $('meta[http-equiv]').filter((_, el) => /^refresh$/i.test($(el).attr('http-equiv')))
+    .map((_, el) => /url\s*=\s*['"]?([^'"\s;]+)/i.exec($(el).attr('content') ?? '')?.[1]).get()],
+  ['link_alternate', ($) => $('link[rel~="alternate"][href]').filter((_, el) => !$(el).attr('hreflang') && !FEED_TYPES.has(($(el).attr('type') ?? '').toLowerCase()))
+    .map((_, el) => $(el).attr('href')).get()],
+  ['onclick', ($) => attrs($, '[onclick]', 'onclick').flatMap(js => [...js.matchAll(ONCLICK_NAV)].map(m => m[2]))],
+  ['srcset', ($, baseUrl) => attrs($, 'img[srcset], source[srcset]', 'srcset').flatMap(s => srcsetUrls(s, baseUrl).slice(-1))],
+]);
+/** Kinds the crawler follows unless `links.kinds` says otherwise; srcset images are left to the assets stage. */
+export const DEFAULT_LINK_KINDS = ['a', 'frame', 'area', 'embed', 'meta_refresh', 'link_alternate', 'onclick'];
+
+/** Add or replace an extractor: fn($, baseUrl) → hrefs. Enable it for a site by listing its kind in `links.kinds`. */
+export const registerLinkExtractor = (kind, fn) => { LINK_EXTRACTORS.set(kind, fn); };
+
+/**
+ * Links of a parsed HTML page, deduplicated; a URL found by several extractors keeps the first kind in `kinds` order.
+ * @returns {Array<{ url: string, kind: string }>}
+ */
+export const discoverLinks = ($, baseUrl, kinds = DEFAULT_LINK_KINDS) => {
+  const seen = new Map();
+  for (const kind of kinds) {
+    const extract = LINK_EXTRACTORS.get(kind);
+    if (!extract) continue;
+    for (const href of extract($, baseUrl)) {
+      const url = resolveHref(href, baseUrl);
+      if (url && !seen.has(url)) seen.set(url, { url, kind });
+    }
+  }
+  return [...seen.values()];
+};
+
+// JSON keys whose string values are taken as (possibly relative) links; elsewhere only absolute URLs count
+const JSON_LINK_KEY = /(?:^|[_-])(?:url|uri|href|link|path|file|src|download|permalink)s?$|[a-z](?:Url|URL|Uri|Href|Link|Path|File|Src)s?$|^(?:URL|Url|Href|Link)$/;
+const MAX_JSON_STRINGS = 20000;
+
+/**
+ * Links in a parsed JSON document (an XHR/fetch response captured while rendering), resolved against its URL:
+ * absolute http(s) URLs anywhere, relative ones under link-like keys (`url`, `href`, `file_path`, `downloadUrl`, ...).
+ * @returns {string[]} unique absolute URLs
+ */
+export const jsonLinks = (data, baseUrl) => {
+  const found = new Set();
+  let budget = MAX_JSON_STRINGS;
+  const walk = (v, key, depth) => {
+    if (budget <= 0 || depth > 32 || v == null) return;
+    if (typeof v === 'string') {
+      budget--;
+      const s = v.trim();
+      if (!s || s.length > 2048 || /\s/.test(s)) return;
+      if (/^https?:\/\//i.test(s) || (key && JSON_LINK_KEY.test(key) && /^(?:\/|\.\.?\/|[\w-]+\/)/.test(s))) {
+        const url = resolveHref(s, baseUrl);
+        if (url) found.add(url);
+      }
+    } else if (Array.isArray(v)) for (const x of v) walk(x, key, depth + 1);
+    else if (typeof v === 'object') for (const [k, x] of Object.entries(v)) walk(x, k, depth + 1);
+  };
+  walk(data, null, 0);
+  return [...found];
+};
+
+let pdfjs;
+/**
+ * URI link annotations of a PDF file, resolved against the PDF's own URL.
+ * @param {{ maxPages?: number }} opts - pages scanned (default 500)
+ * @returns {Promise<string[]>} unique absolute http(s) URLs; [] for unreadable files
+ */
+export const extractPdfLinks = async (path, baseUrl, { maxPages = 500 } = {}) => {
+  pdfjs ??= await import('pdfjs-dist/legacy/build/pdf.mjs');
+  let doc;
+  try {
+    doc = await pdfjs.getDocument({ data: new Uint8Array(readFileSync(path)), isEvalSupported: false, verbosity: 0 }).promise;
+  } catch { return []; }
+  const urls = new Set();
+  try {
+    for (let n = 1; n <= Math.min(doc.numPages, maxPages); n++) {
+      const annots = await (await doc.getPage(n)).getAnnotations({ intent: 'display' });
+      for (const a of annots) {
+        const url = a.subtype === 'Link' ? resolveHref(a.unsafeUrl ?? a.url, baseUrl) : null;
+        if (url) urls.add(url);
+      }
+    }
+  } catch {} finally { await doc.destroy(); }
+  return [...urls];
+};
@@ -0,0 +1,240 @@
+// MediaWiki incremental sync -- keeps mediawiki_pages in step with the wiki through the action API: a full
+// list=allpages pass on the first run (or when the last sync is older than recentchanges reaches back), then only the
+// titles list=recentchanges names since the previous run. Each article's latest revision ID is its change token (ETag
+// W/"mw-<rev_id>"); redirects and deletions are recorded so the mirror stores redirect rows and marks pages gone.
+// Parsed articles add their categories, templates, page props and last editor to the row and to the mirrored HTML.
+// Exports: mwApiUrl, wikiUrl, revisionEtag, pageStates, revisionInfo, parseMeta, buildMwHtml, storeParsedPage,
+// syncMediaWiki, discoverMediaWiki. Deps: db, rules, canonical
+import { getMeta, setMeta } from './db.js';
+import { compileRules } from './rules.js';
+import { canonicalizeUrl, resolveAlias } from './canonical.js';
+
+const API_TIMEOUT_MS = 30000;
+const REQUEST_GAP_MS = 300;
+// The API accepts at most 50 titles/revids per query for ordinary clients
+const TITLE_BATCH = 50;
+const RC_MARKER = 'mediawiki:rc_from';
+// Characters MediaWiki leaves unescaped in article paths (wfUrlencode)
+const PATH_SAFE = /%(2F|3A|3B|40|24|2C)/gi;
+
+const esc = (s) => String(s ?? '').replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/"/g, '&quot;');
+
+/** api.php URL on the wiki's origin (format=json, formatversion 1). */
+export const mwApiUrl = (origin, params) => `${origin}/api.php?${new URLSearchParams({ ...params, format: 'json' })}`;
+
+/** Article URL of a title: spaces as underscores, path-safe characters left as they are. */
+export const wikiUrl = (origin, wikiPrefix, title) =>
+  `${origin}${wikiPrefix}${encodeURIComponent(title.replace(/ /g, '_')).replace(PATH_SAFE, decodeURIComponent)}`;
+
+/** ETag stored for an article fetched at revision revId. */
+export const revisionEtag = (revId) => `W/"mw-${revId}"`;
+
+const getJson = async (client, origin, params) => {
+  const url = mwApiUrl(origin, params);
+  const res = await client.fetch(url, { headers: { Accept: 'application/json' }, signal: AbortSignal.timeout(API_TIMEOUT_MS) });
+  if (!res.ok) {
+    await res.arrayBuffer().catch(() => {});
+    throw new Error(`${url}: HTTP ${res.status}`);
+  }
+  const data = await res.json();
+  if (data.error) throw new Error(`MediaWiki API ${data.error.code}: ${data.error.info ?? ''}`);
+  return data;
+};
+
+/** Run a query to the end, following `continue`, handing each response to onBatch. */
+const queryAll = async (client, origin, params, onBatch) => {
+  for (let cont = { continue: '' }; cont;) {
+    const data = await getJson(client, origin, { action: 'query', ...params, ...cont });
+    onBatch(data);
+    cont = data.continue ?? null;
+    if (cont) await new Promise(r => setTimeout(r, REQUEST_GAP_MS));
+  }
+};
+
+/**
+ * Current state of titles, 50 per query: title → { title, namespace, page_id, rev_id, rev_timestamp, last_editor,
+ * redirect_to, deleted }. Keys are the normalized titles. A redirect has redirect_to (the target title), no revision
+ * and no namespace; a missing or invalid title is deleted.
+ */
+export const pageStates = async (client, origin, titles) => {
+  const states = new Map();
+  for (let i = 0; i < titles.length; i += TITLE_BATCH) {
+    const batch = titles.slice(i, i + TITLE_BATCH);
+    const { query = {} } = await getJson(client, origin, { action: 'query', titles: batch.join('|'), redirects: '1', prop: 'info|revisions', rvprop: 'ids|timestamp|user' });
+    const normalized = new Map((query.normalized ?? []).map(n => [n.from, n.to]));
+    const redirects = new Map((query.redirects ?? []).map(r => [r.from, r.to]));
+    const pages = new Map(Object.values(query.pages ?? {}).map(p => [p.title, p]));
+    for (const requested of batch) {
+      const title = normalized.get(requested) ?? requested;
+      const page = pages.get(title);
+      const state = { title, namespace: page?.ns ?? null, page_id: null, rev_id: null, rev_timestamp: null, last_editor: null, redirect_to: null, deleted: 0 };
+      if (redirects.has(title)) state.redirect_to = redirects.get(title);
+      else if (!page || 'missing' in page || 'invalid' in page) state.deleted = 1;
+      else {
+        const rev = page.revisions?.[0];
+        Object.assign(state, { page_id: page.pageid, rev_id: rev?.revid ?? page.lastrevid ?? null, rev_timestamp: rev?.timestamp ?? page.touched ?? null,
+          last_editor: rev?.user ?? null });
+      }
+      states.set(title, state);
+    }
+    if (i + TITLE_BATCH < titles.length) await new Promise(r => setTimeout(r, REQUEST_GAP_MS));
+  }
+  return states;
+};
+
+/** Author and timestamp of revisions by ID: revid → { timestamp, user }. */
+export const revisionInfo = async (client, origin, revIds) => {
+  const info = new Map();
+  for (let i = 0; i < revIds.length; i += TITLE_BATCH) {
+    const { query = {} } = await getJson(client, origin, { action: 'query', prop: 'revisions', revids: revIds.slice(i, i + TITLE_BATCH).join('|'), rvprop: 'ids|timestamp|user' });
+    for (const page of Object.values(query.pages ?? {})) {
+      for (const rev of page.revisions ?? []) info.set(rev.revid, { timestamp: rev.timestamp ?? null, user: rev.user ?? null });
+    }
+  }
+  return info;
+};
+
+/** Categories ([{ name, hidden }]), templates (titles) and page props ({ name: value }) of an action=parse result. */
+export const parseMeta = (parse) => ({
+  categories: (parse?.categories ?? []).map(c => ({ name: String(c['*'] ?? c.category ?? '').replace(/_/g, ' '), hidden: 'hidden' in c && c.hidden !== false }))
+    .filter(c => c.name),
+  templates: (parse?.templates ?? []).map(t => t['*'] ?? t.title).filter(Boolean),
+  properties: Array.isArray(parse?.properties)
+    ? Object.fromEntries(parse.properties.map(p => [p.name, p['*'] ?? p.value ?? '']))
+    : { ...(parse?.properties ?? {}) },
+});
+
+/**
+ * HTML page for a parsed article: the rendered body in MediaWiki's own wrappers, JSON-LD carrying the visible
+ * categories (articleSection) and revision date for extractMetadata, the short description as meta description, and
+ * the revision, last editor, categories, templates and page props as JSON in `#mw-page-info`.
+ */
+export const buildMwHtml = ({ title, url = null, bodyHtml, revId = null, timestamp = null, editor = null, categories = [], templates = [], properties = {} }) => {
+  const visible = categories.filter(c => !c.hidden).map(c => c.name);
+  const jsonLd = {
+    '@context': 'https://schema.org', '@type': 'Article', headline: title,
+    ...(url ? { url } : {}),
+    ...(timestamp ? { dateModified: timestamp } : {}),
+    ...(visible.length ? { articleSection: visible } : {}),
+    ...(editor ? { contributor: { '@type': 'Person', name: editor } } : {}),
+    ...(revId ? { version: String(revId) } : {}),
+  };
+  const info = { rev_id: revId, last_editor: editor, timestamp, categories, templates, properties };
+  const json = (v) => JSON.stringify(v).replace(/</g, '\\u003c');
+  const description = properties['wikibase-shortdesc'];
+  return `<!DOCTYPE html><html><head><meta charset="utf-8"><title>${esc(title)}</title>` +
+    (description ? `<meta name="description" content="${esc(description)}">` : '') +
+    `<script type="application/ld+json">${json(jsonLd)}</script>` +
+    `<script type="application/json" id="mw-page-info">${json(info)}</script></head>` +
+    `<body><h1 id="firstHeading">${esc(title)}</h1>` +
+    `<div id="mw-content-text"><div class="mw-parser-output">${bodyHtml}</div></div></body></html>`;
+};
+
+/**
+ * Record what a parse returned for a title (revision, last editor, categories, templates, page props); a title the
+ * sync has not seen yet gets its row here.
+ */
+export const storeParsedPage = (db, row) => {
+  const now = new Date().toISOString();
+  db.prepare(`INSERT INTO mediawiki_pages (title, url, page_id, rev_id, rev_timestamp, last_editor, redirect_to, deleted, categories, templates, properties, changed_at, synced_at)
+    VALUES (@title, @url, @page_id, @rev_id, @rev_timestamp, @last_editor, NULL, 0, @categories, @templates, @properties, @now, @now)
+    ON CONFLICT(title) DO UPDATE SET url=excluded.url, page_id=COALESCE(excluded.page_id, page_id),
+      changed_at=CASE WHEN rev_id IS excluded.rev_id AND redirect_to IS NULL AND deleted=0 THEN changed_at ELSE excluded.changed_at END,
+      rev_id=excluded.rev_id, rev_timestamp=COALESCE(excluded.rev_timestamp, rev_timestamp), last_editor=COALESCE(excluded.last_editor, last_editor),
+      redirect_to=NULL, deleted=0, categories=excluded.categories, templates=excluded.templates, properties=excluded.properties`).run({
+    page_id: null, rev_timestamp: null, last_editor: null, ...row, now,
+    categories: JSON.stringify(row.categories ?? []), templates: JSON.stringify(row.templates ?? []), properties: JSON.stringify(row.properties ?? {}),
+  });
+};
+
+/**
+ * Bring mediawiki_pages up to date. The first run, or one whose last sync is older than `rc_max_age_days` (what the
+ * wiki's recentchanges still covers), lists every title of `namespaces` with list=allpages; later runs ask
+ * list=recentchanges for edits, new pages and log events (deletions, moves, restores) since the server time of the
+ * previous sync, kept in site_meta as `mediawiki:rc_from`. The named titles are then looked up (pageStates) and stored
+ * with their namespace. A page that is deleted, or missing from a full listing of its namespace, is marked gone in
+ * `pages`; the marker only moves after a complete sync.
+ * @returns {Promise<{ mode: 'full'|'recentchanges', checked, changed, redirects, deleted }>}
+ */
+export const syncMediaWiki = async (db, siteConfig, client, options) => {
+  const origin = new URL(siteConfig.url).origin;
+  const wikiPrefix = options.wiki_path ?? '/wiki/';
+  const namespaces = options.namespaces ?? [0];
+  const from = getMeta(db, RC_MARKER);
+  const full = !from || Date.now() - Date.parse(from) > (options.rc_max_age_days ?? 90) * 86400000;
+  // title → namespace it was listed under
+  const titles = new Map();
+  let serverTime = null;
+  if (full) {
+    for (const ns of namespaces) {
+      await queryAll(client, origin, { list: 'allpages', apnamespace: String(ns), aplimit: 'max', curtimestamp: '1' }, (data) => {
+        serverTime ??= data.curtimestamp ?? null;
+        for (const p of data.query?.allpages ?? []) titles.set(p.title, p.ns ?? ns);
+      });
+    }
+  } else {
+    await queryAll(client, origin, { list: 'recentchanges', rcnamespace: namespaces.join('|'), rctype: 'edit|new|log', rcprop: 'title|loginfo',
+      rclimit: 'max', rcend: from, curtimestamp: '1' }, (data) => {
+      serverTime ??= data.curtimestamp ?? null;
+      for (const rc of data.query?.recentchanges ?? []) {
+        if (rc.title) titles.set(rc.title, rc.ns ?? null);
+        // A move names the old title (now a redirect, or gone) and the new one
+        if (rc.logparams?.target_title) titles.set(rc.logparams.target_title, rc.logparams.target_ns ?? null);
+      }
+    });
+  }
+  const states = await pageStates(client, origin, [...titles.keys()]);
+  const compiled = compileRules(siteConfig.rules, siteConfig.url);
+  const urlOf = (title) => {
+    const url = wikiUrl(origin, wikiPrefix, title);
+    try { return resolveAlias(db, canonicalizeUrl(compiled, url)); } catch { return url; }
+  };
+  const get = db.prepare('SELECT rev_id, redirect_to, deleted FROM mediawiki_pages WHERE title=?');
+  const upsert = db.prepare(`INSERT INTO mediawiki_pages (title, url, namespace, page_id, rev_id, rev_timestamp, last_editor, redirect_to, deleted, changed_at, synced_at)
+    VALUES (@title, @url, @namespace, @page_id, @rev_id, @rev_timestamp, @last_editor, @redirect_to, @deleted, @now, @now)
+    ON CONFLICT(title) DO UPDATE SET url=excluded.url, namespace=COALESCE(excluded.namespace, namespace), page_id=COALESCE(excluded.page_id, page_id), rev_id=excluded.rev_id,
+      rev_timestamp=excluded.rev_timestamp, last_editor=excluded.last_editor, redirect_to=excluded.redirect_to, deleted=excluded.deleted,
+      changed_at=CASE WHEN @changed THEN excluded.changed_at ELSE changed_at END, synced_at=excluded.synced_at`);
+  const markGone = db.prepare('UPDATE pages SET gone=1, gone_since=COALESCE(gone_since, ?) WHERE url=? AND gone=0');
+  const stats = { mode: full ? 'full' : 'recentchanges', checked: states.size, changed: 0, redirects: 0, deleted: 0 };
+  const now = new Date().toISOString();
+  const store = (state) => {
+    const prev = get.get(state.title);
+    const changed = !prev || prev.rev_id !== state.rev_id || prev.redirect_to !== state.redirect_to || prev.deleted !== state.deleted;
+    const url = urlOf(state.title);
+    upsert.run({ ...state, namespace: state.namespace ?? titles.get(state.title) ?? null, url, now, changed: changed ? 1 : 0 });
+    if (!changed) return;
+    if (state.deleted) {
+      markGone.run(now, url);
+      stats.deleted++;
+    } else if (state.redirect_to) stats.redirects++;
+    else stats.changed++;
+  };
+  db.transaction(() => {
+    for (const state of states.values()) store(state);
+    // Titles of the listed namespaces a full listing no longer returns were deleted while nobody was watching
+    // recentchanges; titles only fetched (linked from articles, outside the namespaces) are left alone
+    if (full) {
+      const listed = db.prepare(`SELECT title FROM mediawiki_pages WHERE deleted=0 AND namespace IN (${namespaces.map(() => '?').join(',')})`);
+      for (const { title } of listed.all(...namespaces)) {
+        if (!states.has(title)) store({ title, namespace: null, page_id: null, rev_id: null, rev_timestamp: null, last_editor: null, redirect_to: null, deleted: 1 });
+      }
+    }
+  })();
+  if (serverTime) setMeta(db, RC_MARKER, serverTime);
+  console.log(`[mediawiki] ${siteConfig.domain}: ${stats.mode} sync, ${stats.checked} titles checked, ${stats.changed} changed, ` +
+    `${stats.redirects} redirects, ${stats.deleted} deleted`);
+  return stats;
+};
+
+/**
+ * Sitemap-stage entries for `fetch_adapter: mediawiki_api` (unless `sync: false`): sync, then list every live title,
+ * articles with their revision timestamp as lastmod and redirects with the time they became one, so edits and new
+ * redirects reach the mirror as changed URLs.
+ */
+export const discoverMediaWiki = async (siteConfig, { db, client, options }) => {
+  if (options.sync === false || !db) return [];
+  await syncMediaWiki(db, siteConfig, client, options);
+  return db.prepare('SELECT url, rev_timestamp, redirect_to, changed_at FROM mediawiki_pages WHERE deleted=0').all()
+    .map(r => ({ url: r.url, lastmod: r.redirect_to ? r.changed_at : r.rev_timestamp }));
+};
@@ -21,6 +21,12 @@ export const parseAuthors = (raw) => {
     return { name: a.name, url: a.url, bio: a.description, job_title: a.jobTitle, organization: a.worksFor?.name };
   }).filter(a => a.name);
 };
+/** Absolute <link rel="canonical"> href resolved against pageUrl, or null. */
+export const canonicalLink = ($, pageUrl) => {
+  const href = $('link[rel="canonical"]').attr('href')?.trim();
+  if (!href) return null;
+  try { return new URL(href, pageUrl || undefined).toString(); } catch { return null; }
+};
 /**
  * Extract rich metadata from HTML string. Returns frontmatter-ready object.
  * @param {string} html - Raw HTML content
@@ -53,9 +59,29 @@ export const extractMetadata = (html, pageUrl = '', httpHeaders = {}) => {
   const metaKw = ($('meta[name="keywords"]').attr('content') || '').split(',').map(k => k.trim()).filter(Boolean);
   const jsonKw = Array.isArray(article?.keywords) ? article.keywords : (article?.keywords ? [article.keywords] : []);
   const keywords = [...new Set([...metaKw, ...jsonKw])];
+  // categories: JSON-LD articleSection (string or list) -> article:section meta tags
+  const sections = article?.articleSection ?? $('meta[property="article:section"]').map((_, el) => $(el).attr('content')).get();
+  const categories = [...new Set((Array.isArray(sections) ? sections : [sections]).map(c => String(c ?? '').trim()).filter(Boolean))];
   // schema type
   const schema_org_type = (article && article['@type']) ? (Array.isArray(article['@type']) ? article['@type'][0] : article['@type']) : null;
   // canonical
-  const canonical_url = $('link[rel="canonical"]').attr('href') || $('meta[property="og:url"]').attr('content') || pageUrl;
-  return { title, title_source, authors, date_published, date_modified, language, keywords, schema_org_type, canonical_url };
+  const canonical_url = canonicalLink($, pageUrl) || $('meta[property="og:url"]').attr('content') || pageUrl;
+  return { title, title_source, authors, date_published, date_modified, language, keywords, categories, schema_org_type, canonical_url };
+};
+/** Single-line string (frontmatter values must not span lines), or null when empty. */
+const oneLine = (v) => v ? String(v).replace(/\s+/g, ' ').trim() || null : null;
+/**
+ * Frontmatter fields from authoritative document metadata (db.js getDocMetadata row, e.g. an OAI-PMH record).
+ * Spread over the extracted fields, they replace title, authors, date, language and keywords (subjects).
+ */
+export const docMetadataFrontmatter = (dm) => {
+  if (!dm) return {};
+  const fields = {
+    title: oneLine(dm.title), title_source: dm.title ? dm.source : null,
+    authors: dm.authors?.length ? JSON.stringify(dm.authors) : null,
+    date_published: dm.date, language: dm.language,
+    keywords: dm.subjects?.length ? JSON.stringify(dm.subjects) : null,
+    description: oneLine(dm.description), metadata_source: dm.source, metadata_record: dm.record_id,
+  };
+  return Object.fromEntries(Object.entries(fields).filter(([, v]) => v != null));
 };
@@ -1,14 +1,24 @@
-// Pure crawl utilities: URL→path mapping, scope checks, robots, link extraction. Exports: urlToMirrorPath, urlPathToSlug, inScope, parseRobots, extractLinks. Deps: config
+// Pure crawl utilities: URL→path mapping, scope checks, robots, link extraction. Exports: sitePathname, urlToMirrorPath, urlPathToSlug, inScope, parseRobots, extractLinks. Deps: config, robots, language, links
 import { createHash } from 'crypto';
 import { extname, join } from 'path';
 import { mirrorDir } from './config.js';
+import { parseRobotsTxt, selectGroup } from './robots.js';
+import { langTagFromUrlPath, langAllowed } from './language.js';
+import { discoverLinks } from './links.js';
 
 const hashQuery = (q) => createHash('sha256').update(q).digest('hex').slice(0, 4);
 
+/** URL path of a page; under a file:// seed (local collection) it is relative to the collection root. */
+export const sitePathname = (urlStr, seedUrl = null) => {
+  const { protocol, pathname } = new URL(urlStr);
+  const root = protocol === 'file:' && seedUrl?.startsWith('file:') ? new URL(seedUrl).pathname.replace(/\/?$/, '/') : null;
+  return root && pathname.startsWith(root) ? `/${pathname.slice(root.length)}` : pathname;
+};
+
 /** Convert URL to mirror file path. Query strings get a hash suffix; long names are truncated. */
-export const urlToMirrorPath = (domain, urlStr) => {
+export const urlToMirrorPath = (domain, urlStr, seedUrl = null) => {
   const u = new URL(urlStr);
-  let p = u.pathname;
+  let p = sitePathname(urlStr, seedUrl);
   if (p.endsWith('/') || !extname(p)) p = p.replace(/\/?$/, '/index.html');
   if (u.search) {
     const ext = extname(p);
@@ -30,8 +40,11 @@ export const urlToMirrorPath = (domain, urlStr) => {
 export const urlPathToSlug = (urlPath) =>
   urlPath.replace(/^\//, '').replace(/\//g, '-').replace(/\.\w+$/, '') || 'index';
 
-/** Return true if URL is within crawl scope (domain, include/exclude rules, depth). */
-export const inScope = (url, siteConfig, seedHost) => {
+/**
+ * Return true if URL is within crawl scope (domain, include/exclude rules, locale path prefix vs include_languages).
+ * localePrefixes: the prefixes the hreflang graph confirms (langTagFromUrlPath).
+ */
+export const inScope = (url, siteConfig, seedHost, localePrefixes = null) => {
   const { include = [], exclude = [], same_domain_only: sameDomain = true, allow_domains = [] } = siteConfig;
   let u;
   try { u = new URL(url); } catch { return false; }
@@ -39,37 +52,12 @@ export const inScope = (url, siteConfig, seedHost) => {
   const path = u.pathname;
   if (exclude.some(p => path.startsWith(p))) return false;
   if (include.length && !include.some(p => path.startsWith(p))) return false;
-  return true;
+  return langAllowed(langTagFromUrlPath(url, localePrefixes), siteConfig.sitemap?.include_languages);
 };
 
-/** Parse robots.txt, returning Set of disallowed path prefixes for our UA. */
-export const parseRobots = (text, ua) => {
-  const disallowed = new Set();
-  if (!text) return disallowed;
-  let active = false;
-  for (const line of text.split('\n')) {
-    const l = line.trim();
-    if (l.startsWith('User-agent:')) {
-      const agent = l.split(':')[1].trim();
-      active = agent === '*' || agent.toLowerCase().includes('site2rag');
-    }
-    if (active && l.startsWith('Disallow:')) {
-      const path = l.split(':')[1]?.trim();
-      if (path) disallowed.add(path);
-    }
-  }
-  return disallowed;
-};
+/** Parse robots.txt, returning Set of Disallow patterns from the group that applies to our UA (RFC 9309 selection). */
+export const parseRobots = (text, ua) =>
+  new Set(selectGroup(parseRobotsTxt(text), ua).rules.filter(r => !r.allow).map(r => r.pattern));
 
-/** Extract all followed links from HTML, returning absolute URL strings. */
-export const extractLinks = ($, baseUrl) => {
-  const links = [];
-  $('a[href]').each((_, el) => {
-    try {
-      const href = $(el).attr('href');
-      if (!href || href.startsWith('#') || href.startsWith('mailto:') || href.startsWith('javascript:') || href.startsWith('data:')) return;
-      links.push(new URL(href.replace(/ /g, '%20'), baseUrl).toString().split('#')[0]);
-    } catch {}
-  });
-  return links;
-};
+/** Extract all followed links from HTML (default link kinds, see links.js), returning absolute URL strings. */
+export const extractLinks = ($, baseUrl) => discoverLinks($, baseUrl).map(l => l.url);
@@ -1,25 +1,66 @@
-// Crawl orchestration: builds queue from sitemap+recheck, runs concurrent fetch loop with per-URL classify+export.
-// Exports: runMirror. Re-exports crawl utils from mirror-crawl.js.
+// Crawl orchestration: seeds the persistent frontier from sitemap+recheck, runs concurrent fetch loop with per-URL classify+export.
+// Exports: runMirror, mirrorUpToDate. Re-exports crawl utils from mirror-crawl.js.
 import { createHash } from 'crypto';
-import { mkdirSync, writeFileSync, readFileSync } from 'fs';
+import { mkdirSync, writeFileSync, readFileSync, renameSync, copyFileSync, unlinkSync } from 'fs';
 import { dirname, join, extname } from 'path';
 import * as cheerio from 'cheerio';                                                // link extraction from HTML
 import { upsertPage, markGoneUrls } from './db.js';                               // persist crawled pages
-import { compileRules, applyFollowOverride, stripQueryParams } from './rules.js'; // per-site crawl rules
+import { compileRules, applyFollowOverride } from './rules.js';                  // per-site crawl rules
+import { canonicalizeUrl, recordAlias, resolveAlias, adoptAliasRow, foldAliases } from './canonical.js'; // one row per real document
+import { recordRedirects } from './redirects.js';                               // HTTP redirect hops
+import { canonicalLink } from './metadata.js';                                  // <link rel=canonical>
 import { scorePdf, saveQualityScore, maybeQueue } from './score.js';              // score PDFs inline, queue low-scorers
 import { classifyPage } from './classify.js';                                     // classify page role after crawl
 import { exportTextPdf, exportDocx } from './export-doc.js';                     // export docs to MD inline
+import { retireExport } from './export-html.js';                                 // redirected pages' old exports
 import { getAdapter } from './fetch-adapters.js';                                 // pluggable HTTP/MediaWiki/WP-RSS fetch
+import { adapterNames, isOfflineSite } from './adapter-registry.js';              // adapters by name, plugins, chains
+import { PRIORITY, resetFrontier, enqueueUrls, claimNext, markFrontier, retryLater, holdOrigin, heldUntil, requeueActive, seedDoneFromPages, frontierCounts } from './frontier.js'; // persistent crawl queue
 export { urlToMirrorPath, urlPathToSlug, inScope, parseRobots, extractLinks } from './mirror-crawl.js';
-import { urlToMirrorPath, urlPathToSlug, inScope, parseRobots, extractLinks } from './mirror-crawl.js'; // pure URL/path utils
-import { fetch } from 'undici';                                                    // fast HTTP client
+import { sitePathname, urlToMirrorPath, urlPathToSlug, inScope } from './mirror-crawl.js';   // pure URL/path utils
+import { discoverLinks, extractPdfLinks, DEFAULT_LINK_KINDS } from './links.js'; // typed link discovery, PDF annotations
+import { createRobotsCache } from './robots.js';                                  // RFC 9309 robots.txt, per origin
+import { createRateController, parseRetryAfter, isThrottleStatus } from './rate-control.js'; // per-host backoff on 429/503
+import { createWarcWriter } from './warc.js';                                     // optional WARC/1.1 archive of responses
+import { warcDir } from './config.js';                                          // default WARC output dir
+import { htmlAlternates, entryLanguage, confirmedLocalePrefixes, addLocalePrefixes, recordAlternates } from './alternates.js'; // hreflang translation graph
+import { normLangTag, langAllowed } from './language.js';                         // include_languages filter
+import { scheduleNextCheck, dueCutoff } from './schedule.js';                    // adaptive per-URL recheck times
+import { discardDownload } from './download.js';                                // temp files of streamed bodies
+import { sniffBytes, sniffFile, reconcileMime } from './sniff.js';              // real body type from magic bytes
+import { createCrawlBudget, BUDGET_STOP_KEY } from './budget.js';              // per-run page/byte/time/path caps
+import { createTrapDetector } from './traps.js';                                // infinite URL space quarantine
+import { httpClientFor } from './http-client.js';                               // shared per-site headers, proxy, keep-alive pool
+import { snapshotRoles, storeSnapshots, deleteSnapshots } from './snapshots.js'; // rendered-page screenshots and PDFs
 
 const sha256 = (buf) => createHash('sha256').update(buf).digest('hex');
+/** rename, falling back to copy + unlink across filesystems. */
+const moveFile = (from, to) => {
+  try { renameSync(from, to); } catch (err) {
+    if (err.code !== 'EXDEV') throw err;
+    copyFileSync(from, to);
+    unlinkSync(from);
+  }
+};
 const SCORE_TIMEOUT_MS = 30000;
+const PAUSE_KEY = 'crawl_paused_until';
+const COMPLETE_KEY = 'last_complete_crawl_at';
+const REQUEUED = 'requeued';
+// URLs the site itself lists (or we already hold) are never held back by trap patterns
+const TRUSTED_SOURCES = new Set(['sitemap', 'seed', 'recheck']);
+
+/**
+ * Whether the mirror stage can be skipped: the sitemap is unchanged since a complete crawl and nothing is left in the
+ * frontier -- a budget stop, crash or hard kill leaves URLs there that the next run must still fetch.
+ */
+export const mirrorUpToDate = (db, sitemapStats) => {
+  const meta = (key) => db.prepare('SELECT value FROM site_meta WHERE key=?').get(key)?.value;
+  return Boolean(sitemapStats?.unchanged && meta(COMPLETE_KEY) && !meta(BUDGET_STOP_KEY) && frontierCounts(db).remaining === 0);
+};
 
 /**
  * Run mirror stage: crawl site, conditional GET, write files, update DB.
- * @returns {object} Stats: { checked, new_pages, changed, gone }
+ * @returns {object} Stats: { checked, new_pages, changed, gone, stop_reason? }
  */
 export const runMirror = async (db, siteConfig, priorityQueue = []) => {
   const domain = siteConfig.domain;
@@ -28,119 +69,283 @@ export const runMirror = async (db, siteConfig, priorityQueue = []) => {
   const maxDepth = siteConfig.max_depth ?? 8;
   // Polite by default — spaces out request starts so we don't hammer remote hosts
   // (and keeps local CPU modest). Override per-site in websites.yaml with request_delay_ms.
-  // May be raised below to honor a robots.txt Crawl-delay.
-  let requestDelay = siteConfig.request_delay_ms ?? 250;
-  const compiled = compileRules(siteConfig.rules);
+  // May be raised below to honor a robots.txt Crawl-delay. Offline sites (archives, local collections) have no host to spare.
+  let requestDelay = siteConfig.request_delay_ms ?? (isOfflineSite(siteConfig) ? 0 : 250);
+  const compiled = compileRules(siteConfig.rules, seedUrl);
   const seedHost = new URL(seedUrl).hostname;
+  const politeness = siteConfig.politeness ?? {};
+  const linkKinds = siteConfig.links?.kinds ?? DEFAULT_LINK_KINDS;
+  const pdfLinks = siteConfig.links?.pdf !== false;
+  // snapshots.roles: page roles whose screenshot/PDF is kept ([] = every rendered page)
+  const keptSnapshotRoles = snapshotRoles(siteConfig.snapshots);
+
+  // A host that blocked us last run stays paused until the persisted deadline passes.
+  const pausedUntil = db.prepare('SELECT value FROM site_meta WHERE key=?').get(PAUSE_KEY)?.value;
+  if (pausedUntil && new Date(pausedUntil).getTime() > Date.now()) {
+    console.log(`[mirror] ${domain}: crawl paused until ${pausedUntil}`);
+    return { checked: 0, new_pages: 0, changed: 0, gone: 0, paused_until: pausedUntil };
+  }
+  if (pausedUntil) db.prepare('DELETE FROM site_meta WHERE key=?').run(PAUSE_KEY);
 
   const RESUME_KEY = 'mirror_run_started_at';
   const savedStart = db.prepare('SELECT value FROM site_meta WHERE key=?').get(RESUME_KEY)?.value;
-  const isResume = savedStart && (Date.now() - new Date(savedStart).getTime()) < 86400000;
+  // A run cut short by its crawl budget is always continued, however long ago it started
+  const budgetStopped = db.prepare('SELECT value FROM site_meta WHERE key=?').get(BUDGET_STOP_KEY)?.value;
+  const isResume = savedStart && (budgetStopped || (Date.now() - new Date(savedStart).getTime()) < 86400000);
   const runStartedAt = isResume ? savedStart : new Date().toISOString();
   if (!isResume) db.prepare('INSERT OR REPLACE INTO site_meta (key, value) VALUES (?, ?)').run(RESUME_KEY, runStartedAt);
 
-  let disallowed = new Set();
-  if (siteConfig.respect_robots_txt) {
-    try {
-      const robotsRes = await fetch(`${new URL(seedUrl).origin}/robots.txt`, { headers: { 'User-Agent': ua }, signal: AbortSignal.timeout(5000) });
-      if (robotsRes.ok) {
-        const txt = await robotsRes.text();
-        disallowed = parseRobots(txt, ua);
-        // Honor robots.txt Crawl-delay for our UA group (or *) — be a polite guest.
-        let active = false, cd = 0;
-        for (const line of txt.split('\n')) {
-          const l = line.trim();
-          if (/^user-agent:/i.test(l)) { const a = (l.split(':')[1] || '').trim().toLowerCase(); active = a === '*' || a.includes('site2rag'); }
-          else if (active && /^crawl-delay:/i.test(l)) { const n = parseFloat((l.split(':')[1] || '').trim()); if (n > 0) cd = Math.max(cd, n * 1000); }
-        }
-        if (cd > requestDelay) { requestDelay = cd; console.log(`[mirror] ${domain}: honoring robots Crawl-delay ${cd}ms`); }
-      }
-    } catch {}
+  // robots.txt per origin (RFC 9309), cached in site_meta; seed origin loaded up front to honor its Crawl-delay.
+  // Archive-backed crawls (offline adapters such as fetch_adapter: warc) never touch the network, so there is no robots.txt to ask.
+  const robots = siteConfig.respect_robots_txt && !isOfflineSite(siteConfig) ? createRobotsCache(db, ua, { client: httpClientFor(siteConfig) }) : null;
+  if (robots) {
+    const { crawlDelayMs } = await robots.forOrigin(new URL(seedUrl).origin);
+    if (crawlDelayMs > requestDelay) { requestDelay = crawlDelayMs; console.log(`[mirror] ${domain}: honoring robots Crawl-delay ${crawlDelayMs}ms`); }
   }
-  const isRobotsAllowed = (url) => {
-    const path = new URL(url).pathname;
-    return ![...disallowed].some(d => path.startsWith(d));
-  };
+  // Per-host pacing starts at requestDelay; widens on 429/503 (honoring Retry-After), narrows again when healthy.
+  // Tune per-site in websites.yaml under politeness: (see src/rate-control.js for keys).
+  const rate = createRateController(politeness, requestDelay);
+  const maxAttempts = politeness.max_attempts ?? 5;
 
-  const visited = new Set();
+  // Frontier (SQLite) is the crawl queue and visited set. A fresh run starts it empty; a resumed
+  // run keeps it, returning in-flight URLs to pending, so nothing already fetched is re-walked.
   if (isResume) {
-    for (const { url } of db.prepare('SELECT url FROM pages WHERE last_seen_at >= ?').all(runStartedAt)) {
-      visited.add(url);
-    }
+    requeueActive(db);
+    seedDoneFromPages(db, runStartedAt);
+  } else {
+    resetFrontier(db);
   }
-
-  const discoverQueue = isResume ? [{ url: seedUrl, depth: 0, fromSitemap: false }] : [
-    ...priorityQueue.filter(u => inScope(u, siteConfig, seedHost)).map(u => ({ url: u, depth: 0, fromSitemap: true })),
-    { url: seedUrl, depth: 0, fromSitemap: false }
-  ];
+  const traps = siteConfig.traps?.enabled === false ? null : createTrapDetector(db, siteConfig.traps);
+  // Locale path prefixes the hreflang graph confirms, grown as pages with alternates are parsed
+  const localePrefixes = confirmedLocalePrefixes(db);
+  /**
+   * Canonicalize, map known aliases to their canonical URL, scope-check and enqueue crawl candidates.
+   * Discovered links are checked for crawler traps (src/traps.js) and dropped when a trap pattern holds them back.
+   * Malformed URLs are dropped with a warning. Rechecks pass followAliases=false so an alias row is re-fetched
+   * (and folded once its canonical target exists) rather than silently skipped.
+   */
+  const enqueue = (items, { followAliases = true } = {}) => enqueueUrls(db, items.flatMap(item => {
+    let url;
+    try { url = canonicalizeUrl(compiled, item.url); } catch {
+      console.warn(`[mirror] skipping malformed URL: ${item.url}`);
+      return [];
+    }
+    if (followAliases) url = resolveAlias(db, url);
+    if (!inScope(url, siteConfig, seedHost, localePrefixes)) return [];
+    return traps && !TRUSTED_SOURCES.has(item.sourceKind) && traps.checkLink(url) ? [] : [{ ...item, url }];
+  }));
+  /** rel=canonical target for an HTML page, or null when absent, self, out of scope or a suspicious home-page catch-all. */
+  const relCanonicalTarget = ($, pageUrl) => {
+    const href = canonicalLink($, pageUrl);
+    if (!href) return null;
+    let target;
+    try { target = resolveAlias(db, canonicalizeUrl(compiled, href)); } catch { return null; }
+    if (target === pageUrl || !inScope(target, siteConfig, seedHost, localePrefixes)) return null;
+    // Misconfigured CMS templates point every page at the home page -- don't fold the whole site into it
+    if (new URL(target).pathname === '/' && new URL(pageUrl).pathname !== '/') return null;
+    return target;
+  };
+  /** Canonical final URL of a redirect chain, or null when it is the requested document under another spelling. */
+  const redirectTarget = (finalUrl, requested) => {
+    let target;
+    try { target = canonicalizeUrl(compiled, finalUrl); } catch { return null; }
+    return target === requested ? null : target;
+  };
+  /** Enqueue the links of a parsed page one level deeper, tagged with the kind of element they came from. */
+  const enqueueLinksOf = ($, pageUrl, depth) =>
+    enqueue(discoverLinks($, pageUrl, linkKinds).map(l => ({ url: l.url, depth: depth + 1, fromSitemap: false, sourceKind: l.kind })));
+  const includeLanguages = siteConfig.sitemap?.include_languages ?? [];
+  /** <link rel=alternate hreflang> of a page with canonical hrefs. */
+  const pageAlternates = ($, pageUrl) => htmlAlternates($, pageUrl).flatMap(a => {
+    try { return [{ ...a, href: resolveAlias(db, canonicalizeUrl(compiled, a.href)) }]; } catch { return []; }
+  });
+  enqueue(priorityQueue.map(u => ({ url: u, depth: 0, fromSitemap: true, priority: PRIORITY.sitemap, sourceKind: 'sitemap' })));
+  enqueue([{ url: seedUrl, depth: 0, fromSitemap: false, priority: PRIORITY.discover, sourceKind: 'seed' }]);
   const staleMs = (siteConfig.check_every_days ?? 3) * 86400000;
-  const COMPLETE_KEY = 'last_complete_crawl_at';
   const lastComplete = db.prepare('SELECT value FROM site_meta WHERE key=?').get(COMPLETE_KEY)?.value;
   const staleCutoff = isResume ? runStartedAt : (lastComplete ?? runStartedAt);
-  const existingPages = db.prepare('SELECT url, depth FROM pages WHERE gone=0 AND last_seen_at < ?').all(staleCutoff);
-  const recheckQueue = [];
+  // Adaptive recrawl (recrawl.enabled, default on): only pages whose next_check_at has come are rechecked
+  const recrawl = siteConfig.recrawl ?? {};
+  const adaptive = recrawl.enabled !== false;
+  const existingPages = adaptive
+    ? db.prepare('SELECT url, depth FROM pages WHERE gone=0 AND last_seen_at < ? AND (next_check_at IS NULL OR next_check_at <= ?)').all(staleCutoff, dueCutoff())
+    : db.prepare('SELECT url, depth FROM pages WHERE gone=0 AND last_seen_at < ?').all(staleCutoff);
+  // Rows stored under a non-canonical spelling (before canonicalization, or rules changed) become aliases of
+  // the canonical URL; they are folded when that URL is stored.
   for (const p of existingPages) {
-    if (!priorityQueue.includes(p.url) && inScope(p.url, siteConfig, seedHost)) {
-      recheckQueue.push({ url: p.url, depth: p.depth || 0, fromSitemap: false });
-    }
+    try { recordAlias(db, p.url, canonicalizeUrl(compiled, p.url), 'normalize'); } catch {}
   }
+  enqueue(existingPages.map(p => ({ url: p.url, depth: p.depth || 0, fromSitemap: false, priority: PRIORITY.recheck, sourceKind: 'recheck' })), { followAliases: false });
 
   const stats = { checked: 0, new_pages: 0, changed: 0, gone: 0 };
-  let totalDiscovered = discoverQueue.length + recheckQueue.length;
+  // crawl_budget: caps for this run; URLs left over stay in the frontier for the next one (see src/budget.js)
+  const budget = createCrawlBudget(siteConfig.crawl_budget);
   const upsertMeta = db.prepare('INSERT OR REPLACE INTO site_meta (key, value) VALUES (?, ?)');
   // Polite default: few parallel fetches — gentle on remote hosts and on our own CPU.
   // Override per-site in websites.yaml with crawl_concurrency.
   const concurrency = siteConfig.crawl_concurrency ?? 4;
   const inFlight = new Set();
 
-  const adapter = await getAdapter(siteConfig);
+  const adapter = await getAdapter(siteConfig, { db });
+  // WARC output (opt-in): every response this run goes to rotating .warc.gz files next to the mirror.
+  const warcCfg = siteConfig.warc ?? {};
+  const warc = warcCfg.enabled ? createWarcWriter(warcCfg.dir ?? warcDir(domain), {
+    prefix: warcCfg.prefix ?? domain, maxBytes: (warcCfg.max_file_mb ?? 1000) * 1e6, operator: warcCfg.operator ?? null,
+  }) : null;
+  /**
+   * Append one fetch result to the WARC. Unchanged payloads become revisit records pointing at the stored response.
+   * Returns the location of a new full response/resource record (for pages.warc_*), else null.
+   */
+  const archive = (canonical, result, existing, fetchedAt, fetchMs) => {
+    if (!warc) return null;
+    const { http } = result;
+    const metadata = { 'fetch-time-ms': fetchMs, adapter: result.adapter ?? adapterNames(siteConfig)[0],
+      'requested-uri': http && http.url !== canonical ? canonical : null,
+      rendered: http?.body && result.buf && http.body !== result.buf ? 'playwright' : null };
+    try {
+      if (http) {
+        // Streamed (non-HTML) bodies stay on disk and are streamed into the record
+        const hasBody = Boolean(http.body || http.bodyPath);
+        const revisit = hasBody && existing?.warc_filename && existing.content_hash === `sha256:${result.file?.sha256 ?? sha256(http.body)}`;
+        // A revisit points at the page's last full capture: its own target URI and date
+        const refersTo = revisit ? { url: existing.warc_target_uri ?? canonical, date: existing.warc_date } : null;
+        const loc = warc.writeExchange({ url: http.url, date: fetchedAt, requestHeaders: http.requestHeaders, status: result.status,
+          statusText: http.statusText, headers: http.headers, body: http.body ?? null, bodyPath: http.bodyPath, refersTo, metadata });
+        return hasBody && !revisit ? { ...loc, uri: http.url, date: fetchedAt } : null;
+      }
+      if (result.buf) {
+        const loc = warc.writeResource({ url: canonical, date: fetchedAt, mimeType: result.mimeType, body: result.buf, metadata });
+        return { ...loc, uri: canonical, date: fetchedAt };
+      }
+    } catch (err) {
+      console.warn(`[mirror] warc write failed ${canonical}: ${err.message}`);
+    }
+    return null;
+  };
+
+  const writeProgress = () => {
+    const { done, skipped, total, remaining } = frontierCounts(db);
+    upsertMeta.run('mirror_progress', JSON.stringify({ checked: done + skipped, total, remaining, new_pages: stats.new_pages, changed: stats.changed,
+      started_at: runStartedAt, rate: rate.snapshot(), budget: budget.snapshot(), stop_reason: stats.stop_reason ?? null }));
+  };
 
   const fetchAndExportPage = async (canonical, depth, fromSitemap) => {
-    const existing = db.prepare('SELECT * FROM pages WHERE url=?').get(canonical);
+    adoptAliasRow(db, canonical);
+    let existing = db.prepare('SELECT * FROM pages WHERE url=?').get(canonical);
     let result;
+    const fetchStart = Date.now();
     try {
       result = await adapter.fetch(canonical, existing);
     } catch (err) {
       console.error(`[mirror] fetch error ${canonical}: ${err.message}`);
       return;
     }
-    stats.checked++;
-    if (stats.checked % 10 === 0) {
-      upsertMeta.run('mirror_progress', JSON.stringify({ checked: visited.size, total: totalDiscovered, new_pages: stats.new_pages, changed: stats.changed, started_at: runStartedAt }));
+    const warcLoc = archive(canonical, result, existing, new Date(fetchStart).toISOString(), Date.now() - fetchStart);
+    rate.record(new URL(canonical).host, result.status, parseRetryAfter(result.retryAfter));
+    if (isThrottleStatus(result.status)) {
+      if (retryLater(db, canonical, maxAttempts)) return REQUEUED;
+      console.warn(`[mirror] giving up on ${canonical} after ${maxAttempts} throttled attempts (${result.status})`);
+      return;
     }
+    stats.checked++;
+    budget.addBytes(result.file?.bytes ?? result.buf?.length);
+    if (stats.checked % 10 === 0) writeProgress();
 
-    const { status, buf, mimeType } = result;
+    const { status, file } = result;
+    let { buf } = result;
+    // HTTP redirect to another document: the requested URL stays as a `redirect` row aliased to the final URL,
+    // and the response is handled as the final URL's (stored, classified, exported there)
+    if (result.redirects) recordRedirects(db, canonical, result.redirects);
+    const target = result.redirects?.length ? redirectTarget(result.finalUrl, canonical) : null;
+    if (target) {
+      recordAlias(db, canonical, target, 'redirect');
+      upsertPage(db, { url: canonical, path_slug: urlPathToSlug(sitePathname(canonical, seedUrl)), from_sitemap: fromSitemap ? 1 : 0,
+        status_code: result.redirects[0].status, depth, page_role: 'redirect' });
+      db.prepare("UPDATE pages SET classify_method='http_redirect', alias_of=? WHERE url=?").run(target, canonical);
+      if (adaptive) scheduleNextCheck(db, canonical, recrawl);
+      // The requested URL's old export now lives under the final URL
+      const exp = db.prepare('SELECT status AS exp_status, md_path AS exp_md_path FROM exports WHERE url=?').get(canonical);
+      if (exp) retireExport(db, { url: canonical, content_hash: existing?.content_hash, ...exp }, 'redirect', target);
+      if (!inScope(target, siteConfig, seedHost, localePrefixes)) { discardDownload(file); return; }
+      // The final URL passes the checks a claimed link does before its body is stored
+      if ((traps && traps.match(target)) || (robots && !(await robots.isAllowed(target))) ||
+        applyFollowOverride(compiled, target, 'redirect') === false) { discardDownload(file); return; }
+      // Claim the final URL so a link to it isn't fetched again this run; over its path quota it waits for the next
+      enqueue([{ url: target, depth, fromSitemap, sourceKind: 'redirect' }], { followAliases: false });
+      if (!budget.take(target)) { markFrontier(db, target, 'deferred'); discardDownload(file); return; }
+      markFrontier(db, target, 'done');
+      canonical = target;
+      existing = db.prepare('SELECT * FROM pages WHERE url=?').get(canonical);
+    } else if (result.redirects && existing?.page_role === 'redirect') {
+      // The URL no longer redirects: it is a document of its own again
+      db.prepare("DELETE FROM aliases WHERE alias_url=? AND source='redirect'").run(canonical);
+      db.prepare("UPDATE pages SET page_role=NULL, classify_method=NULL, alias_of=NULL WHERE url=?").run(canonical);
+    }
     if (status === 404 || status === 410) {
       if (existing) db.prepare('UPDATE pages SET gone=1, gone_since=COALESCE(gone_since, ?) WHERE url=?').run(new Date().toISOString(), canonical);
       return;
     }
     if (status === 304) {
       db.prepare('UPDATE pages SET last_seen_at=? WHERE url=?').run(new Date().toISOString(), canonical);
+      if (adaptive) scheduleNextCheck(db, canonical, recrawl);
       if (existing?.local_path && existing.mime_type?.includes('text/html') && depth < maxDepth) {
         try {
           const cached = readFileSync(existing.local_path, 'utf8');
           const $304 = cheerio.load(cached);
-          for (const link of extractLinks($304, canonical)) {
-            if (!visited.has(link) && inScope(link, siteConfig, seedHost)) {
-              discoverQueue.push({ url: link, depth: depth + 1, fromSitemap: false });
-            }
-          }
+          enqueueLinksOf($304, canonical, depth);
         } catch {}
       }
       return;
     }
-    if (!buf) return;
+    if (result.skipped) console.warn(`[mirror] skipping ${canonical}: ${result.skipped} (${result.bytes ?? '?'} bytes)`);
+    if (!buf && !file) return;
+    // Route by what the body is, not what the server said; an HTML error page served as a PDF is kept as a soft error
+    // (not parsed, classified or exported) rather than marked gone
+    const sniffedMime = file ? sniffFile(file.path) : sniffBytes(buf);
+    const { mimeType, softError } = reconcileMime(result.mimeType, sniffedMime);
+    if (softError) console.warn(`[mirror] soft error ${canonical}: ${softError}`);
+    const isHtml = mimeType.includes('text/html') && !softError;
+    if (isHtml && !buf) buf = readFileSync(file.path);
+    const $ = isHtml ? cheerio.load(buf.toString('utf8')) : null;
+    const enqueueLinks = () => {
+      if ($ && depth < maxDepth) enqueueLinksOf($, canonical, depth);
+      // URLs the rendered page fetched through JSON APIs (playwright.capture_json)
+      if (result.links?.length && depth < maxDepth) enqueue(result.links.map(url => ({ url, depth: depth + 1, fromSitemap: false, sourceKind: 'xhr' })));
+    };
+    // Language filter (sitemap.include_languages): own hreflang entry, locale path prefix, then <html lang>.
+    // A page in an excluded language is not stored; its translations in a wanted language are crawled instead.
+    const alternates = $ ? pageAlternates($, canonical) : [];
+    addLocalePrefixes(localePrefixes, alternates);
+    const pageLang = $ ? entryLanguage(canonical, alternates, localePrefixes) ?? normLangTag($('html').attr('lang')) : null;
+    if (!langAllowed(pageLang, includeLanguages)) {
+      if (existing) db.prepare('UPDATE pages SET gone=1, gone_since=COALESCE(gone_since, ?) WHERE url=?').run(new Date().toISOString(), canonical);
+      enqueue(alternates.filter(a => langAllowed(a.hreflang, includeLanguages)).map(a => ({ url: a.href, depth, fromSitemap: false, sourceKind: 'hreflang' })));
+      return;
+    }
+    // rel=canonical names another URL for this document: remember the alias, make sure the target gets crawled,
+    // and if we already hold the target, fold this URL into it instead of storing a duplicate row.
+    const relTarget = $ && compiled.canonical.follow_rel_canonical ? relCanonicalTarget($, canonical) : null;
+    if (relTarget && recordAlias(db, canonical, relTarget, 'rel_canonical')) {
+      enqueue([{ url: relTarget, depth, fromSitemap: false, sourceKind: 'rel_canonical' }]);
+      if (db.prepare('SELECT 1 FROM pages WHERE url=? AND gone=0').get(relTarget)) {
+        foldAliases(db, relTarget);
+        enqueueLinks();
+        return;
+      }
+    }
 
-    const contentHash = `sha256:${sha256(buf)}`;
-    const mirrorPath = urlToMirrorPath(domain, canonical);
-    const pathSlug = urlPathToSlug(new URL(canonical).pathname);
+    const contentHash = `sha256:${file ? file.sha256 : sha256(buf)}`;
+    /** Store the body at path: streamed downloads are moved into place, in-memory bodies written. */
+    const putBody = (path) => file ? moveFile(file.path, path) : writeFileSync(path, buf);
+    const mirrorPath = urlToMirrorPath(domain, canonical, seedUrl);
+    const pathSlug = urlPathToSlug(sitePathname(canonical, seedUrl));
     const isNew = !existing;
     const isChanged = existing && existing.content_hash !== contentHash;
     let savedPath = mirrorPath;
     if (isNew || isChanged) {
       try {
         mkdirSync(dirname(mirrorPath), { recursive: true });
-        writeFileSync(mirrorPath, buf);
+        putBody(mirrorPath);
         if (isNew) stats.new_pages++; else stats.changed++;
       } catch (writeErr) {
         if (writeErr.code === 'EEXIST') {
@@ -149,14 +354,16 @@ export const runMirror = async (db, siteConfig, priorityQueue = []) => {
           savedPath = join(dirname(dirname(mirrorPath)), `${hash}${ext || '.html'}`);
           try {
             mkdirSync(dirname(savedPath), { recursive: true });
-            writeFileSync(savedPath, buf);
+            putBody(savedPath);
             if (isNew) stats.new_pages++; else stats.changed++;
           } catch (e2) {
             console.warn(`[mirror] skipping ${canonical}: ${e2.message}`);
+            discardDownload(file);
             return;
           }
         } else {
           console.warn(`[mirror] skipping ${canonical}: ${writeErr.message}`);
+          discardDownload(file);
           return;
         }
       }
@@ -175,13 +382,24 @@ export const runMirror = async (db, siteConfig, priorityQueue = []) => {
             console.warn(`[mirror] score failed ${canonical}: ${scoreErr.message}`);
           }
         }
+        // Hyperlinks inside the PDF (URI annotations) are crawled like the links of a page
+        if (pdfLinks && depth < maxDepth) {
+          const urls = await Promise.race([
+            extractPdfLinks(savedPath, canonical),
+            new Promise(res => setTimeout(() => res([]), SCORE_TIMEOUT_MS))
+          ]);
+          enqueue(urls.map(url => ({ url, depth: depth + 1, fromSitemap: false, sourceKind: 'pdf' })));
+        }
       }
     }
-    let page_role = null, word_count_clean = null, classify_method = null;
-    if ((isNew || isChanged) && mimeType?.includes('text/html') && siteConfig.classify?.enabled !== false) {
+    discardDownload(file); // unchanged body (moved bodies are already gone)
+    let page_role = null, word_count_clean = null, classify_method = null, simhash = null;
+    // Adapters may know the role outright (the filesystem adapter's directory listings are indexes)
+    if (result.pageRole) [page_role, classify_method] = [result.pageRole, 'adapter'];
+    else if ((isNew || isChanged) && isHtml && siteConfig.classify?.enabled !== false) {
       try {
         const wordThreshold = siteConfig.classify?.word_threshold ?? 200;
-        ({ role: page_role, classify_method, word_count_clean } = classifyPage(buf.toString('utf8'), canonical, compiled, wordThreshold, db));
+        ({ role: page_role, classify_method, word_count_clean, simhash } = classifyPage(buf.toString('utf8'), canonical, compiled, wordThreshold, db));
       } catch (e) { console.warn(`[mirror] classify ${canonical}: ${e.message}`); }
     }
     upsertPage(db, {
@@ -189,11 +407,25 @@ export const runMirror = async (db, siteConfig, priorityQueue = []) => {
       from_sitemap: fromSitemap ? 1 : 0,
       etag: result.etag, last_modified: result.lastModified,
       content_hash: contentHash, mime_type: mimeType, status_code: status,
+      declared_mime: result.mimeType ?? null, sniffed_mime: sniffedMime, soft_error: softError,
       depth, page_role, word_count_clean
     });
     if (classify_method) {
-      db.prepare('UPDATE pages SET classify_method=? WHERE url=?').run(classify_method, canonical);
+      db.prepare('UPDATE pages SET classify_method=?, simhash=? WHERE url=?').run(classify_method, simhash, canonical);
+    }
+    if (isNew && traps) traps.checkContent(canonical, contentHash);
+    // the adapter skips renders for roles snapshots don't keep, so a page that changed role drops its old capture here
+    const snapshotRole = page_role ?? existing?.page_role ?? null;
+    const keepSnapshot = !keptSnapshotRoles.length || keptSnapshotRoles.includes(snapshotRole);
+    if (result.snapshot && keepSnapshot) storeSnapshots(db, domain, canonical, result.snapshot, contentHash);
+    else if (!keepSnapshot && siteConfig.snapshots?.enabled) deleteSnapshots(db, canonical);
+    if ($) recordAlternates(db, canonical, alternates, 'html');
+    if (adaptive) scheduleNextCheck(db, canonical, recrawl);
+    if (warcLoc) {
+      db.prepare('UPDATE pages SET warc_filename=?, warc_offset=?, warc_length=?, warc_target_uri=?, warc_date=? WHERE url=?')
+        .run(warcLoc.filename, warcLoc.offset, warcLoc.length, warcLoc.uri, warcLoc.date, canonical);
     }
+    foldAliases(db, canonical);
     if (isNew || isChanged) {
       const pageRow = { url: canonical, path_slug: pathSlug, local_path: savedPath,
         content_hash: contentHash, mime_type: mimeType, depth, from_sitemap: fromSitemap ? 1 : 0,
@@ -204,51 +436,83 @@ export const runMirror = async (db, siteConfig, priorityQueue = []) => {
           exportTextPdf(db, siteConfig, pageRow).catch(e =>
             console.warn(`[mirror] pdf export ${canonical}: ${e.message}`)
           );
-        } else if (mimeType?.includes('wordprocessingml') || canonical.endsWith('.docx')) {
+        } else if (mimeType.includes('wordprocessingml')) {
           exportDocx(db, siteConfig, pageRow).catch(e =>
             console.warn(`[mirror] docx export ${canonical}: ${e.message}`)
           );
         }
       }
     }
-    if (mimeType?.includes('text/html') && depth < maxDepth) {
-      const $ = cheerio.load(buf.toString('utf8'));
-      for (const link of extractLinks($, canonical)) {
-        if (!visited.has(link) && inScope(link, siteConfig, seedHost)) {
-          discoverQueue.push({ url: link, depth: depth + 1, fromSitemap: false });
-          totalDiscovered++;
-        }
-      }
-    }
+    enqueueLinks();
   };
 
-  while (discoverQueue.length > 0 || recheckQueue.length > 0 || inFlight.size > 0) {
-    if (inFlight.size >= concurrency || (discoverQueue.length === 0 && recheckQueue.length === 0)) {
-      await Promise.race(inFlight);
+  while (!rate.blocked()) {
+    if (inFlight.size >= concurrency) { await Promise.race(inFlight); continue; }
+    const next = claimNext(db);
+    if (!next) {
+      // Nothing claimable: wait for a fetch to finish or for the first held host to open up
+      const heldAt = heldUntil(db);
+      if (inFlight.size === 0 && heldAt == null) break;
+      let timer;
+      const opens = heldAt == null ? [] : [new Promise(r => { timer = setTimeout(r, Math.max(0, heldAt - Date.now())); })];
+      try { await Promise.race([...inFlight, ...opens]); } finally { clearTimeout(timer); }
       continue;
     }
-    const { url, depth, fromSitemap } = discoverQueue.length > 0 ? discoverQueue.shift() : recheckQueue.shift();
-    let canonical;
-    try { canonical = stripQueryParams(compiled, url); new URL(canonical); } catch {
-      console.warn(`[mirror] skipping malformed URL: ${url}`); continue;
-    }
-    if (visited.has(canonical)) continue;
-    visited.add(canonical);
-    if (depth > maxDepth) continue;
-    if (siteConfig.respect_robots_txt && !isRobotsAllowed(canonical)) continue;
-    if (applyFollowOverride(compiled, canonical) === false) continue;
-    const p = fetchAndExportPage(canonical, depth, fromSitemap).finally(() => inFlight.delete(p));
+    const exhausted = budget.exhausted(stats);
+    if (exhausted) { markFrontier(db, next.url, 'pending'); stats.stop_reason = exhausted; break; }
+    const { url: canonical, depth, from_sitemap, source_kind } = next;
+    const trapped = traps && !TRUSTED_SOURCES.has(source_kind) && traps.match(canonical);
+    if (trapped || depth > maxDepth || (robots && !(await robots.isAllowed(canonical))) || applyFollowOverride(compiled, canonical, source_kind) === false) {
+      markFrontier(db, canonical, 'skipped');
+      continue;
+    }
+    const { host, origin } = new URL(canonical);
+    if (robots) rate.setBaseDelay(host, (await robots.forOrigin(origin)).crawlDelayMs);
+    // A host still waiting out its delay or Retry-After doesn't stall the loop: its URLs wait in the frontier and
+    // other hosts' URLs are claimed meanwhile
+    const waitMs = rate.readyIn(host);
+    if (waitMs > 0) {
+      markFrontier(db, canonical, 'pending');
+      holdOrigin(db, origin, Date.now() + waitMs);
+      continue;
+    }
+    if (!budget.take(canonical)) { markFrontier(db, canonical, 'deferred'); continue; }
+    await rate.wait(host);
+    if (rate.blocked()) { markFrontier(db, canonical, 'pending'); break; }
+    const p = fetchAndExportPage(canonical, depth, from_sitemap === 1)
+      .then(outcome => { if (outcome !== REQUEUED) markFrontier(db, canonical, 'done'); },
+        err => { markFrontier(db, canonical, 'done'); throw err; })
+      .finally(() => inFlight.delete(p));
     inFlight.add(p);
-    if (requestDelay > 0) await new Promise(r => setTimeout(r, requestDelay));
   }
+  await Promise.allSettled(inFlight);
 
   await adapter.close();
-  const ranToCompletion = discoverQueue.length === 0 && recheckQueue.length === 0;
+  warc?.close();
+  const block = rate.blocked();
+  if (block) {
+    // Host is clearly refusing us -- stop the whole site and persist the pause; the frontier resumes afterwards.
+    const pauseMs = Math.max((politeness.pause_minutes ?? 60) * 60000, block.retryAfterMs ?? 0);
+    stats.paused_until = new Date(Date.now() + pauseMs).toISOString();
+    upsertMeta.run(PAUSE_KEY, stats.paused_until);
+    console.warn(`[mirror] ${domain}: ${block.host} is blocking us (${block.reason}) — pausing crawl until ${stats.paused_until}`);
+    stats.stop_reason ??= 'host_blocked';
+  }
+  const { remaining, deferred } = frontierCounts(db);
+  if (!stats.stop_reason && deferred) stats.stop_reason = 'path_quota';
+  if (stats.stop_reason && stats.stop_reason !== 'host_blocked') {
+    upsertMeta.run(BUDGET_STOP_KEY, JSON.stringify({ reason: stats.stop_reason, at: new Date().toISOString() }));
+    console.warn(`[mirror] ${domain}: crawl budget reached (${stats.stop_reason}, ${JSON.stringify(budget.snapshot())}) — ${remaining} URLs left for the next run`);
+  }
+  if (stats.stop_reason) writeProgress();
+  const ranToCompletion = remaining === 0;
   if (ranToCompletion) {
+    resetFrontier(db);
     const safeGoneCutoff = new Date(Date.now() - staleMs * 3).toISOString();
     stats.gone = markGoneUrls(db, safeGoneCutoff);
     db.prepare('INSERT OR REPLACE INTO site_meta (key, value) VALUES (?, ?)').run(COMPLETE_KEY, runStartedAt);
     db.prepare('DELETE FROM site_meta WHERE key=?').run(RESUME_KEY);
+    db.prepare('DELETE FROM site_meta WHERE key=?').run(BUDGET_STOP_KEY);
     db.prepare('DELETE FROM site_meta WHERE key=?').run('mirror_progress');
   }
   return stats;
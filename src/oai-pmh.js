@@ -0,0 +1,201 @@
+// OAI-PMH harvester for institutional repositories (DSpace, EPrints, Omeka) -- ListRecords in Dublin Core (qualified
+// DC when offered) with resumption tokens and `from=` incremental harvests. Records go to oai_records; their landing
+// pages and bitstreams are listed for the sitemap stage and get doc_metadata rows, which the exporters use as the
+// authoritative title/authors/date/language/subjects.
+// Exports: parseOaiResponse, dcFields, harvestOai, discoverOai. Deps: fast-xml-parser, db, rules, canonical, constants
+import { XMLParser } from 'fast-xml-parser';
+import { extname } from 'path';
+import { getMeta, setMeta, upsertDocMetadata, deleteDocMetadata } from './db.js';
+import { compileRules } from './rules.js';
+import { canonicalizeUrl, resolveAlias } from './canonical.js';
+import { DOC_EXTS } from './constants.js';
+
+const parser = new XMLParser({ ignoreAttributes: false, attributeNamePrefix: '@_', removeNSPrefix: true, parseTagValue: false, trimValues: true });
+const REQUEST_TIMEOUT_MS = 60000;
+// Richer formats first; every repository must offer oai_dc
+const PREFERRED_PREFIXES = ['qdc', 'oai_qdc', 'dcterms', 'oai_dc'];
+const BITSTREAM_PATH = /\/(?:bitstreams?|files|download|downloads|documents)\//i;
+// ISO 639-2 codes common in repository records → the two-letter codes used in frontmatter
+const LANG_639_2 = { eng: 'en', fre: 'fr', fra: 'fr', ger: 'de', deu: 'de', spa: 'es', ita: 'it', por: 'pt', dut: 'nl', nld: 'nl',
+  rus: 'ru', ara: 'ar', per: 'fa', fas: 'fa', heb: 'he', jpn: 'ja', chi: 'zh', zho: 'zh', kor: 'ko', pol: 'pl', tur: 'tr' };
+
+const asArray = (v) => v == null ? [] : [v].flat();
+const text = (v) => (typeof v === 'object' && v !== null ? v['#text'] : v)?.toString().trim() || null;
+const texts = (v) => [...new Set(asArray(v).map(text).filter(Boolean))];
+const isUrl = (s) => /^https?:\/\//i.test(s);
+
+/** Two-letter language code from a DC language value (`en`, `en_US`, `eng`), else the lower-cased value. */
+const dcLanguage = (v) => {
+  const t = v?.trim().toLowerCase().replace(/_/g, '-');
+  if (!t) return null;
+  const base = t.split('-')[0];
+  return LANG_639_2[base] ?? (base.length === 2 ? base : t);
+};
+
+/**
+ * Parse an OAI-PMH response. Returns { responseDate, error?: { code, message }, records?, token?, identify?, formats? };
+ * records are { identifier, datestamp, deleted, sets, metadata } with metadata the first element inside <metadata>.
+ */
+export const parseOaiResponse = (xml) => {
+  const root = parser.parse(xml)?.['OAI-PMH'];
+  if (!root) throw new Error('not an OAI-PMH response');
+  const out = { responseDate: text(root.responseDate) };
+  const err = asArray(root.error)[0];
+  if (err) return { ...out, error: { code: err['@_code'] ?? 'unknown', message: text(err) ?? '' } };
+  if (root.Identify) out.identify = { granularity: text(root.Identify.granularity), earliest: text(root.Identify.earliestDatestamp) };
+  if (root.ListMetadataFormats) out.formats = asArray(root.ListMetadataFormats.metadataFormat).map(f => text(f.metadataPrefix)).filter(Boolean);
+  if (root.ListRecords) {
+    out.records = asArray(root.ListRecords.record).map(r => ({
+      identifier: text(r.header?.identifier), datestamp: text(r.header?.datestamp), deleted: r.header?.['@_status'] === 'deleted',
+      sets: texts(r.header?.setSpec), metadata: Object.values(r.metadata ?? {}).find(v => typeof v === 'object') ?? null,
+    })).filter(r => r.identifier);
+    out.token = text(root.ListRecords.resumptionToken) ?? null;
+  }
+  return out;
+};
+
+/**
+ * Dublin Core fields of one record's metadata (simple or qualified, namespace prefixes stripped):
+ * { title, creators, date, language, subjects, description, publisher, type, rights, urls }.
+ */
+export const dcFields = (m) => {
+  if (!m) return null;
+  const first = (...keys) => keys.map(k => texts(m[k])[0]).find(Boolean) ?? null;
+  return {
+    title: first('title'),
+    creators: texts(m.creator).length ? texts(m.creator) : texts(m.contributor),
+    date: first('issued', 'date', 'created', 'available'),
+    language: dcLanguage(first('language')),
+    subjects: texts(m.subject),
+    description: first('abstract', 'description'),
+    publisher: first('publisher'),
+    type: first('type'),
+    rights: first('rights', 'accessRights', 'license'),
+    urls: [...new Set([...texts(m.identifier), ...texts(m.relation), ...texts(m.hasFormat), ...texts(m.source)].filter(isUrl))],
+  };
+};
+
+/** Split a record's URLs into bitstreams (document files) and the landing page (prefer the repository host). */
+const recordUrls = (urls, host) => {
+  const isFile = (u) => { try { const p = new URL(u).pathname; return BITSTREAM_PATH.test(p) || DOC_EXTS.has(extname(p).toLowerCase()); } catch { return false; } };
+  const onHost = (u) => { try { return new URL(u).hostname === host; } catch { return false; } };
+  const pages = urls.filter(u => !isFile(u));
+  return { bitstreams: urls.filter(isFile), landing: pages.find(onHost) ?? pages[0] ?? null };
+};
+
+const oaiRequest = async (client, endpoint, params) => {
+  const url = `${endpoint}?${new URLSearchParams(params)}`;
+  const res = await client.fetch(url, { headers: { Accept: 'text/xml, application/xml' }, signal: AbortSignal.timeout(REQUEST_TIMEOUT_MS) });
+  const body = await res.text();
+  if (!res.ok) throw new Error(`${url}: HTTP ${res.status}`);
+  return parseOaiResponse(body);
+};
+
+/** `from=` value for the repository's granularity (day unless it advertises seconds). */
+const fromStamp = (responseDate, granularity) =>
+  granularity?.includes('hh') ? responseDate.replace(/\.\d+Z$/, 'Z') : responseDate.slice(0, 10);
+
+/**
+ * Harvest ListRecords into oai_records and doc_metadata. After a complete harvest the response date is kept in
+ * site_meta (`oai_pmh:from:<prefix>`) and the next run asks only for records changed since (`from=`). A harvest
+ * stopped by max_requests keeps the old marker and stores its set and resumption token (`oai_pmh:resume:<prefix>`),
+ * so the next run continues from there, or restarts the set if the token has expired. Deleted records drop their
+ * doc_metadata.
+ * Options: { endpoint, metadata_prefix (auto), sets, max_requests (1000) }.
+ * @returns {Promise<{ prefix, harvested, deleted, complete }>}
+ */
+export const harvestOai = async (db, siteConfig, client, options) => {
+  const { endpoint } = options;
+  const identify = (await oaiRequest(client, endpoint, { verb: 'Identify' })).identify ?? {};
+  let prefix = options.metadata_prefix;
+  if (!prefix) {
+    const formats = (await oaiRequest(client, endpoint, { verb: 'ListMetadataFormats' })).formats ?? [];
+    prefix = PREFERRED_PREFIXES.find(p => formats.includes(p)) ?? 'oai_dc';
+  }
+  const markerKey = `oai_pmh:from:${prefix}`;
+  const from = getMeta(db, markerKey);
+  const compiled = compileRules(siteConfig.rules, siteConfig.url);
+  const canon = (u) => { try { return resolveAlias(db, canonicalizeUrl(compiled, u)); } catch { return null; } };
+  const host = new URL(siteConfig.url).hostname;
+  const upsert = db.prepare(`INSERT OR REPLACE INTO oai_records (identifier, datestamp, deleted, metadata_prefix, sets, metadata, landing_url, bitstreams, harvested_at)
+    VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)`);
+  const metaUrls = db.prepare("SELECT url FROM doc_metadata WHERE record_id=? AND source='oai_pmh'");
+  const stats = { prefix, harvested: 0, deleted: 0, complete: true };
+  const store = db.transaction((records, now) => {
+    for (const r of records) {
+      if (r.deleted) {
+        upsert.run(r.identifier, r.datestamp, 1, prefix, JSON.stringify(r.sets), null, null, null, now);
+        for (const { url } of metaUrls.all(r.identifier)) deleteDocMetadata(db, url);
+        stats.deleted++;
+        continue;
+      }
+      const dc = dcFields(r.metadata);
+      if (!dc) continue;
+      const { urls, ...meta } = dc;
+      const { bitstreams, landing } = recordUrls(urls, host);
+      const files = bitstreams.map(canon).filter(Boolean);
+      const page = landing && canon(landing);
+      upsert.run(r.identifier, r.datestamp, 0, prefix, JSON.stringify(r.sets), JSON.stringify(meta), page, JSON.stringify(files), now);
+      const described = [page, ...files].filter(Boolean);
+      for (const { url } of metaUrls.all(r.identifier)) if (!described.includes(url)) deleteDocMetadata(db, url);
+      for (const url of described) {
+        upsertDocMetadata(db, { url, source: 'oai_pmh', record_id: r.identifier, title: meta.title,
+          authors: meta.creators.map(name => ({ name })), date: meta.date, language: meta.language, subjects: meta.subjects, description: meta.description });
+      }
+      stats.harvested++;
+    }
+  });
+  // A harvest stopped by max_requests is continued where it stopped: { set, token, started_at } of the first run
+  const sets = options.sets?.length ? options.sets : [null];
+  const resumeKey = `oai_pmh:resume:${prefix}`;
+  const saved = JSON.parse(getMeta(db, resumeKey) ?? 'null');
+  const resume = saved && sets.includes(saved.set) ? saved : null;
+  let startedAt = resume?.started_at ?? null;
+  let requests = 0;
+  for (const set of resume ? sets.slice(sets.indexOf(resume.set)) : sets) {
+    const listParams = { verb: 'ListRecords', metadataPrefix: prefix, ...(set ? { set } : {}), ...(from ? { from } : {}) };
+    const resumeToken = set === resume?.set ? resume.token : null;
+    let params = resumeToken ? { verb: 'ListRecords', resumptionToken: resumeToken } : listParams;
+    while (params) {
+      if (requests++ >= options.max_requests) {
+        console.warn(`[oai-pmh] ${siteConfig.domain}: stopped after ${options.max_requests} requests, resuming next run`);
+        setMeta(db, resumeKey, JSON.stringify({ set, token: params.resumptionToken ?? null, started_at: startedAt }));
+        stats.complete = false;
+        break;
+      }
+      const resp = await oaiRequest(client, endpoint, params);
+      startedAt ??= resp.responseDate;
+      // Tokens expire; an expired one from the last run restarts its list
+      if (resp.error?.code === 'badResumptionToken' && params.resumptionToken === resumeToken) {
+        console.warn(`[oai-pmh] ${siteConfig.domain}: resumption token expired, restarting ${set ? `set ${set}` : 'the list'}`);
+        params = listParams;
+        continue;
+      }
+      if (resp.error?.code === 'noRecordsMatch') break;
+      if (resp.error) throw new Error(`OAI-PMH ${resp.error.code}: ${resp.error.message}`);
+      store(resp.records ?? [], new Date().toISOString());
+      params = resp.token ? { verb: 'ListRecords', resumptionToken: resp.token } : null;
+    }
+    if (!stats.complete) break;
+  }
+  if (stats.complete) db.prepare('DELETE FROM site_meta WHERE key=?').run(resumeKey);
+  if (stats.complete && startedAt) setMeta(db, markerKey, fromStamp(startedAt, identify.granularity));
+  console.log(`[oai-pmh] ${siteConfig.domain}: ${stats.harvested} records (${prefix}${from ? ` from ${from}` : ''}), ${stats.deleted} deleted`);
+  return stats;
+};
+
+/**
+ * Sitemap-stage entries for `fetch_adapter: oai_pmh`: harvest, then list the landing page and bitstreams of every
+ * live record with the record's datestamp as lastmod and its DC title/date/language.
+ */
+export const discoverOai = async (siteConfig, { db, client, options }) => {
+  await harvestOai(db, siteConfig, client, options);
+  const entries = [];
+  for (const r of db.prepare('SELECT datestamp, metadata, landing_url, bitstreams FROM oai_records WHERE deleted=0').all()) {
+    const meta = JSON.parse(r.metadata ?? '{}');
+    for (const url of [r.landing_url, ...JSON.parse(r.bitstreams ?? '[]')].filter(Boolean)) {
+      entries.push({ url, lastmod: r.datestamp, title: meta.title ?? null, published_at: meta.date ?? null, language: meta.language ?? null });
+    }
+  }
+  return entries;
+};
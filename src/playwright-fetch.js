@@ -1,5 +1,8 @@
-// Playwright browser pool for JS-rendered pages. Exports: createPlaywrightPool, isHtmlShell, isWorthRendering. Deps: playwright (npm dep + `npx playwright install chromium`)
+// Playwright browser pool for JS-rendered pages: N concurrent contexts, resource blocking, per-site page actions and
+// capture of XHR/fetch JSON responses. Exports: createPlaywrightPool, runActions, isHtmlShell, isWorthRendering.
+// Deps: playwright (npm dep + `npx playwright install chromium`), links
 import { chromium } from 'playwright';
+import { jsonLinks } from './links.js';
 
 const SHELL_WORD_THRESHOLD = 100;
 const CONTENT_RATIO_THRESHOLD = 3;
@@ -26,17 +29,95 @@ export const isWorthRendering = (staticHtml, renderedHtml) => {
   return renderedWords > staticWords * CONTENT_RATIO_THRESHOLD && renderedWords > SHELL_WORD_THRESHOLD;
 };
 
+// Requests not worth a render: bulk media, and analytics/ad beacons that also keep `networkidle` from settling
+const DEFAULT_BLOCK_RESOURCES = ['image', 'media', 'font'];
+const DEFAULT_BLOCK_URLS = ['google-analytics\\.com', 'googletagmanager\\.com', 'doubleclick\\.net', 'connect\\.facebook\\.net',
+  'hotjar\\.com', 'matomo\\.js', 'piwik\\.js', 'plausible\\.io', 'segment\\.(?:io|com)', 'clarity\\.ms'];
+const ACTIONS = ['click', 'click_all', 'dismiss', 'scroll', 'wait_for', 'wait_ms'];
+const ACTION_WAIT_MS = 1000;
+
+/** Throws on an action with no known verb, so a typo in websites.yaml is reported instead of silently doing nothing. */
+const checkActions = (actions) => {
+  for (const a of actions) {
+    if (!ACTIONS.some(k => a?.[k] != null)) throw new Error(`playwright action needs one of ${ACTIONS.join(', ')}: ${JSON.stringify(a)}`);
+  }
+  return actions;
+};
+
 /**
- * Create a Playwright browser pool for rendering JS-heavy pages.
- * The pool manages a single browser instance with sequential page renders.
- * @param {object} options
+ * Run the site's page actions (`playwright.actions`) in order on a loaded page; each may be limited to URLs matching `match`:
+ * `{ click: sel, repeat: 20 }` -- click until the element is gone or disabled ("load more"), at most repeat times;
+ * `{ click_all: sel }` -- click every match once (accordions, "show details");
+ * `{ dismiss: sel }` -- click it if present (cookie banners);
+ * `{ scroll: bottom, repeat: 30 }` -- scroll to the bottom until the page stops growing (infinite scroll);
+ * `{ wait_for: sel }`, `{ wait_ms: n }`. Steps wait `wait_ms` (1000) after each click or scroll; a failing step is logged and skipped.
+ * @returns {Promise<number>} steps run
+ */
+export const runActions = async (page, actions, url, { timeout = 5000 } = {}) => {
+  let ran = 0;
+  for (const a of actions) {
+    if (a.match && !new RegExp(a.match).test(url)) continue;
+    const pause = () => page.waitForTimeout(a.wait_ms ?? ACTION_WAIT_MS);
+    try {
+      if (a.click) {
+        for (let i = 0; i < (a.repeat ?? 1); i++) {
+          const el = page.locator(a.click).first();
+          if (!(await el.count()) || !(await el.isVisible()) || !(await el.isEnabled())) break;
+          await el.click({ timeout });
+          await pause();
+        }
+      } else if (a.click_all) {
+        for (const el of await page.locator(a.click_all).all()) await el.click({ timeout }).catch(() => {});
+        await pause();
+      } else if (a.dismiss) {
+        const el = page.locator(a.dismiss).first();
+        if (await el.count()) { await el.click({ timeout }).catch(() => {}); await pause(); }
+      } else if (a.scroll) {
+        let height = await page.evaluate(() => document.body.scrollHeight);
+        for (let i = 0; i < (a.repeat ?? 10); i++) {
+          await page.evaluate(() => window.scrollTo(0, document.body.scrollHeight));
+          await pause();
+          const grown = await page.evaluate(() => document.body.scrollHeight);
+          if (grown <= height) break;
+          height = grown;
+        }
+      } else if (a.wait_for) {
+        await page.waitForSelector(a.wait_for, { timeout: a.timeout_ms ?? timeout });
+      } else if (a.wait_ms) {
+        await page.waitForTimeout(a.wait_ms);
+      }
+      ran++;
+    } catch (err) {
+      console.warn(`[playwright] action ${JSON.stringify(a)} failed on ${url}: ${err.message}`);
+    }
+  }
+  return ran;
+};
+
+/**
+ * Create a Playwright browser pool for rendering JS-heavy pages: one browser, up to `concurrency` pages rendered at
+ * once, each in its own context.
+ * @param {object} options - the site's `playwright:` block
  * @param {string} [options.wait_selector] CSS selector to wait for before extracting HTML
  * @param {number} [options.timeout_ms=20000] Navigation timeout
- * @returns {object} { render(url): Promise<string>, close(): Promise<void> }
+ * @param {number} [options.concurrency=1] Renders (browser contexts) in parallel
+ * @param {string[]} [options.block_resources] Resource types aborted (default image, media, font; [] = none)
+ * @param {string[]} [options.block_urls] URL regexes aborted (default: common analytics/ad hosts)
+ * @param {object[]} [options.actions] Page actions run after load (see runActions)
+ * @param {boolean|object} [options.capture_json] Collect links from XHR/fetch JSON responses: true or { url_pattern, max_responses (50), max_bytes (2 MB) }
+ * @param {object} [options.context] Playwright browser context options (proxy, extraHTTPHeaders; see http-client.js)
+ * @returns {object} { render(url, { cookies, snapshot }): Promise<{ html, links, snapshot? }>, login(opts): Promise<{ cookies, url, html }>, close(): Promise<void> }
  */
 export const createPlaywrightPool = async (options = {}) => {
   const timeout = options.timeout_ms ?? 20000;
   const waitSelector = options.wait_selector ?? null;
+  const contextOptions = options.context ?? {};
+  const concurrency = Math.max(1, options.concurrency ?? 1);
+  const blockTypes = new Set(options.block_resources ?? DEFAULT_BLOCK_RESOURCES);
+  const blockUrls = (options.block_urls ?? DEFAULT_BLOCK_URLS).map(p => new RegExp(p, 'i'));
+  const actions = checkActions(options.actions ?? []);
+  const capture = options.capture_json ? { max_responses: 50, max_bytes: 2 * 1024 * 1024, ...(options.capture_json === true ? {} : options.capture_json) } : null;
+  const capturePattern = capture?.url_pattern ? new RegExp(capture.url_pattern) : null;
   let browser;
 
   try {
@@ -46,18 +127,77 @@ export const createPlaywrightPool = async (options = {}) => {
     return null;
   }
 
+  let active = 0;
+  const waiting = [];
+  /** Run fn in a fresh context once one of the `concurrency` slots is free. */
+  const withContext = async (fn) => {
+    if (active < concurrency) active++;
+    else await new Promise(r => waiting.push(r));
+    const context = await browser.newContext(contextOptions).catch(err => { release(); throw err; });
+    try {
+      return await fn(context);
+    } finally {
+      await context.close().catch(() => {});
+      release();
+    }
+  };
+  const release = () => { const next = waiting.shift(); if (next) next(); else active--; };
+  const blocked = (request, keepMedia) => (!keepMedia && blockTypes.has(request.resourceType())) || blockUrls.some(re => re.test(request.url()));
+
   return {
-    async render(url) {
-      const page = await browser.newPage();
-      try {
-        await page.goto(url, { waitUntil: 'networkidle', timeout });
+    /**
+     * Rendered HTML of url after the site's actions; cookies (Playwright shape, e.g. from the auth cookie jar) are set on
+     * the context first. links: URLs found in captured JSON responses (empty unless capture_json).
+     * snapshot ({ screenshot, pdf, pdfFormat }, snapshots.js) also returns a full-page PNG and a print-to-PDF of the
+     * final state; images and fonts are then loaded, so the capture looks like the page.
+     */
+    async render(url, { cookies = [], snapshot = null } = {}) {
+      return withContext(async (context) => {
+        if (cookies.length) await context.addCookies(cookies);
+        if (blockTypes.size || blockUrls.length) await context.route('**/*', route => blocked(route.request(), !!snapshot) ? route.abort() : route.continue());
+        const page = await context.newPage();
+        const links = new Set(), reads = [];
+        let captured = 0;
+        if (capture) {
+          page.on('response', (res) => {
+            const type = res.request().resourceType();
+            if ((type !== 'xhr' && type !== 'fetch') || !/json/i.test(res.headers()['content-type'] ?? '')) return;
+            if (capturePattern && !capturePattern.test(res.url())) return;
+            if (captured++ >= capture.max_responses || Number(res.headers()['content-length'] ?? 0) > capture.max_bytes) return;
+            reads.push(res.body().then(body => {
+              if (body.length > capture.max_bytes) return;
+              for (const link of jsonLinks(JSON.parse(body.toString('utf8')), res.url())) links.add(link);
+            }).catch(() => {}));
+          });
+        }
+        await page.goto(url, { waitUntil: options.wait_until ?? 'networkidle', timeout });
         if (waitSelector) {
           await page.waitForSelector(waitSelector, { timeout: 5000 }).catch(() => {});
         }
-        return await page.content();
-      } finally {
-        await page.close();
-      }
+        if (actions.length) await runActions(page, actions, url);
+        const html = await page.content();
+        await Promise.all(reads);
+        if (!snapshot) return { html, links: [...links] };
+        const shots = {};
+        if (snapshot.screenshot) shots.screenshot = await page.screenshot({ fullPage: true, type: 'png' }).catch(() => null);
+        if (snapshot.pdf) shots.pdf = await page.pdf({ format: snapshot.pdfFormat ?? 'A4', printBackground: true }).catch(() => null);
+        return { html, links: [...links], snapshot: shots };
+      });
+    },
+    /**
+     * Scripted login: open url, fill each [selector, value] of fields, click submitSelector and wait for the result.
+     * @returns {Promise<{ cookies: object[], url: string, html: string }>} the context's cookies and where the form landed
+     */
+    async login({ url, fields, submitSelector, cookies = [] }) {
+      return withContext(async (context) => {
+        if (cookies.length) await context.addCookies(cookies);
+        const page = await context.newPage();
+        await page.goto(url, { waitUntil: 'networkidle', timeout });
+        for (const [selector, value] of fields) await page.locator(selector).first().fill(value);
+        await page.locator(submitSelector).first().click();
+        await page.waitForLoadState('networkidle', { timeout }).catch(() => {});
+        return { cookies: await context.cookies(), url: page.url(), html: await page.content() };
+      });
     },
     async close() {
       await browser.close().catch(() => {});
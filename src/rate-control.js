@@ -0,0 +1,86 @@
+// Adaptive per-host politeness -- spaces request starts per host, backs off on 429/503, ramps back up when healthy.
+// Exports: parseRetryAfter, createRateController, isThrottleStatus. Deps: none
+const DEFAULTS = {
+  min_backoff_ms: 1000,       // first backoff step when the base delay is tiny
+  backoff_factor: 2,
+  max_delay_ms: 60000,
+  ramp_after: 20,             // consecutive healthy responses before speeding up again
+  ramp_factor: 0.8,
+  block_after: 6,             // consecutive 429/503 from one host → host is blocking us
+  max_retry_after_ms: 600000, // a longer Retry-After is treated as a block, not a wait
+};
+
+/** True for statuses that mean "slow down" rather than "this URL is broken". */
+export const isThrottleStatus = (status) => status === 429 || status === 503;
+
+/** Parse a Retry-After header (delta-seconds or HTTP-date) to ms from now. Returns null if absent/invalid. */
+export const parseRetryAfter = (value, now = Date.now()) => {
+  if (value == null || value === '') return null;
+  const s = String(value).trim();
+  if (/^\d+$/.test(s)) return parseInt(s, 10) * 1000;
+  const at = Date.parse(s);
+  return Number.isNaN(at) ? null : Math.max(0, at - now);
+};
+
+/**
+ * Per-host rate controller. One instance per mirror run.
+ * @param {object} policy - siteConfig.politeness overrides (see DEFAULTS)
+ * @param {number} baseDelayMs - healthy delay between request starts (request_delay_ms / Crawl-delay)
+ */
+export const createRateController = (policy = {}, baseDelayMs = 0) => {
+  const p = { ...DEFAULTS, ...policy };
+  const hosts = new Map();
+  let blocked = null;
+  const hostState = (host) => {
+    if (!hosts.has(host)) hosts.set(host, { base: baseDelayMs, delay: baseDelayMs, nextAt: 0, throttled: 0, healthy: 0, throttledTotal: 0 });
+    return hosts.get(host);
+  };
+  return {
+    /** Reserve the next request slot for host and sleep until it opens. */
+    async wait(host) {
+      const s = hostState(host);
+      const now = Date.now();
+      const at = Math.max(now, s.nextAt);
+      s.nextAt = at + s.delay;
+      if (at > now) await new Promise(r => setTimeout(r, at - now));
+    },
+    /** ms until host's next request slot opens; 0 when a request may start now. */
+    readyIn: (host) => Math.max(0, hostState(host).nextAt - Date.now()),
+    /** Raise a host's healthy delay floor (e.g. its own robots Crawl-delay). Never lowers it. */
+    setBaseDelay(host, ms) {
+      const s = hostState(host);
+      if (ms > s.base) { s.base = ms; s.delay = Math.max(s.delay, ms); }
+    },
+    /** Feed a response back: throttles widen the host's delay (honoring Retry-After); healthy streaks narrow it. */
+    record(host, status, retryAfterMs = null) {
+      const s = hostState(host);
+      const now = Date.now();
+      if (isThrottleStatus(status)) {
+        s.throttled++; s.throttledTotal++; s.healthy = 0;
+        s.delay = Math.min(p.max_delay_ms, Math.max(s.delay, p.min_backoff_ms) * p.backoff_factor);
+        s.nextAt = Math.max(s.nextAt, now + Math.max(s.delay, retryAfterMs ?? 0));
+        if (retryAfterMs != null && retryAfterMs > p.max_retry_after_ms) {
+          blocked ??= { host, reason: `Retry-After ${Math.round(retryAfterMs / 1000)}s`, retryAfterMs };
+        } else if (s.throttled >= p.block_after) {
+          blocked ??= { host, reason: `${s.throttled} consecutive ${status} responses` };
+        }
+        return;
+      }
+      s.throttled = 0;
+      if (++s.healthy >= p.ramp_after && s.delay > s.base) {
+        s.delay = Math.max(s.base, Math.round(s.delay * p.ramp_factor));
+        s.healthy = 0;
+      }
+    },
+    /** { host, reason, retryAfterMs? } once any host looks like it is blocking us, else null. */
+    blocked: () => blocked,
+    /** Current effective rate per host: { [host]: { delay_ms, per_min, throttled } }. */
+    snapshot() {
+      const out = {};
+      for (const [host, s] of hosts) {
+        out[host] = { delay_ms: s.delay, per_min: s.delay > 0 ? Math.round(60000 / s.delay) : null, throttled: s.throttledTotal };
+      }
+      return out;
+    },
+  };
+};
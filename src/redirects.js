@@ -0,0 +1,84 @@
+// HTTP redirect chains -- follows Location hops manually so every hop is seen, records them in the redirects table,
+// and exports old → final URL mappings so search indexes can keep old links resolvable.
+// Exports: REDIRECT_STATUSES, fetchFollowing, recordRedirects, redirectsTo, writeRedirectsExport. Deps: undici, config
+import { fetch } from 'undici';
+import { writeFileSync, mkdirSync } from 'fs';
+import { join } from 'path';
+import { mdDir } from './config.js';
+
+export const REDIRECT_STATUSES = new Set([301, 302, 303, 307, 308]);
+const MAX_REDIRECTS = 10;
+// Credentials are only sent to the origin they were configured for
+const ORIGIN_BOUND_HEADERS = ['authorization', 'cookie', 'proxy-authorization'];
+// Validators describe the representation of the requested URL, not of the redirect target
+const CONDITIONAL_HEADERS = ['if-none-match', 'if-modified-since'];
+const dropHeaders = (headers, names) => Object.fromEntries(Object.entries(headers).filter(([k]) => !names.includes(k.toLowerCase())));
+
+/**
+ * fetch() with `redirect: 'manual'`, following up to maxRedirects hops itself.
+ * A loop or too many hops returns the last 3xx response as is. A POST answered with 303 (or 301/302) continues as a GET.
+ * With a cookie jar (auth.js), each hop sends the jar's cookies for its URL and stores the Set-Cookie headers it gets.
+ * With a site HTTP client (http-client.js), hops go through its dispatcher and its secret headers stay on the origin.
+ * @returns {Promise<{ res, url: string, hops: Array<{ url, status, location, to, at }> }>} url = the URL res came from
+ */
+export const fetchFollowing = async (url, init = {}, { maxRedirects = MAX_REDIRECTS, jar = null, client = null } = {}) => {
+  const hops = [];
+  const dispatcher = client?.dispatcher;
+  const originBound = [...ORIGIN_BOUND_HEADERS, ...(client?.originBound ?? [])];
+  let cur = url, headers = init.headers ?? {}, method = init.method, body = init.body;
+  for (;;) {
+    const cookie = jar?.header(cur);
+    const res = await fetch(cur, { ...init, method, body, headers: cookie ? { ...headers, Cookie: cookie } : headers, redirect: 'manual',
+      ...(dispatcher ? { dispatcher } : {}) });
+    jar?.store(cur, res);
+    const location = REDIRECT_STATUSES.has(res.status) ? res.headers.get('location') : null;
+    if (!location || hops.length >= maxRedirects) return { res, url: cur, hops };
+    let to;
+    try { to = new URL(location, cur).toString(); } catch { return { res, url: cur, hops }; }
+    if (to === cur || hops.some(h => h.url === to)) return { res, url: cur, hops };
+    hops.push({ url: cur, status: res.status, location, to, at: new Date().toISOString() });
+    await res.body?.cancel?.().catch(() => {});
+    headers = dropHeaders(headers, new URL(to).origin === new URL(cur).origin ? CONDITIONAL_HEADERS : [...CONDITIONAL_HEADERS, ...originBound]);
+    if (res.status === 303 || (method === 'POST' && (res.status === 301 || res.status === 302))) {
+      method = method === 'HEAD' ? 'HEAD' : 'GET';
+      body = undefined;
+      headers = dropHeaders(headers, ['content-type', 'content-length']);
+    }
+    cur = to;
+  }
+};
+
+/** Replace the stored chain for url (the URL the fetch started from) with hops; [] clears it. */
+export const recordRedirects = (db, url, hops) => db.transaction(() => {
+  db.prepare('DELETE FROM redirects WHERE url=?').run(url);
+  const ins = db.prepare('INSERT INTO redirects (url, hop, from_url, status, location, to_url, seen_at) VALUES (?, ?, ?, ?, ?, ?, ?)');
+  hops.forEach((h, i) => ins.run(url, i, h.url, h.status, h.location, h.to, h.at));
+})();
+
+/** URLs that HTTP-redirect (possibly via other aliases) to url, oldest alias first. */
+export const redirectsTo = (db, url) => db.prepare(`WITH RECURSIVE chain(u, depth) AS (
+    SELECT alias_url, 1 FROM aliases WHERE canonical_url=? AND source='redirect'
+    UNION SELECT a.alias_url, c.depth + 1 FROM aliases a JOIN chain c ON a.canonical_url=c.u WHERE a.source='redirect' AND c.depth < 5)
+  SELECT DISTINCT u FROM chain WHERE u != ? ORDER BY u`).all(url, url).map(r => r.u);
+
+/**
+ * Write `_redirects.json` to the site's Markdown dir: [{ from, to, status, md_path }] for every URL recorded as an
+ * HTTP redirect alias, `to` being the final URL after all hops and md_path its export (null if not exported).
+ * @returns {number} mappings written
+ */
+export const writeRedirectsExport = (db, domain) => {
+  // status: the latest hop seen leaving the URL, whichever chain it was recorded in
+  const rows = db.prepare(`SELECT a.alias_url AS "from", a.canonical_url AS direct,
+      (SELECT status FROM redirects WHERE from_url=a.alias_url ORDER BY seen_at DESC LIMIT 1) AS status
+    FROM aliases a WHERE a.source='redirect' ORDER BY a.alias_url`).all();
+  const next = db.prepare("SELECT canonical_url FROM aliases WHERE alias_url=? AND source='redirect'");
+  const mdPath = db.prepare("SELECT md_path FROM exports WHERE url=? AND status='ok'");
+  const mappings = rows.map(({ from, direct, status }) => {
+    let to = direct;
+    for (let i = 0, n; i < 5 && (n = next.get(to)?.canonical_url) && n !== from; i++) to = n;
+    return { from, to, status: status ?? null, md_path: mdPath.get(to)?.md_path ?? null };
+  });
+  mkdirSync(mdDir(domain), { recursive: true });
+  writeFileSync(join(mdDir(domain), '_redirects.json'), JSON.stringify(mappings, null, 2));
+  return mappings.length;
+};
@@ -2,6 +2,7 @@
 import { unlinkSync, existsSync } from 'fs';
 import { S3Client, DeleteObjectCommand } from '@aws-sdk/client-s3';
 import { getMeta, setMeta } from './db.js';
+import { deleteSnapshots } from './snapshots.js';
 /** Build S3 client from archive config. */
 const mkS3Client = (archiveCfg) => new S3Client({
   region: archiveCfg?.s3_region || 'us-east-1',
@@ -80,6 +81,7 @@ export const runRetain = async (db, siteConfig, domain) => {
     // Delete corresponding MD export
     const exp = db.prepare('SELECT md_path FROM exports WHERE url=?').get(page.url);
     if (exp?.md_path) safeDelete(exp.md_path);
+    deleteSnapshots(db, page.url);
     // Delete S3 object (creates delete marker; versioning preserves history)
     if (s3 && page.backup_url) {
       const urlPath = new URL(page.url).pathname;
@@ -0,0 +1,156 @@
+// robots.txt per RFC 9309 -- group merging, most-specific user-agent, longest-match Allow/Disallow, * and $ patterns.
+// Exports: parseRobotsTxt, selectGroup, isPathAllowed, robotsPolicy, createRobotsCache. Deps: undici
+import { fetch } from 'undici';
+
+const CACHE_TTL_MS = 24 * 3600000;  // RFC 9309 §2.4: don't use a cached copy for more than 24h
+const MAX_BYTES = 500 * 1024;       // §2.5: parse at least the first 500 KiB
+const FETCH_TIMEOUT_MS = 5000;
+const META_PREFIX = 'robots:';
+
+/**
+ * Parse robots.txt into groups. Consecutive user-agent lines open one group; groups naming the same agent
+ * are merged at selection time. Sitemap lines are global.
+ * @returns {{ groups: { agents: string[], rules: { allow: boolean, pattern: string }[], crawlDelay: number|null }[], sitemaps: string[] }}
+ */
+export const parseRobotsTxt = (text) => {
+  const groups = [];
+  const sitemaps = [];
+  let group = null;
+  let lastWasAgent = false;
+  for (const raw of (text || '').slice(0, MAX_BYTES).split(/\r\n|\r|\n/)) {
+    const line = raw.replace(/#.*$/, '').trim();
+    const m = line.match(/^([A-Za-z-]+)\s*:\s*(.*)$/);
+    if (!m) continue;
+    const key = m[1].toLowerCase();
+    const value = m[2].trim();
+    if (key === 'user-agent') {
+      if (!lastWasAgent) { group = { agents: [], rules: [], crawlDelay: null }; groups.push(group); }
+      group.agents.push(value.toLowerCase());
+      lastWasAgent = true;
+      continue;
+    }
+    lastWasAgent = false;
+    if (key === 'sitemap') { if (value) sitemaps.push(value); continue; }
+    if (!group) continue; // rules before any user-agent line belong to no group
+    if (key === 'allow' || key === 'disallow') {
+      if (value) group.rules.push({ allow: key === 'allow', pattern: value });
+    } else if (key === 'crawl-delay') {
+      const n = parseFloat(value);
+      if (n > 0) group.crawlDelay = Math.max(group.crawlDelay ?? 0, n);
+    }
+  }
+  return { groups, sitemaps };
+};
+
+/** Product tokens we answer to: the UA's leading token plus our crawler name. */
+const productTokens = (ua) => {
+  const first = (ua || '').trim().split(/[\s/]/)[0].toLowerCase();
+  return new Set([first, 'site2rag'].filter(Boolean));
+};
+
+/**
+ * Select the rules that apply to ua: every group naming one of our product tokens (merged), else every `*` group
+ * (merged), else none. Returns { rules, crawlDelay }.
+ */
+export const selectGroup = (parsed, ua) => {
+  const tokens = productTokens(ua);
+  let matched = parsed.groups.filter(g => g.agents.some(a => tokens.has(a)));
+  if (!matched.length) matched = parsed.groups.filter(g => g.agents.includes('*'));
+  const delays = matched.map(g => g.crawlDelay).filter(d => d != null);
+  return { rules: matched.flatMap(g => g.rules), crawlDelay: delays.length ? Math.max(...delays) : null };
+};
+
+/** Percent-encode non-ASCII and upper-case existing escapes so patterns and paths compare octet-for-octet. */
+const normalizeOctets = (s) => s
+  .replace(/%[0-9a-fA-F]{2}/g, m => m.toUpperCase())
+  .replace(/[^\x00-\x7F]+/g, c => encodeURIComponent(c));
+
+const patternCache = new Map();
+/** Compile a robots pattern: `*` matches any run of characters, a trailing `$` anchors the end. */
+const compilePattern = (pattern) => {
+  if (!patternCache.has(pattern)) {
+    const anchored = pattern.endsWith('$');
+    const body = normalizeOctets(anchored ? pattern.slice(0, -1) : pattern)
+      .split('*').map(part => part.replace(/[.+?^${}()|[\]\\]/g, '\\$&')).join('.*');
+    patternCache.set(pattern, new RegExp(`^${body}${anchored ? '$' : ''}`));
+  }
+  return patternCache.get(pattern);
+};
+
+/**
+ * Longest match wins between Allow and Disallow (measured in pattern octets); on a tie Allow wins.
+ * @param {object[]} rules - from selectGroup
+ * @param {string} pathAndQuery - e.g. '/a/b?c=1'
+ */
+export const isPathAllowed = (rules, pathAndQuery) => {
+  if (pathAndQuery === '/robots.txt') return true;
+  const target = normalizeOctets(pathAndQuery || '/');
+  let best = null;
+  for (const rule of rules) {
+    if (!compilePattern(rule.pattern).test(target)) continue;
+    const len = normalizeOctets(rule.pattern).length;
+    if (!best || len > best.len || (len === best.len && rule.allow && !best.allow)) best = { len, allow: rule.allow };
+  }
+  return best ? best.allow : true;
+};
+
+/**
+ * Build an origin policy from a fetch outcome (RFC 9309 §2.3.1): 2xx → parsed rules; 4xx → allow everything;
+ * 5xx / network failure → disallow everything.
+ * @returns {{ allowed: (url: string) => boolean, crawlDelayMs: number, sitemaps: string[], status: number }}
+ */
+export const robotsPolicy = (status, text, ua) => {
+  if (status >= 200 && status < 300) {
+    const parsed = parseRobotsTxt(text);
+    const { rules, crawlDelay } = selectGroup(parsed, ua);
+    return { status, allowed: (url) => { const u = new URL(url); return isPathAllowed(rules, u.pathname + u.search); }, crawlDelayMs: (crawlDelay ?? 0) * 1000, sitemaps: parsed.sitemaps };
+  }
+  const unavailable = status >= 400 && status < 500;
+  return { status, allowed: (url) => unavailable || new URL(url).pathname === '/robots.txt', crawlDelayMs: 0, sitemaps: [] };
+};
+
+/**
+ * Per-origin robots cache for one run. Fetched copies persist in site_meta (`robots:<origin>`) with their fetch
+ * time and are reused until ttlMs; when an origin is unreachable a stale cached copy beats "disallow all".
+ * client: the site's HTTP client (http-client.js), for its headers and proxy.
+ */
+export const createRobotsCache = (db, ua, { ttlMs = CACHE_TTL_MS, client = null } = {}) => {
+  const policies = new Map();
+  const getMeta = db.prepare('SELECT value FROM site_meta WHERE key=?');
+  const setMeta = db.prepare('INSERT OR REPLACE INTO site_meta (key, value) VALUES (?, ?)');
+  const readCached = (origin) => {
+    try { return JSON.parse(getMeta.get(META_PREFIX + origin)?.value ?? 'null'); } catch { return null; }
+  };
+  const load = async (origin) => {
+    const cached = readCached(origin);
+    if (cached && Date.now() - new Date(cached.fetched_at).getTime() < ttlMs) return robotsPolicy(cached.status, cached.text, ua);
+    let status = 0, text = '';
+    try {
+      const res = await (client?.fetch ?? fetch)(`${origin}/robots.txt`, { headers: { 'User-Agent': ua }, signal: AbortSignal.timeout(FETCH_TIMEOUT_MS), redirect: 'follow' });
+      status = res.status;
+      if (res.ok) text = await res.text();
+    } catch {}
+    const unreachable = status === 0 || status >= 500;
+    if (unreachable && cached) {
+      console.warn(`[robots] ${origin}/robots.txt unreachable (${status || 'network error'}) — using cached copy from ${cached.fetched_at}`);
+      return robotsPolicy(cached.status, cached.text, ua);
+    }
+    if (unreachable) console.warn(`[robots] ${origin}/robots.txt unreachable (${status || 'network error'}) — treating origin as disallowed`);
+    else setMeta.run(META_PREFIX + origin, JSON.stringify({ fetched_at: new Date().toISOString(), status, text }));
+    return robotsPolicy(status, text, ua);
+  };
+  /** Policy for an origin, fetched at most once per run. */
+  const forOrigin = (origin) => {
+    if (!policies.has(origin)) policies.set(origin, load(origin));
+    return policies.get(origin);
+  };
+  return {
+    forOrigin,
+    /** True if robots for url's origin allows our UA to fetch it. Unparseable URLs are refused. */
+    async isAllowed(url) {
+      let u;
+      try { u = new URL(url); } catch { return false; }
+      return (await forOrigin(u.origin)).allowed(url);
+    },
+  };
+};
@@ -1,14 +1,16 @@
 // Rules engine -- compiles and applies per-site rules block. Pure data; deterministic.
-/** Compile a rules block from site config into pre-compiled RegExp patterns. */
-export const compileRules = (rules = {}) => ({
+import { compileCanonical } from './canonical.js';
+/** Compile a rules block from site config into pre-compiled RegExp patterns. seedUrl anchors canonical scheme/www. */
+export const compileRules = (rules = {}, seedUrl = null) => ({
   content_selector: rules.content_selector || null,
   exclude_selectors: rules.exclude_selectors || [],
   title_selector: rules.title_selector || null,
   date_selector: rules.date_selector || null,
   classify_overrides: (rules.classify_overrides || []).map(o => ({ pattern: new RegExp(o.pattern), role: o.role })),
   ocr_overrides: (rules.ocr_overrides || []).map(o => ({ pattern: new RegExp(o.pattern), config: o })),
-  follow_overrides: (rules.follow_overrides || []).map(o => ({ pattern: new RegExp(o.pattern), follow: o.follow })),
+  follow_overrides: (rules.follow_overrides || []).map(o => ({ pattern: new RegExp(o.pattern), follow: o.follow, kinds: o.kinds || null })),
   canonical_strip_query: rules.canonical_strip_query || [],
+  canonical: compileCanonical(rules.canonical, seedUrl, rules.canonical_strip_query || []),
   prefer_format: rules.prefer_format || null,
 });
 /** Apply classify_overrides to URL. Returns role string or null. */
@@ -16,9 +18,9 @@ export const applyClassifyOverride = (compiled, url) => {
   const match = compiled.classify_overrides.find(o => o.pattern.test(url));
   return match ? match.role : null;
 };
-/** Apply follow_overrides to URL. Returns boolean or null (no override). */
-export const applyFollowOverride = (compiled, url) => {
-  const match = compiled.follow_overrides.find(o => o.pattern.test(url));
+/** Apply follow_overrides to URL. An override with `kinds` only matches links of those source kinds. Returns boolean or null (no override). */
+export const applyFollowOverride = (compiled, url, kind = null) => {
+  const match = compiled.follow_overrides.find(o => o.pattern.test(url) && (!o.kinds || o.kinds.includes(kind)));
   return match ? match.follow : null;
 };
 /** Apply ocr_overrides to URL. Returns override config object or null. */
@@ -0,0 +1,50 @@
+// Adaptive per-URL recrawl scheduling -- expected change interval from page_changes history, sitemap hints and page role.
+// Exports: CHANGEFREQ_DAYS, estimateIntervalDays, scheduleNextCheck, dueCutoff. Deps: none (db handle passed in)
+
+const DAY_MS = 86400000;
+const HISTORY_LIMIT = 20;     // newest change events used for the estimate
+const DUE_SLACK_MS = 3600000; // pages due within the hour are fetched this run rather than waiting a whole site cycle
+
+/** Sitemap <changefreq> as a nominal interval in days. */
+export const CHANGEFREQ_DAYS = { always: 1 / 24, hourly: 1 / 24, daily: 1, weekly: 7, monthly: 30, yearly: 365, never: 3650 };
+// Listings pick up new links sooner; redirect stubs almost never change. Override with recrawl.role_factors.
+const ROLE_FACTORS = { index: 0.5, host_page: 1, content: 1, redirect: 2 };
+
+/**
+ * Expected days until the page next changes, clamped to [recrawl.min_days (1), recrawl.max_days (90)].
+ * Observed rate: n changes over the watched window → window / (n + 1), so an unchanged page backs off as it ages.
+ * With fewer than 3 observed changes a sitemap changefreq pulls the estimate toward it (geometric mean);
+ * sitemap priority scales it (1.0 → ×0.5, 0.0 → ×1.5); page role applies a factor.
+ * @param {{ changes: string[], observedSince: string|null, lastmod?: string|null, changefreq?: string|null, priority?: number|null, role?: string|null, now?: number }} p
+ *   changes: ISO times of observed content changes, newest first
+ */
+export const estimateIntervalDays = ({ changes, observedSince, lastmod = null, changefreq = null, priority = null, role = null, now = Date.now() }, cfg = {}) => {
+  const minDays = cfg.min_days ?? 1, maxDays = cfg.max_days ?? 90;
+  // Watched since first fetch, or earlier when the sitemap says the page last changed before that
+  const starts = [observedSince, lastmod].map(t => t ? Date.parse(t) : NaN).filter(Number.isFinite);
+  const windowStart = changes.length >= HISTORY_LIMIT ? Date.parse(changes.at(-1)) : Math.min(now, ...starts);
+  let days = Math.max(minDays, (now - windowStart) / DAY_MS / (changes.length + 1));
+  const hint = CHANGEFREQ_DAYS[String(changefreq ?? '').toLowerCase()];
+  if (hint && changes.length < 3) days = Math.sqrt(days * Math.max(hint, minDays));
+  const p = Number(priority);
+  if (priority != null && Number.isFinite(p)) days *= 1.5 - Math.min(Math.max(p, 0), 1);
+  days *= { ...ROLE_FACTORS, ...cfg.role_factors }[role] ?? 1;
+  return Math.min(Math.max(days, minDays), maxDays);
+};
+
+/** Recompute and store pages.next_check_at / recheck_days for url after a fetch. Returns the next check time (ISO) or null. */
+export const scheduleNextCheck = (db, url, cfg = {}, now = Date.now()) => {
+  const page = db.prepare('SELECT first_seen_at, page_role FROM pages WHERE url=?').get(url);
+  if (!page) return null;
+  const sm = db.prepare('SELECT lastmod, changefreq, priority FROM sitemaps WHERE url=? AND removed=0').get(url) ?? {};
+  const changes = db.prepare("SELECT changed_at FROM page_changes WHERE url=? AND kind='changed' ORDER BY changed_at DESC LIMIT ?")
+    .all(url, HISTORY_LIMIT).map(r => r.changed_at);
+  const days = estimateIntervalDays({ changes, observedSince: page.first_seen_at, lastmod: sm.lastmod, changefreq: sm.changefreq,
+    priority: sm.priority, role: page.page_role, now }, cfg);
+  const next = new Date(now + days * DAY_MS).toISOString();
+  db.prepare('UPDATE pages SET next_check_at=?, recheck_days=? WHERE url=?').run(next, days, url);
+  return next;
+};
+
+/** Pages with next_check_at before this are due for a recheck now. */
+export const dueCutoff = (now = Date.now()) => new Date(now + DUE_SLACK_MS).toISOString();
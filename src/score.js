@@ -4,6 +4,7 @@
 import pdfParse from 'pdf-parse';                                                  // text extraction from PDF
 import { readFileSync, existsSync } from 'fs';
 import { detectLanguage, detectLanguageFromUrl, LANG_COST, LANG_PRIORITY, LANG_WORDS } from './language.js'; // lang detection + cost tables
+import { resniffPage } from './sniff.js';                                             // real type of the stored file
 export { detectLanguage, LANG_COST, LANG_PRIORITY };
 // Common English function words for word quality estimation (baseline when lang unknown)
 const COMMON_WORDS = new Set(['the','of','and','to','a','in','is','it','you','that','he','was','for','on','are','as','with','his','they','at','be','this','from','or','had','by','not','but','have','an','were','we','their','one','all','would','there','what','so','up','out','if','about','who','get','which','go','me','when','make','can','like','time','no','just','him','know','take','into','year','your','good','some','could','them','see','other','than','then','now','look','only','come','its','over','think','also','back','after','use','two','how','our','first','well','way','even','new','want','because','any','these','give','day','most','us']);
@@ -295,16 +296,10 @@ export const saveQualityScore = (db, url, contentHash, metrics) => {
 /** Queue a PDF for upgrade if below score threshold. Text-layer PDFs are top priority (fast pipeline pass). */
 export const maybeQueue = (db, url, contentHash, score, threshold = 0.7, language = null, hasTextLayer = null) => {
   if (score >= threshold) return false;
-  const localPath = db.prepare('SELECT local_path FROM pages WHERE url=?').get(url)?.local_path;
-  if (!localPath || !existsSync(localPath)) return false;
-  // Reject non-PDF files (HTML error pages saved as .pdf, empty stubs, etc.)
-  try {
-    const header = readFileSync(localPath).slice(0, 5).toString('ascii');
-    if (header !== '%PDF-') {
-      db.prepare("UPDATE pages SET gone=1 WHERE url=?").run(url);
-      return false;
-    }
-  } catch { return false; }
+  const page = db.prepare('SELECT url, local_path, mime_type, declared_mime FROM pages WHERE url=?').get(url);
+  if (!page?.local_path || !existsSync(page.local_path)) return false;
+  // Reject non-PDF files (HTML error pages saved as .pdf, empty stubs, etc.) -- recorded as a soft error, not gone
+  if (resniffPage(db, page)?.mimeType !== 'application/pdf') return false;
   const existing = db.prepare('SELECT status FROM pdf_upgrade_queue WHERE url=?').get(url);
   if (existing && existing.status !== 'pending') return false; // already processed or in progress
   // Prefer the DB-stored language (corrected by detectLanguageForImagePdfs) over the
@@ -0,0 +1,131 @@
+// Near-duplicate detection -- 64-bit SimHash over cleaned page text, LSH band buckets + union-find clusters.
+// Exports: simhash, hammingDistance, clusterDuplicates. Deps: none (db passed in)
+const MIN_WORDS = 50;  // shorter texts fingerprint as '' (too little signal; stubs would all collide)
+const SHINGLE = 3;
+
+/** FNV-1a 32-bit. */
+const fnv32 = (s) => {
+  let h = 0x811c9dc5;
+  for (let i = 0; i < s.length; i++) { h ^= s.charCodeAt(i); h = Math.imul(h, 16777619); }
+  return h >>> 0;
+};
+/** murmur3 finalizer -- derives the low 32 bits from the high ones. */
+const fmix32 = (h) => {
+  h ^= h >>> 16; h = Math.imul(h, 0x85ebca6b);
+  h ^= h >>> 13; h = Math.imul(h, 0xc2b2ae35);
+  return (h ^ (h >>> 16)) >>> 0;
+};
+const popcount32 = (n) => {
+  n -= (n >>> 1) & 0x55555555;
+  n = (n & 0x33333333) + ((n >>> 2) & 0x33333333);
+  return (Math.imul((n + (n >>> 4)) & 0x0f0f0f0f, 0x01010101) >>> 24);
+};
+
+/**
+ * 64-bit SimHash of text over word 3-shingles, as 16 hex chars.
+ * @returns {string} '' when the text has fewer than MIN_WORDS words
+ */
+export const simhash = (text) => {
+  const words = (text || '').toLowerCase().match(/[\p{L}\p{N}]+/gu) || [];
+  if (words.length < MIN_WORDS) return '';
+  const v = new Int32Array(64);
+  for (let i = 0; i + SHINGLE <= words.length; i++) {
+    const hi = fnv32(words.slice(i, i + SHINGLE).join(' '));
+    const lo = fmix32(hi ^ 0x9e3779b9);
+    for (let b = 0; b < 32; b++) {
+      v[b] += (hi >>> (31 - b)) & 1 ? 1 : -1;
+      v[32 + b] += (lo >>> (31 - b)) & 1 ? 1 : -1;
+    }
+  }
+  let hi = 0, lo = 0;
+  for (let b = 0; b < 32; b++) {
+    if (v[b] > 0) hi |= 1 << (31 - b);
+    if (v[32 + b] > 0) lo |= 1 << (31 - b);
+  }
+  return (hi >>> 0).toString(16).padStart(8, '0') + (lo >>> 0).toString(16).padStart(8, '0');
+};
+
+const halves = (h) => [parseInt(h.slice(0, 8), 16), parseInt(h.slice(8), 16)];
+/** Number of differing bits between two simhash hex strings. */
+export const hammingDistance = (a, b) => {
+  const [a1, a2] = halves(a), [b1, b2] = halves(b);
+  return popcount32((a1 ^ b1) >>> 0) + popcount32((a2 ^ b2) >>> 0);
+};
+
+/** Representative preference: content pages, then sitemap-listed, shallowest, longest text, shortest URL. */
+const betterRep = (a, b) => {
+  const key = (p) => [p.page_role === 'content' ? 0 : 1, p.from_sitemap ? 0 : 1, p.depth ?? 99, -(p.word_count_clean ?? 0), p.url.length];
+  const ka = key(a), kb = key(b);
+  for (let i = 0; i < ka.length; i++) if (ka[i] !== kb[i]) return ka[i] < kb[i];
+  return a.url < b.url;
+};
+
+/**
+ * Cluster live HTML pages whose simhash differs by at most maxDistance bits. Bit drift tracks the share of shingles
+ * that differ, so 6 absorbs a changed byline or footer on a few-hundred-word article while unrelated texts sit near 32. Each cluster gets a representative;
+ * members get dup_cluster = representative URL, non-representatives also duplicate_of. Exports of pages whose
+ * assignment changed (and their old/new representatives) are invalidated so frontmatter is rewritten.
+ * @returns {{ clusters: number, duplicates: number, changed: number }}
+ */
+export const clusterDuplicates = (db, { maxDistance = 6 } = {}) => {
+  const pages = db.prepare(`SELECT url, simhash, page_role, from_sitemap, depth, word_count_clean, dup_cluster, duplicate_of
+    FROM pages WHERE gone=0 AND mime_type LIKE 'text/html%' AND simhash IS NOT NULL AND simhash != ''`).all();
+  const bits = pages.map(p => halves(p.simhash));
+  const distance = (i, j) => popcount32((bits[i][0] ^ bits[j][0]) >>> 0) + popcount32((bits[i][1] ^ bits[j][1]) >>> 0);
+  const parent = pages.map((_, i) => i);
+  const find = (i) => { while (parent[i] !== i) { parent[i] = parent[parent[i]]; i = parent[i]; } return i; };
+  // Pigeonhole: hashes within maxDistance bits agree exactly on at least one of maxDistance+1 disjoint bands
+  const bands = Math.min(16, maxDistance + 1);
+  const bandLen = Math.floor(16 / bands);
+  for (let b = 0; b < bands; b++) {
+    const buckets = new Map();
+    pages.forEach((p, i) => {
+      const key = p.simhash.slice(b * bandLen, b === bands - 1 ? 16 : (b + 1) * bandLen);
+      if (!buckets.has(key)) buckets.set(key, []);
+      buckets.get(key).push(i);
+    });
+    for (const idx of buckets.values()) {
+      for (let x = 0; x < idx.length; x++) {
+        for (let y = x + 1; y < idx.length; y++) {
+          const [i, j] = [idx[x], idx[y]];
+          if (find(i) !== find(j) && distance(i, j) <= maxDistance) parent[find(i)] = find(j);
+        }
+      }
+    }
+  }
+  const groups = new Map();
+  pages.forEach((p, i) => { const r = find(i); if (!groups.has(r)) groups.set(r, []); groups.get(r).push(p); });
+  const next = new Map(); // url → { cluster, duplicate_of }
+  let clusters = 0, duplicates = 0;
+  for (const members of groups.values()) {
+    if (members.length < 2) continue;
+    clusters++;
+    const rep = members.reduce((best, p) => betterRep(p, best) ? p : best);
+    for (const p of members) {
+      next.set(p.url, { cluster: rep.url, duplicate_of: p === rep ? null : rep.url });
+      if (p !== rep) duplicates++;
+    }
+  }
+  const prev = db.prepare('SELECT url, dup_cluster, duplicate_of FROM pages WHERE dup_cluster IS NOT NULL').all();
+  const invalidate = new Set();
+  const setDup = db.prepare('UPDATE pages SET dup_cluster=?, duplicate_of=? WHERE url=?');
+  let changed = 0;
+  db.transaction(() => {
+    for (const p of prev) {
+      if (next.has(p.url)) continue;
+      setDup.run(null, null, p.url);
+      changed++;
+      invalidate.add(p.url); if (p.duplicate_of) invalidate.add(p.duplicate_of);
+    }
+    for (const p of pages) {
+      const n = next.get(p.url);
+      if (!n || (n.cluster === p.dup_cluster && n.duplicate_of === p.duplicate_of)) continue;
+      setDup.run(n.cluster, n.duplicate_of, p.url);
+      changed++;
+      for (const u of [p.url, p.duplicate_of, n.duplicate_of]) if (u) invalidate.add(u);
+    }
+    const inv = db.prepare('UPDATE exports SET source_hash=NULL WHERE url=?');
+    for (const u of invalidate) inv.run(u);
+  })();
+  return { clusters, duplicates, changed };
+};
@@ -1,34 +1,93 @@
 // Sitemap stage -- discovers, parses, diffs sitemaps; populates added/changed/removed queues.
-import { fetch } from 'undici';
+// Formats: XML urlset/sitemapindex (plain or .gz) with image/news/video extensions, plain-text URL lists, RSS/Atom feeds.
+import { gunzipSync } from 'zlib';
 import { XMLParser } from 'fast-xml-parser';
 import { upsertSitemap, markSitemapRemoved, getMeta, setMeta } from './db.js';
+import { compileRules } from './rules.js';
+import { canonicalizeUrl, resolveAlias } from './canonical.js';
+import { sitemapAlternates, entryLanguage, addLocalePrefixes, recordAlternates } from './alternates.js';
+import { normLangTag, langAllowed } from './language.js';
+import { httpClientFor } from './http-client.js';
+import { adapterDiscovery } from './fetch-adapters.js';
+import { adapterNames } from './adapter-registry.js';
 const XML_OPTS = { ignoreAttributes: false, attributeNamePrefix: '@_' };
 const parser = new XMLParser(XML_OPTS);
 /** Fetch sitemap text with conditional GET. Returns { text, etag, lastModified, notModified }. */
-const fetchSitemapConditional = async (url, ua, storedEtag, storedLastMod) => {
-  const headers = { 'User-Agent': ua };
+const fetchSitemapConditional = async (url, client, storedEtag, storedLastMod) => {
+  const headers = {};
   if (storedEtag) headers['If-None-Match'] = storedEtag;
   else if (storedLastMod) headers['If-Modified-Since'] = storedLastMod;
   try {
-    const res = await fetch(url, { headers, signal: AbortSignal.timeout(10000) });
+    const res = await client.fetch(url, { headers, signal: AbortSignal.timeout(10000) });
     if (res.status === 304) return { notModified: true };
     if (!res.ok) return { notModified: false, text: null };
-    const text = await res.text();
+    const text = await readBody(res, url);
     return { text, notModified: false, etag: res.headers.get('etag'), lastModified: res.headers.get('last-modified') };
   } catch { return { notModified: false, text: null }; }
 };
+/** Response body as text; gunzips `.gz` sitemaps unless the transport already decoded them. */
+const readBody = async (res, url) => {
+  const gz = /\.gz($|\?)/i.test(url) || /gzip/i.test(res.headers?.get?.('content-type') || '');
+  if (!gz) return res.text();
+  const buf = Buffer.from(await res.arrayBuffer());
+  return (buf[0] === 0x1f && buf[1] === 0x8b ? gunzipSync(buf) : buf).toString('utf8');
+};
 /** Fetch text from URL (non-conditional, for robots.txt and index sitemaps). */
-const fetchText = async (url, ua) => {
+const fetchText = async (url, client) => {
   try {
-    const res = await fetch(url, { headers: { 'User-Agent': ua }, signal: AbortSignal.timeout(10000) });
+    const res = await client.fetch(url, { signal: AbortSignal.timeout(10000) });
     if (!res.ok) return null;
-    return await res.text();
+    return await readBody(res, url);
   } catch { return null; }
 };
-/** Parse sitemap XML into array of { url, lastmod } entries. */
+const asArray = (v) => v == null ? [] : Array.isArray(v) ? v : [v];
+/** Text content of a parsed node (plain value, CDATA or {#text}). */
+const txt = (v) => {
+  if (v == null) return null;
+  const s = String(typeof v === 'object' ? v['#text'] ?? '' : v).trim();
+  return s || null;
+};
+/** Child by local name, whatever namespace prefix the publisher used (image:, img:, news:, ...). */
+const child = (node, local) => {
+  if (!node || typeof node !== 'object') return undefined;
+  const key = Object.keys(node).find(k => k === local || k.endsWith(`:${local}`));
+  return key === undefined ? undefined : node[key];
+};
+const num = (v) => { const n = Number(txt(v) ?? NaN); return Number.isFinite(n) ? n : null; };
+const isoDate = (v) => { const d = v ? new Date(v) : null; return d && !isNaN(d) ? d.toISOString() : null; };
+/** Google image/news/video sitemap extensions on one <url>. */
+const urlExtensions = (u) => {
+  const images = asArray(child(u, 'image')).map(i => ({ loc: txt(child(i, 'loc')), title: txt(child(i, 'title')), caption: txt(child(i, 'caption')) })).filter(i => i.loc);
+  const videos = asArray(child(u, 'video')).map(v => ({
+    title: txt(child(v, 'title')), description: txt(child(v, 'description')), thumbnail_loc: txt(child(v, 'thumbnail_loc')),
+    content_loc: txt(child(v, 'content_loc')), player_loc: txt(child(v, 'player_loc')),
+    duration: txt(child(v, 'duration')), publication_date: txt(child(v, 'publication_date')),
+  })).filter(v => v.title || v.content_loc || v.player_loc);
+  const news = asArray(child(u, 'news'))[0];
+  const pub = news && child(news, 'publication');
+  return {
+    title: txt(child(news, 'title')), published_at: txt(child(news, 'publication_date')), language: txt(child(pub, 'language')),
+    images: images.length ? images : null, videos: videos.length ? videos : null,
+  };
+};
+/** Atom <link> href: rel=alternate (or no rel) preferred. */
+const atomLink = (links) => {
+  const all = asArray(links).map(l => typeof l === 'object' ? { href: l['@_href'], rel: l['@_rel'] } : { href: l, rel: null });
+  return (all.find(l => !l.rel || l.rel === 'alternate') ?? all[0])?.href ?? null;
+};
+/**
+ * Parse a sitemap document into entries. Returns { type, urls } where type is 'index' | 'urlset' | 'feed' | 'text' | 'empty'
+ * and each url entry is { url, lastmod, hreflang?, changefreq?, priority?, title, published_at, language, images, videos }.
+ */
 export const parseSitemapXml = (xml) => {
+  const body = (xml || '').replace(/^\uFEFF/, '').trim();
+  // Plain-text sitemap: one absolute URL per line
+  if (body && !body.startsWith('<')) {
+    const urls = body.split(/\r?\n/).map(l => l.trim()).filter(l => /^https?:\/\//i.test(l));
+    return urls.length ? { type: 'text', urls: urls.map(url => ({ url, lastmod: null })) } : { type: 'empty', urls: [] };
+  }
   let parsed;
-  try { parsed = parser.parse(xml); } catch { return { type: 'empty', urls: [] }; }
+  try { parsed = parser.parse(body); } catch { return { type: 'empty', urls: [] }; }
   const sitemapIndex = parsed.sitemapindex?.sitemap;
   if (sitemapIndex) {
     const items = Array.isArray(sitemapIndex) ? sitemapIndex : [sitemapIndex];
@@ -37,15 +96,43 @@ export const parseSitemapXml = (xml) => {
   const urlset = parsed.urlset?.url;
   if (urlset) {
     const items = Array.isArray(urlset) ? urlset : [urlset];
-    return { type: 'urlset', urls: items.map(u => ({ url: u.loc, lastmod: u.lastmod || null, hreflang: u['xhtml:link'] })) };
+    return { type: 'urlset', urls: items.map(u => ({
+      url: u.loc, lastmod: u.lastmod || null, hreflang: u['xhtml:link'], ...urlExtensions(u),
+      changefreq: txt(u.changefreq)?.toLowerCase() ?? null, priority: num(u.priority),
+    })) };
+  }
+  // RSS 2.0 / RSS 1.0 (RDF) feeds
+  const rss = parsed.rss?.channel ?? parsed['rdf:RDF'];
+  if (rss) {
+    const channelLang = txt(rss.language ?? child(rss, 'language') ?? parsed['rdf:RDF']?.channel?.['dc:language']);
+    const items = asArray(rss.item ?? parsed['rdf:RDF']?.item);
+    return { type: 'feed', urls: items.map(i => {
+      const published = isoDate(txt(i.pubDate) ?? txt(child(i, 'date')));
+      return { url: txt(i.link) ?? (i.guid?.['@_isPermaLink'] !== 'false' ? txt(i.guid) : null), lastmod: published,
+        title: txt(i.title), published_at: published, language: channelLang, images: null, videos: null };
+    }) };
+  }
+  // Atom
+  if (parsed.feed) {
+    const feedLang = parsed.feed['@_xml:lang'] ?? null;
+    return { type: 'feed', urls: asArray(parsed.feed.entry).map(e => ({
+      url: atomLink(e.link), lastmod: isoDate(txt(e.updated) ?? txt(e.published)),
+      title: txt(e.title), published_at: isoDate(txt(e.published) ?? txt(e.updated)), language: e['@_xml:lang'] ?? feedLang, images: null, videos: null,
+    })) };
   }
   return { type: 'empty', urls: [] };
 };
+/** Sitemap entry row fields for one parsed url. */
+const toEntry = (u, sourceSitemap) => ({
+  url: u.url, lastmod: u.lastmod, source_sitemap: sourceSitemap, hreflang: u.hreflang,
+  title: u.title ?? null, published_at: u.published_at ?? null, language: u.language ?? null,
+  images: u.images ?? null, videos: u.videos ?? null, changefreq: u.changefreq ?? null, priority: u.priority ?? null,
+});
 /** Discover sitemap URLs via robots.txt and common paths. */
-const discoverSitemapUrls = async (siteUrl, ua) => {
+const discoverSitemapUrls = async (siteUrl, client) => {
   const base = new URL(siteUrl);
   const robotsUrl = `${base.origin}/robots.txt`;
-  const robotsTxt = await fetchText(robotsUrl, ua);
+  const robotsTxt = await fetchText(robotsUrl, client);
   const fromRobots = robotsTxt ? [...robotsTxt.matchAll(/^Sitemap:\s*(.+)$/gim)].map(m => m[1].trim()) : [];
   const fallbacks = ['/sitemap.xml', '/sitemap_index.xml', '/sitemap-index.xml', '/sitemap1.xml'].map(p => `${base.origin}${p}`);
   return [...new Set([...fromRobots, ...fallbacks])];
@@ -55,57 +142,59 @@ const discoverSitemapUrls = async (siteUrl, ua) => {
  * Leaf sitemaps use conditional GET (ETag/Last-Modified stored in site_meta).
  * Returns { entries: [{url, lastmod, source_sitemap}], allUnchanged: bool }
  */
-const resolveSitemap = async (sitemapUrl, ua, db, depth = 0) => {
+const resolveSitemap = async (sitemapUrl, client, db, depth = 0) => {
   if (depth > 5) return { entries: [], allUnchanged: false };
   // Index sitemaps: fetch unconditionally (they're small and rarely have ETags)
   if (depth === 0) {
-    const text = await fetchText(sitemapUrl, ua);
+    const text = await fetchText(sitemapUrl, client);
     if (!text) return { entries: [], allUnchanged: false };
     const { type, urls } = parseSitemapXml(text);
     if (type === 'index') {
-      const results = await Promise.all(urls.map(u => resolveSitemap(u.url, ua, db, depth + 1)));
+      const results = await Promise.all(urls.map(u => resolveSitemap(u.url, client, db, depth + 1)));
       return {
         entries: results.flatMap(r => r.entries),
         allUnchanged: results.every(r => r.allUnchanged)
       };
     }
-    return { entries: urls.map(u => ({ url: u.url, lastmod: u.lastmod, source_sitemap: sitemapUrl })), allUnchanged: false };
+    return { entries: urls.map(u => toEntry(u, sitemapUrl)), allUnchanged: false };
   }
   // Leaf sitemaps: use conditional GET
   const etagKey = `sitemap_etag:${sitemapUrl}`;
   const lmKey = `sitemap_lm:${sitemapUrl}`;
   const storedEtag = getMeta(db, etagKey);
   const storedLm = getMeta(db, lmKey);
-  const { text, notModified, etag, lastModified } = await fetchSitemapConditional(sitemapUrl, ua, storedEtag, storedLm);
+  const { text, notModified, etag, lastModified } = await fetchSitemapConditional(sitemapUrl, client, storedEtag, storedLm);
   if (notModified) return { entries: [], allUnchanged: true };
   if (!text) return { entries: [], allUnchanged: false };
   if (etag) setMeta(db, etagKey, etag);
   if (lastModified) setMeta(db, lmKey, lastModified);
   const { type, urls } = parseSitemapXml(text);
   if (type === 'index') {
-    const results = await Promise.all(urls.map(u => resolveSitemap(u.url, ua, db, depth + 1)));
+    const results = await Promise.all(urls.map(u => resolveSitemap(u.url, client, db, depth + 1)));
     return { entries: results.flatMap(r => r.entries), allUnchanged: results.every(r => r.allUnchanged) };
   }
-  return { entries: urls.map(u => ({ url: u.url, lastmod: u.lastmod, source_sitemap: sitemapUrl })), allUnchanged: false };
+  return { entries: urls.map(u => toEntry(u, sitemapUrl)), allUnchanged: false };
 };
 /** Filter sitemap entries by include/exclude rules and optional language filter. */
 export const filterEntries = (entries, siteConfig) => {
   const { include = [], exclude = [], sitemap: sitemapCfg = {} } = siteConfig;
   const langs = sitemapCfg.include_languages || [];
+  const localePrefixes = langs.length ? addLocalePrefixes(new Set(), entries.flatMap(e => sitemapAlternates(e.hreflang))) : null;
   return entries.filter(e => {
     if (!e.url) return false;
     let path;
     try { path = new URL(e.url).pathname; } catch { return false; }
     if (exclude.some(p => path.startsWith(p))) return false;
     if (include.length && !include.some(p => path.startsWith(p))) return false;
-    return true;
+    // Language: the entry's own hreflang alternate, else a locale path prefix, else news/feed language
+    return langAllowed(entryLanguage(e.url, sitemapAlternates(e.hreflang), localePrefixes) ?? normLangTag(e.language), langs);
   });
 };
 /**
  * Enumerate all files in a MediaWiki site via allimages API.
  * Returns array of direct file URLs (e.g. S3 URLs for PDFs).
  */
-const enumerateMediaWikiFiles = async (siteUrl, ua, mimeFilter = null) => {
+const enumerateMediaWikiFiles = async (siteUrl, client, mimeFilter = null) => {
   const origin = new URL(siteUrl).origin;
   const urls = [];
   let cont = null;
@@ -114,7 +203,7 @@ const enumerateMediaWikiFiles = async (siteUrl, ua, mimeFilter = null) => {
     const contParam = cont ? `&aicontinue=${encodeURIComponent(cont)}` : '';
     const apiUrl = `${origin}/api.php?action=query&list=allimages&ailimit=500&format=json${mimeParam}${contParam}`;
     try {
-      const res = await fetch(apiUrl, { headers: { 'User-Agent': ua }, signal: AbortSignal.timeout(15000) });
+      const res = await client.fetch(apiUrl, { signal: AbortSignal.timeout(15000) });
       if (!res.ok) break;
       const d = await res.json();
       for (const img of d?.query?.allimages ?? []) {
@@ -133,7 +222,7 @@ const enumerateMediaWikiFiles = async (siteUrl, ua, mimeFilter = null) => {
  * Returns { added, changed, removed, total, cached } URL arrays.
  */
 export const runSitemap = async (db, siteConfig) => {
-  const ua = siteConfig.user_agent || 'site2rag/1.0';
+  const client = httpClientFor(siteConfig);
   const sitemapCfg = siteConfig.sitemap || {};
   const diffEveryHours = sitemapCfg.diff_every_hours ?? 24;
   const lastDiff = getMeta(db, 'last_sitemap_diff_at');
@@ -143,11 +232,13 @@ export const runSitemap = async (db, siteConfig) => {
     const existing = db.prepare('SELECT url FROM sitemaps WHERE removed=0').all().map(r => r.url);
     return { added: [], changed: [], removed: [], total: existing.length, cached: true };
   }
-  const discovered = await discoverSitemapUrls(siteConfig.url, ua);
-  const allEntries = [];
-  let allSitemapsUnchanged = discovered.length > 0;
+  // Adapters may list URLs themselves (discover hook); sites served from local web archives have no live sitemap
+  const { entries: adapterEntries, offline } = await adapterDiscovery(siteConfig, { db });
+  const discovered = offline ? [] : await discoverSitemapUrls(siteConfig.url, client);
+  const allEntries = [...adapterEntries];
+  let allSitemapsUnchanged = discovered.length > 0 && !adapterEntries.length;
   for (const sitemapUrl of discovered) {
-    const { entries, allUnchanged } = await resolveSitemap(sitemapUrl, ua, db);
+    const { entries, allUnchanged } = await resolveSitemap(sitemapUrl, client, db);
     allEntries.push(...entries);
     if (!allUnchanged) allSitemapsUnchanged = false;
   }
@@ -157,13 +248,24 @@ export const runSitemap = async (db, siteConfig) => {
     const existing = db.prepare('SELECT url FROM sitemaps WHERE removed=0').all().map(r => r.url);
     return { added: [], changed: [], removed: [], total: existing.length, cached: false, unchanged: true };
   }
-  const filtered = filterEntries(allEntries, siteConfig);
+  // Canonical spelling (and known rel=canonical targets) so sitemap rows match pages rows; duplicates collapse
+  const compiled = compileRules(siteConfig.rules, siteConfig.url);
+  const byUrl = new Map();
+  for (const e of filterEntries(allEntries, siteConfig)) {
+    let url;
+    try { url = resolveAlias(db, canonicalizeUrl(compiled, e.url)); } catch { continue; }
+    if (!byUrl.has(url)) byUrl.set(url, { ...e, url });
+  }
+  const filtered = [...byUrl.values()];
   // Diff against DB
   const seenUrls = [];
   const added = [], changed = [];
   for (const entry of filtered) {
     const existing = db.prepare('SELECT * FROM sitemaps WHERE url=?').get(entry.url);
     upsertSitemap(db, entry);
+    recordAlternates(db, entry.url, sitemapAlternates(entry.hreflang).flatMap(a => {
+      try { return [{ ...a, href: resolveAlias(db, canonicalizeUrl(compiled, a.href)) }]; } catch { return []; }
+    }), 'sitemap');
     seenUrls.push(entry.url);
     if (!existing || existing.removed) { added.push(entry.url); continue; }
     if (entry.lastmod && entry.lastmod !== existing.lastmod) changed.push(entry.url);
@@ -172,10 +274,10 @@ export const runSitemap = async (db, siteConfig) => {
   const removedUrls = db.prepare("SELECT url FROM sitemaps WHERE removed=1 AND removed_at >= datetime('now','-1 day')").all().map(r => r.url);
   setMeta(db, 'last_sitemap_diff_at', new Date().toISOString());
   // For MediaWiki sites: enumerate all files (PDFs, etc.) and add new ones to the priority queue
-  if (siteConfig.fetch_adapter === 'mediawiki_api') {
+  if (adapterNames(siteConfig).includes('mediawiki_api')) {
     const mimeTypes = siteConfig.mediawiki?.file_mimes ?? ['application/pdf'];
     for (const mime of mimeTypes) {
-      const fileUrls = await enumerateMediaWikiFiles(siteConfig.url, ua, mime);
+      const fileUrls = await enumerateMediaWikiFiles(siteConfig.url, client, mime);
       console.log(`[sitemap] mediawiki files (${mime}): ${fileUrls.length} found for ${siteConfig.domain}`);
       for (const fileUrl of fileUrls) {
         const existsInPages = db.prepare('SELECT 1 FROM pages WHERE url=? AND gone=0').get(fileUrl);
@@ -188,10 +290,10 @@ export const runSitemap = async (db, siteConfig) => {
 /** Return true if site has a usable sitemap or fallback_to_crawl is enabled. */
 export const hasSitemapOrFallback = async (siteConfig) => {
   if (!siteConfig.sitemap?.enabled) return siteConfig.sitemap?.fallback_to_crawl !== false;
-  const ua = siteConfig.user_agent || 'site2rag/1.0';
-  const discovered = await discoverSitemapUrls(siteConfig.url, ua);
+  const client = httpClientFor(siteConfig);
+  const discovered = await discoverSitemapUrls(siteConfig.url, client);
   for (const u of discovered) {
-    const text = await fetchText(u, ua);
+    const text = await fetchText(u, client);
     if (text) return true;
   }
   return siteConfig.sitemap?.fallback_to_crawl !== false;
@@ -0,0 +1,73 @@
+// Visual snapshots of rendered pages -- a full-page screenshot and a print-to-PDF taken by the Playwright pool, kept
+// under _meta/snapshots/ at the page's mirror path and recorded in the snapshots table, for layouts Markdown can't keep.
+// Exports: SNAPSHOT_KINDS, snapshotOptions, snapshotRoles, snapshotDue, snapshotPath, storeSnapshots, listSnapshots,
+// deleteSnapshots. Deps: config, mirror-crawl
+import { createHash } from 'crypto';
+import { mkdirSync, writeFileSync, unlinkSync } from 'fs';
+import { dirname, join, relative } from 'path';
+import { metaDir, mirrorDir } from './config.js';
+import { urlToMirrorPath } from './mirror-crawl.js';
+
+/** File extension and MIME type per snapshot kind. */
+export const SNAPSHOT_KINDS = {
+  screenshot: { ext: '.png', mime: 'image/png' },
+  pdf: { ext: '.pdf', mime: 'application/pdf' },
+};
+
+/**
+ * Capture request for the Playwright pool from `snapshots: { enabled, screenshot, pdf, pdf_format }`, or null when off.
+ * `roles` (default [content]; [] = every rendered page) is applied by the mirror once the page is classified.
+ */
+export const snapshotOptions = (cfg) => cfg?.enabled
+  ? { screenshot: cfg.screenshot !== false, pdf: cfg.pdf !== false, pdfFormat: cfg.pdf_format ?? 'A4' }
+  : null;
+
+/** Page roles whose snapshots are kept: `snapshots.roles`, default [content]; [] keeps every role. */
+export const snapshotRoles = (cfg) => cfg?.roles ?? ['content'];
+
+/**
+ * Whether a fetched HTML page is worth a snapshot render. Not when its known role is outside snapshotRoles, nor when
+ * its content hash matches the stored page (`existing`) and a snapshot was captured for that content.
+ */
+export const snapshotDue = (db, cfg, existing, contentHash) => {
+  const roles = snapshotRoles(cfg);
+  if (existing?.page_role && roles.length && !roles.includes(existing.page_role)) return false;
+  if (!db || existing?.content_hash !== contentHash) return true;
+  return !db.prepare('SELECT 1 FROM snapshots WHERE url=? AND content_hash=?').get(existing.url, contentHash);
+};
+
+/** _meta/snapshots/<mirror path>.<png|pdf>: lnker-server finds a page's snapshot from the file it serves. */
+export const snapshotPath = (domain, url, kind) =>
+  join(metaDir(domain), 'snapshots', `${relative(mirrorDir(domain), urlToMirrorPath(domain, url))}${SNAPSHOT_KINDS[kind].ext}`);
+
+/**
+ * Write the captured buffers ({ screenshot?, pdf? }) for url and record them. A kind already captured for the same
+ * contentHash is left alone. Returns the number of files written.
+ */
+export const storeSnapshots = (db, domain, url, shots, contentHash) => {
+  const current = db.prepare('SELECT content_hash FROM snapshots WHERE url=? AND kind=?');
+  const upsert = db.prepare(`INSERT OR REPLACE INTO snapshots (url, kind, path, bytes, sha256, content_hash, captured_at)
+    VALUES (?, ?, ?, ?, ?, ?, ?)`);
+  let written = 0;
+  for (const kind of Object.keys(SNAPSHOT_KINDS)) {
+    const buf = shots?.[kind];
+    if (!buf?.length || current.get(url, kind)?.content_hash === contentHash) continue;
+    const path = snapshotPath(domain, url, kind);
+    mkdirSync(dirname(path), { recursive: true });
+    writeFileSync(path, buf);
+    upsert.run(url, kind, path, buf.length, createHash('sha256').update(buf).digest('hex'), contentHash, new Date().toISOString());
+    written++;
+  }
+  return written;
+};
+
+/** Recorded snapshots of url: [{ kind, path, bytes, sha256, content_hash, captured_at }]. */
+export const listSnapshots = (db, url) =>
+  db.prepare('SELECT kind, path, bytes, sha256, content_hash, captured_at FROM snapshots WHERE url=? ORDER BY kind').all(url);
+
+/** Remove url's snapshot files and rows (page no longer kept, or garbage-collected). Returns rows removed. */
+export const deleteSnapshots = (db, url) => {
+  const rows = listSnapshots(db, url);
+  for (const r of rows) { try { unlinkSync(r.path); } catch {} }
+  return db.prepare('DELETE FROM snapshots WHERE url=?').run(url).changes;
+};
@@ -0,0 +1,144 @@
+// Content sniffing -- real type from magic bytes, reconciled with the declared Content-Type so routing never
+// trusts the server alone; mismatches become soft errors with a reason instead of pages marked gone.
+// Exports: EMPTY_MIME, UNKNOWN_MIME, sniffBytes, sniffFile, reconcileMime, resniffPage. Deps: zip (db handle passed in)
+import { openSync, readSync, closeSync } from 'fs';
+import { listZipEntries } from './zip.js';
+
+const HEAD_BYTES = 65536;
+export const EMPTY_MIME = 'inode/x-empty';
+// a readable body whose bytes match no known signature
+export const UNKNOWN_MIME = 'application/octet-stream';
+const ZIP = 'application/zip', OLE = 'application/x-ole-storage';
+const DOCX = 'application/vnd.openxmlformats-officedocument.wordprocessingml.document';
+// OOXML parts are recognised by their top-level folder
+const OOXML_DIRS = [
+  ['word/', DOCX],
+  ['xl/', 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet'],
+  ['ppt/', 'application/vnd.openxmlformats-officedocument.presentationml.presentation'],
+];
+// Content-Types that say nothing about the body
+const GENERIC = new Set(['', 'application/octet-stream', 'binary/octet-stream', 'application/x-download', 'application/force-download',
+  'application/download', 'application/unknown', 'application/binary']);
+const ALIASES = { 'image/jpg': 'image/jpeg', 'image/pjpeg': 'image/jpeg', 'image/x-png': 'image/png', 'application/x-pdf': 'application/pdf',
+  'application/x-gzip': 'application/gzip', 'application/x-zip-compressed': ZIP, 'text/xml': 'application/xml' };
+// WHATWG "identify an unknown MIME type" HTML patterns, plus <meta>/<link> which often open fragments
+const HTML_START = /^<(?:!doctype html|html|head|body|script|iframe|h1|div|font|table|a|style|title|b|br|p|meta|link|!--)[\s>/]/i;
+
+const isText = (mime) => /^text\/|[+/](?:xml|json)$|^application\/(?:json|xml|javascript|ecmascript)$|^image\/svg\+xml$/.test(mime);
+const isZipContainer = (mime) => mime === ZIP || mime === 'application/epub+zip' || mime.startsWith('application/vnd.oasis.opendocument.') ||
+  mime.startsWith('application/vnd.openxmlformats-officedocument.') || mime === 'application/java-archive';
+const isOle = (mime) => mime === OLE || mime === 'application/msword' || mime.startsWith('application/vnd.ms-');
+const baseMime = (mime) => { const m = String(mime ?? '').split(';')[0].trim().toLowerCase(); return ALIASES[m] ?? m; };
+
+/** Type of a ZIP container from its entry names: EPUB/ODF carry a `mimetype` entry, OOXML a [Content_Types].xml. */
+const zipType = (names, mimetypeEntry = null) => {
+  if (mimetypeEntry) return mimetypeEntry;
+  if (names.includes('[Content_Types].xml')) return OOXML_DIRS.find(([dir]) => names.some(n => n.startsWith(dir)))?.[1] ?? ZIP;
+  if (names.includes('META-INF/MANIFEST.MF')) return 'application/java-archive';
+  return ZIP;
+};
+/** Local file header names found in the first bytes of a ZIP (enough for the usual writer order). */
+const zipHeadNames = (head) => {
+  const names = [];
+  for (let at = 0; at + 30 <= head.length && head.readUInt32LE(at) === 0x04034b50;) {
+    const nameLen = head.readUInt16LE(at + 26), extraLen = head.readUInt16LE(at + 28);
+    const name = head.toString('utf8', at + 30, at + 30 + nameLen);
+    const size = head.readUInt32LE(at + 18), flags = head.readUInt16LE(at + 6);
+    names.push(name);
+    if (flags & 0x08) break; // sizes follow the data: can't skip to the next header
+    at += 30 + nameLen + extraLen + size;
+  }
+  return names;
+};
+/** EPUB and ODF store an uncompressed `mimetype` entry first; its content is the container type. */
+const storedMimetype = (head) => {
+  if (head.length < 38 || head.readUInt16LE(8) !== 0 || head.toString('latin1', 30, 38) !== 'mimetype') return null;
+  const start = 30 + head.readUInt16LE(26) + head.readUInt16LE(28);
+  const value = head.toString('latin1', start, start + head.readUInt32LE(18)).trim();
+  return /^application\/[\w.+-]+$/.test(value) ? value : null;
+};
+
+/**
+ * Type of a body from its leading bytes. Detects PDF, ZIP containers (DOCX/XLSX/PPTX, EPUB, ODF), OLE (legacy Office),
+ * gzip, PNG/JPEG/GIF/WebP/AVIF/TIFF, SVG, HTML, XML and plain text.
+ * @returns {string|null} MIME type; EMPTY_MIME for no bytes; null = unrecognised binary
+ */
+export const sniffBytes = (buf) => {
+  if (!buf?.length) return EMPTY_MIME;
+  const head = buf.subarray(0, HEAD_BYTES);
+  const ascii = (from, to) => head.toString('latin1', from, to);
+  // PDF readers accept junk before the header within the first KB -- but not words or markup, which mean a text quoting it
+  const pdfAt = head.subarray(0, 1024).indexOf('%PDF-');
+  if (pdfAt === 0 || (pdfAt > 0 && !/[A-Za-z<]/.test(ascii(0, pdfAt)))) return 'application/pdf';
+  if (head[0] === 0x1f && head[1] === 0x8b) return 'application/gzip';
+  if (ascii(0, 4) === 'PK\x03\x04') return zipType(zipHeadNames(head), storedMimetype(head));
+  if (head.length >= 8 && head.readUInt32BE(0) === 0xd0cf11e0 && head.readUInt32BE(4) === 0xa1b11ae1) return OLE;
+  if (ascii(0, 8) === '\x89PNG\r\n\x1a\n') return 'image/png';
+  if (head[0] === 0xff && head[1] === 0xd8 && head[2] === 0xff) return 'image/jpeg';
+  if (ascii(0, 6) === 'GIF87a' || ascii(0, 6) === 'GIF89a') return 'image/gif';
+  if (ascii(0, 4) === 'RIFF' && ascii(8, 12) === 'WEBP') return 'image/webp';
+  if (ascii(4, 12) === 'ftypavif' || ascii(4, 12) === 'ftypavis') return 'image/avif';
+  if (ascii(0, 4) === 'II*\0' || ascii(0, 4) === 'MM\0*') return 'image/tiff';
+  // Text: no NULs or stray control bytes in the head (UTF-16 BOMs would fail this; treat them as text)
+  if (ascii(0, 2) === '\xff\xfe' || ascii(0, 2) === '\xfe\xff') return 'text/plain';
+  if (head.some(b => b === 0 || (b < 0x20 && b !== 0x09 && b !== 0x0a && b !== 0x0c && b !== 0x0d && b !== 0x1b))) return null;
+  const text = head.toString('utf8').replace(/^\uFEFF/, '').trimStart();
+  if (HTML_START.test(text)) return 'text/html';
+  if (text.startsWith('<?xml') || text.startsWith('<svg')) {
+    if (/<svg[\s>]/i.test(text)) return 'image/svg+xml';
+    return /<html[\s>]/i.test(text) ? 'text/html' : 'application/xml';
+  }
+  return 'text/plain';
+};
+
+/**
+ * sniffBytes over the first 64 KB of a file; ZIPs are resolved from the central directory.
+ * UNKNOWN_MIME when no signature matches, null only when the file can't be read.
+ */
+export const sniffFile = (path) => {
+  let head;
+  try {
+    const fd = openSync(path, 'r');
+    try {
+      const buf = Buffer.alloc(HEAD_BYTES);
+      head = buf.subarray(0, readSync(fd, buf, 0, HEAD_BYTES, 0));
+    } finally { closeSync(fd); }
+  } catch { return null; }
+  const sniffed = sniffBytes(head) ?? UNKNOWN_MIME;
+  if (sniffed !== ZIP) return sniffed;
+  try { return zipType(listZipEntries(path).map(e => e.name)); } catch { return sniffed; }
+};
+
+/**
+ * Effective type from the declared Content-Type and the sniffed one. Generic declarations (octet-stream, missing) take
+ * the sniffed type; compatible pairs (text family, ZIP/OLE containers, aliases) keep the declared, more specific type,
+ * and so does a body no signature recognises (UNKNOWN_MIME).
+ * @returns {{ mimeType: string, softError: string|null }} softError explains a body that is not what the server said
+ *   (typically an HTML error page served as a PDF) or an empty body
+ */
+export const reconcileMime = (declared, sniffed) => {
+  const d = baseMime(declared);
+  if (sniffed === EMPTY_MIME) return { mimeType: EMPTY_MIME, softError: 'empty body' };
+  if (!sniffed || sniffed === UNKNOWN_MIME) return { mimeType: d || UNKNOWN_MIME, softError: null };
+  if (GENERIC.has(d) || d === sniffed) return { mimeType: sniffed, softError: null };
+  if (isText(d) && isText(sniffed)) return { mimeType: d, softError: null };
+  // A generic container declaration refined by sniffing, or a specific declaration the sniff could only place in the family
+  if (isZipContainer(d) && isZipContainer(sniffed) && (d === ZIP || sniffed === ZIP)) return { mimeType: d === ZIP ? sniffed : d, softError: null };
+  if (isOle(d) && isOle(sniffed) && (d === OLE || sniffed === OLE)) return { mimeType: d === OLE ? sniffed : d, softError: null };
+  return { mimeType: sniffed, softError: `declared ${d}, content is ${sniffed}` };
+};
+
+/**
+ * Re-sniff a stored page file and record the outcome on its row (mime_type, declared_mime, sniffed_mime, soft_error),
+ * so rows mirrored before sniffing existed get routed to the right exporter.
+ * @returns {{ mimeType: string, softError: string|null }|null} null when the file can't be read
+ */
+export const resniffPage = (db, page) => {
+  const sniffed = sniffFile(page.local_path);
+  if (!sniffed) return null;
+  const declared = page.declared_mime ?? page.mime_type;
+  const { mimeType, softError } = reconcileMime(declared, sniffed);
+  db.prepare('UPDATE pages SET mime_type=?, declared_mime=?, sniffed_mime=?, soft_error=? WHERE url=?')
+    .run(mimeType, declared, sniffed, softError, page.url);
+  return { mimeType, softError };
+};
@@ -0,0 +1,157 @@
+// Crawler trap detection -- spots infinite URL spaces (repeating path segments, endless query permutations of one path,
+// one body served under many URLs), quarantines the URL pattern in crawl_traps and suggests the rule that would keep
+// it out for good. Directories with exploding fan-out are only recorded as suggestions: large sections are normal.
+// Exports: TRAP_DEFAULTS, repeatedSegments, createTrapDetector, listTraps. Deps: none (db handle passed in)
+
+/**
+ * Thresholds; override per site under `traps:`. Query variants only count as permutations once they span min_param_combos
+ * parameter-name sets (faceted search, sort orders), so one ID parameter (`?t=123`) is never a trap by itself.
+ */
+export const TRAP_DEFAULTS = { repeated_segments: 3, max_query_variants: 200, min_param_combos: 5, max_fanout: 5000, max_duplicate_content: 25 };
+const escapeRe = (s) => s.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+const dirOf = (pathname) => pathname.replace(/[^/]*$/, '');
+/** Directory a URL path lives in; /a/b/ lives in /a/. */
+const parentDir = (pathname) => dirOf(pathname.endsWith('/') ? pathname.slice(0, -1) : pathname);
+
+/** Shortest run of 1-3 path segments repeated back to back at least `times` times ('/a/b' for /x/a/b/a/b/a/b), or null. */
+export const repeatedSegments = (pathname, times = TRAP_DEFAULTS.repeated_segments) => {
+  const segs = pathname.split('/').filter(Boolean);
+  for (let len = 1; len <= 3; len++) {
+    for (let i = 0; i + len * times <= segs.length; i++) {
+      const unit = segs.slice(i, i + len).join('/');
+      let n = 1;
+      while (segs.slice(i + n * len, i + (n + 1) * len).join('/') === unit) n++;
+      if (n >= times) return `/${unit}`;
+    }
+  }
+  return null;
+};
+
+/**
+ * Trap detector for one mirror run. Patterns already in crawl_traps (status 'active') hold URLs back from the start;
+ * counters for query variants and fan-out live for the run only.
+ * @param {object} cfg - `traps:` block: repeated_segments, max_query_variants, min_param_combos, max_fanout, max_duplicate_content
+ */
+export const createTrapDetector = (db, cfg = {}) => {
+  const limits = { ...TRAP_DEFAULTS, ...cfg };
+  const traps = db.prepare("SELECT pattern FROM crawl_traps WHERE status='active'").all().map(r => ({ pattern: r.pattern, re: new RegExp(r.pattern) }));
+  const variants = new Map(), combos = new Map(), children = new Map();
+  const countHit = db.prepare('UPDATE crawl_traps SET hits=hits+1 WHERE pattern=?');
+  // A pattern first recorded as a suggestion becomes active when another heuristic trips on it
+  const insert = db.prepare(`INSERT INTO crawl_traps (pattern, kind, example_url, evidence, suggestion, hits, detected_at, status)
+    VALUES (?, ?, ?, ?, ?, 1, ?, 'active')
+    ON CONFLICT(pattern) DO UPDATE SET status='active', kind=excluded.kind, example_url=excluded.example_url,
+      evidence=evidence || '; ' || excluded.evidence, detected_at=excluded.detected_at WHERE status='suggested'`);
+  const suggestRow = db.prepare(`INSERT OR IGNORE INTO crawl_traps (pattern, kind, example_url, evidence, suggestion, hits, detected_at, status)
+    VALUES (?, ?, ?, ?, ?, 0, ?, 'suggested')`);
+  const suggested = new Set();
+  const activate = db.prepare("UPDATE crawl_traps SET status='active', evidence=evidence || '; ' || ? WHERE pattern=? AND status='suggested'");
+  const openSuggestions = db.prepare("SELECT pattern FROM crawl_traps WHERE status='suggested' AND kind='fanout'");
+  const otherSignal = db.prepare("SELECT example_url FROM crawl_traps WHERE status='active' AND kind IN ('repeated_segments', 'duplicate_content')");
+  /** Make a fan-out suggestion active once another heuristic tripped on a URL it covers. */
+  const confirmFanout = (pattern, evidence) => {
+    if (!activate.run(evidence, pattern).changes) return false;
+    traps.push({ pattern, re: new RegExp(pattern) });
+    console.warn(`[traps] quarantined fanout ${pattern} (${evidence})`);
+    return true;
+  };
+  /** Record a new trap (no-op when the pattern is known) and return its pattern. */
+  const quarantine = (kind, pattern, url, evidence, suggestion) => {
+    if (insert.run(pattern, kind, url, evidence, JSON.stringify(suggestion), new Date().toISOString()).changes) {
+      traps.push({ pattern, re: new RegExp(pattern) });
+      console.warn(`[traps] quarantined ${kind} ${pattern} (${evidence}); suggested rule: ${JSON.stringify(suggestion)}`);
+      for (const s of openSuggestions.all()) if (new RegExp(s.pattern).test(url)) confirmFanout(s.pattern, `${kind} at ${url}`);
+    } else countHit.run(pattern);
+    return pattern;
+  };
+  /**
+   * Record a fan-out directory for review without holding anything back (listed in status.yaml, never matched) --
+   * unless repeated segments or duplicate content were already found under it, which quarantines it.
+   */
+  const suggestFanout = (pattern, url, evidence, suggestion) => {
+    if (suggested.has(pattern)) return null;
+    suggested.add(pattern);
+    if (suggestRow.run(pattern, 'fanout', url, evidence, JSON.stringify(suggestion), new Date().toISOString()).changes) {
+      console.warn(`[traps] possible fanout ${pattern} (${evidence}), not enforced; suggested rule: ${JSON.stringify(suggestion)}`);
+    }
+    const re = new RegExp(pattern);
+    const second = otherSignal.all().find(t => re.test(t.example_url));
+    return second && confirmFanout(pattern, `${evidence}; trap at ${second.example_url}`) ? pattern : null;
+  };
+  const followOff = (pattern) => ({ follow_overrides: [{ pattern, follow: false }] });
+  /** Pattern for everything under a directory: `exclude` is a path prefix, so it is the suggestion on the seed's host. */
+  const dirTrap = (kind, u, dir, evidence) => {
+    const pattern = `^${escapeRe(u.origin + dir)}`;
+    return quarantine(kind, pattern, u.href, evidence, { exclude: [dir], ...followOff(pattern) });
+  };
+  /** Same path, any query string. */
+  const queryTrap = (kind, u, evidence) => {
+    const pattern = `^${escapeRe(u.origin + u.pathname)}\\?`;
+    return quarantine(kind, pattern, u.href, evidence, followOff(pattern));
+  };
+
+  return {
+    /** Active trap pattern matching url (counted as a hit), or null. */
+    match(url) {
+      const trap = traps.find(t => t.re.test(url));
+      if (trap) countHit.run(trap.pattern);
+      return trap?.pattern ?? null;
+    },
+    /** Check a discovered link: returns the pattern holding it back (an existing trap or one it just tripped), or null. */
+    checkLink(url) {
+      const known = this.match(url);
+      if (known) return known;
+      let u;
+      try { u = new URL(url); } catch { return null; }
+      const unit = repeatedSegments(u.pathname, limits.repeated_segments);
+      if (unit) {
+        const pattern = `(?:${escapeRe(unit)}){${limits.repeated_segments}}(?=[/?#]|$)`;
+        return quarantine('repeated_segments', pattern, url, `${unit} repeated ${limits.repeated_segments}+ times`, followOff(pattern));
+      }
+      if (u.search) {
+        const key = u.origin + u.pathname;
+        const seen = variants.get(key) ?? new Set(), names = combos.get(key) ?? new Set();
+        variants.set(key, seen.add(u.search));
+        combos.set(key, names.add([...new Set(u.searchParams.keys())].sort().join('&')));
+        if (seen.size > limits.max_query_variants && names.size >= limits.min_param_combos) {
+          return queryTrap('query_permutations', u, `${seen.size} query variants over ${names.size} parameter combinations of ${u.pathname}`);
+        }
+      }
+      const dir = parentDir(u.pathname);
+      if (dir !== '/') {
+        const key = u.origin + dir;
+        const seen = children.get(key) ?? new Set();
+        children.set(key, seen.add(u.pathname));
+        if (seen.size > limits.max_fanout) {
+          // Large sections (/wiki/, /posts/) are normal: fan-out alone is a suggestion; duplicate content or
+          // repeated segments under the directory quarantine it
+          const pattern = `^${escapeRe(u.origin + dir)}`;
+          return suggestFanout(pattern, u.href, `${seen.size}+ URLs directly under ${dir}`, { exclude: [dir], ...followOff(pattern) });
+        }
+      }
+      return null;
+    },
+    /**
+     * After storing a new page: when max_duplicate_content live URLs share its body, quarantine what they have in
+     * common -- the path (query variants) or the deepest shared directory. Never the site root. Returns the pattern or null.
+     */
+    checkContent(url, contentHash) {
+      const urls = db.prepare('SELECT url FROM pages WHERE content_hash=? AND gone=0 LIMIT ?').all(contentHash, limits.max_duplicate_content).map(r => r.url);
+      if (urls.length < limits.max_duplicate_content) return null;
+      let u;
+      try { u = new URL(url); } catch { return null; }
+      const paths = urls.map(x => new URL(x)).filter(x => x.origin === u.origin).map(x => x.pathname);
+      if (paths.length < urls.length) return null;
+      const evidence = `${urls.length}+ URLs with the same content`;
+      if (paths.every(p => p === u.pathname)) return queryTrap('duplicate_content', u, evidence);
+      let dir = dirOf(u.pathname);
+      while (dir !== '/' && !paths.every(p => p.startsWith(dir))) dir = dirOf(dir.slice(0, -1));
+      return dir === '/' ? null : dirTrap('duplicate_content', u, dir, evidence);
+    },
+  };
+};
+
+/** Recorded traps, newest first, with suggestion parsed; `status` (or activeOnly) limits them to one status. */
+export const listTraps = (db, { activeOnly = false, status = activeOnly ? 'active' : null } = {}) =>
+  db.prepare(`SELECT * FROM crawl_traps${status ? ' WHERE status=?' : ''} ORDER BY detected_at DESC`).all(...(status ? [status] : []))
+    .map(t => ({ ...t, suggestion: JSON.parse(t.suggestion ?? 'null') }));
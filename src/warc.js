@@ -0,0 +1,375 @@
+// WARC/1.1 writer -- one gzip member per record (standard .warc.gz), files rotated per run and by size --
+// plus a reader that indexes existing .warc / .warc.gz / .wacz files for the warc fetch adapter.
+// Exports: createWarcWriter, readWarcRecord, warcFileName, parseHttpResponse, openWarcArchive. Deps: zlib, crypto, os, zip
+import { openSync, writeSync, closeSync, readSync, mkdirSync, statSync, readdirSync } from 'fs';
+import { join } from 'path';
+import { gzipSync, gunzipSync, deflateRawSync, inflateRawSync, inflateSync, brotliDecompressSync, constants as zlibConstants } from 'zlib';
+import { createHash, randomUUID } from 'crypto';
+import { hostname } from 'os';
+import { listZipEntries, readZipEntry } from './zip.js';
+
+const CRLF = '\r\n';
+const B32 = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ234567';
+const CHUNK = 1 << 20;
+// gzip member header: deflate, no flags, no mtime, unknown OS
+const GZIP_HEADER = Buffer.from([0x1f, 0x8b, 8, 0, 0, 0, 0, 0, 0, 0xff]);
+const CRC_TABLE = Int32Array.from({ length: 256 }, (_, n) => {
+  let c = n;
+  for (let k = 0; k < 8; k++) c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+  return c;
+});
+// undici hands us decoded bodies; these headers would describe bytes we no longer have
+const DROP_HEADERS = new Set(['content-encoding', 'transfer-encoding', 'content-length']);
+
+/** RFC 4648 base32, as used by WARC sha1 digests. */
+const base32 = (buf) => {
+  let bits = 0, value = 0, out = '';
+  for (const byte of buf) {
+    value = (value << 8) | byte; bits += 8;
+    while (bits >= 5) { out += B32[(value >>> (bits - 5)) & 31]; bits -= 5; }
+  }
+  if (bits > 0) out += B32[(value << (5 - bits)) & 31];
+  return out;
+};
+const sha1Digest = (buf) => `sha1:${base32(createHash('sha1').update(buf).digest())}`;
+const crc32 = (crc, buf) => {
+  let c = ~crc;
+  for (let i = 0; i < buf.length; i++) c = CRC_TABLE[(c ^ buf[i]) & 0xff] ^ (c >>> 8);
+  return ~c >>> 0;
+};
+/** Bytes of record parts in CHUNK-sized pieces: Buffers as they are, `{ path }` bodies read from disk (the yielded buffer is reused). */
+function* partChunks(parts) {
+  for (const part of parts) {
+    if (Buffer.isBuffer(part)) { if (part.length) yield part; continue; }
+    const fd = openSync(part.path, 'r');
+    const buf = Buffer.alloc(CHUNK);
+    try {
+      for (let n; (n = readSync(fd, buf, 0, CHUNK, null)) > 0;) yield buf.subarray(0, n);
+    } finally { closeSync(fd); }
+  }
+}
+const partLength = (part) => Buffer.isBuffer(part) ? part.length : statSync(part.path).size;
+const recordId = () => `<urn:uuid:${randomUUID()}>`;
+const ts14 = (d) => d.toISOString().replace(/[-:T]/g, '').slice(0, 14);
+const exists = (path) => { try { statSync(path); return true; } catch { return false; } };
+
+/** `{prefix}-{YYYYMMDDhhmmss}-{serial}.warc.gz` -- the timestamp is the run start, serial counts rotations. */
+export const warcFileName = (prefix, runStartedAt, serial) =>
+  `${prefix}-${ts14(new Date(runStartedAt))}-${String(serial).padStart(5, '0')}.warc.gz`;
+
+/** WARC record header lines for a block of blockLength bytes, up to the blank line. */
+const recordHead = (fields, blockLength) => Buffer.from(['WARC/1.1', ...Object.entries(fields).filter(([, v]) => v != null)
+  .map(([k, v]) => `${k}: ${v}`), `Content-Length: ${blockLength}`].join(CRLF) + CRLF + CRLF);
+/** Serialize one WARC record (uncompressed). */
+const buildRecord = (fields, block) => Buffer.concat([recordHead(fields, block.length), block, Buffer.from(CRLF + CRLF)]);
+const httpHeaderLines = (headers) => headers.map(([k, v]) => `${k}: ${v}${CRLF}`).join('');
+
+/**
+ * Open a WARC writer for one crawl run. Files live in dir; a new file starts when the current one passes maxBytes.
+ * Writes are synchronous appends so a crash can lose at most the record being written.
+ * @param {string} dir - Output directory (created if missing)
+ * @param {object} opts - { prefix, runStartedAt, maxBytes, software, operator }
+ */
+export const createWarcWriter = (dir, { prefix, runStartedAt = new Date().toISOString(), maxBytes = 1e9, software = 'site2rag', operator = null } = {}) => {
+  mkdirSync(dir, { recursive: true });
+  let fd = null, filename = null, offset = 0, serial = 0;
+
+  const append = (record) => {
+    const gz = gzipSync(record);
+    const at = offset;
+    writeSync(fd, gz, 0, gz.length, at);
+    offset += gz.length;
+    return { filename, offset: at, length: gz.length };
+  };
+  /**
+   * Append a record whose block is made of parts (Buffers and `{ path }` file bodies) as one gzip member, compressed a
+   * chunk at a time so a large body is never held in memory. Each chunk is deflated on its own and ended with a sync
+   * flush, which leaves the concatenation a single valid deflate stream.
+   */
+  const appendParts = (fields, parts) => {
+    const at = offset;
+    const write = (buf) => { writeSync(fd, buf, 0, buf.length, offset); offset += buf.length; };
+    write(GZIP_HEADER);
+    let crc = 0, size = 0;
+    const head = recordHead(fields, parts.reduce((n, part) => n + partLength(part), 0));
+    for (const chunk of partChunks([head, ...parts, Buffer.from(CRLF + CRLF)])) {
+      crc = crc32(crc, chunk);
+      size += chunk.length;
+      write(deflateRawSync(chunk, { finishFlush: zlibConstants.Z_SYNC_FLUSH }));
+    }
+    write(deflateRawSync(Buffer.alloc(0)));
+    const trailer = Buffer.alloc(8);
+    trailer.writeUInt32LE(crc, 0);
+    trailer.writeUInt32LE(size % 0x100000000, 4);
+    write(trailer);
+    return { filename, offset: at, length: offset - at };
+  };
+  const open = () => {
+    if (fd !== null) closeSync(fd);
+    // Skip names left by an earlier process for the same run (resume) rather than appending to them
+    do { filename = warcFileName(prefix, runStartedAt, serial++); } while (exists(join(dir, filename)));
+    fd = openSync(join(dir, filename), 'w');
+    offset = 0;
+    const info = [`software: ${software}`, `format: WARC File Format 1.1`, `hostname: ${hostname()}`,
+      ...(operator ? [`operator: ${operator}`] : [])].join(CRLF) + CRLF;
+    append(buildRecord({
+      'WARC-Type': 'warcinfo', 'WARC-Date': new Date().toISOString(), 'WARC-Filename': filename,
+      'WARC-Record-ID': recordId(), 'Content-Type': 'application/warc-fields',
+    }, Buffer.from(info)));
+  };
+  const ensureOpen = () => { if (fd === null || offset >= maxBytes) open(); };
+
+  return {
+    /**
+     * Archive one HTTP exchange as request + response (+ metadata) records, or a revisit record when
+     * refersTo ({ url, date } of the original capture) names an earlier response with the same payload. A body already
+     * on disk is passed as bodyPath and streamed into the record. Returns the response/revisit record location.
+     * @param {object} ex - { url, date, method, requestHeaders[[k,v]], status, statusText, headers[[k,v]], body, bodyPath, refersTo, metadata{} }
+     */
+    writeExchange(ex) {
+      ensureOpen();
+      const date = ex.date ?? new Date().toISOString();
+      const u = new URL(ex.url);
+      const body = ex.body ?? (ex.bodyPath ? { path: ex.bodyPath } : Buffer.alloc(0));
+      const respHead = Buffer.from(`HTTP/1.1 ${ex.status} ${ex.statusText || ''}`.trimEnd() + CRLF +
+        httpHeaderLines((ex.headers || []).filter(([k]) => !DROP_HEADERS.has(k.toLowerCase()))) +
+        (ex.refersTo ? '' : `Content-Length: ${partLength(body)}${CRLF}`) + CRLF);
+      const respId = recordId();
+      const payloadHash = createHash('sha1'), blockHash = createHash('sha1').update(respHead);
+      for (const chunk of partChunks([body])) {
+        payloadHash.update(chunk);
+        if (!ex.refersTo) blockHash.update(chunk);
+      }
+      const parts = ex.refersTo ? [respHead] : [respHead, body];
+      const fields = {
+        'WARC-Type': ex.refersTo ? 'revisit' : 'response', 'WARC-Record-ID': respId, 'WARC-Date': date,
+        'WARC-Target-URI': ex.url, 'WARC-IP-Address': ex.ip ?? null,
+        ...(ex.refersTo ? {
+          'WARC-Profile': 'http://netpreserve.org/warc/1.1/revisit/identical-payload-digest',
+          'WARC-Refers-To-Target-URI': ex.refersTo.url, 'WARC-Refers-To-Date': ex.refersTo.date,
+        } : {}),
+        'WARC-Payload-Digest': `sha1:${base32(payloadHash.digest())}`, 'WARC-Block-Digest': `sha1:${base32(blockHash.digest())}`,
+        'Content-Type': 'application/http;msgtype=response',
+      };
+      const loc = parts.every(Buffer.isBuffer) ? append(buildRecord(fields, Buffer.concat(parts))) : appendParts(fields, parts);
+      const reqBlock = Buffer.from(`${ex.method || 'GET'} ${u.pathname}${u.search} HTTP/1.1${CRLF}Host: ${u.host}${CRLF}` +
+        httpHeaderLines(ex.requestHeaders || []) + CRLF);
+      append(buildRecord({
+        'WARC-Type': 'request', 'WARC-Record-ID': recordId(), 'WARC-Date': date, 'WARC-Target-URI': ex.url,
+        'WARC-Concurrent-To': respId, 'WARC-Block-Digest': sha1Digest(reqBlock),
+        'Content-Type': 'application/http;msgtype=request',
+      }, reqBlock));
+      if (ex.metadata && Object.keys(ex.metadata).length) this.writeMetadata(ex.url, respId, ex.metadata, date);
+      return loc;
+    },
+    /** Archive content that did not come from a plain HTTP exchange (API-assembled pages) as a resource record. */
+    writeResource({ url, date, mimeType, body, metadata }) {
+      ensureOpen();
+      const id = recordId();
+      const loc = append(buildRecord({
+        'WARC-Type': 'resource', 'WARC-Record-ID': id, 'WARC-Date': date ?? new Date().toISOString(),
+        'WARC-Target-URI': url, 'WARC-Block-Digest': sha1Digest(body), 'Content-Type': mimeType || 'application/octet-stream',
+      }, body));
+      if (metadata && Object.keys(metadata).length) this.writeMetadata(url, id, metadata, date);
+      return loc;
+    },
+    /** metadata record (application/warc-fields) attached to another record. */
+    writeMetadata(url, concurrentTo, fields, date) {
+      ensureOpen();
+      const block = Buffer.from(Object.entries(fields).filter(([, v]) => v != null).map(([k, v]) => `${k}: ${v}${CRLF}`).join(''));
+      return append(buildRecord({
+        'WARC-Type': 'metadata', 'WARC-Record-ID': recordId(), 'WARC-Date': date ?? new Date().toISOString(),
+        'WARC-Target-URI': url, 'WARC-Concurrent-To': concurrentTo, 'Content-Type': 'application/warc-fields',
+      }, block));
+    },
+    close() { if (fd !== null) { closeSync(fd); fd = null; } },
+  };
+};
+
+/** Split a raw record into lower-cased WARC headers and its block. */
+const parseRecord = (raw) => {
+  const sep = raw.indexOf(CRLF + CRLF);
+  const headers = {};
+  for (const line of raw.subarray(0, sep).toString('utf8').split(CRLF).slice(1)) {
+    const i = line.indexOf(':');
+    if (i > 0) headers[line.slice(0, i).toLowerCase()] = line.slice(i + 1).trim();
+  }
+  const start = sep + 4;
+  return { type: headers['warc-type'], headers, block: raw.subarray(start, start + Number(headers['content-length'] || 0)) };
+};
+const isGzip = (buf) => buf.length > 1 && buf[0] === 0x1f && buf[1] === 0x8b;
+
+/**
+ * Read one record back by the (offset, length) stored in pages (or an archive index entry). Plain and gzip records.
+ * @returns {{ type, headers: object, block: Buffer }} headers keyed by lower-cased WARC field name
+ */
+export const readWarcRecord = (path, offset, length) => {
+  const fd = openSync(path, 'r');
+  const buf = Buffer.alloc(length);
+  try { readSync(fd, buf, 0, length, offset); } finally { closeSync(fd); }
+  return parseRecord(isGzip(buf) ? gunzipSync(buf) : buf);
+};
+
+// ---- Reading existing archives (fetch_adapter: warc) ----
+
+/** Bytes [pos, pos+len) of a source: a file, a stored WACZ entry (file + base offset) or an in-memory buffer. */
+const readSource = (src, pos, len) => {
+  len = Math.max(0, Math.min(len, src.size - pos));
+  if (src.buf) return src.buf.subarray(pos, pos + len);
+  const fd = openSync(src.path, 'r');
+  const buf = Buffer.alloc(len);
+  try { readSync(fd, buf, 0, len, src.base + pos); } finally { closeSync(fd); }
+  return buf;
+};
+
+/** Length of the gzip header starting at buf[0] (RFC 1952 optional fields). */
+const gzipHeaderLength = (buf) => {
+  const flags = buf[3];
+  let p = 10;
+  if (flags & 4) p += 2 + buf.readUInt16LE(p);
+  if (flags & 8) p = buf.indexOf(0, p) + 1;
+  if (flags & 16) p = buf.indexOf(0, p) + 1;
+  if (flags & 2) p += 2;
+  return p;
+};
+
+/** Decompress the gzip member at pos; returns { raw, length } where length is the member's compressed size. */
+const readGzipMember = (src, pos) => {
+  for (let win = 1 << 16; ; win *= 4) {
+    const buf = readSource(src, pos, win);
+    const hdr = gzipHeaderLength(buf);
+    try {
+      const { buffer, engine } = inflateRawSync(buf.subarray(hdr), { info: true });
+      return { raw: buffer, length: hdr + engine.bytesWritten + 8 };
+    } catch (err) {
+      // Truncated window -- widen it, unless we already have everything up to EOF
+      if (pos + buf.length >= src.size) throw err;
+    }
+  }
+};
+
+/** Read the uncompressed record at pos; returns { raw, length }. */
+const readPlainRecord = (src, pos) => {
+  let head = readSource(src, pos, 1 << 14);
+  while (head.indexOf(CRLF + CRLF) < 0 && pos + head.length < src.size) head = readSource(src, pos, head.length * 4);
+  const sep = head.indexOf(CRLF + CRLF);
+  if (sep < 0) throw new Error('truncated WARC record header');
+  const cl = Number(/\r\nContent-Length:\s*(\d+)/i.exec(head.subarray(0, sep).toString('latin1'))?.[1] ?? 0);
+  const length = sep + 4 + cl + 4;
+  return { raw: readSource(src, pos, length), length };
+};
+
+/** Scan one WARC source, yielding index entries for response, resource and revisit records. */
+const indexSource = (src) => {
+  const out = [];
+  for (let pos = 0; pos < src.size;) {
+    const gz = isGzip(readSource(src, pos, 2));
+    const { raw, length } = gz ? readGzipMember(src, pos) : readPlainRecord(src, pos);
+    if (!length) break;
+    const { type, headers, block } = parseRecord(raw);
+    if ((type === 'response' || type === 'resource' || type === 'revisit') && headers['warc-target-uri']) {
+      const status = type === 'resource' ? 200 : Number(/^HTTP\/[\d.]+ (\d{3})/.exec(block.subarray(0, 32).toString('latin1'))?.[1] ?? 0);
+      out.push({ src, offset: pos, length, type, status, uri: headers['warc-target-uri'].replace(/^<|>$/g, ''),
+        date: headers['warc-date'] ?? '', refersTo: headers['warc-refers-to-target-uri'] ?? null, contentType: headers['content-type'] ?? null });
+    }
+    pos += length;
+    // Skip stray CRLFs between uncompressed records
+    while (!gz && pos < src.size && readSource(src, pos, 1)[0] <= 0x20) pos++;
+  }
+  return out;
+};
+
+/** WARC sources for a path: a .warc / .warc.gz file, a .wacz package (archive/*.warc*), or a directory of either. */
+const sourcesFor = (path) => {
+  const st = statSync(path);
+  if (st.isDirectory()) return readdirSync(path).sort().filter(f => /\.(warc(\.gz)?|wacz)$/i.test(f)).flatMap(f => sourcesFor(join(path, f)));
+  if (/\.wacz$/i.test(path)) {
+    return listZipEntries(path).filter(e => /^archive\/.+\.warc(\.gz)?$/i.test(e.name)).map(e => e.method === 0
+      ? { name: `${path}#${e.name}`, path, base: e.dataOffset, size: e.size }
+      : { name: `${path}#${e.name}`, buf: readZipEntry(path, e), size: e.size });
+  }
+  return [{ name: path, path, base: 0, size: st.size }];
+};
+
+/** Decode an archived HTTP response block: status, headers, de-chunked and content-decoded body. */
+export const parseHttpResponse = (block) => {
+  const sep = block.indexOf(CRLF + CRLF);
+  const head = (sep < 0 ? block : block.subarray(0, sep)).toString('latin1').split(CRLF);
+  const status = Number(/^HTTP\/[\d.]+ (\d{3})/.exec(head[0])?.[1] ?? 0);
+  const headers = {};
+  for (const line of head.slice(1)) {
+    const i = line.indexOf(':');
+    if (i > 0) headers[line.slice(0, i).trim().toLowerCase()] = line.slice(i + 1).trim();
+  }
+  let body = sep < 0 ? Buffer.alloc(0) : block.subarray(sep + 4);
+  if (/chunked/i.test(headers['transfer-encoding'] || '')) {
+    const parts = [];
+    for (let p = 0; p < body.length;) {
+      const eol = body.indexOf(CRLF, p);
+      const n = parseInt(body.subarray(p, eol).toString('latin1'), 16);
+      if (!n) break;
+      parts.push(body.subarray(eol + 2, eol + 2 + n));
+      p = eol + 2 + n + 2;
+    }
+    body = Buffer.concat(parts);
+  }
+  const enc = (headers['content-encoding'] || '').toLowerCase();
+  try {
+    if (enc === 'gzip' || enc === 'x-gzip') body = gunzipSync(body);
+    else if (enc === 'deflate') body = inflateSync(body);
+    else if (enc === 'br') body = brotliDecompressSync(body);
+  } catch { /* served mislabelled -- keep bytes as archived */ }
+  return { status, headers, body };
+};
+
+/** Lookup key: host without www., path, query -- tolerant of scheme and www spelling differences. */
+const lookupKey = (url) => {
+  try { const u = new URL(url); return `${u.host.replace(/^www\./, '')}${u.pathname}${u.search}`; } catch { return url; }
+};
+
+const captureRank = (e) => e.type === 'revisit' ? 0 : e.status >= 300 && e.status < 400 ? 1 : 2;
+const scanCache = new Map();
+
+/**
+ * Open (and index) local WARC/WACZ files. Scans are cached per process by file list, size and mtime, so the
+ * sitemap stage and the mirror adapter share one scan.
+ * @param {string[]} paths - Files or directories
+ * @param {{ canonicalize?: (url: string) => string }} opts - the site's URL canonicalization, applied to archived and
+ *   looked-up URLs alike, so a capture of `?utm_source=x` or `/Page` is found under the URL the mirror asks for
+ * @returns {{ lookup(url): object|null, entries(): Array<{url, date, source}>, size: number }}
+ */
+export const openWarcArchive = (paths, { canonicalize = null } = {}) => {
+  const stamp = paths.map(p => { const st = statSync(p); return `${p}:${st.size}:${st.mtimeMs}`; }).join('|');
+  if (!scanCache.has(stamp)) scanCache.set(stamp, paths.flatMap(sourcesFor).flatMap(indexSource));
+  const keyOf = (url) => {
+    if (canonicalize) try { url = canonicalize(url); } catch { /* not a URL the site would crawl -- keep as archived */ }
+    return lookupKey(url);
+  };
+  const byKey = new Map();
+  for (const e of scanCache.get(stamp)) {
+    const key = keyOf(e.uri);
+    const prev = byKey.get(key);
+    // Latest full capture wins; redirects (often http→https of the same key) and revisits only stand in for nothing
+    if (!prev || captureRank(e) > captureRank(prev) || (captureRank(e) === captureRank(prev) && e.date >= prev.date)) byKey.set(key, e);
+  }
+  const find = (url) => {
+    const key = keyOf(url);
+    return byKey.get(key) ?? byKey.get(key.endsWith('/') ? key.slice(0, -1) : `${key}/`) ?? null;
+  };
+  const archive = {
+    size: byKey.size,
+    /** Archived response for url, following revisits to their original capture. */
+    lookup(url) {
+      let e = find(url);
+      if (e?.type === 'revisit') e = e.refersTo && e.refersTo !== e.uri ? find(e.refersTo) : null;
+      if (!e || e.type === 'revisit') return null;
+      const bytes = readSource(e.src, e.offset, e.length);
+      const { block } = parseRecord(isGzip(bytes) ? gunzipSync(bytes) : bytes);
+      if (e.type === 'resource') return { status: 200, headers: { 'content-type': e.contentType }, body: block, date: e.date, uri: e.uri };
+      return { ...parseHttpResponse(block), date: e.date, uri: e.uri };
+    },
+    /** Every captured URL with its capture date and source file. */
+    entries: () => [...byKey.values()].map(e => ({ url: e.uri, date: e.date, status: e.status, source: e.src.name })),
+  };
+  return archive;
+};
@@ -0,0 +1,142 @@
+// WordPress REST adapter -- enumerates posts, pages (and other post types) and media through /wp-json/wp/v2 and
+// serves each post as a small HTML page built from the API: rendered content plus JSON-LD carrying authors,
+// categories, tags and dates for the frontmatter. `modified_gmt` is the change signal: it is the sitemap-stage lastmod
+// and the page's stored ETag, so unchanged posts cost no request.
+// Exports: wpRestIndex, buildWpHtml, createWordPressRestAdapter, discoverWpRest. Deps: cheerio
+import * as cheerio from 'cheerio';
+
+const LIST_TIMEOUT_MS = 30000;
+const indexes = new WeakMap();
+const getJson = (client, url) => client.fetch(url, { headers: { Accept: 'application/json' }, signal: AbortSignal.timeout(LIST_TIMEOUT_MS) });
+
+const normalize = (url) => { try { const u = new URL(url); u.hash = ''; return u.toString().replace(/\/$/, ''); } catch { return null; } };
+const gmt = (v) => v ? `${v.replace(/Z$/, '')}Z` : null;
+const etagOf = (item) => `W/"wp-${item.modified_gmt}"`;
+const decode = (html) => cheerio.load(`<p>${html ?? ''}</p>`)('p').text().trim();
+const esc = (s) => String(s ?? '').replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/"/g, '&quot;');
+
+/** Every page of a collection route (X-WP-TotalPages), capped at max_pages. */
+const listAll = async (client, route, params, maxPages) => {
+  const items = [];
+  for (let page = 1, total = 1; page <= Math.min(total, maxPages); page++) {
+    const url = `${route}?${new URLSearchParams({ ...params, page: String(page) })}`;
+    const res = await getJson(client, url);
+    if (!res.ok) {
+      await res.arrayBuffer().catch(() => {});
+      // WordPress answers 400 rest_post_invalid_page_number past the last page
+      if (res.status === 400 && page > 1) break;
+      throw new Error(`${url}: HTTP ${res.status}`);
+    }
+    const batch = await res.json();
+    if (!Array.isArray(batch) || !batch.length) break;
+    items.push(...batch);
+    total = Number(res.headers.get('x-wp-totalpages')) || total + 1;
+  }
+  return items;
+};
+
+/**
+ * URL → { route, id, modified_gmt, media? } for every published item of the configured post types plus media of
+ * `media_mimes`, listed with minimal fields. Built once per site config (shared by the sitemap and mirror stages).
+ * Throws when the API is unreachable; a failing post type or media query is skipped with a warning.
+ */
+export const wpRestIndex = (siteConfig, client, options) => {
+  if (indexes.has(siteConfig)) return indexes.get(siteConfig);
+  const build = async () => {
+    const api = options.api_base ?? `${new URL(siteConfig.url).origin}/wp-json/wp/v2`;
+    const probe = await getJson(client, `${api}/types`);
+    await probe.arrayBuffer().catch(() => {});
+    if (!probe.ok) throw new Error(`WordPress REST API not available at ${api} (HTTP ${probe.status})`);
+    const index = new Map();
+    const base = { per_page: String(options.per_page), orderby: 'id', order: 'asc' };
+    for (const route of options.types) {
+      try {
+        for (const item of await listAll(client, `${api}/${route}`, { ...base, _fields: 'id,link,modified_gmt' }, options.max_pages)) {
+          const url = normalize(item.link);
+          if (url) index.set(url, { route, id: item.id, link: item.link, modified_gmt: item.modified_gmt });
+        }
+      } catch (err) { console.warn(`[wordpress-rest] ${route}: ${err.message}`); }
+    }
+    for (const mime of options.media_mimes) {
+      try {
+        for (const item of await listAll(client, `${api}/media`, { ...base, mime_type: mime, _fields: 'id,source_url,modified_gmt' }, options.max_pages)) {
+          const url = normalize(item.source_url);
+          if (url) index.set(url, { route: 'media', id: item.id, link: item.source_url, modified_gmt: item.modified_gmt, media: true });
+        }
+      } catch (err) { console.warn(`[wordpress-rest] media (${mime}): ${err.message}`); }
+    }
+    console.log(`[wordpress-rest] indexed ${index.size} items at ${api}`);
+    return { api, index };
+  };
+  const pending = build();
+  indexes.set(siteConfig, pending);
+  pending.catch(() => indexes.delete(siteConfig));
+  return pending;
+};
+
+/**
+ * HTML page for one REST item fetched with `_embed=author,wp:term`: title, rendered content and excerpt, with
+ * authors, categories (articleSection), tags (keywords) and GMT dates in JSON-LD for extractMetadata.
+ */
+export const buildWpHtml = (item) => {
+  const title = decode(item.title?.rendered);
+  const authors = (item._embedded?.author ?? []).filter(a => a?.name)
+    .map(a => ({ '@type': 'Person', name: a.name, ...(a.link ? { url: a.link } : {}), ...(a.description ? { description: a.description } : {}) }));
+  const terms = (item._embedded?.['wp:term'] ?? []).flat().filter(t => t?.name);
+  const categories = terms.filter(t => t.taxonomy === 'category').map(t => decode(t.name));
+  const tags = terms.filter(t => t.taxonomy === 'post_tag').map(t => decode(t.name));
+  const jsonLd = {
+    '@context': 'https://schema.org', '@type': item.type === 'page' ? 'WebPage' : 'BlogPosting',
+    headline: title, url: item.link,
+    ...(authors.length ? { author: authors } : {}),
+    ...(item.date_gmt ? { datePublished: gmt(item.date_gmt) } : {}),
+    ...(item.modified_gmt ? { dateModified: gmt(item.modified_gmt) } : {}),
+    ...(categories.length ? { articleSection: categories } : {}),
+    ...(tags.length ? { keywords: tags } : {}),
+  };
+  const excerpt = decode(item.excerpt?.rendered);
+  return `<!DOCTYPE html><html><head><meta charset="utf-8"><title>${esc(title)}</title>` +
+    `<link rel="canonical" href="${esc(item.link)}">` +
+    (excerpt ? `<meta name="description" content="${esc(excerpt)}">` : '') +
+    `<script type="application/ld+json">${JSON.stringify(jsonLd).replace(/</g, '\\u003c')}</script></head>` +
+    `<body><article><h1>${esc(title)}</h1><div class="entry-content">${item.content?.rendered ?? ''}</div></article></body></html>`;
+};
+
+/**
+ * `fetch_adapter: wordpress_rest`: posts and pages come from `<api>/<route>/<id>`, returned as 304 while their
+ * `modified_gmt` matches the stored ETag. Media and URLs outside the index go to `fallback(url, existing)` (plain
+ * HTTP). `discover` lists the index for the sitemap stage, with `modified_gmt` as lastmod.
+ */
+export const createWordPressRestAdapter = async (siteConfig, { options, client, fallback }) => {
+  const { api, index } = await wpRestIndex(siteConfig, client, options);
+  return {
+    async fetch(url, existing) {
+      const item = index.get(normalize(url));
+      if (!item || item.media) return fallback(url, existing);
+      if (existing?.etag === etagOf(item)) return { status: 304, buf: null, mimeType: null, etag: null, lastModified: null };
+      let res;
+      try {
+        res = await getJson(client, `${api}/${item.route}/${item.id}?_embed=author,wp:term`);
+      } catch (err) {
+        console.warn(`[wordpress-rest] fetch error ${url}: ${err.message}`);
+        return { status: 0, buf: null, mimeType: null, etag: null, lastModified: null };
+      }
+      if (!res.ok) {
+        await res.arrayBuffer().catch(() => {});
+        return { status: res.status, buf: null, mimeType: null, etag: null, lastModified: null, retryAfter: res.headers.get('retry-after') };
+      }
+      let data;
+      try { data = await res.json(); } catch { return { status: 500, buf: null, mimeType: null, etag: null, lastModified: null }; }
+      const fresh = data.modified_gmt ? data : item;
+      return { status: 200, buf: Buffer.from(buildWpHtml(data), 'utf8'), mimeType: 'text/html',
+        etag: etagOf(fresh), lastModified: new Date(gmt(fresh.modified_gmt)).toUTCString() };
+    },
+    async close() {},
+  };
+};
+
+/** Sitemap-stage entries for the index: every post, page and media file with its modified_gmt as lastmod. */
+export const discoverWpRest = async (siteConfig, { options, client }) => {
+  const { index } = await wpRestIndex(siteConfig, client, options);
+  return [...index.values()].map(item => ({ url: item.link, lastmod: gmt(item.modified_gmt) }));
+};
@@ -0,0 +1,81 @@
+// Minimal read-only ZIP access for WACZ packages -- central directory listing (incl. ZIP64) and entry location.
+// Exports: listZipEntries, readZipEntry. Deps: zlib
+import { openSync, readSync, closeSync, fstatSync } from 'fs';
+import { inflateRawSync } from 'zlib';
+
+const EOCD_SIG = 0x06054b50, ZIP64_LOCATOR_SIG = 0x07064b50, ZIP64_EOCD_SIG = 0x06064b50;
+const CDH_SIG = 0x02014b50, LFH_SIG = 0x04034b50;
+const U32_MAX = 0xffffffff;
+
+const readAt = (fd, pos, len) => {
+  const buf = Buffer.alloc(len);
+  const n = readSync(fd, buf, 0, len, pos);
+  return n < len ? buf.subarray(0, n) : buf;
+};
+const u64 = (buf, at) => Number(buf.readBigUInt64LE(at));
+
+/**
+ * List file entries of a ZIP archive.
+ * @returns {Array<{ name, method, compressedSize, size, dataOffset }>} method 0 = stored, 8 = deflate
+ */
+export const listZipEntries = (path) => {
+  const fd = openSync(path, 'r');
+  try {
+    const fileSize = fstatSync(fd).size;
+    const tailLen = Math.min(fileSize, 22 + 0xffff);
+    const tail = readAt(fd, fileSize - tailLen, tailLen);
+    let eocd = -1;
+    for (let i = tail.length - 22; i >= 0; i--) if (tail.readUInt32LE(i) === EOCD_SIG) { eocd = i; break; }
+    if (eocd < 0) throw new Error(`not a zip file: ${path}`);
+    let count = tail.readUInt16LE(eocd + 10);
+    let cdSize = tail.readUInt32LE(eocd + 12);
+    let cdOffset = tail.readUInt32LE(eocd + 16);
+    if (cdOffset === U32_MAX || count === 0xffff) {
+      const locPos = fileSize - tailLen + eocd - 20;
+      const loc = readAt(fd, locPos, 20);
+      if (loc.readUInt32LE(0) !== ZIP64_LOCATOR_SIG) throw new Error(`bad zip64 locator: ${path}`);
+      const z64 = readAt(fd, u64(loc, 8), 56);
+      if (z64.readUInt32LE(0) !== ZIP64_EOCD_SIG) throw new Error(`bad zip64 record: ${path}`);
+      count = u64(z64, 32); cdSize = u64(z64, 40); cdOffset = u64(z64, 48);
+    }
+    const cd = readAt(fd, cdOffset, cdSize);
+    const entries = [];
+    for (let p = 0, i = 0; i < count && p < cd.length; i++) {
+      if (cd.readUInt32LE(p) !== CDH_SIG) throw new Error(`corrupt central directory: ${path}`);
+      const method = cd.readUInt16LE(p + 10);
+      let compressedSize = cd.readUInt32LE(p + 20), size = cd.readUInt32LE(p + 24);
+      const nameLen = cd.readUInt16LE(p + 28), extraLen = cd.readUInt16LE(p + 30), commentLen = cd.readUInt16LE(p + 32);
+      let localOffset = cd.readUInt32LE(p + 42);
+      const name = cd.subarray(p + 46, p + 46 + nameLen).toString('utf8');
+      // ZIP64 extended info carries, in order, whichever of size / compressed size / offset overflowed
+      const extra = cd.subarray(p + 46 + nameLen, p + 46 + nameLen + extraLen);
+      for (let e = 0; e + 4 <= extra.length;) {
+        const id = extra.readUInt16LE(e), len = extra.readUInt16LE(e + 2);
+        if (id === 0x0001) {
+          let q = e + 4;
+          if (size === U32_MAX) { size = u64(extra, q); q += 8; }
+          if (compressedSize === U32_MAX) { compressedSize = u64(extra, q); q += 8; }
+          if (localOffset === U32_MAX) localOffset = u64(extra, q);
+        }
+        e += 4 + len;
+      }
+      p += 46 + nameLen + extraLen + commentLen;
+      if (name.endsWith('/')) continue;
+      const lfh = readAt(fd, localOffset, 30);
+      if (lfh.readUInt32LE(0) !== LFH_SIG) throw new Error(`bad local header for ${name}: ${path}`);
+      entries.push({ name, method, compressedSize, size, dataOffset: localOffset + 30 + lfh.readUInt16LE(26) + lfh.readUInt16LE(28) });
+    }
+    return entries;
+  } finally { closeSync(fd); }
+};
+
+/** Read a whole entry into memory (stored or deflated). */
+export const readZipEntry = (path, entry) => {
+  const fd = openSync(path, 'r');
+  try {
+    const raw = readAt(fd, entry.dataOffset, entry.compressedSize);
+    if (entry.method === 0) return raw;
+    if (entry.method === 8) return inflateRawSync(raw);
+    throw new Error(`unsupported zip compression method ${entry.method} for ${entry.name}`);
+  } finally { closeSync(fd); }
+};
@@ -0,0 +1,118 @@
+// Fetch-adapter registry BDD tests -- plugins loaded from a directory, config schema validation, adapter chains with
+// fallback, and URLs listed by adapters for the sitemap stage.
+import { describe, it, expect, beforeAll, afterAll } from 'vitest';
+import { mkdirSync, writeFileSync, rmSync } from 'fs';
+import { join } from 'path';
+import { tmpdir } from 'os';
+
+const testRoot = join(tmpdir(), `site2rag-adapter-registry-${Date.now()}`);
+process.env.SITE2RAG_ROOT = testRoot;
+
+import { ADAPTERS, registerAdapter, adapterNames, isOfflineSite, validateAdapterOptions } from '../src/adapter-registry.js';
+import { getAdapter, adapterDiscovery } from '../src/fetch-adapters.js';
+
+const DOMAIN = 'plugins.example.org';
+const SEED = `https://${DOMAIN}/`;
+const PLUGIN = `export default {
+  name: 'static_pages',
+  config_key: 'static_pages',
+  schema: { pages: { type: 'object', required: true }, status: { type: 'number', default: 200 } },
+  create: (siteConfig, { options }) => ({
+    fetch: async (url) => options.pages[url]
+      ? { status: options.status, buf: Buffer.from(options.pages[url]), mimeType: 'text/html', etag: null, lastModified: null }
+      : undefined,
+    close: async () => {},
+  }),
+  discover: (siteConfig, { options }) => Object.keys(options.pages).map(url => ({ url })),
+};
+`;
+
+beforeAll(() => {
+  mkdirSync(join(testRoot, 'adapters'), { recursive: true });
+  writeFileSync(join(testRoot, 'adapters', 'static-pages.mjs'), PLUGIN);
+  writeFileSync(join(testRoot, 'adapters', 'notes.txt'), 'not a plugin');
+  registerAdapter('fallback_echo', {
+    create: () => ({
+      fetch: async (url) => url.endsWith('/boom') ? { status: 503, buf: null, mimeType: null, etag: null, lastModified: null }
+        : { status: 200, buf: Buffer.from(`echo ${url}`), mimeType: 'text/html', etag: null, lastModified: null },
+      close: async () => {},
+    }),
+  });
+  registerAdapter('broken_discovery', {
+    create: () => ({ fetch: async () => undefined, close: async () => {} }),
+    discover: async () => { throw new Error('API not available'); },
+  });
+});
+afterAll(() => rmSync(testRoot, { recursive: true, force: true }));
+
+const site = (extra) => ({ domain: DOMAIN, url: SEED, playwright: { enabled: false },
+  static_pages: { pages: { [`${SEED}a`]: '<p>a</p>', [`${SEED}b`]: '<p>b</p>' } }, ...extra });
+
+describe('adapterNames / isOfflineSite', () => {
+  it('reads a single name or a chain, defaults to http, and knows the archive adapter is offline', () => {
+    expect(adapterNames({})).toEqual(['http']);
+    expect(adapterNames({ fetch_adapter: ['wordpress_rss', 'http'] })).toEqual(['wordpress_rss', 'http']);
+    expect(['http', 'mediawiki_api', 'wordpress_rss', 'warc'].every(n => ADAPTERS.has(n))).toBe(true);
+    expect(isOfflineSite({ fetch_adapter: 'warc' })).toBe(true);
+    expect(isOfflineSite({ fetch_adapter: ['warc', 'http'] })).toBe(false);
+  });
+});
+
+describe('validateAdapterOptions', () => {
+  const schema = { files: { type: 'array', required: true }, mode: { type: 'string', enum: ['a', 'b'], default: 'a' } };
+
+  it('fills defaults and rejects missing keys, wrong types and values outside enum', () => {
+    expect(validateAdapterOptions('x', schema, { files: ['f.warc'] })).toEqual({ files: ['f.warc'], mode: 'a' });
+    expect(() => validateAdapterOptions('x', schema, {})).toThrow(/x\.files is required/);
+    expect(() => validateAdapterOptions('x', schema, { files: 'f.warc' })).toThrow(/x\.files must be array, got string/);
+    expect(() => validateAdapterOptions('x', schema, { files: [], mode: 'c' })).toThrow(/x\.mode must be one of a, b/);
+    expect(() => validateAdapterOptions('x', schema, 'nope')).toThrow(/must be a mapping/);
+  });
+
+  it('validates built-in adapter blocks before creating them', async () => {
+    await expect(getAdapter({ domain: DOMAIN, url: SEED, fetch_adapter: 'warc' })).rejects.toThrow(/warc_import\.files is required/);
+    await expect(getAdapter({ domain: DOMAIN, url: SEED, fetch_adapter: 'mediawiki_api', mediawiki: { wiki_path: 1 } }))
+      .rejects.toThrow(/mediawiki\.wiki_path must be string/);
+  });
+});
+
+describe('plugins', () => {
+  it('loads an adapter from the plugins directory by name and passes it its validated options', async () => {
+    const adapter = await getAdapter(site({ fetch_adapter: 'static_pages' }));
+    expect(ADAPTERS.has('static_pages')).toBe(true);
+    expect((await adapter.fetch(`${SEED}a`, null)).buf.toString()).toBe('<p>a</p>');
+    await adapter.close();
+  });
+
+  it('names the adapter when it is not found anywhere', async () => {
+    await expect(getAdapter(site({ fetch_adapter: 'nowhere' }))).rejects.toThrow(/unknown fetch_adapter nowhere/);
+  });
+
+  it('rejects a plugin config that does not match its schema', async () => {
+    await expect(getAdapter(site({ fetch_adapter: 'static_pages', static_pages: { pages: [] } }))).rejects.toThrow(/static_pages\.pages must be object/);
+  });
+});
+
+describe('adapter chains', () => {
+  it('falls back to the next adapter on a declined URL or error status, and tags results with their adapter', async () => {
+    const adapter = await getAdapter(site({ fetch_adapter: ['static_pages', 'fallback_echo'] }));
+    expect(await adapter.fetch(`${SEED}a`, null)).toMatchObject({ status: 200, adapter: 'static_pages' });
+    const other = await adapter.fetch(`${SEED}c`, null);
+    expect(other).toMatchObject({ status: 200, adapter: 'fallback_echo' });
+    expect(other.buf.toString()).toBe(`echo ${SEED}c`);
+    expect(await adapter.fetch(`${SEED}boom`, null)).toMatchObject({ status: 503, adapter: 'fallback_echo' });
+    await adapter.close();
+  });
+
+  it('returns URLs listed by discover hooks for the sitemap stage', async () => {
+    const { entries, offline } = await adapterDiscovery(site({ fetch_adapter: ['static_pages', 'fallback_echo'] }));
+    expect(entries.map(e => e.url)).toEqual([`${SEED}a`, `${SEED}b`]);
+    expect(offline).toBe(false);
+  });
+
+  it('skips a discover hook that throws in a chain, and fails with it alone', async () => {
+    const { entries } = await adapterDiscovery(site({ fetch_adapter: ['broken_discovery', 'static_pages', 'fallback_echo'] }));
+    expect(entries.map(e => e.url)).toEqual([`${SEED}a`, `${SEED}b`]);
+    await expect(adapterDiscovery(site({ fetch_adapter: 'broken_discovery' }))).rejects.toThrow(/API not available/);
+  });
+});
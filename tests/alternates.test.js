@@ -0,0 +1,77 @@
+// hreflang alternates BDD tests -- parsing from sitemap/HTML, page language, stored graph and translations in frontmatter.
+import { describe, it, expect, beforeEach, afterEach } from 'vitest';
+import { mkdirSync, rmSync, readFileSync } from 'fs';
+import { join } from 'path';
+import { tmpdir } from 'os';
+import * as cheerio from 'cheerio';
+
+const testRoot = join(tmpdir(), `site2rag-alternates-${Date.now()}`);
+process.env.SITE2RAG_ROOT = testRoot;
+
+import { openDb } from '../src/db.js';
+import { sitemapAlternates, htmlAlternates, entryLanguage, addLocalePrefixes, recordAlternates, translationsFor } from '../src/alternates.js';
+import { exportHtmlPage } from '../src/export-html.js';
+import { mdDir } from '../src/config.js';
+
+const DOMAIN = 'alt.example.org';
+const SITE = `https://${DOMAIN}`;
+
+describe('parsing alternates', () => {
+  it('reads rel=alternate xhtml:link nodes from a sitemap entry (single or array)', () => {
+    expect(sitemapAlternates({ '@_rel': 'alternate', '@_hreflang': 'en_US', '@_href': `${SITE}/en` })).toEqual([{ hreflang: 'en-us', href: `${SITE}/en` }]);
+    expect(sitemapAlternates([{ '@_rel': 'canonical', '@_href': `${SITE}/x` }, { '@_hreflang': 'fr', '@_href': `${SITE}/fr` }]))
+      .toEqual([{ hreflang: 'fr', href: `${SITE}/fr` }]);
+    expect(sitemapAlternates(undefined)).toEqual([]);
+  });
+
+  it('resolves relative hrefs of <link rel=alternate hreflang> in HTML', () => {
+    const $ = cheerio.load('<head><link rel="alternate" hreflang="de" href="/de/"><link rel="alternate" type="application/rss+xml" href="/feed"><link rel="alternate" hreflang="x-default" href="/"></head>');
+    expect(htmlAlternates($, `${SITE}/en/`)).toEqual([{ hreflang: 'de', href: `${SITE}/de/` }, { hreflang: 'x-default', href: `${SITE}/` }]);
+  });
+
+  it('takes the page language from its own hreflang entry, else its locale prefix', () => {
+    const alts = [{ hreflang: 'x-default', href: `${SITE}/start` }, { hreflang: 'nl-BE', href: `${SITE}/start` }];
+    expect(entryLanguage(`${SITE}/start`, alts)).toBe('nl-be');
+    expect(entryLanguage(`${SITE}/it/chi-siamo`)).toBe('it');
+    expect(entryLanguage(`${SITE}/about`)).toBeNull();
+  });
+
+  it('collects the locale prefixes alternates confirm, ignoring hrefs whose prefix is not their language', () => {
+    const prefixes = addLocalePrefixes(new Set(), [{ hreflang: 'de-at', href: `${SITE}/de/start` }, { hreflang: 'pt-br', href: `${SITE}/pt-br/` },
+      { hreflang: 'en', href: `${SITE}/my/start` }, { hreflang: 'x-default', href: `${SITE}/en/` }, { hreflang: 'id', href: `${SITE}/id/` }]);
+    expect([...prefixes].sort()).toEqual(['de', 'id', 'pt-br']);
+  });
+});
+
+describe('translationsFor', () => {
+  let db;
+  beforeEach(() => { db = openDb(DOMAIN); });
+  afterEach(() => { db.close(); rmSync(testRoot, { recursive: true, force: true }); });
+
+  it('lists own alternates and pages pointing back, with export paths, without self or x-default', () => {
+    recordAlternates(db, `${SITE}/en/about`, [
+      { hreflang: 'en', href: `${SITE}/en/about` }, { hreflang: 'de', href: `${SITE}/de/ueber` }, { hreflang: 'x-default', href: `${SITE}/about` },
+    ], 'sitemap');
+    recordAlternates(db, `${SITE}/es/sobre`, [{ hreflang: 'es', href: `${SITE}/es/sobre` }, { hreflang: 'en', href: `${SITE}/en/about` }], 'html');
+    db.prepare("INSERT INTO exports (url, md_path, status) VALUES (?, '/md/de-ueber.md', 'ok')").run(`${SITE}/de/ueber`);
+    expect(translationsFor(db, `${SITE}/en/about`)).toEqual([
+      { lang: 'de', url: `${SITE}/de/ueber`, md_path: '/md/de-ueber.md' },
+      { lang: 'es', url: `${SITE}/es/sobre`, md_path: null },
+    ]);
+  });
+
+  it('replaces only the rows of the same source when re-recorded', () => {
+    recordAlternates(db, `${SITE}/en/`, [{ hreflang: 'de', href: `${SITE}/de/` }], 'sitemap');
+    recordAlternates(db, `${SITE}/en/`, [{ hreflang: 'fr', href: `${SITE}/fr/` }], 'html');
+    recordAlternates(db, `${SITE}/en/`, [], 'sitemap');
+    expect(translationsFor(db, `${SITE}/en/`).map(t => t.lang)).toEqual(['fr']);
+  });
+
+  it('writes translations into the exported page frontmatter', () => {
+    recordAlternates(db, `${SITE}/en/about`, [{ hreflang: 'de', href: `${SITE}/de/ueber` }], 'sitemap');
+    mkdirSync(mdDir(DOMAIN), { recursive: true });
+    const page = { url: `${SITE}/en/about`, path_slug: 'en-about', content_hash: 'sha256:a', mime_type: 'text/html', depth: 1, page_role: 'content', from_sitemap: 1 };
+    exportHtmlPage(db, { domain: DOMAIN, assets: { rewrite_links: false } }, page, '<html lang="en"><head><title>About</title></head><body><p>About us</p></body></html>');
+    expect(readFileSync(join(mdDir(DOMAIN), 'en-about.md'), 'utf8')).toContain(`translations: [{"lang":"de","url":"${SITE}/de/ueber","md_path":null}]`);
+  });
+});
@@ -16,7 +16,7 @@ import { runAssets, resolveUrl, classifyAsset } from '../src/assets.js';
 const DOMAIN = 'assets.example.com';
 const SITE_URL = `https://${DOMAIN}`;
 
-const fakePng = Buffer.from('PNG_FAKE_DATA');
+const fakePng = Buffer.concat([Buffer.from('89504e470d0a1a0a', 'hex'), Buffer.from('PNG_FAKE_DATA')]);
 const fakePdf = Buffer.from('%PDF-1.4 FAKE');
 
 const mockAsset = (contentType, buf) => ({
@@ -178,6 +178,38 @@ describe('runAssets', () => {
     const stats = await runAssets(db, { domain: DOMAIN });
     expect(stats.bytes).toBe(fakePng.length);
   });
+
+  it('skips an HTML page served in place of a linked document, and stores a mislabelled one under its real type', async () => {
+    insertPage('softpage', `<html><body><a href="${SITE_URL}/gated.pdf">A</a><img src="${SITE_URL}/chart.png"></body></html>`);
+    fetch.mockImplementation(async (url) => url.endsWith('.pdf')
+      ? mockAsset('application/pdf', Buffer.from('<!DOCTYPE html><html><body>Please log in</body></html>'))
+      : mockAsset('application/octet-stream', fakePng));
+    const stats = await runAssets(db, { domain: DOMAIN });
+    expect(stats).toMatchObject({ new_assets: 1, skipped: 1 });
+    expect(db.prepare('SELECT path, mime_type, skipped_reason FROM assets WHERE original_url=?').get(`${SITE_URL}/gated.pdf`))
+      .toEqual({ path: '', mime_type: 'text/html', skipped_reason: 'soft_error' });
+    expect(db.prepare('SELECT mime_type, declared_mime FROM assets WHERE original_url=?').get(`${SITE_URL}/chart.png`))
+      .toEqual({ mime_type: 'image/png', declared_mime: 'application/octet-stream' });
+  });
+
+  it('downloads the largest srcset candidate of responsive images', async () => {
+    insertPage('responsive', `<html><body><img src="${SITE_URL}/hero.png" srcset="${SITE_URL}/hero.png 1x, ${SITE_URL}/hero@2x.png 2x"></body></html>`);
+    fetch.mockResolvedValue(mockAsset('image/png', fakePng));
+    await runAssets(db, { domain: DOMAIN });
+    expect(fetch.mock.calls.map(c => c[0])).toEqual([`${SITE_URL}/hero.png`, `${SITE_URL}/hero@2x.png`]);
+  });
+
+  it('honors robots.txt of the asset host when respect_robots_txt is set', async () => {
+    insertPage('cdnpage', `<html><body><img src="https://cdn.example.org/private/a.png"><img src="https://cdn.example.org/b.png"></body></html>`);
+    fetch.mockImplementation(async (url) => url.endsWith('/robots.txt')
+      ? { ok: true, status: 200, text: async () => 'User-agent: *\nDisallow: /private/\n' }
+      : mockAsset('image/png', fakePng));
+    const stats = await runAssets(db, { domain: DOMAIN, respect_robots_txt: true });
+    const calls = fetch.mock.calls.map(c => c[0]);
+    expect(calls).toContain('https://cdn.example.org/robots.txt');
+    expect(calls).not.toContain('https://cdn.example.org/private/a.png');
+    expect(stats.new_assets).toBe(1);
+  });
 });
 
 describe('resolveUrl', () => {
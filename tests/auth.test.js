@@ -0,0 +1,164 @@
+// Authenticated crawling BDD tests -- cookie parsing/jar, Basic/Bearer headers, scripted HTTP form login and re-login
+// against a local HTTP server.
+import { describe, it, expect, beforeAll, afterAll, afterEach } from 'vitest';
+import { createServer } from 'http';
+import { rmSync, existsSync, statSync } from 'fs';
+import { join } from 'path';
+import { tmpdir } from 'os';
+
+const testRoot = join(tmpdir(), `site2rag-auth-${Date.now()}`);
+process.env.SITE2RAG_ROOT = testRoot;
+
+import { parseSetCookie, createCookieJar, createAuth } from '../src/auth.js';
+import { fetchFollowing } from '../src/redirects.js';
+import { getAdapter } from '../src/fetch-adapters.js';
+import { metaDir } from '../src/config.js';
+
+const DOMAIN = 'auth.example.org';
+const sessions = new Set();
+const requests = [];
+let server, base, nextSession = 1;
+const cookieOf = (req, name) => new RegExp(`(?:^|; )${name}=([^;]+)`).exec(req.headers.cookie ?? '')?.[1];
+
+beforeAll(async () => {
+  server = createServer((req, res) => {
+    requests.push({ method: req.method, url: req.url, cookie: req.headers.cookie ?? null, auth: req.headers.authorization ?? null });
+    if (req.url === '/login' && req.method === 'GET') {
+      res.writeHead(200, { 'Content-Type': 'text/html', 'Set-Cookie': 'csrf=tok123; Path=/' });
+      return res.end('<html><body><form method="post" action="/login"><input type="hidden" name="csrf" value="tok123">' +
+        '<input type="text" name="user"><input type="password" name="pass"><button type="submit">Go</button></form></body></html>');
+    }
+    if (req.url === '/login' && req.method === 'POST') {
+      let body = '';
+      req.on('data', c => { body += c; });
+      return req.on('end', () => {
+        const form = new URLSearchParams(body);
+        if (form.get('user') !== 'alice' || form.get('pass') !== 's3cret' || form.get('csrf') !== cookieOf(req, 'csrf')) {
+          res.writeHead(200, { 'Content-Type': 'text/html' });
+          return res.end('<form><input type="password" name="pass"></form>');
+        }
+        const sid = `s${nextSession++}`;
+        sessions.add(sid);
+        res.writeHead(303, { Location: '/members/', 'Set-Cookie': `sid=${sid}; Path=/; HttpOnly` });
+        res.end();
+      });
+    }
+    if (req.url.startsWith('/members/')) {
+      if (!sessions.has(cookieOf(req, 'sid'))) { res.writeHead(302, { Location: '/login' }); return res.end(); }
+      res.writeHead(200, { 'Content-Type': 'text/html' });
+      return res.end(`<html><body><p>members only ${req.url}</p></body></html>`);
+    }
+    if (req.url === '/basic') {
+      res.writeHead(req.headers.authorization === `Basic ${Buffer.from('bob:pw').toString('base64')}` ? 200 : 401, { 'Content-Type': 'text/plain' });
+      return res.end('ok');
+    }
+    res.writeHead(200, { 'Content-Type': 'text/html' });
+    res.end('<html><body>public</body></html>');
+  });
+  await new Promise(r => server.listen(0, '127.0.0.1', r));
+  base = `http://127.0.0.1:${server.address().port}`;
+});
+afterAll(() => new Promise(r => server.close(r)));
+afterEach(() => {
+  requests.length = 0;
+  sessions.clear();
+  rmSync(testRoot, { recursive: true, force: true });
+  for (const k of ['LIB_USER', 'LIB_PASS', 'LIB_TOKEN']) delete process.env[k];
+});
+
+const site = (auth) => ({ domain: DOMAIN, url: base, playwright: { enabled: false }, auth });
+
+describe('parseSetCookie', () => {
+  it('applies Domain, Path, Max-Age and Secure, and rejects foreign domains', () => {
+    expect(parseSetCookie('a=1; Domain=.example.org; Path=/x; Secure', 'https://www.example.org/y/z'))
+      .toMatchObject({ name: 'a', value: '1', domain: 'example.org', hostOnly: false, path: '/x', secure: true });
+    expect(parseSetCookie('b=2', 'https://example.org/docs/page')).toMatchObject({ domain: 'example.org', hostOnly: true, path: '/docs' });
+    expect(parseSetCookie('c=3; Max-Age=60', 'https://example.org/').expires).toBeGreaterThan(Date.now());
+    expect(parseSetCookie('d=4; Domain=evil.com', 'https://example.org/')).toBeNull();
+    expect(parseSetCookie('garbage', 'https://example.org/')).toBeNull();
+  });
+});
+
+describe('createCookieJar', () => {
+  it('matches host, subdomain, path and scheme, deletes expired cookies and persists to disk', () => {
+    const path = join(testRoot, 'jar.json');
+    const jar = createCookieJar(path);
+    jar.set('https://www.example.org/', 'wide=1; Domain=example.org');
+    jar.set('https://www.example.org/', 'host=2');
+    jar.set('https://www.example.org/app/x', 'deep=3; Path=/app');
+    jar.set('https://www.example.org/', 'sec=4; Secure');
+    expect(jar.header('https://www.example.org/app/page')).toBe('deep=3; wide=1; host=2; sec=4');
+    expect(jar.header('http://cdn.example.org/app')).toBe('wide=1');
+    expect(jar.header('https://other.org/')).toBeNull();
+    jar.set('https://www.example.org/', 'host=gone; Max-Age=0');
+    expect(jar.header('https://www.example.org/')).toBe('wide=1; sec=4');
+    jar.save();
+    expect(statSync(path).mode & 0o777).toBe(0o600);
+    const reloaded = createCookieJar(path);
+    expect(reloaded.header('https://www.example.org/')).toBe('wide=1; sec=4');
+    const copy = createCookieJar();
+    copy.addPlaywright(reloaded.toPlaywright());
+    expect(copy.header('https://www.example.org/app/x')).toBe(reloaded.header('https://www.example.org/app/x'));
+  });
+});
+
+describe('fetchFollowing with a cookie jar', () => {
+  it('stores cookies set on redirects and turns a POST answered with 303 into a GET', async () => {
+    const jar = createCookieJar();
+    await fetchFollowing(`${base}/login`, {}, { jar });
+    const { res, url } = await fetchFollowing(`${base}/login`, { method: 'POST', headers: { 'Content-Type': 'application/x-www-form-urlencoded' },
+      body: 'user=alice&pass=s3cret&csrf=tok123' }, { jar });
+    expect(res.status).toBe(200);
+    expect(url).toBe(`${base}/members/`);
+    expect(requests.at(-1)).toMatchObject({ method: 'GET', url: '/members/', cookie: expect.stringContaining('sid=s') });
+  });
+});
+
+describe('createAuth', () => {
+  it('sends Basic or Bearer credentials from env vars to the site host only', () => {
+    process.env.LIB_USER = 'bob'; process.env.LIB_PASS = 'pw'; process.env.LIB_TOKEN = 't0k';
+    const basic = createAuth(site({ basic: { username_env: 'LIB_USER', password_env: 'LIB_PASS' } }));
+    expect(basic.headersFor(`${base}/x`)).toEqual({ Authorization: `Basic ${Buffer.from('bob:pw').toString('base64')}` });
+    expect(basic.headersFor('https://cdn.elsewhere.org/x')).toEqual({});
+    expect(createAuth(site({ bearer: { token_env: 'LIB_TOKEN' } })).headersFor(`${base}/`)).toEqual({ Authorization: 'Bearer t0k' });
+    expect(createAuth(site(undefined))).toBeNull();
+  });
+});
+
+describe('http adapter with auth', () => {
+  const loginCfg = { login: { url: null, username_env: 'LIB_USER', password_env: 'LIB_PASS' } };
+  const withLogin = () => site({ ...loginCfg, login: { ...loginCfg.login, url: `${base}/login` } });
+
+  it('logs in when it lands on the login page, retries, and logs in again when the session expires', async () => {
+    process.env.LIB_USER = 'alice'; process.env.LIB_PASS = 's3cret';
+    const adapter = await getAdapter(withLogin());
+    const first = await adapter.fetch(`${base}/members/a`, null);
+    expect(first.status).toBe(200);
+    expect(first.buf.toString()).toContain('members only /members/a');
+    expect(first.finalUrl).toBe(`${base}/members/a`);
+    expect((await adapter.fetch(`${base}/members/b`, null)).buf.toString()).toContain('/members/b');
+    sessions.clear();
+    expect((await adapter.fetch(`${base}/members/c`, null)).buf.toString()).toContain('/members/c');
+    expect(requests.filter(r => r.method === 'POST')).toHaveLength(2);
+    await adapter.close();
+    expect(existsSync(join(metaDir(DOMAIN), 'cookies.json'))).toBe(true);
+  });
+
+  it('returns login_required (not the login page) when the login fails, and never fetches logout links', async () => {
+    process.env.LIB_USER = 'alice'; process.env.LIB_PASS = 'wrong';
+    const adapter = await getAdapter(withLogin());
+    expect(await adapter.fetch(`${base}/members/a`, null)).toMatchObject({ status: 401, buf: null, skipped: 'login_required' });
+    expect(await adapter.fetch(`${base}/login`, null)).toMatchObject({ skipped: 'login_required' });
+    requests.length = 0;
+    expect(await adapter.fetch(`${base}/account/logout`, null)).toMatchObject({ buf: null, skipped: 'auth_skip_pattern' });
+    expect(requests).toEqual([]);
+    await adapter.close();
+  });
+
+  it('sends HTTP Basic credentials with every request', async () => {
+    process.env.LIB_USER = 'bob'; process.env.LIB_PASS = 'pw';
+    const adapter = await getAdapter(site({ basic: { username_env: 'LIB_USER', password_env: 'LIB_PASS' } }));
+    expect((await adapter.fetch(`${base}/basic`, null)).status).toBe(200);
+    await adapter.close();
+  });
+});
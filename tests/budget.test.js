@@ -0,0 +1,41 @@
+// Crawl budget BDD tests -- page, byte, new-page, runtime and per-path caps.
+import { describe, it, expect } from 'vitest';
+import { createCrawlBudget } from '../src/budget.js';
+
+describe('createCrawlBudget', () => {
+  it('never runs out without limits', () => {
+    const budget = createCrawlBudget();
+    for (let i = 0; i < 1000; i++) expect(budget.take(`https://x.org/p${i}`)).toBe(true);
+    budget.addBytes(1e12);
+    expect(budget.exhausted({ new_pages: 1e6 })).toBeNull();
+  });
+
+  it('stops on pages claimed, bytes downloaded and new pages stored', () => {
+    const budget = createCrawlBudget({ max_pages: 2, max_bytes: 100, max_new_pages: 5 });
+    budget.take('https://x.org/a');
+    expect(budget.exhausted({ new_pages: 0 })).toBeNull();
+    budget.addBytes(150);
+    expect(budget.exhausted({ new_pages: 0 })).toBe('max_bytes');
+    budget.take('https://x.org/b');
+    expect(budget.exhausted({ new_pages: 0 })).toBe('max_pages');
+    expect(createCrawlBudget({ max_new_pages: 5 }).exhausted({ new_pages: 5 })).toBe('max_new_pages');
+    expect(budget.snapshot()).toMatchObject({ pages: 2, bytes: 150 });
+  });
+
+  it('stops after max_runtime_minutes from the start time', () => {
+    const budget = createCrawlBudget({ max_runtime_minutes: 30 }, { startedAt: Date.now() - 31 * 60000 });
+    expect(budget.exhausted({})).toBe('max_runtime');
+    expect(createCrawlBudget({ max_runtime_minutes: 30 }).exhausted({})).toBeNull();
+  });
+
+  it('applies the longest matching path quota and leaves other paths alone', () => {
+    const budget = createCrawlBudget({ paths: { '/events/': 2, '/events/archive/': 1 } });
+    expect(budget.take('https://x.org/events/archive/1')).toBe(true);
+    expect(budget.take('https://x.org/events/archive/2')).toBe(false);
+    expect(budget.take('https://x.org/events/1')).toBe(true);
+    expect(budget.take('https://x.org/events/2')).toBe(true);
+    expect(budget.take('https://x.org/events/3')).toBe(false);
+    expect(budget.take('https://x.org/about')).toBe(true);
+    expect(budget.snapshot()).toMatchObject({ pages: 4, paths: { '/events/': 2, '/events/archive/': 1 } });
+  });
+});
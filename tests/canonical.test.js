@@ -0,0 +1,139 @@
+// Canonicalization BDD tests -- URL spelling rules, aliases table, and rel=canonical folding during the crawl.
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+import { rmSync } from 'fs';
+import { join } from 'path';
+import { tmpdir } from 'os';
+
+const testRoot = join(tmpdir(), `site2rag-canonical-${Date.now()}`);
+process.env.SITE2RAG_ROOT = testRoot;
+
+vi.mock('undici', () => ({ fetch: vi.fn() }));
+vi.mock('../src/score.js', () => ({ scorePdf: vi.fn(), saveQualityScore: vi.fn(), maybeQueue: vi.fn() }));
+
+import { fetch } from 'undici';
+import { openDb } from '../src/db.js';
+import { compileRules } from '../src/rules.js';
+import { runMirror } from '../src/mirror.js';
+import { canonicalizeUrl, recordAlias, resolveAlias, adoptAliasRow, foldAliases } from '../src/canonical.js';
+
+const SEED = 'https://example.org/';
+const canon = (url, rules = {}, seed = SEED) => canonicalizeUrl(compileRules(rules, seed), url);
+
+describe('canonicalizeUrl', () => {
+  it('upgrades the seed host to the seed scheme but leaves other hosts alone', () => {
+    expect(canon('http://example.org/a')).toBe('https://example.org/a');
+    expect(canon('http://other.org/a')).toBe('http://other.org/a');
+  });
+  it('does not switch scheme when an explicit non-default port is present', () => {
+    expect(canon('http://example.org:8080/a')).toBe('http://example.org:8080/a');
+  });
+  it('folds www. to match the seed spelling', () => {
+    expect(canon('https://www.example.org/a')).toBe('https://example.org/a');
+    expect(canon('https://example.org/a', {}, 'https://www.example.org/')).toBe('https://www.example.org/a');
+  });
+  it('drops default ports, fragments and lower-cases the host', () => {
+    expect(canon('https://EXAMPLE.org:443/a#top')).toBe('https://example.org/a');
+  });
+  it('folds index files into their directory', () => {
+    expect(canon('https://example.org/docs/index.html')).toBe('https://example.org/docs/');
+    expect(canon('https://example.org/INDEX.PHP?x=1')).toBe('https://example.org/?x=1');
+  });
+  it('keeps the trailing slash as-is by default, and can add or strip it', () => {
+    expect(canon('https://example.org/a')).toBe('https://example.org/a');
+    expect(canon('https://example.org/a', { canonical: { trailing_slash: 'add' } })).toBe('https://example.org/a/');
+    expect(canon('https://example.org/a/', { canonical: { trailing_slash: 'strip' } })).toBe('https://example.org/a');
+    expect(canon('https://example.org/a.pdf', { canonical: { trailing_slash: 'add' } })).toBe('https://example.org/a.pdf');
+  });
+  it('normalizes percent-encoding case and decodes unreserved characters', () => {
+    expect(canon('https://example.org/%7euser/%d9%85')).toBe('https://example.org/~user/%D9%85');
+  });
+  it('strips session and tracking params, including ;jsessionid path params', () => {
+    expect(canon('https://example.org/a;jsessionid=ABC?PHPSESSID=1&id=4&utm_source=x')).toBe('https://example.org/a?id=4');
+  });
+  it('sorts query params by key, keeping repeated keys in order', () => {
+    expect(canon('https://example.org/s?b=2&a=1&b=1')).toBe('https://example.org/s?a=1&b=2&b=1');
+  });
+  it('honors legacy canonical_strip_query and extra strip_params', () => {
+    expect(canon('https://example.org/p?ref=x&lang=en', { canonical_strip_query: ['ref'] })).toBe('https://example.org/p?lang=en');
+    expect(canon('https://example.org/p?print=1', { canonical: { strip_params: ['print'] } })).toBe('https://example.org/p');
+  });
+  it('gives every spelling of one document the same result', () => {
+    const spellings = ['http://www.example.org/docs/index.html', 'https://example.org/docs/', 'https://EXAMPLE.org:443/docs/index.html#x'];
+    expect(new Set(spellings.map(u => canon(u))).size).toBe(1);
+  });
+  it('throws on malformed URLs', () => {
+    expect(() => canon('not a url')).toThrow();
+  });
+});
+
+describe('aliases', () => {
+  let db;
+  beforeEach(() => { db = openDb('alias.example.org'); });
+  afterEach(() => { db.close(); rmSync(testRoot, { recursive: true, force: true }); });
+
+  const insertPage = (url) => db.prepare('INSERT INTO pages (url, gone, last_seen_at) VALUES (?, 0, ?)').run(url, new Date().toISOString());
+
+  it('resolves alias chains and refuses self-aliases and two-URL loops', () => {
+    expect(recordAlias(db, 'https://x/a', 'https://x/b', 'rel_canonical')).toBe(true);
+    recordAlias(db, 'https://x/b', 'https://x/c', 'rel_canonical');
+    expect(resolveAlias(db, 'https://x/a')).toBe('https://x/c');
+    expect(recordAlias(db, 'https://x/c', 'https://x/c', 'rel_canonical')).toBe(false);
+    expect(recordAlias(db, 'https://x/c', 'https://x/b', 'rel_canonical')).toBe(false);
+    expect(resolveAlias(db, 'https://x/zzz')).toBe('https://x/zzz');
+  });
+
+  it('foldAliases marks alias rows gone and points them at the canonical row', () => {
+    insertPage('https://x/a'); insertPage('https://x/c');
+    recordAlias(db, 'https://x/a', 'https://x/c', 'rel_canonical');
+    expect(foldAliases(db, 'https://x/c')).toBe(1);
+    expect(db.prepare('SELECT gone, alias_of FROM pages WHERE url=?').get('https://x/a')).toEqual({ gone: 1, alias_of: 'https://x/c' });
+    expect(db.prepare('SELECT gone FROM pages WHERE url=?').get('https://x/c').gone).toBe(0);
+  });
+
+  it('adoptAliasRow renames a legacy spelling to the canonical URL once', () => {
+    insertPage('https://x');
+    recordAlias(db, 'https://x', 'https://x/', 'normalize');
+    expect(adoptAliasRow(db, 'https://x/')).toBe(true);
+    expect(db.prepare('SELECT url FROM pages').all().map(r => r.url)).toEqual(['https://x/']);
+    expect(adoptAliasRow(db, 'https://x/')).toBe(false);
+  });
+});
+
+describe('mirror rel=canonical folding', () => {
+  const DOMAIN = 'fold.example.org';
+  const ROOT = `https://${DOMAIN}/`;
+  const page = (body, canonical) => ({
+    ok: true, status: 200, headers: { get: (h) => h === 'content-type' ? 'text/html' : null },
+    arrayBuffer: async () => Buffer.from(`<html><head>${canonical ? `<link rel="canonical" href="${canonical}">` : ''}</head><body>${body}</body></html>`)
+  });
+  afterEach(() => { fetch.mockReset(); rmSync(testRoot, { recursive: true, force: true }); });
+
+  it('stores one page row per document and records the aliases', async () => {
+    const db = openDb(DOMAIN);
+    fetch.mockImplementation(async (url) => {
+      if (url === ROOT) return page(`<a href="/article?id=1&print=1">a</a><a href="/article?id=1">b</a><a href="http://www.${DOMAIN}/article?id=1#c">c</a>`);
+      if (url === `${ROOT}article?id=1&print=1`) return page('printable', `${ROOT}article?id=1`);
+      if (url === `${ROOT}article?id=1`) return page('the article', `${ROOT}article?id=1`);
+      return { ok: false, status: 404, headers: { get: () => null } };
+    });
+    await runMirror(db, { domain: DOMAIN, url: ROOT, request_delay_ms: 0, playwright: { enabled: false } });
+    const live = db.prepare('SELECT url FROM pages WHERE gone=0 ORDER BY url').all().map(r => r.url);
+    expect(live).toEqual([ROOT, `${ROOT}article?id=1`]);
+    expect(db.prepare('SELECT canonical_url, source FROM aliases WHERE alias_url=?').get(`${ROOT}article?id=1&print=1`))
+      .toEqual({ canonical_url: `${ROOT}article?id=1`, source: 'rel_canonical' });
+    db.close();
+  });
+
+  it('ignores a catch-all canonical pointing every page at the home page', async () => {
+    const db = openDb(DOMAIN);
+    fetch.mockImplementation(async (url) => {
+      if (url === ROOT) return page('<a href="/a">a</a>', ROOT);
+      if (url === `${ROOT}a`) return page('page a', ROOT);
+      return { ok: false, status: 404, headers: { get: () => null } };
+    });
+    await runMirror(db, { domain: DOMAIN, url: ROOT, request_delay_ms: 0, playwright: { enabled: false } });
+    expect(db.prepare('SELECT gone FROM pages WHERE url=?').get(`${ROOT}a`)?.gone).toBe(0);
+    expect(db.prepare('SELECT COUNT(*) as n FROM aliases').get().n).toBe(0);
+    db.close();
+  });
+});
@@ -18,7 +18,7 @@ describe('db', () => {
   });
   it('creates all tables', () => {
     const tables = db.prepare("SELECT name FROM sqlite_master WHERE type='table'").all().map(r => r.name);
-    ['runs', 'pages', 'hosts', 'sitemaps', 'exports', 'assets', 'asset_refs', 'llm_calls', 'site_meta'].forEach(t => {
+    ['runs', 'pages', 'hosts', 'sitemaps', 'exports', 'assets', 'asset_refs', 'llm_calls', 'site_meta', 'frontier'].forEach(t => {
       expect(tables).toContain(t);
     });
   });
@@ -41,16 +41,21 @@ describe('db', () => {
     expect(id2).toBeGreaterThan(id1);
   });
 
-  it('startRun clears mirror_progress and mirror_run_started_at from site_meta', () => {
+  it('startRun clears mirror_progress and current_stage from site_meta', () => {
     setMeta(db, 'mirror_progress', '{"checked":5}');
-    setMeta(db, 'mirror_run_started_at', new Date().toISOString());
     setMeta(db, 'current_stage', 'mirror');
     startRun(db);
     expect(getMeta(db, 'mirror_progress')).toBeUndefined();
-    expect(getMeta(db, 'mirror_run_started_at')).toBeUndefined();
     expect(getMeta(db, 'current_stage')).toBeUndefined();
   });
 
+  it('startRun keeps mirror_run_started_at so an interrupted crawl can resume', () => {
+    const started = new Date().toISOString();
+    setMeta(db, 'mirror_run_started_at', started);
+    startRun(db);
+    expect(getMeta(db, 'mirror_run_started_at')).toBe(started);
+  });
+
   it('upsertSitemap clears removed=1 when URL is re-seen', () => {
     upsertSitemap(db, { url: 'https://example.com/page', lastmod: null, source_sitemap: null });
     db.prepare('UPDATE sitemaps SET removed=1 WHERE url=?').run('https://example.com/page');
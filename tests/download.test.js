@@ -0,0 +1,142 @@
+// Streaming download BDD tests -- against a local HTTP server: hashing, size caps, Range resume, HEAD probe, adapter file results.
+import { describe, it, expect, beforeAll, afterAll, afterEach } from 'vitest';
+import { createServer } from 'http';
+import { createHash } from 'crypto';
+import { rmSync, readFileSync, existsSync, writeFileSync, mkdirSync, readdirSync } from 'fs';
+import { join } from 'path';
+import { tmpdir } from 'os';
+
+const testRoot = join(tmpdir(), `site2rag-download-${Date.now()}`);
+process.env.SITE2RAG_ROOT = testRoot;
+
+import { download, probeHead, maxBytesFor } from '../src/download.js';
+import { getAdapter } from '../src/fetch-adapters.js';
+import { downloadsDir } from '../src/config.js';
+
+const BODY = Buffer.from(Array.from({ length: 200000 }, (_, i) => i % 251));
+const sha = (buf) => createHash('sha256').update(buf).digest('hex');
+const DIR = join(testRoot, 'dl');
+
+let server, base;
+const requests = [];
+let dropFirst = false;
+beforeAll(async () => {
+  server = createServer((req, res) => {
+    requests.push({ method: req.method, url: req.url, range: req.headers.range ?? null, ifRange: req.headers['if-range'] ?? null });
+    const headers = { 'Content-Type': 'application/pdf', ETag: '"v1"', 'Accept-Ranges': 'bytes' };
+    if (req.url === '/missing') { res.writeHead(404); return res.end('not here'); }
+    if (req.url === '/chunked') {
+      res.writeHead(200, { 'Content-Type': 'application/pdf' });
+      for (let i = 0; i < 10; i++) res.write(BODY.subarray(i * 20000, (i + 1) * 20000));
+      return res.end();
+    }
+    if (req.url === '/changed') Object.assign(headers, { ETag: '"v2"' });
+    const m = /bytes=(\d+)-/.exec(req.headers.range ?? '');
+    if (m && req.headers['if-range'] === headers.ETag) {
+      const start = Number(m[1]);
+      res.writeHead(206, { ...headers, 'Content-Length': BODY.length - start, 'Content-Range': `bytes ${start}-${BODY.length - 1}/${BODY.length}` });
+      return res.end(req.method === 'HEAD' ? undefined : BODY.subarray(start));
+    }
+    res.writeHead(200, { ...headers, 'Content-Length': BODY.length });
+    if (req.method === 'HEAD') return res.end();
+    if (req.url === '/flaky' && dropFirst) {
+      dropFirst = false;
+      // Send part of the body, then cut the connection
+      return res.write(BODY.subarray(0, 50000), () => setTimeout(() => res.socket.destroy(), 20));
+    }
+    res.end(BODY);
+  });
+  await new Promise(r => server.listen(0, '127.0.0.1', r));
+  base = `http://127.0.0.1:${server.address().port}`;
+});
+afterAll(() => new Promise(r => server.close(r)));
+afterEach(() => { requests.length = 0; rmSync(testRoot, { recursive: true, force: true }); });
+
+describe('maxBytesFor', () => {
+  it('looks up exact type, then type/*, then default', () => {
+    const limits = { 'application/pdf': 100, 'image/*': 10, default: 1 };
+    expect(maxBytesFor(limits, 'application/pdf; charset=x')).toBe(100);
+    expect(maxBytesFor(limits, 'image/png')).toBe(10);
+    expect(maxBytesFor(limits, 'text/html')).toBe(1);
+    expect(maxBytesFor(5, 'anything')).toBe(5);
+    expect(maxBytesFor(null, 'text/html')).toBeNull();
+  });
+});
+
+describe('download', () => {
+  it('streams the body to a temp file and hashes it on the way', async () => {
+    const dl = await download(`${base}/doc.pdf`, { dir: DIR });
+    expect(dl).toMatchObject({ status: 200, mimeType: 'application/pdf', bytes: BODY.length, sha256: sha(BODY), resumed: false });
+    expect(readFileSync(dl.path).equals(BODY)).toBe(true);
+  });
+
+  it('returns non-2xx responses with the body cancelled and nothing written', async () => {
+    const dl = await download(`${base}/missing`, { dir: DIR });
+    expect(dl.status).toBe(404);
+    expect(dl.path).toBeUndefined();
+    expect(dl.res.bodyUsed).toBe(true);
+    expect(readdirSync(DIR)).toEqual([]);
+  });
+
+  it('skips bodies announced over max_bytes without reading them', async () => {
+    const dl = await download(`${base}/doc.pdf`, { dir: DIR, maxBytes: { 'application/pdf': 1000 } });
+    expect(dl).toMatchObject({ skipped: 'oversize', bytes: BODY.length });
+    expect(dl.path).toBeUndefined();
+  });
+
+  it('stops mid-stream when a body without Content-Length passes max_bytes', async () => {
+    const dl = await download(`${base}/chunked`, { dir: DIR, maxBytes: 50000 });
+    expect(dl.skipped).toBe('oversize');
+    expect(dl.bytes).toBeGreaterThan(50000);
+    expect(readdirSync(DIR)).toEqual([]);
+  });
+
+  it('resumes a dropped transfer with Range/If-Range and yields the full hash', async () => {
+    dropFirst = true;
+    const dl = await download(`${base}/flaky`, { dir: DIR, retryDelaysMs: [0, 0] });
+    expect(dl).toMatchObject({ bytes: BODY.length, sha256: sha(BODY), resumed: true, status: 200 });
+    expect(requests.at(-1)).toMatchObject({ range: expect.stringMatching(/^bytes=\d+-$/), ifRange: '"v1"' });
+    expect(readFileSync(dl.path).equals(BODY)).toBe(true);
+  });
+
+  it('resumes a partial left by an earlier run, and restarts when the validator changed', async () => {
+    const seed = (url) => {
+      mkdirSync(DIR, { recursive: true });
+      const key = join(DIR, createHash('sha256').update(url).digest('hex').slice(0, 32));
+      writeFileSync(`${key}.part`, BODY.subarray(0, 12345));
+      writeFileSync(`${key}.part.json`, JSON.stringify({ url, validator: '"v1"' }));
+    };
+    seed(`${base}/doc.pdf`);
+    const resumed = await download(`${base}/doc.pdf`, { dir: DIR });
+    expect(resumed).toMatchObject({ resumed: true, sha256: sha(BODY) });
+    expect(requests.at(-1).range).toBe('bytes=12345-');
+
+    seed(`${base}/changed`);
+    const restarted = await download(`${base}/changed`, { dir: DIR });
+    expect(restarted).toMatchObject({ resumed: false, bytes: BODY.length, sha256: sha(BODY) });
+  });
+});
+
+describe('probeHead', () => {
+  it('flags oversized and unchanged binaries without a GET', async () => {
+    const probe = await probeHead(`${base}/doc.pdf`, { maxBytes: 1000, existing: { etag: '"v1"' } });
+    expect(probe).toMatchObject({ status: 200, bytes: BODY.length, tooLarge: true, unchanged: true });
+    expect(requests.map(r => r.method)).toEqual(['HEAD']);
+  });
+});
+
+describe('http adapter with streaming', () => {
+  it('returns non-HTML bodies as a temp file and honors head_first', async () => {
+    const adapter = await getAdapter({ domain: 'dl.example.org', url: base, playwright: { enabled: false } });
+    const result = await adapter.fetch(`${base}/doc.pdf`, null);
+    expect(result.buf).toBeNull();
+    expect(result.file).toMatchObject({ bytes: BODY.length, sha256: sha(BODY) });
+    expect(result.file.path.startsWith(downloadsDir('dl.example.org'))).toBe(true);
+    expect(existsSync(result.file.path)).toBe(true);
+
+    const probing = await getAdapter({ domain: 'dl.example.org', url: base, playwright: { enabled: false }, download: { head_first: true, max_bytes: { 'application/pdf': 1000 } } });
+    requests.length = 0;
+    expect(await probing.fetch(`${base}/big.pdf`, null)).toMatchObject({ skipped: 'oversize', buf: null });
+    expect(requests.map(r => r.method)).toEqual(['HEAD']);
+  });
+});
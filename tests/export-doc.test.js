@@ -148,6 +148,17 @@ describe('runExportDoc', () => {
     expect(stats.failed).toBe(1);
   });
 
+  it('re-types a stored "PDF" that is an HTML page and flags it as a soft error instead of marking it gone', async () => {
+    const pdfPath = join(tmpDir, 'expired.pdf');
+    writeFileSync(pdfPath, '<html><body>Link expired</body></html>');
+    db.prepare('INSERT INTO pages (url, path_slug, local_path, mime_type, gone) VALUES (?,?,?,?,?)')
+      .run(`${SOURCE_URL}expired`, 'expired', pdfPath, 'application/pdf', 0);
+    const stats = await runExportDoc(db, { domain: DOMAIN });
+    expect(stats.failed).toBe(1);
+    expect(db.prepare('SELECT gone, mime_type, soft_error FROM pages WHERE url=?').get(`${SOURCE_URL}expired`))
+      .toEqual({ gone: 0, mime_type: 'text/html', soft_error: 'declared application/pdf, content is text/html' });
+  });
+
   it('skips PDF when exp_hash matches content_hash (unchanged)', async () => {
     const pdfPath = join(tmpDir, 'cached.pdf');
     writeFileSync(pdfPath, Buffer.from('%PDF-1.4 fake'));
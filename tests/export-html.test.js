@@ -294,6 +294,19 @@ describe('runExportHtml', () => {
     // The asset URL should be rewritten to a relative path
     expect(md).toContain('<!-- src:');
   });
+  it('sitemap news/image metadata fills in for pages without a real <title>', () => {
+    const url = 'https://export.example.com/story';
+    const html = `<html><body><h1>Story</h1><p>${'Body text of the story. '.repeat(20)}</p></body></html>`;
+    db.prepare("INSERT INTO sitemaps (url, first_seen_at, last_seen_at, title, published_at, language, images) VALUES (?, 'now', 'now', 'Budget adopted', '2024-03-04', 'fr', ?)")
+      .run(url, JSON.stringify([{ loc: 'https://export.example.com/a.jpg', title: null, caption: 'Council' }]));
+    const page = { url, path_slug: 'story', local_path: null, content_hash: 'sha256:s', mime_type: 'text/html', depth: 1, page_role: 'content', last_seen_at: null, from_sitemap: 1 };
+    expect(exportHtmlPage(db, { domain: DOMAIN, assets: { rewrite_links: false } }, page, html)).toBe(true);
+    const md = readFileSync(join(mdDir(DOMAIN), 'story.md'), 'utf8');
+    expect(md).toContain('date_published: 2024-03-04');
+    const fm = yaml.load(md.split('---')[1]);
+    expect(fm).toMatchObject({ title: 'Budget adopted', title_source: 'sitemap', language: 'fr' });
+    expect(fm.sitemap_images).toEqual([{ loc: 'https://export.example.com/a.jpg', title: null, caption: 'Council' }]);
+  });
 });
 
 describe('buildFrontmatter', () => {
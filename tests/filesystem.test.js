@@ -0,0 +1,145 @@
+// Filesystem adapter BDD tests -- local collections under a file:// root: discovery with sidecar JSON and CSV manifest
+// metadata, mirror/classify/export without the network, size+mtime change detection and public_base_url mapping.
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+import { rmSync, mkdirSync, writeFileSync, readFileSync, existsSync, utimesSync, unlinkSync, symlinkSync } from 'fs';
+import { join } from 'path';
+import { tmpdir } from 'os';
+import { pathToFileURL } from 'url';
+
+const testRoot = join(tmpdir(), `site2rag-fs-${Date.now()}`);
+process.env.SITE2RAG_ROOT = testRoot;
+
+vi.mock('undici', () => ({ fetch: vi.fn() }));
+vi.mock('../src/score.js', () => ({ scorePdf: vi.fn(), saveQualityScore: vi.fn(), maybeQueue: vi.fn() }));
+
+import { fetch } from 'undici';
+import { parseCsv, sidecarFields, publicUrl } from '../src/filesystem.js';
+import { getAdapter } from '../src/fetch-adapters.js';
+import { adapterNames } from '../src/adapter-registry.js';
+import { openDb, getDocMetadata } from '../src/db.js';
+import { runSitemap } from '../src/sitemap.js';
+import { runMirror } from '../src/mirror.js';
+import { runClassify } from '../src/classify.js';
+import { runExportDoc } from '../src/export-doc.js';
+import { mirrorDir } from '../src/config.js';
+
+const DOMAIN = 'partner-drive';
+const COLLECTION = join(testRoot, 'drive');
+const ROOT = `${pathToFileURL(COLLECTION).href}/`;
+const put = (rel, body) => { mkdirSync(join(COLLECTION, rel, '..'), { recursive: true }); writeFileSync(join(COLLECTION, rel), body); };
+const site = (extra) => ({ domain: DOMAIN, url: ROOT, playwright: { enabled: false }, export_md: true,
+  filesystem: { public_base_url: 'https://docs.partner.org/archive' }, ...extra });
+
+beforeEach(() => {
+  put('reports/annual-report.pdf', '%PDF-1.4 annual');
+  put('reports/annual-report.pdf.json', JSON.stringify({ title: 'Annual Report: 1999', authors: ['Ada Lovelace'], date: '1999-12-01', language: 'EN', keywords: ['finance'] }));
+  put('reports/memo.pdf', '%PDF-1.4 memo');
+  put('metadata.csv', 'Filename,Title,Author,Subjects\n"reports/memo.pdf","Memo, first quarter","Smith, J.; Doe, A.",budget|staff\nmissing.pdf,Nothing,,\n');
+  put('letters/index.html', `<html><head><title>Letters</title></head><body>${'<p>Letter text from the archive.</p>'.repeat(40)}</body></html>`);
+  put('notes.txt', 'plain notes');
+  put('.trash/old.pdf', '%PDF-1.4 old');
+  put('photo.jpg', 'jpeg');
+});
+afterEach(() => { vi.clearAllMocks(); rmSync(testRoot, { recursive: true, force: true }); });
+
+describe('parseCsv / sidecarFields', () => {
+  it('parses quoted fields and maps sidecar keys to document metadata', () => {
+    expect(parseCsv('a,b\r\n"x, ""y""",z\n\n')).toEqual([['a', 'b'], ['x, "y"', 'z']]);
+    expect(sidecarFields({ Title: ' T ', Creator: 'A; B', Year: 2001, Tags: 'x|y', Abstract: 'About' })).toEqual({
+      title: 'T', authors: [{ name: 'A' }, { name: 'B' }], date: '2001', language: null, subjects: ['x', 'y'], description: 'About',
+    });
+    expect(sidecarFields({ file: 'a.pdf', notes: 'n' })).toBeNull();
+  });
+
+  it('maps file URLs under the root to the public base URL', () => {
+    expect(publicUrl(site(), `${ROOT}reports/memo.pdf`)).toBe('https://docs.partner.org/archive/reports/memo.pdf');
+    expect(publicUrl(site({ filesystem: {} }), `${ROOT}reports/memo.pdf`)).toBeNull();
+    expect(publicUrl(site(), 'file:///elsewhere/a.pdf')).toBeNull();
+  });
+});
+
+describe('filesystem site', () => {
+  it('defaults to the filesystem adapter for a file:// url', () => {
+    expect(adapterNames(site())).toEqual(['filesystem']);
+    expect(adapterNames({ url: 'https://example.org/' })).toEqual(['http']);
+  });
+
+  it('discovers, mirrors, classifies and exports the collection without the network', async () => {
+    const db = openDb(DOMAIN);
+    const sm = await runSitemap(db, site());
+    expect(sm.added.sort()).toEqual([`${ROOT}letters/`, `${ROOT}notes.txt`, `${ROOT}reports/annual-report.pdf`, `${ROOT}reports/memo.pdf`]);
+    expect(getDocMetadata(db, `${ROOT}reports/annual-report.pdf`)).toMatchObject({
+      source: 'sidecar', record_id: 'reports/annual-report.pdf.json', title: 'Annual Report: 1999', authors: [{ name: 'Ada Lovelace' }], language: 'en', subjects: ['finance'],
+    });
+    expect(getDocMetadata(db, `${ROOT}reports/memo.pdf`)).toMatchObject({
+      record_id: 'metadata.csv#1', title: 'Memo, first quarter', authors: [{ name: 'Smith, J.' }, { name: 'Doe, A.' }], subjects: ['budget', 'staff'],
+    });
+
+    await runMirror(db, site(), sm.added);
+    expect(fetch).not.toHaveBeenCalled();
+    const pages = Object.fromEntries(db.prepare('SELECT url, page_role, classify_method, path_slug, local_path, mime_type FROM pages WHERE gone=0').all().map(p => [p.url.slice(ROOT.length), p]));
+    expect(Object.keys(pages).sort()).toEqual(['', 'letters/', 'notes.txt', 'reports/', 'reports/annual-report.pdf', 'reports/memo.pdf']);
+    // Generated directory listings are indexes; a directory's own index.html is classified like any page
+    expect(pages['']).toMatchObject({ page_role: 'index', classify_method: 'adapter' });
+    expect(pages['reports/']).toMatchObject({ page_role: 'index', classify_method: 'adapter' });
+    expect(pages['letters/']).toMatchObject({ page_role: 'content', classify_method: 'heuristic' });
+    // Mirror paths and slugs are relative to the collection root; originals are copied, never moved
+    expect(pages['reports/memo.pdf']).toMatchObject({ mime_type: 'application/pdf', path_slug: 'reports-memo', local_path: join(mirrorDir(DOMAIN), 'reports/memo.pdf') });
+    expect(existsSync(join(COLLECTION, 'reports/memo.pdf'))).toBe(true);
+
+    await runClassify(db, site());
+    expect(db.prepare('SELECT page_role FROM pages WHERE url=?').get(ROOT).page_role).toBe('index');
+
+    await runExportDoc(db, site());
+    const md = readFileSync(db.prepare('SELECT md_path FROM exports WHERE url=?').get(`${ROOT}reports/annual-report.pdf`).md_path, 'utf8');
+    expect(md).toContain('public_url: https://docs.partner.org/archive/reports/annual-report.pdf');
+    expect(md).toContain('title: "Annual Report: 1999"');
+    expect(md).toContain('title_source: sidecar');
+    expect(md).toContain('authors: [{"name":"Ada Lovelace"}]');
+    db.close();
+  });
+
+  it('answers 304 while size and mtime are unchanged, and 404 once the file is gone', async () => {
+    const adapter = await getAdapter(site());
+    const url = `${ROOT}reports/memo.pdf`;
+    const first = await adapter.fetch(url, null);
+    expect(first).toMatchObject({ status: 200, mimeType: 'application/pdf', buf: null, file: { bytes: 13 } });
+    expect(readFileSync(first.file.path, 'utf8')).toBe('%PDF-1.4 memo');
+    expect((await adapter.fetch(url, { etag: first.etag })).status).toBe(304);
+    utimesSync(join(COLLECTION, 'reports/memo.pdf'), new Date(), new Date(Date.now() + 60000));
+    expect((await adapter.fetch(url, { etag: first.etag })).status).toBe(200);
+    unlinkSync(join(COLLECTION, 'reports/memo.pdf'));
+    expect((await adapter.fetch(url, null)).status).toBe(404);
+    expect((await adapter.fetch(`${pathToFileURL(tmpdir()).href}/outside.pdf`, null)).status).toBe(404);
+    await adapter.close();
+  });
+
+  it('answers 404 for what discovery skips: hidden entries, other extensions and symlinks out of the root', async () => {
+    mkdirSync(join(testRoot, 'private'), { recursive: true });
+    writeFileSync(join(testRoot, 'private/secret.pdf'), '%PDF-1.4 secret');
+    symlinkSync(join(testRoot, 'private/secret.pdf'), join(COLLECTION, 'link.pdf'));
+    symlinkSync(join(testRoot, 'private'), join(COLLECTION, 'shared'));
+    const adapter = await getAdapter(site());
+    for (const rel of ['.trash/old.pdf', 'photo.jpg', 'link.pdf', 'shared/secret.pdf', 'shared/']) {
+      expect((await adapter.fetch(`${ROOT}${rel}`, null)).status).toBe(404);
+    }
+    expect((await adapter.fetch(`${ROOT}notes.txt`, null)).status).toBe(200);
+    await expect((await getAdapter(site({ filesystem: { include_hidden: true } }))).fetch(`${ROOT}.trash/old.pdf`, null)).resolves.toMatchObject({ status: 200 });
+    await adapter.close();
+  });
+
+  it('drops sidecar metadata when the sidecar is removed', async () => {
+    const db = openDb(DOMAIN);
+    await runSitemap(db, site());
+    unlinkSync(join(COLLECTION, 'reports/annual-report.pdf.json'));
+    db.prepare("DELETE FROM site_meta WHERE key='last_sitemap_diff_at'").run();
+    await runSitemap(db, site());
+    expect(getDocMetadata(db, `${ROOT}reports/annual-report.pdf`)).toBeNull();
+    expect(getDocMetadata(db, `${ROOT}reports/memo.pdf`)).not.toBeNull();
+    db.close();
+  });
+
+  it('does not start without a readable root directory', async () => {
+    await expect(getAdapter(site({ url: `${ROOT}missing/` }))).rejects.toThrow(/is not a directory/);
+  });
+});
@@ -0,0 +1,104 @@
+// Frontier BDD tests -- persistent crawl queue ordering, dedup and resume bookkeeping.
+import { describe, it, expect, beforeEach, afterEach } from 'vitest';
+import { rmSync } from 'fs';
+import { join } from 'path';
+import { tmpdir } from 'os';
+
+const testRoot = join(tmpdir(), `site2rag-frontier-${Date.now()}`);
+process.env.SITE2RAG_ROOT = testRoot;
+
+import { openDb } from '../src/db.js';
+import { PRIORITY, resetFrontier, enqueueUrls, claimNext, markFrontier, retryLater, holdOrigin, heldUntil, requeueActive, seedDoneFromPages, frontierCounts } from '../src/frontier.js';
+
+const BASE = 'https://frontier.example.com';
+
+describe('frontier', () => {
+  let db;
+  beforeEach(() => { db = openDb('frontier.example.com'); });
+  afterEach(() => { db.close(); rmSync(testRoot, { recursive: true, force: true }); });
+
+  it('ignores URLs already in the frontier regardless of state', () => {
+    expect(enqueueUrls(db, [{ url: `${BASE}/a` }, { url: `${BASE}/b` }])).toBe(2);
+    markFrontier(db, `${BASE}/a`, 'done');
+    expect(enqueueUrls(db, [{ url: `${BASE}/a` }, { url: `${BASE}/c` }])).toBe(1);
+    expect(frontierCounts(db).total).toBe(3);
+  });
+
+  it('claims higher priority first, FIFO within a tier', () => {
+    enqueueUrls(db, [{ url: `${BASE}/recheck`, priority: PRIORITY.recheck }]);
+    enqueueUrls(db, [{ url: `${BASE}/d1` }, { url: `${BASE}/d2` }]);
+    enqueueUrls(db, [{ url: `${BASE}/sitemap`, priority: PRIORITY.sitemap }]);
+    const order = [];
+    for (let row = claimNext(db); row; row = claimNext(db)) order.push(row.url.replace(BASE, ''));
+    expect(order).toEqual(['/sitemap', '/d1', '/d2', '/recheck']);
+  });
+
+  it('keeps depth and from_sitemap on claimed rows', () => {
+    enqueueUrls(db, [{ url: `${BASE}/deep`, depth: 3, fromSitemap: true }]);
+    const row = claimNext(db);
+    expect(row.depth).toBe(3);
+    expect(row.from_sitemap).toBe(1);
+  });
+
+  it('requeueActive returns in-flight URLs to pending', () => {
+    enqueueUrls(db, [{ url: `${BASE}/a` }, { url: `${BASE}/b` }]);
+    claimNext(db);
+    expect(frontierCounts(db).active).toBe(1);
+    expect(requeueActive(db)).toBe(1);
+    expect(frontierCounts(db)).toMatchObject({ pending: 2, active: 0, remaining: 2 });
+  });
+
+  it('counts deferred URLs as remaining and requeues them on resume', () => {
+    enqueueUrls(db, [{ url: `${BASE}/a` }, { url: `${BASE}/b` }]);
+    markFrontier(db, `${BASE}/a`, 'deferred');
+    expect(frontierCounts(db)).toMatchObject({ pending: 1, deferred: 1, remaining: 2 });
+    expect(requeueActive(db)).toBe(1);
+    expect(frontierCounts(db)).toMatchObject({ pending: 2, deferred: 0 });
+  });
+
+  it('seedDoneFromPages marks pages seen since run start as done', () => {
+    const start = new Date(Date.now() - 1000).toISOString();
+    const now = new Date().toISOString();
+    db.prepare('INSERT INTO pages (url, last_seen_at, first_seen_at) VALUES (?,?,?)').run(`${BASE}/seen`, now, now);
+    db.prepare('INSERT INTO pages (url, last_seen_at, first_seen_at) VALUES (?,?,?)').run(`${BASE}/old`, '2020-01-01T00:00:00.000Z', now);
+    expect(seedDoneFromPages(db, start)).toBe(1);
+    expect(enqueueUrls(db, [{ url: `${BASE}/seen` }, { url: `${BASE}/old` }])).toBe(1);
+  });
+
+  it('retryLater returns a throttled URL to pending until maxAttempts', () => {
+    enqueueUrls(db, [{ url: `${BASE}/slow` }]);
+    claimNext(db);
+    expect(retryLater(db, `${BASE}/slow`, 3)).toBe(true);
+    expect(claimNext(db)?.url).toBe(`${BASE}/slow`);
+    expect(retryLater(db, `${BASE}/slow`, 3)).toBe(true);
+    claimNext(db);
+    expect(retryLater(db, `${BASE}/slow`, 3)).toBe(false);
+    expect(frontierCounts(db).active).toBe(1);
+  });
+
+  it('holdOrigin keeps an origin\'s pending URLs back until their not-before time', () => {
+    const other = 'https://cdn.example.net';
+    enqueueUrls(db, [{ url: BASE }, { url: `${BASE}/a` }, { url: `${BASE}.evil/x` }, { url: `${other}/doc` }]);
+    const now = Date.now();
+    expect(holdOrigin(db, BASE, now + 1000)).toBe(2);
+    expect(heldUntil(db, now)).toBe(now + 1000);
+    expect(claimNext(db, now)?.url).toBe(`${BASE}.evil/x`);
+    expect(claimNext(db, now)?.url).toBe(`${other}/doc`);
+    expect(claimNext(db, now)).toBeUndefined();
+    expect(claimNext(db, now + 1000)?.url).toBe(BASE);
+    expect(heldUntil(db, now + 1000)).toBeNull();
+
+    // a resumed run drops the previous run's holds
+    markFrontier(db, BASE, 'done');
+    holdOrigin(db, BASE, now + 60000);
+    requeueActive(db);
+    expect(heldUntil(db, now)).toBeNull();
+    expect(claimNext(db, now)?.url).toBe(`${BASE}/a`);
+  });
+
+  it('resetFrontier empties the queue', () => {
+    enqueueUrls(db, [{ url: `${BASE}/a` }]);
+    resetFrontier(db);
+    expect(frontierCounts(db)).toMatchObject({ total: 0, remaining: 0 });
+  });
+});
@@ -1,5 +1,5 @@
 import { describe, it, expect } from 'vitest';
-import { detectLanguage, detectLanguageFromUrl, detectLanguageFromUrlPath, LANG_COST, LANG_DISPLAY, LANG_PRIORITY, LANG_WORDS } from '../src/language.js';
+import { detectLanguage, detectLanguageFromUrl, detectLanguageFromUrlPath, normLangTag, langTagFromUrlPath, langAllowed, LANG_COST, LANG_DISPLAY, LANG_PRIORITY, LANG_WORDS } from '../src/language.js';
 
 describe('detectLanguage', () => {
   it('returns unknown for null/empty text', () => {
@@ -218,3 +218,35 @@ describe('detectLanguageFromUrlPath (word-frequency branch)', () => {
     expect(detectLanguageFromUrlPath(url)).toBe('french');
   });
 });
+
+describe('BCP 47 tags for include_languages', () => {
+  it('normalizes case and underscores; x-default is no language', () => {
+    expect(normLangTag('pt_BR')).toBe('pt-br');
+    expect(normLangTag('x-default')).toBeNull();
+    expect(normLangTag('')).toBeNull();
+  });
+
+  it('reads a locale from the first path segment only', () => {
+    expect(langTagFromUrlPath('https://example.com/de/impressum')).toBe('de');
+    expect(langTagFromUrlPath('https://example.com/zh_Hans/')).toBe('zh-hans');
+    expect(langTagFromUrlPath('https://example.com/docs/en/')).toBeNull();
+    expect(langTagFromUrlPath('https://example.com/faq')).toBeNull();
+  });
+
+  it('takes only ISO 639-1 codes as locales, and codes that are also path words only when hreflang confirms them', () => {
+    for (const seg of ['js', 'db', 'tv', 'go', 'js-min']) expect(langTagFromUrlPath(`https://example.com/${seg}/app.js`)).toBeNull();
+    expect(langTagFromUrlPath('https://example.com/id/123')).toBeNull();
+    expect(langTagFromUrlPath('https://example.com/my/account', new Set(['de']))).toBeNull();
+    expect(langTagFromUrlPath('https://example.com/id/berita', new Set(['id']))).toBe('id');
+    expect(langTagFromUrlPath('https://example.com/fr/contact', new Set(['de']))).toBe('fr');
+  });
+
+  it('bare entries admit regional variants, regional entries match exactly, unknown passes', () => {
+    expect(langAllowed('en-GB', ['en'])).toBe(true);
+    expect(langAllowed('pt', ['pt-br'])).toBe(false);
+    expect(langAllowed('pt-BR', ['pt-br'])).toBe(true);
+    expect(langAllowed('de', ['en', 'fr'])).toBe(false);
+    expect(langAllowed(null, ['en'])).toBe(true);
+    expect(langAllowed('de', [])).toBe(true);
+  });
+});
@@ -0,0 +1,95 @@
+// Link discovery BDD tests -- extractor kinds, dedup order, srcset, pluggable extractors and PDF link annotations.
+import { describe, it, expect, beforeAll, afterAll } from 'vitest';
+import { mkdirSync, rmSync, writeFileSync } from 'fs';
+import { join } from 'path';
+import { tmpdir } from 'os';
+import * as cheerio from 'cheerio';
+import { PDFDocument, PDFName, PDFString } from 'pdf-lib';
+
+import { discoverLinks, srcsetUrls, registerLinkExtractor, LINK_EXTRACTORS, resolveHref, jsonLinks, extractPdfLinks } from '../src/links.js';
+
+const BASE = 'https://links.example.org/section/page';
+const testRoot = join(tmpdir(), `site2rag-links-${Date.now()}`);
+
+describe('discoverLinks', () => {
+  it('tags each link with the kind of element it came from, first kind winning', () => {
+    const $ = cheerio.load(`<a href="/doc.pdf">pdf</a><embed src="/doc.pdf"><iframe src="nav.html"></iframe>
+      <div onclick="location='/x?id=1'; return false"></div><a href="tel:123">call</a><a href="ftp://host/file">ftp</a>`);
+    expect(discoverLinks($, BASE)).toEqual([
+      { url: 'https://links.example.org/doc.pdf', kind: 'a' },
+      { url: 'https://links.example.org/section/nav.html', kind: 'frame' },
+      { url: 'https://links.example.org/x?id=1', kind: 'onclick' },
+    ]);
+  });
+
+  it('reads frameset documents', () => {
+    const $ = cheerio.load('<html><frameset cols="20%,80%"><frame src="toc.html"><frame src="/body.html"></frameset></html>');
+    expect(discoverLinks($, BASE).map(l => l.url)).toEqual(['https://links.example.org/section/toc.html', 'https://links.example.org/body.html']);
+  });
+
+  it('only runs the requested kinds, and leaves feeds and hreflang alternates out', () => {
+    const $ = cheerio.load(`<link rel="alternate" type="application/rss+xml" href="/feed"><link rel="alternate" hreflang="fr" href="/fr/">
+      <a href="/a">a</a><iframe src="/f"></iframe>`);
+    expect(discoverLinks($, BASE, ['frame', 'link_alternate'])).toEqual([{ url: 'https://links.example.org/f', kind: 'frame' }]);
+  });
+
+  it('picks the largest srcset candidate when the srcset kind is enabled', () => {
+    expect(srcsetUrls('small.jpg 480w, large.jpg 1200w, medium.jpg 800w', BASE).at(-1)).toBe('https://links.example.org/section/large.jpg');
+    const $ = cheerio.load('<picture><source srcset="/a.webp 1x, /a@2x.webp 2x"><img src="/a.jpg"></picture>');
+    expect(discoverLinks($, BASE, ['srcset'])).toEqual([{ url: 'https://links.example.org/a@2x.webp', kind: 'srcset' }]);
+  });
+
+  it('accepts registered extractors', () => {
+    registerLinkExtractor('data_href', ($) => $('[data-href]').map((_, el) => $(el).attr('data-href')).get());
+    const $ = cheerio.load('<div class="row" data-href="/row/7">row</div>');
+    expect(discoverLinks($, BASE, ['data_href'])).toEqual([{ url: 'https://links.example.org/row/7', kind: 'data_href' }]);
+    LINK_EXTRACTORS.delete('data_href');
+  });
+
+  it('resolveHref drops fragments-only and non-web schemes', () => {
+    expect(resolveHref('#top', BASE)).toBeNull();
+    expect(resolveHref('javascript:void(0)', BASE)).toBeNull();
+    expect(resolveHref('../up#frag', BASE)).toBe('https://links.example.org/up');
+  });
+});
+
+describe('jsonLinks', () => {
+  it('takes absolute URLs anywhere and relative paths only under link-like keys', () => {
+    const data = {
+      results: [
+        { title: 'Annual report', file_path: '/docs/report.pdf', downloadUrl: 'files/data.csv', profile: '/not/a/link', note: 'see /also/not' },
+        { href: '../up.html', body: 'text https://inline.example.net/x' },
+      ],
+      next: 'https://links.example.org/api/list?page=2',
+    };
+    expect(jsonLinks(data, 'https://links.example.org/api/list')).toEqual([
+      'https://links.example.org/docs/report.pdf', 'https://links.example.org/api/files/data.csv',
+      'https://links.example.org/up.html', 'https://links.example.org/api/list?page=2',
+    ]);
+  });
+});
+
+describe('extractPdfLinks', () => {
+  beforeAll(() => mkdirSync(testRoot, { recursive: true }));
+  afterAll(() => rmSync(testRoot, { recursive: true, force: true }));
+
+  it('returns URI link annotations of every page, resolved against the PDF URL', async () => {
+    const doc = await PDFDocument.create();
+    for (const uri of ['https://other.example.net/report', 'appendix.pdf', 'mailto:someone@example.org']) {
+      const page = doc.addPage([200, 200]);
+      const annot = doc.context.obj({ Type: 'Annot', Subtype: 'Link', Rect: [0, 0, 100, 20],
+        A: { Type: 'Action', S: 'URI', URI: PDFString.of(uri) } });
+      page.node.set(PDFName.of('Annots'), doc.context.obj([doc.context.register(annot)]));
+    }
+    const path = join(testRoot, 'links.pdf');
+    writeFileSync(path, await doc.save());
+    expect((await extractPdfLinks(path, 'https://links.example.org/files/main.pdf')).sort())
+      .toEqual(['https://links.example.org/files/appendix.pdf', 'https://other.example.net/report']);
+  });
+
+  it('returns [] for files that are not PDFs', async () => {
+    const path = join(testRoot, 'fake.pdf');
+    writeFileSync(path, '<html>not a pdf</html>');
+    expect(await extractPdfLinks(path, BASE)).toEqual([]);
+  });
+});
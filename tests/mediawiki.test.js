@@ -0,0 +1,193 @@
+// MediaWiki incremental sync BDD tests -- full allpages sync, recentchanges since the last run, revision IDs as
+// ETags, captured categories/templates/page props, and redirects and deletions as redirect/gone events, against a
+// local api.php.
+import { describe, it, expect, beforeAll, afterAll, beforeEach, afterEach } from 'vitest';
+import { createServer } from 'http';
+import { rmSync } from 'fs';
+import { join } from 'path';
+import { tmpdir } from 'os';
+
+const testRoot = join(tmpdir(), `site2rag-mw-${Date.now()}`);
+process.env.SITE2RAG_ROOT = testRoot;
+
+import { wikiUrl, parseMeta, storeParsedPage, syncMediaWiki } from '../src/mediawiki.js';
+import { adapterDiscovery, createMediaWikiAdapter } from '../src/fetch-adapters.js';
+import { openDb, getMeta, upsertPage } from '../src/db.js';
+import { createHttpClient } from '../src/http-client.js';
+
+const DOMAIN = 'wiki.example.org';
+const requests = [];
+let server, base, db, wiki, changes;
+
+const revision = (p) => ({ revid: p.rev, timestamp: p.ts, user: p.user });
+const fresh = () => ({
+  Alpha: { pageid: 1, rev: 11, ts: '2026-09-01T10:00:00Z', user: 'Ada', text: '<p>Alpha text</p>' },
+  Beta: { pageid: 2, rev: 21, ts: '2026-09-02T10:00:00Z', user: 'Bob', text: '<p>Beta text</p>' },
+  'Old name': { redirect: 'Beta' },
+});
+
+const api = (q) => {
+  if (q.list === 'allpages') {
+    const titles = Object.keys(wiki).sort();
+    const rest = q.apcontinue ? titles.filter(t => t >= q.apcontinue) : titles.slice(0, 2);
+    return { curtimestamp: '2026-10-01T12:00:00Z', query: { allpages: rest.map(title => ({ ns: 0, title })) },
+      ...(q.apcontinue ? {} : { continue: { apcontinue: titles[2], continue: '-||' } }) };
+  }
+  if (q.list === 'recentchanges') return { curtimestamp: '2026-10-02T12:00:00Z', query: { recentchanges: changes } };
+  if (q.action === 'query' && q.revids) {
+    return { query: { pages: Object.fromEntries(Object.values(wiki).filter(p => String(p.rev) === q.revids).map(p => [p.pageid, { revisions: [revision(p)] }])) } };
+  }
+  if (q.action === 'query') {
+    const query = { normalized: [], redirects: [], pages: {} };
+    q.titles.split('|').forEach((requested, i) => {
+      const title = requested.replace(/_/g, ' ');
+      if (title !== requested) query.normalized.push({ from: requested, to: title });
+      const p = wiki[title];
+      if (p?.redirect) query.redirects.push({ from: title, to: p.redirect });
+      else if (p) query.pages[p.pageid] = { pageid: p.pageid, ns: 0, title, lastrevid: p.rev, revisions: [revision(p)] };
+      else query.pages[-1 - i] = { ns: 0, title, missing: '' };
+    });
+    return { query };
+  }
+  if (q.action === 'parse') {
+    let title = q.page;
+    const redirects = wiki[title]?.redirect ? [{ from: title, to: wiki[title].redirect }] : [];
+    if (redirects.length) title = redirects[0].to;
+    const p = wiki[title];
+    if (!p) return { error: { code: 'missingtitle', info: "The page you specified doesn't exist." } };
+    return { parse: { title, pageid: p.pageid, revid: p.rev, redirects, text: { '*': p.text },
+      categories: [{ sortkey: '', '*': 'Greek_letters' }, { sortkey: '', hidden: '', '*': 'Stubs' }],
+      templates: [{ ns: 10, exists: '', '*': 'Template:Infobox' }],
+      properties: [{ name: 'wikibase-shortdesc', '*': 'First letter' }, { name: 'wikibase_item', '*': 'Q9' }] } };
+  }
+  return { error: { code: 'badvalue', info: 'unexpected request' } };
+};
+
+beforeAll(async () => {
+  server = createServer((req, res) => {
+    const q = Object.fromEntries(new URL(req.url, base).searchParams);
+    requests.push(q);
+    res.writeHead(200, { 'Content-Type': 'application/json' });
+    res.end(JSON.stringify(api(q)));
+  });
+  await new Promise(r => server.listen(0, '127.0.0.1', r));
+  base = `http://127.0.0.1:${server.address().port}`;
+});
+afterAll(() => new Promise(r => server.close(r)));
+beforeEach(() => { db = openDb(DOMAIN); wiki = fresh(); changes = []; });
+afterEach(() => { db.close(); requests.length = 0; rmSync(testRoot, { recursive: true, force: true }); });
+
+const site = () => ({ domain: DOMAIN, url: `${base}/`, playwright: { enabled: false }, fetch_adapter: 'mediawiki_api', mediawiki: { wiki_path: '/wiki/' } });
+const options = { wiki_path: '/wiki/', namespaces: [0], rc_max_age_days: 90 };
+const row = (title) => db.prepare('SELECT * FROM mediawiki_pages WHERE title=?').get(title);
+
+describe('wikiUrl / parseMeta', () => {
+  it('builds article URLs and reads categories, templates and page props of a parse', () => {
+    expect(wikiUrl('https://w.org', '/wiki/', 'Talk:A/b c, d?')).toBe('https://w.org/wiki/Talk:A/b_c,_d%3F');
+    expect(parseMeta({ categories: [{ '*': 'X_y' }, { '*': 'Z', hidden: '' }], templates: [{ '*': 'Template:T' }], properties: [{ name: 'p', '*': 'v' }] }))
+      .toEqual({ categories: [{ name: 'X y', hidden: false }, { name: 'Z', hidden: true }], templates: ['Template:T'], properties: { p: 'v' } });
+  });
+});
+
+describe('syncMediaWiki', () => {
+  it('lists every title on the first run, then only what recentchanges names since then', async () => {
+    const client = createHttpClient(site());
+    expect(await syncMediaWiki(db, site(), client, options)).toMatchObject({ mode: 'full', checked: 3, changed: 2, redirects: 1, deleted: 0 });
+    expect(requests.filter(r => r.list === 'allpages').map(r => r.apcontinue ?? null)).toEqual([null, 'Old name']);
+    expect(row('Alpha')).toMatchObject({ url: `${base}/wiki/Alpha`, namespace: 0, page_id: 1, rev_id: 11, rev_timestamp: '2026-09-01T10:00:00Z', last_editor: 'Ada', deleted: 0 });
+    expect(row('Old name')).toMatchObject({ namespace: 0, redirect_to: 'Beta', rev_id: null });
+    expect(getMeta(db, 'mediawiki:rc_from')).toBe('2026-10-01T12:00:00Z');
+
+    // Next run: Alpha edited, Beta deleted; the mirrored Beta page is marked gone
+    upsertPage(db, { url: `${base}/wiki/Beta`, path_slug: 'wiki-beta', status_code: 200, depth: 1 });
+    wiki.Alpha = { ...wiki.Alpha, rev: 12, ts: '2026-10-01T15:00:00Z', user: 'Eve' };
+    delete wiki.Beta;
+    changes = [{ type: 'edit', ns: 0, title: 'Alpha' }, { type: 'log', ns: 0, title: 'Beta', logtype: 'delete', logaction: 'delete' }];
+    requests.length = 0;
+    expect(await syncMediaWiki(db, site(), client, options)).toMatchObject({ mode: 'recentchanges', checked: 2, changed: 1, deleted: 1 });
+    expect(requests.find(r => r.list === 'recentchanges')).toMatchObject({ rcend: '2026-10-01T12:00:00Z', rctype: 'edit|new|log' });
+    expect(requests.some(r => r.list === 'allpages')).toBe(false);
+    expect(row('Alpha')).toMatchObject({ rev_id: 12, last_editor: 'Eve' });
+    expect(row('Beta').deleted).toBe(1);
+    expect(db.prepare('SELECT gone FROM pages WHERE url=?').get(`${base}/wiki/Beta`).gone).toBe(1);
+    expect(getMeta(db, 'mediawiki:rc_from')).toBe('2026-10-02T12:00:00Z');
+  });
+
+  it('marks missing titles deleted on a full sync only in the listed namespaces', async () => {
+    storeParsedPage(db, { title: 'Talk:Alpha', url: `${base}/wiki/Talk:Alpha`, rev_id: 5 });
+    const insert = db.prepare('INSERT INTO mediawiki_pages (title, url, namespace, rev_id) VALUES (?, ?, ?, ?)');
+    insert.run('Help:Contents', `${base}/wiki/Help:Contents`, 12, 7);
+    insert.run('Gamma', `${base}/wiki/Gamma`, 0, 8);
+    expect(await syncMediaWiki(db, site(), createHttpClient(site()), options)).toMatchObject({ mode: 'full', deleted: 1 });
+    expect(row('Gamma').deleted).toBe(1);
+    expect(row('Help:Contents')).toMatchObject({ deleted: 0, rev_id: 7 });
+    expect(row('Talk:Alpha')).toMatchObject({ deleted: 0, namespace: null, rev_id: 5 });
+  });
+
+  it('turns a move into a redirect on the old title and a page on the new one', async () => {
+    const client = createHttpClient(site());
+    await syncMediaWiki(db, site(), client, options);
+    wiki['Alpha (letter)'] = { ...wiki.Alpha, pageid: 1, rev: 13 };
+    wiki.Alpha = { redirect: 'Alpha (letter)' };
+    changes = [{ type: 'log', ns: 0, title: 'Alpha', logtype: 'move', logaction: 'move', logparams: { target_ns: 0, target_title: 'Alpha (letter)' } }];
+    expect(await syncMediaWiki(db, site(), client, options)).toMatchObject({ checked: 2, changed: 1, redirects: 1 });
+    expect(row('Alpha')).toMatchObject({ redirect_to: 'Alpha (letter)', rev_id: null });
+    expect(row('Alpha (letter)')).toMatchObject({ rev_id: 13, url: `${base}/wiki/Alpha_(letter)` });
+  });
+});
+
+describe('mediawiki_api adapter', () => {
+  it('lists live titles for the sitemap stage with revision timestamps as lastmod', async () => {
+    const { entries } = await adapterDiscovery(site(), { db });
+    expect(entries).toEqual(expect.arrayContaining([
+      { url: `${base}/wiki/Alpha`, lastmod: '2026-09-01T10:00:00Z' },
+      { url: `${base}/wiki/Beta`, lastmod: '2026-09-02T10:00:00Z' },
+      expect.objectContaining({ url: `${base}/wiki/Old_name` }),
+    ]));
+    expect(entries).toHaveLength(3);
+  });
+
+  it('uses the revision ID as ETag and answers 304 without a request while it is current', async () => {
+    await adapterDiscovery(site(), { db });
+    const adapter = createMediaWikiAdapter(site(), { db });
+    requests.length = 0;
+    const first = await adapter.fetch(`${base}/wiki/Alpha`, null);
+    expect(first).toMatchObject({ status: 200, mimeType: 'text/html', etag: 'W/"mw-11"' });
+    expect(requests.map(r => r.action)).toEqual(['parse']);
+    const html = first.buf.toString();
+    expect(html).toContain('<p>Alpha text</p>');
+    expect(html).toContain('"articleSection":["Greek letters"]');
+    expect(html).toContain('"dateModified":"2026-09-01T10:00:00Z"');
+    expect(html).toContain('<meta name="description" content="First letter">');
+    expect(JSON.parse(row('Alpha').categories)).toEqual([{ name: 'Greek letters', hidden: false }, { name: 'Stubs', hidden: true }]);
+    expect(row('Alpha')).toMatchObject({ templates: '["Template:Infobox"]', properties: '{"wikibase-shortdesc":"First letter","wikibase_item":"Q9"}' });
+
+    requests.length = 0;
+    expect((await adapter.fetch(`${base}/wiki/Alpha`, { etag: first.etag })).status).toBe(304);
+    expect(requests).toHaveLength(0);
+  });
+
+  it('checks a stored revision ETag with one info query when there is no sync state', async () => {
+    const adapter = createMediaWikiAdapter(site());
+    expect((await adapter.fetch(`${base}/wiki/Beta`, { etag: 'W/"mw-21"' })).status).toBe(304);
+    expect(requests.map(r => r.prop)).toEqual(['info|revisions']);
+    const changed = await adapter.fetch(`${base}/wiki/Beta`, { etag: 'W/"mw-20"' });
+    expect(changed).toMatchObject({ status: 200, etag: 'W/"mw-21"' });
+    expect(changed.buf.toString()).toContain('"contributor":{"@type":"Person","name":"Bob"}');
+  });
+
+  it('returns wiki redirects as a redirect hop to the target article and deleted pages as 404', async () => {
+    await adapterDiscovery(site(), { db });
+    const adapter = createMediaWikiAdapter(site(), { db });
+    const moved = await adapter.fetch(`${base}/wiki/Old_name`, null);
+    expect(moved).toMatchObject({ status: 200, etag: 'W/"mw-21"', finalUrl: `${base}/wiki/Beta` });
+    expect(moved.redirects).toEqual([expect.objectContaining({ url: `${base}/wiki/Old_name`, status: 301, to: `${base}/wiki/Beta` })]);
+
+    delete wiki.Beta;
+    changes = [{ type: 'log', ns: 0, title: 'Beta', logtype: 'delete' }];
+    await syncMediaWiki(db, site(), createHttpClient(site()), options);
+    requests.length = 0;
+    expect((await adapter.fetch(`${base}/wiki/Beta`, { etag: 'W/"mw-21"' })).status).toBe(404);
+    expect(requests).toHaveLength(0);
+  });
+});
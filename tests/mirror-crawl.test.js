@@ -127,6 +127,22 @@ describe('inScope', () => {
     const url = `https://${DOMAIN}/docs/private/secret`;
     expect(inScope(url, { include: ['/docs/'], exclude: ['/docs/private/'] }, seedHost)).toBe(false);
   });
+
+  it('rejects locale-prefixed paths outside sitemap.include_languages', () => {
+    const cfg = { sitemap: { include_languages: ['en'] } };
+    expect(inScope(`https://${DOMAIN}/de/start`, cfg, seedHost)).toBe(false);
+    expect(inScope(`https://${DOMAIN}/en-us/start`, cfg, seedHost)).toBe(true);
+    expect(inScope(`https://${DOMAIN}/docs/start`, cfg, seedHost)).toBe(true);
+  });
+
+  it('keeps two-letter sections that are not languages under sitemap.include_languages', () => {
+    const cfg = { sitemap: { include_languages: ['en'] } };
+    expect(inScope(`https://${DOMAIN}/js/app.js`, cfg, seedHost)).toBe(true);
+    expect(inScope(`https://${DOMAIN}/tv/shows`, cfg, seedHost)).toBe(true);
+    // /my/ is Burmese by code, but the site's hreflang graph only confirms /de/ and /en/
+    expect(inScope(`https://${DOMAIN}/my/account`, cfg, seedHost, new Set(['de', 'en']))).toBe(true);
+    expect(inScope(`https://${DOMAIN}/my/account`, cfg, seedHost, new Set(['my']))).toBe(false);
+  });
 });
 
 describe('parseRobots', () => {
@@ -220,6 +236,13 @@ describe('extractLinks', () => {
     expect(links).toHaveLength(3);
   });
 
+  it('follows frames, image maps, embeds, meta refresh, rel=alternate and onclick navigation', () => {
+    const $ = cheerio.load(`<head><meta http-equiv="Refresh" content="0; URL='/moved'"><link rel="alternate" type="application/pdf" href="/print.pdf">
+      <link rel="alternate" hreflang="de" href="/de/"></head><body><iframe src="/frame"></iframe><map><area href="/area"></map>
+      <object data="/doc.pdf"></object><button onclick="window.location.href='/clicked'">go</button></body>`);
+    expect(extractLinks($, BASE).sort()).toEqual(['/area', '/clicked', '/doc.pdf', '/frame', '/moved', '/print.pdf'].map(p => `${BASE}${p}`));
+  });
+
   it('handles spaces in href by percent-encoding', () => {
     const $ = cheerio.load('<a href="/path with spaces">link</a>');
     const links = extractLinks($, BASE);
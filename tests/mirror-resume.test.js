@@ -1,6 +1,7 @@
 // Mirror resume BDD tests -- verifies interrupted crawls resume where they left off.
 import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
-import { mkdirSync, rmSync, writeFileSync } from 'fs';
+import { mkdirSync, rmSync, writeFileSync, readFileSync, readdirSync, existsSync } from 'fs';
+import { createHash } from 'crypto';
 import { join } from 'path';
 import { tmpdir } from 'os';
 
@@ -16,7 +17,11 @@ vi.mock('../src/score.js', () => ({
 
 import { fetch } from 'undici';
 import { openDb } from '../src/db.js';
-import { runMirror } from '../src/mirror.js';
+import { runMirror, mirrorUpToDate } from '../src/mirror.js';
+import { runSitemap } from '../src/sitemap.js';
+import { frontierCounts } from '../src/frontier.js';
+import { downloadsDir } from '../src/config.js';
+import { PDFDocument, PDFName, PDFString } from 'pdf-lib';
 
 const DOMAIN = 'resume.example.com';
 const SEED = `https://${DOMAIN}`;
@@ -108,6 +113,85 @@ describe('mirror resume: pre-populates visited from DB', () => {
   });
 });
 
+describe('mirror resume: persisted frontier', () => {
+  it('fetches only pending frontier URLs and skips those already done', async () => {
+    const db = openDb(DOMAIN);
+    const now = new Date().toISOString();
+    const done = `${SEED}/done-page`;
+    const pending = `${SEED}/pending-page`;
+    const inFlight = `${SEED}/in-flight-page`;
+    db.prepare('INSERT OR REPLACE INTO site_meta (key, value) VALUES (?, ?)').run('mirror_run_started_at', now);
+    const ins = db.prepare('INSERT INTO frontier (url, depth, priority, enqueued_at, state) VALUES (?,?,?,?,?)');
+    ins.run(SEED, 0, 1, now, 'done');
+    ins.run(done, 1, 1, now, 'done');
+    ins.run(pending, 1, 1, now, 'pending');
+    ins.run(inFlight, 1, 1, now, 'active');
+
+    fetch.mockClear();
+    fetch.mockImplementation(async () => mockResponse(htmlPage([done])));
+    await runMirror(db, { domain: DOMAIN, url: SEED, timeout_seconds: 10 });
+
+    const calls = fetch.mock.calls.map(c => c[0]);
+    expect(calls).toContain(pending);
+    expect(calls).toContain(inFlight);
+    expect(calls).not.toContain(done);
+    expect(calls).not.toContain(SEED);
+    db.close();
+  });
+
+  it('clears the frontier once the crawl completes', async () => {
+    const db = openDb(DOMAIN);
+    fetch.mockImplementation(async (url) => {
+      if (url === SEED) return mockResponse(htmlPage([`${SEED}/a`, `${SEED}/b`]));
+      return mockResponse(htmlPage([]));
+    });
+    await runMirror(db, { domain: DOMAIN, url: SEED, timeout_seconds: 10 });
+    expect(db.prepare('SELECT COUNT(*) as n FROM frontier').get().n).toBe(0);
+    db.close();
+  });
+
+  it('does not skip the mirror on an unchanged sitemap while an interrupted crawl left URLs pending', async () => {
+    const db = openDb(DOMAIN);
+    const site = { domain: DOMAIN, url: SEED, timeout_seconds: 10, sitemap: { diff_every_hours: 0 } };
+    const leaf = `${SEED}/sitemap-pages.xml`;
+    const xmlResponse = (xml, etag = null) => ({
+      ok: true, status: 200,
+      headers: { get: (h) => h === 'etag' ? etag : h === 'content-type' ? 'application/xml' : null },
+      text: async () => xml,
+    });
+    fetch.mockImplementation(async (url, init = {}) => {
+      if (url === leaf) {
+        if (init.headers?.['If-None-Match'] === '"v1"') return { ok: false, status: 304, headers: { get: () => null } };
+        return xmlResponse(`<urlset><url><loc>${SEED}/a</loc></url></urlset>`, '"v1"');
+      }
+      // every well-known sitemap path serves the same index
+      if (/sitemap/.test(url)) return xmlResponse(`<sitemapindex><sitemap><loc>${leaf}</loc></sitemap></sitemapindex>`);
+      if (url.endsWith('/robots.txt')) return { ok: false, status: 404, headers: { get: () => null } };
+      return mockResponse(htmlPage([]));
+    });
+    const first = await runSitemap(db, site);
+    await runMirror(db, site, first.added);
+    expect(db.prepare("SELECT value FROM site_meta WHERE key='last_complete_crawl_at'").get()).toBeTruthy();
+
+    // what a crash or the hard-kill timer leaves: the run marker and a pending URL, but no budget stop recorded
+    const pending = `${SEED}/pending-page`;
+    const now = new Date().toISOString();
+    db.prepare('INSERT OR REPLACE INTO site_meta (key, value) VALUES (?, ?)').run('mirror_run_started_at', now);
+    db.prepare('INSERT INTO frontier (url, depth, priority, enqueued_at, state) VALUES (?,?,?,?,?)').run(SEED, 0, 1, now, 'done');
+    db.prepare('INSERT INTO frontier (url, depth, priority, enqueued_at, state) VALUES (?,?,?,?,?)').run(pending, 1, 1, now, 'pending');
+
+    const second = await runSitemap(db, site);
+    expect(second.unchanged).toBe(true);
+    expect(mirrorUpToDate(db, second)).toBe(false);
+    fetch.mockClear();
+    await runMirror(db, site, second.added);
+    expect(fetch.mock.calls.map(c => c[0])).toContain(pending);
+    expect(frontierCounts(db).remaining).toBe(0);
+    expect(mirrorUpToDate(db, second)).toBe(true);
+    db.close();
+  });
+});
+
 describe('mirror robots.txt: respect_robots_txt option', () => {
   const robotsResponse = (body) => ({
     ok: true, status: 200,
@@ -130,6 +214,25 @@ describe('mirror robots.txt: respect_robots_txt option', () => {
     db.close();
   });
 
+  it('applies Allow over a shorter Disallow and checks allow_domains hosts against their own robots.txt', async () => {
+    const db = openDb(DOMAIN);
+    const CDN = 'https://files.example.org';
+    fetch.mockImplementation(async (url) => {
+      if (url === `${SEED}/robots.txt`) return robotsResponse('User-agent: *\nDisallow: /docs/\nAllow: /docs/public/\n');
+      if (url === `${CDN}/robots.txt`) return robotsResponse('User-agent: *\nDisallow: /*.pdf$\n');
+      if (url === SEED || url === `${SEED}/`) return mockResponse(htmlPage([`${SEED}/docs/hidden`, `${SEED}/docs/public/ok`, `${CDN}/a.pdf`, `${CDN}/page`]));
+      if (url.startsWith(SEED) || url.startsWith(CDN)) return mockResponse(htmlPage([]));
+      return { ok: false, status: 404, headers: { get: () => null } };
+    });
+    await runMirror(db, { domain: DOMAIN, url: SEED, respect_robots_txt: true, allow_domains: ['files.example.org'], playwright: { enabled: false } });
+    const calls = fetch.mock.calls.map(c => c[0]);
+    expect(calls).not.toContain(`${SEED}/docs/hidden`);
+    expect(calls).toContain(`${SEED}/docs/public/ok`);
+    expect(calls).not.toContain(`${CDN}/a.pdf`);
+    expect(calls).toContain(`${CDN}/page`);
+    db.close();
+  });
+
   it('crawls disallowed paths when respect_robots_txt=false', async () => {
     const db = openDb(DOMAIN);
     fetch.mockImplementation(async (url) => {
@@ -256,7 +359,8 @@ describe('mirror markGoneUrls: only on complete runs', () => {
 
     // 304 path should have extracted links from cached HTML and queued child
     expect(childFetched).toBe(true);
-    const seedRow = db.prepare('SELECT last_seen_at FROM pages WHERE url=?').get(SEED);
+    // Legacy row stored under the un-normalized seed spelling is adopted by the canonical URL
+    const seedRow = db.prepare('SELECT last_seen_at FROM pages WHERE url=?').get(`${SEED}/`);
     expect(seedRow.last_seen_at).not.toBe(oldDate);
     db.close();
   });
@@ -283,3 +387,231 @@ describe('mirror markGoneUrls: only on complete runs', () => {
     db.close();
   });
 });
+
+describe('mirror include_languages', () => {
+  it('skips locale-prefixed links, drops pages whose <html lang> is excluded and follows their wanted translation', async () => {
+    const db = openDb(DOMAIN);
+    const de = `${SEED}/aktuelles`, en = `${SEED}/news`, fr = `${SEED}/fr/actualites`;
+    const alternates = `<link rel="alternate" hreflang="de" href="/aktuelles"><link rel="alternate" hreflang="en-GB" href="/news">`;
+    fetch.mockImplementation(async (url) => {
+      if (url === SEED || url === `${SEED}/`) return mockResponse(`<html lang="en"><body><a href="/aktuelles">de</a><a href="/fr/actualites">fr</a></body></html>`);
+      if (url === de) return mockResponse(`<html lang="de"><head>${alternates}</head><body>Nachrichten</body></html>`);
+      if (url === en) return mockResponse(`<html lang="en"><head>${alternates}</head><body>News</body></html>`);
+      return { ok: false, status: 404, headers: { get: () => null } };
+    });
+    await runMirror(db, { domain: DOMAIN, url: SEED, sitemap: { include_languages: ['en'] } });
+    expect(fetch.mock.calls.map(c => c[0])).not.toContain(fr);
+    expect(db.prepare('SELECT url FROM pages WHERE gone=0 ORDER BY url').all().map(r => r.url)).toEqual([`${SEED}/`, en]);
+    expect(db.prepare('SELECT hreflang, alt_url, source FROM page_alternates WHERE url=? ORDER BY hreflang').all(en)).toEqual([
+      { hreflang: 'de', alt_url: de, source: 'html' },
+      { hreflang: 'en-gb', alt_url: en, source: 'html' },
+    ]);
+    db.close();
+  });
+});
+
+describe('mirror adaptive recrawl', () => {
+  const oldDate = new Date(Date.now() - 10 * 86400000).toISOString();
+  const insertPage = (db, url, nextCheckAt) => db.prepare('INSERT INTO pages (url, path_slug, mime_type, gone, last_seen_at, first_seen_at, next_check_at) VALUES (?,?,?,?,?,?,?)')
+    .run(url, url.split('/').pop(), 'text/html', 0, oldDate, oldDate, nextCheckAt);
+
+  it('rechecks only pages whose next_check_at has come, keeps the others, and schedules what it fetched', async () => {
+    const db = openDb(DOMAIN);
+    const due = `${SEED}/due`, later = `${SEED}/later`;
+    insertPage(db, due, new Date(Date.now() - 60000).toISOString());
+    insertPage(db, later, new Date(Date.now() + 30 * 86400000).toISOString());
+    fetch.mockClear();
+    fetch.mockImplementation(async () => mockResponse(htmlPage([])));
+    await runMirror(db, { domain: DOMAIN, url: SEED });
+    const calls = fetch.mock.calls.map(c => c[0]);
+    expect(calls).toContain(due);
+    expect(calls).not.toContain(later);
+    // Not due is not missing: the complete crawl must not mark it gone
+    expect(db.prepare('SELECT gone FROM pages WHERE url=?').get(later).gone).toBe(0);
+    expect(new Date(db.prepare('SELECT next_check_at FROM pages WHERE url=?').get(due).next_check_at).getTime()).toBeGreaterThan(Date.now());
+    db.close();
+  });
+
+  it('rechecks every stale page when recrawl.enabled is false', async () => {
+    const db = openDb(DOMAIN);
+    const later = `${SEED}/later`;
+    insertPage(db, later, new Date(Date.now() + 30 * 86400000).toISOString());
+    fetch.mockClear();
+    fetch.mockImplementation(async () => mockResponse(htmlPage([])));
+    await runMirror(db, { domain: DOMAIN, url: SEED, recrawl: { enabled: false } });
+    expect(fetch.mock.calls.map(c => c[0])).toContain(later);
+    db.close();
+  });
+});
+
+describe('mirror streamed binaries', () => {
+  it('moves downloaded documents into the mirror and leaves no temp files', async () => {
+    const db = openDb(DOMAIN);
+    const pdfUrl = `${SEED}/files/report.pdf`;
+    const pdf = Buffer.from('%PDF-1.4 streamed body');
+    fetch.mockImplementation(async (url) => {
+      if (url === SEED || url === `${SEED}/`) return mockResponse(htmlPage([pdfUrl]));
+      if (url === pdfUrl) return mockResponse(pdf, 'application/pdf');
+      return { ok: false, status: 404, headers: { get: () => null } };
+    });
+    await runMirror(db, { domain: DOMAIN, url: SEED, rules: { prefer_format: 'html' } });
+    const row = db.prepare('SELECT local_path, content_hash FROM pages WHERE url=?').get(pdfUrl);
+    expect(readFileSync(row.local_path).equals(pdf)).toBe(true);
+    expect(row.content_hash).toBe(`sha256:${createHash('sha256').update(pdf).digest('hex')}`);
+    expect(readdirSync(downloadsDir(DOMAIN))).toEqual([]);
+    db.close();
+  });
+});
+
+describe('mirror content sniffing', () => {
+  it('keeps an HTML error page served as a PDF as a soft error, and routes a PDF served as octet-stream by its bytes', async () => {
+    const db = openDb(DOMAIN);
+    const fakePdf = `${SEED}/files/missing.pdf`, realPdf = `${SEED}/download?id=7`;
+    fetch.mockImplementation(async (url) => {
+      if (url === SEED || url === `${SEED}/`) return mockResponse(htmlPage([fakePdf, realPdf]));
+      if (url === fakePdf) return mockResponse(htmlPage([`${SEED}/login`]), 'application/pdf');
+      if (url === realPdf) return mockResponse(Buffer.from('%PDF-1.7 body'), 'application/octet-stream');
+      return { ok: false, status: 404, headers: { get: () => null } };
+    });
+    await runMirror(db, { domain: DOMAIN, url: SEED, rules: { prefer_format: 'html' } });
+    const soft = db.prepare('SELECT gone, mime_type, declared_mime, sniffed_mime, soft_error, page_role FROM pages WHERE url=?').get(fakePdf);
+    expect(soft).toMatchObject({ gone: 0, mime_type: 'text/html', declared_mime: 'application/pdf', sniffed_mime: 'text/html',
+      soft_error: 'declared application/pdf, content is text/html', page_role: null });
+    expect(fetch.mock.calls.map(c => c[0])).not.toContain(`${SEED}/login`);
+    expect(db.prepare('SELECT mime_type, soft_error FROM pages WHERE url=?').get(realPdf)).toEqual({ mime_type: 'application/pdf', soft_error: null });
+    db.close();
+  });
+});
+
+describe('mirror link discovery', () => {
+  it('crawls links found in iframes and inside PDFs, honoring kind-specific follow_overrides', async () => {
+    const db = openDb(DOMAIN);
+    const pdfUrl = `${SEED}/files/guide.pdf`;
+    const doc = await PDFDocument.create();
+    const page = doc.addPage([200, 200]);
+    page.node.set(PDFName.of('Annots'), doc.context.obj([doc.context.register(doc.context.obj({ Type: 'Annot', Subtype: 'Link',
+      Rect: [0, 0, 50, 10], A: { Type: 'Action', S: 'URI', URI: PDFString.of(`${SEED}/from-pdf`) } }))]));
+    const pdf = Buffer.from(await doc.save());
+    fetch.mockImplementation(async (url) => {
+      if (url === SEED || url === `${SEED}/`) {
+        return mockResponse(`<html><body><a href="${pdfUrl}">guide</a><iframe src="/embedded"></iframe><iframe src="/ads/slot"></iframe><a href="/ads/info">ads</a></body></html>`);
+      }
+      if (url === pdfUrl) return mockResponse(pdf, 'application/pdf');
+      if ([`${SEED}/embedded`, `${SEED}/from-pdf`, `${SEED}/ads/info`].includes(url)) return mockResponse(htmlPage());
+      return { ok: false, status: 404, headers: { get: () => null } };
+    });
+    await runMirror(db, { domain: DOMAIN, url: SEED, rules: { prefer_format: 'html', follow_overrides: [{ pattern: '/ads/', follow: false, kinds: ['frame'] }] } });
+    const calls = fetch.mock.calls.map(c => c[0]);
+    expect(calls).toEqual(expect.arrayContaining([`${SEED}/embedded`, `${SEED}/from-pdf`, `${SEED}/ads/info`]));
+    expect(calls).not.toContain(`${SEED}/ads/slot`);
+    db.close();
+  });
+});
+
+describe('mirror redirects', () => {
+  it('keeps the old URL as a redirect row and stores the content under the final URL', async () => {
+    const db = openDb(DOMAIN);
+    const oldUrl = `${SEED}/old-page`, midUrl = `${SEED}/moved`, newUrl = `${SEED}/new-page`;
+    const redirect = (status, location) => ({ ok: false, status, headers: { get: (h) => h === 'location' ? location : null } });
+    fetch.mockImplementation(async (url) => {
+      if (url === SEED || url === `${SEED}/`) return mockResponse(htmlPage([oldUrl, newUrl]));
+      if (url === oldUrl) return redirect(301, '/moved');
+      if (url === midUrl) return redirect(302, newUrl);
+      if (url === newUrl) return mockResponse(htmlPage());
+      return { ok: false, status: 404, headers: { get: () => null } };
+    });
+    await runMirror(db, { domain: DOMAIN, url: SEED, crawl_concurrency: 1, rules: { prefer_format: 'html' } });
+    expect(db.prepare('SELECT gone, page_role, status_code, alias_of, local_path FROM pages WHERE url=?').get(oldUrl))
+      .toEqual({ gone: 0, page_role: 'redirect', status_code: 301, alias_of: newUrl, local_path: null });
+    expect(db.prepare('SELECT local_path FROM pages WHERE url=?').get(newUrl).local_path).toBeTruthy();
+    expect(db.prepare("SELECT canonical_url FROM aliases WHERE alias_url=? AND source='redirect'").get(oldUrl).canonical_url).toBe(newUrl);
+    expect(db.prepare('SELECT hop, from_url, status, to_url FROM redirects WHERE url=? ORDER BY hop').all(oldUrl)).toEqual([
+      { hop: 0, from_url: oldUrl, status: 301, to_url: midUrl },
+      { hop: 1, from_url: midUrl, status: 302, to_url: newUrl }
+    ]);
+    // The final URL is fetched once even though the seed also links to it directly
+    expect(fetch.mock.calls.filter(c => c[0] === newUrl)).toHaveLength(1);
+    db.close();
+  });
+
+  it('retires the old URL\'s export and does not store a final URL a follow override or path quota holds back', async () => {
+    const db = openDb(DOMAIN);
+    const oldUrl = `${SEED}/old-page`, blocked = `${SEED}/private/page`, quota = `${SEED}/events/page`;
+    const mdPath = join(testRoot, 'old-page.md');
+    mkdirSync(testRoot, { recursive: true });
+    writeFileSync(mdPath, '# Old page');
+    db.prepare("INSERT INTO exports (url, md_path, source_hash, status) VALUES (?, ?, 'h', 'ok')").run(oldUrl, mdPath);
+    const redirect = (location) => ({ ok: false, status: 301, headers: { get: (h) => h === 'location' ? location : null } });
+    fetch.mockImplementation(async (url) => {
+      if (url === SEED || url === `${SEED}/`) return mockResponse(htmlPage([`${SEED}/events/a`, oldUrl, `${SEED}/moved`]));
+      if (url === oldUrl) return redirect(blocked);
+      if (url === `${SEED}/moved`) return redirect(quota);
+      return mockResponse(htmlPage());
+    });
+    await runMirror(db, { domain: DOMAIN, url: SEED, crawl_concurrency: 1,
+      crawl_budget: { paths: { '/events/': 1 } }, rules: { follow_overrides: [{ pattern: '/private/', follow: false }] } });
+    expect(db.prepare('SELECT status, md_path, host_page_url FROM exports WHERE url=?').get(oldUrl)).toEqual({ status: 'redirect', md_path: null, host_page_url: blocked });
+    expect(existsSync(mdPath)).toBe(false);
+    expect(db.prepare('SELECT page_role FROM pages WHERE url=?').get(oldUrl).page_role).toBe('redirect');
+    expect(db.prepare('SELECT 1 FROM pages WHERE url=?').get(blocked)).toBeUndefined();
+    expect(db.prepare('SELECT 1 FROM pages WHERE url=?').get(quota)).toBeUndefined();
+    expect(db.prepare('SELECT state FROM frontier WHERE url=?').get(quota).state).toBe('deferred');
+    db.close();
+  });
+});
+
+describe('mirror crawl budget', () => {
+  const links = Array.from({ length: 6 }, (_, i) => `${SEED}/p${i}`);
+  const events = Array.from({ length: 4 }, (_, i) => `${SEED}/events/${i}`);
+  beforeEach(() => {
+    fetch.mockReset();
+    fetch.mockImplementation(async (url) => url === SEED || url === `${SEED}/` ? mockResponse(htmlPage([...links, ...events])) : mockResponse(htmlPage()));
+  });
+
+  it('stops at max_pages, records the reason and continues the frontier on the next run', async () => {
+    const db = openDb(DOMAIN);
+    const site = { domain: DOMAIN, url: SEED, crawl_concurrency: 1, crawl_budget: { max_pages: 4 } };
+    const first = await runMirror(db, site);
+    expect(first).toMatchObject({ checked: 4, stop_reason: 'max_pages' });
+    expect(JSON.parse(db.prepare("SELECT value FROM site_meta WHERE key='mirror_progress'").get().value)).toMatchObject({ stop_reason: 'max_pages', budget: { pages: 4 } });
+    // Even once the 24h resume window has passed, the next run continues where the budget stopped
+    db.prepare("UPDATE site_meta SET value=? WHERE key='mirror_run_started_at'").run(new Date(Date.now() - 3 * 86400000).toISOString());
+    fetch.mockClear();
+    const second = await runMirror(db, { ...site, crawl_budget: { max_pages: 20 } });
+    const calls = fetch.mock.calls.map(c => c[0]);
+    expect(calls).not.toContain(SEED);
+    expect(new Set(calls)).toEqual(new Set([...links, ...events].slice(3)));
+    expect(second.stop_reason).toBeUndefined();
+    expect(db.prepare("SELECT value FROM site_meta WHERE key='crawl_budget_stop'").get()).toBeUndefined();
+    db.close();
+  });
+
+  it('defers URLs over a path quota to the next run', async () => {
+    const db = openDb(DOMAIN);
+    const stats = await runMirror(db, { domain: DOMAIN, url: SEED, crawl_budget: { paths: { '/events/': 2 } } });
+    expect(stats.stop_reason).toBe('path_quota');
+    expect(fetch.mock.calls.filter(c => c[0].includes('/events/'))).toHaveLength(2);
+    expect(db.prepare("SELECT COUNT(*) AS n FROM frontier WHERE state='deferred'").get().n).toBe(2);
+    db.close();
+  });
+});
+
+describe('mirror crawler traps', () => {
+  it('stops following an infinite calendar once a second heuristic trips under it and records the traps', async () => {
+    const db = openDb(DOMAIN);
+    fetch.mockReset();
+    // Every day page links to the next day: an endless chain of URLs directly under /calendar/, which also
+    // builds repeated-segment URLs
+    fetch.mockImplementation(async (url) => {
+      if (url === SEED || url === `${SEED}/`) return mockResponse(htmlPage([`${SEED}/calendar/1`, `${SEED}/calendar/a/b/a/b/a/b/x`]));
+      const day = /\/calendar\/(\d+)$/.exec(url)?.[1];
+      return mockResponse(htmlPage(day ? [`${SEED}/calendar/${Number(day) + 1}`] : []));
+    });
+    await runMirror(db, { domain: DOMAIN, url: SEED, max_depth: 50, crawl_concurrency: 1, traps: { max_fanout: 5 } });
+    const calls = fetch.mock.calls.map(c => c[0]);
+    expect(calls.filter(u => u.includes('/calendar/'))).toHaveLength(5);
+    expect(calls).not.toContain(`${SEED}/calendar/a/b/a/b/a/b/x`);
+    expect(db.prepare('SELECT kind FROM crawl_traps ORDER BY kind').all().map(r => r.kind)).toEqual(['fanout', 'repeated_segments']);
+    db.close();
+  });
+});
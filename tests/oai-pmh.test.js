@@ -0,0 +1,171 @@
+// OAI-PMH adapter BDD tests -- qualified DC parsing, ListRecords with resumption tokens, from= incremental harvests,
+// harvests resumed across runs, deleted records, sitemap-stage entries and DC metadata as authoritative frontmatter,
+// against a local OAI endpoint.
+import { describe, it, expect, beforeAll, afterAll, beforeEach, afterEach } from 'vitest';
+import { createServer } from 'http';
+import { rmSync, mkdirSync, writeFileSync, readFileSync } from 'fs';
+import { join } from 'path';
+import { tmpdir } from 'os';
+
+const testRoot = join(tmpdir(), `site2rag-oai-${Date.now()}`);
+process.env.SITE2RAG_ROOT = testRoot;
+
+import { parseOaiResponse, dcFields, harvestOai } from '../src/oai-pmh.js';
+import { adapterDiscovery } from '../src/fetch-adapters.js';
+import { openDb, getMeta, setMeta, getDocMetadata, upsertDocMetadata, upsertExport } from '../src/db.js';
+import { createHttpClient } from '../src/http-client.js';
+import { exportHtmlPage } from '../src/export-html.js';
+
+const DOMAIN = 'repo.example.org';
+const requests = [];
+let server, base, db, changedSince = null;
+
+const oai = (body) => `<?xml version="1.0" encoding="UTF-8"?><OAI-PMH xmlns="http://www.openarchives.org/OAI/2.0/">` +
+  `<responseDate>2026-10-01T12:30:45Z</responseDate><request>${base}/oai/request</request>${body}</OAI-PMH>`;
+const qdc = (id, title, extra = '') => `<record><header><identifier>oai:repo:${id}</identifier><datestamp>2026-09-0${id}T08:00:00Z</datestamp>` +
+  `<setSpec>col_1</setSpec></header><metadata><qdc:qualifieddc xmlns:qdc="http://dspace.org/qualifieddc/" xmlns:dc="http://purl.org/dc/elements/1.1/" xmlns:dcterms="http://purl.org/dc/terms/">` +
+  `<dc:title>${title}</dc:title><dc:creator>Curie, Marie</dc:creator><dc:creator>Curie, Pierre</dc:creator>` +
+  `<dcterms:issued>1903</dcterms:issued><dc:language>eng</dc:language><dc:subject>Radioactivity</dc:subject><dc:subject>Physics</dc:subject>` +
+  `<dcterms:abstract>Line one\n  line two</dcterms:abstract>` +
+  `<dc:identifier>${base}/handle/123/${id}</dc:identifier><dc:identifier>${base}/bitstream/123/${id}/thesis.pdf</dc:identifier>` +
+  `<dc:identifier>urn:isbn:978000000000${id}</dc:identifier>${extra}</qdc:qualifieddc></metadata></record>`;
+
+beforeAll(async () => {
+  server = createServer((req, res) => {
+    const u = new URL(req.url, base);
+    const q = Object.fromEntries(u.searchParams);
+    requests.push(q);
+    res.writeHead(200, { 'Content-Type': 'text/xml' });
+    if (q.verb === 'Identify') return res.end(oai('<Identify><repositoryName>Repo</repositoryName><granularity>YYYY-MM-DDThh:mm:ssZ</granularity><earliestDatestamp>2000-01-01T00:00:00Z</earliestDatestamp></Identify>'));
+    if (q.verb === 'ListMetadataFormats') return res.end(oai('<ListMetadataFormats><metadataFormat><metadataPrefix>oai_dc</metadataPrefix></metadataFormat><metadataFormat><metadataPrefix>qdc</metadataPrefix></metadataFormat></ListMetadataFormats>'));
+    if (q.from) {
+      return res.end(changedSince
+        ? oai(`<ListRecords>${changedSince}</ListRecords>`)
+        : oai('<error code="noRecordsMatch">No matching records</error>'));
+    }
+    if (q.resumptionToken && q.resumptionToken !== 'page2') return res.end(oai('<error code="badResumptionToken">Token expired</error>'));
+    if (q.resumptionToken === 'page2') {
+      return res.end(oai(`<ListRecords>${qdc(2, 'Radium: A Study')}<record><header status="deleted"><identifier>oai:repo:9</identifier><datestamp>2026-09-09T00:00:00Z</datestamp></header></record>` +
+        '<resumptionToken completeListSize="3" cursor="2"/></ListRecords>'));
+    }
+    res.end(oai(`<ListRecords>${qdc(1, 'Recherches sur les substances radioactives')}<resumptionToken completeListSize="3" cursor="0">page2</resumptionToken></ListRecords>`));
+  });
+  await new Promise(r => server.listen(0, '127.0.0.1', r));
+  base = `http://127.0.0.1:${server.address().port}`;
+});
+afterAll(() => new Promise(r => server.close(r)));
+beforeEach(() => { db = openDb(DOMAIN); });
+afterEach(() => { db.close(); requests.length = 0; changedSince = null; rmSync(testRoot, { recursive: true, force: true }); });
+
+const site = () => ({ domain: DOMAIN, url: `${base}/`, playwright: { enabled: false }, fetch_adapter: 'oai_pmh', oai_pmh: { endpoint: `${base}/oai/request` } });
+const options = { max_requests: 1000 };
+
+describe('parseOaiResponse / dcFields', () => {
+  it('reads records, tokens and errors, and maps qualified DC to title/creators/date/language/subjects', () => {
+    const page = parseOaiResponse(oai(`<ListRecords>${qdc(1, 'T')}<resumptionToken cursor="0">tok</resumptionToken></ListRecords>`));
+    expect(page.token).toBe('tok');
+    expect(page.records[0]).toMatchObject({ identifier: 'oai:repo:1', datestamp: '2026-09-01T08:00:00Z', deleted: false, sets: ['col_1'] });
+    expect(dcFields(page.records[0].metadata)).toMatchObject({
+      title: 'T', creators: ['Curie, Marie', 'Curie, Pierre'], date: '1903', language: 'en', subjects: ['Radioactivity', 'Physics'],
+      urls: [`${base}/handle/123/1`, `${base}/bitstream/123/1/thesis.pdf`],
+    });
+    expect(parseOaiResponse(oai('<error code="badArgument">nope</error>')).error).toEqual({ code: 'badArgument', message: 'nope' });
+    expect(() => parseOaiResponse('<html></html>')).toThrow(/not an OAI-PMH response/);
+  });
+});
+
+describe('harvestOai', () => {
+  it('follows resumption tokens in the preferred format, stores records and document metadata, then harvests from= the last run', async () => {
+    const client = createHttpClient(site());
+    const stats = await harvestOai(db, site(), client, { ...options, endpoint: `${base}/oai/request` });
+    expect(stats).toEqual({ prefix: 'qdc', harvested: 2, deleted: 1, complete: true });
+    expect(requests.filter(r => r.verb === 'ListRecords').map(r => r.resumptionToken ?? r.metadataPrefix)).toEqual(['qdc', 'page2']);
+    const rec = db.prepare("SELECT * FROM oai_records WHERE identifier='oai:repo:2'").get();
+    expect(rec).toMatchObject({ deleted: 0, metadata_prefix: 'qdc', landing_url: `${base}/handle/123/2` });
+    expect(JSON.parse(rec.bitstreams)).toEqual([`${base}/bitstream/123/2/thesis.pdf`]);
+    expect(getDocMetadata(db, `${base}/bitstream/123/2/thesis.pdf`)).toMatchObject({
+      source: 'oai_pmh', record_id: 'oai:repo:2', title: 'Radium: A Study', authors: [{ name: 'Curie, Marie' }, { name: 'Curie, Pierre' }],
+      date: '1903', language: 'en', subjects: ['Radioactivity', 'Physics'],
+    });
+    expect(getMeta(db, 'oai_pmh:from:qdc')).toBe('2026-10-01T12:30:45Z');
+
+    // Next run: only changes since the last harvest; a record deleted upstream loses its metadata
+    changedSince = '<record><header status="deleted"><identifier>oai:repo:1</identifier><datestamp>2026-10-02T00:00:00Z</datestamp></header></record>';
+    requests.length = 0;
+    await harvestOai(db, site(), client, { ...options, endpoint: `${base}/oai/request` });
+    expect(requests.find(r => r.verb === 'ListRecords')).toMatchObject({ metadataPrefix: 'qdc', from: '2026-10-01T12:30:45Z' });
+    expect(getDocMetadata(db, `${base}/bitstream/123/1/thesis.pdf`)).toBeNull();
+    expect(db.prepare("SELECT deleted FROM oai_records WHERE identifier='oai:repo:1'").get().deleted).toBe(1);
+  });
+
+  it('continues a harvest stopped by max_requests from its resumption token on the next run', async () => {
+    const client = createHttpClient(site());
+    const run = (max_requests) => harvestOai(db, site(), client, { max_requests, endpoint: `${base}/oai/request` });
+    expect(await run(1)).toMatchObject({ harvested: 1, complete: false });
+    expect(JSON.parse(getMeta(db, 'oai_pmh:resume:qdc'))).toEqual({ set: null, token: 'page2', started_at: '2026-10-01T12:30:45Z' });
+    expect(getMeta(db, 'oai_pmh:from:qdc')).toBeUndefined();
+
+    requests.length = 0;
+    expect(await run(1000)).toMatchObject({ harvested: 1, deleted: 1, complete: true });
+    expect(requests.filter(r => r.verb === 'ListRecords')).toEqual([{ verb: 'ListRecords', resumptionToken: 'page2' }]);
+    expect(db.prepare('SELECT COUNT(*) AS n FROM oai_records WHERE deleted=0').get().n).toBe(2);
+    expect(getMeta(db, 'oai_pmh:resume:qdc')).toBeUndefined();
+    expect(getMeta(db, 'oai_pmh:from:qdc')).toBe('2026-10-01T12:30:45Z');
+  });
+
+  it('restarts the list when the stored resumption token has expired', async () => {
+    const client = createHttpClient(site());
+    setMeta(db, 'oai_pmh:resume:qdc', JSON.stringify({ set: null, token: 'stale', started_at: '2026-09-30T00:00:00Z' }));
+    expect(await harvestOai(db, site(), client, { ...options, endpoint: `${base}/oai/request` })).toMatchObject({ harvested: 2, complete: true });
+    expect(requests.filter(r => r.verb === 'ListRecords').map(r => r.resumptionToken ?? r.metadataPrefix)).toEqual(['stale', 'qdc', 'page2']);
+    expect(getMeta(db, 'oai_pmh:from:qdc')).toBe('2026-09-30T00:00:00Z');
+  });
+});
+
+describe('oai_pmh adapter', () => {
+  it('lists landing pages and bitstreams of live records for the sitemap stage', async () => {
+    const { entries, offline } = await adapterDiscovery(site(), { db });
+    expect(offline).toBe(false);
+    expect(entries).toEqual(expect.arrayContaining([
+      { url: `${base}/handle/123/1`, lastmod: '2026-09-01T08:00:00Z', title: 'Recherches sur les substances radioactives', published_at: '1903', language: 'en' },
+      expect.objectContaining({ url: `${base}/bitstream/123/2/thesis.pdf`, lastmod: '2026-09-02T08:00:00Z' }),
+    ]));
+    expect(entries).toHaveLength(4);
+  });
+
+  it('makes the DC record the authoritative frontmatter of the exported page', async () => {
+    const client = createHttpClient(site());
+    await harvestOai(db, site(), client, { ...options, endpoint: `${base}/oai/request` });
+    const htmlDir = join(testRoot, 'html');
+    mkdirSync(htmlDir, { recursive: true });
+    const path = join(htmlDir, 'item.html');
+    writeFileSync(path, `<html lang="fr"><head><title>Item 2 | Repo</title></head><body><main>${'<p>Item page text.</p>'.repeat(20)}</main></body></html>`);
+    const page = { url: `${base}/handle/123/2`, path_slug: 'handle_123_2', local_path: path, content_hash: 'sha256:item2', mime_type: 'text/html',
+      depth: 1, page_role: 'content', last_seen_at: new Date().toISOString(), archive_only: 0, from_sitemap: 1 };
+    exportHtmlPage(db, { domain: DOMAIN, assets: { rewrite_links: false } }, page, readFileSync(path, 'utf8'));
+    const md = readFileSync(db.prepare('SELECT md_path FROM exports WHERE url=?').get(page.url).md_path, 'utf8');
+    expect(md).toContain('title: "Radium: A Study"');
+    expect(md).toContain('title_source: oai_pmh');
+    expect(md).toContain('authors: [{"name":"Curie, Marie"},{"name":"Curie, Pierre"}]');
+    expect(md).toContain('language: en');
+    expect(md).toContain('keywords: ["Radioactivity","Physics"]');
+    expect(md).toContain('description: Line one line two');
+    expect(md).toContain('metadata_record: oai:repo:2');
+  });
+
+  it('re-exports a document only when its record changes', () => {
+    const url = `${base}/x.pdf`;
+    const exported = () => upsertExport(db, { url, md_path: null, source_hash: 'sha256:x', md_hash: null, exported_at: null, conversion_method: 'pdf-text',
+      word_count: 0, ocr_used: 0, ocr_engines: null, reconciler: null, pages: null, agreement_avg: null, flagged_pages: null, host_page_url: null, status: 'ok', error: null });
+    const hash = () => db.prepare('SELECT source_hash FROM exports WHERE url=?').get(url).source_hash;
+    const row = { url, source: 'oai_pmh', record_id: 'oai:repo:7', title: 'Old', authors: [{ name: 'A' }] };
+    exported();
+    expect(upsertDocMetadata(db, row)).toBe(true);
+    expect(hash()).toBeNull();
+    exported();
+    expect(upsertDocMetadata(db, row)).toBe(false);
+    expect(hash()).toBe('sha256:x');
+    expect(upsertDocMetadata(db, { ...row, title: 'New' })).toBe(true);
+    expect(hash()).toBeNull();
+  });
+});
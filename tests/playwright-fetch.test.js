@@ -1,6 +1,10 @@
-// Tests for playwright-fetch.js pure utility functions. No browser launched.
-import { describe, it, expect } from 'vitest';
-import { extractTextWordCount, isHtmlShell, isWorthRendering } from '../src/playwright-fetch.js';
+// Tests for playwright-fetch.js. No browser launched: page actions and the pool run against a fake Playwright.
+import { describe, it, expect, vi } from 'vitest';
+
+const browser = vi.hoisted(() => ({ active: 0, maxActive: 0, requests: [], script: null }));
+vi.mock('playwright', () => ({ chromium: { launch: vi.fn(async () => browser.fake) } }));
+
+import { extractTextWordCount, isHtmlShell, isWorthRendering, runActions, createPlaywrightPool } from '../src/playwright-fetch.js';
 
 describe('extractTextWordCount', () => {
   it('counts words in plain text', () => {
@@ -88,3 +92,121 @@ describe('isWorthRendering', () => {
     expect(isWorthRendering(staticHtml, renderedHtml)).toBe(true);
   });
 });
+
+/** Fake page: `state` holds what the DOM would show; locators count elements by selector. */
+const fakePage = (state) => {
+  const calls = [];
+  const locator = (sel) => ({
+    first: () => locator(sel),
+    count: async () => state.count(sel),
+    isVisible: async () => state.count(sel) > 0,
+    isEnabled: async () => true,
+    click: async () => { calls.push(['click', sel]); state.click(sel); },
+    all: async () => Array.from({ length: state.count(sel) }, (_, i) => ({ click: async () => { calls.push(['click', `${sel}#${i}`]); } })),
+  });
+  return {
+    calls,
+    locator,
+    waitForTimeout: async () => {},
+    waitForSelector: async (sel) => { if (!state.count(sel)) throw new Error(`timeout waiting for ${sel}`); },
+    evaluate: async (fn) => { const src = fn.toString(); if (src.includes('scrollTo')) { calls.push(['scroll']); state.scrolled(); } return state.height; },
+  };
+};
+
+describe('runActions', () => {
+  it('clicks "load more" until it disappears, scrolls until the page stops growing and expands every accordion', async () => {
+    let more = 3, pages = 0;
+    const state = {
+      height: 1000,
+      count: (sel) => ({ '.load-more': more > 0 ? 1 : 0, '.accordion': 2, '#cookies': 0 })[sel] ?? 0,
+      click: (sel) => { if (sel === '.load-more') more--; },
+      scrolled: () => { if (++pages < 3) state.height += 500; },
+    };
+    const page = fakePage(state);
+    const ran = await runActions(page, [
+      { dismiss: '#cookies' },
+      { click: '.load-more', repeat: 10 },
+      { scroll: 'bottom', repeat: 10 },
+      { click_all: '.accordion' },
+      { click: '.never', match: '/other/' },
+    ], 'https://cat.example.org/list');
+    expect(ran).toBe(4);
+    expect(page.calls.filter(c => c[1] === '.load-more')).toHaveLength(3);
+    expect(page.calls.filter(c => c[0] === 'scroll')).toHaveLength(3);
+    expect(page.calls.filter(c => c[1]?.startsWith('.accordion#'))).toHaveLength(2);
+  });
+
+  it('logs and skips a failing step', async () => {
+    const warn = vi.spyOn(console, 'warn').mockImplementation(() => {});
+    const page = fakePage({ height: 0, count: () => 0, click: () => {}, scrolled: () => {} });
+    expect(await runActions(page, [{ wait_for: '#missing' }, { wait_ms: 10 }], 'https://x.org/')).toBe(1);
+    expect(warn).toHaveBeenCalledWith(expect.stringContaining('#missing'));
+    warn.mockRestore();
+  });
+});
+
+describe('createPlaywrightPool', () => {
+  // Each page load requests a stylesheet, an image, an analytics script and a JSON API listing documents
+  const load = [
+    { url: 'https://cat.example.org/app.css', type: 'stylesheet' },
+    { url: 'https://cat.example.org/hero.jpg', type: 'image' },
+    { url: 'https://www.googletagmanager.com/gtm.js', type: 'script' },
+    { url: 'https://cat.example.org/api/items?page=1', type: 'xhr', json: { items: [{ title: 'A', pdf_url: '/docs/a.pdf' }], next: 'https://cat.example.org/api/items?page=2' } },
+  ];
+  browser.fake = {
+    newContext: async () => {
+      let route, onResponse;
+      browser.active++;
+      browser.maxActive = Math.max(browser.maxActive, browser.active);
+      return {
+        addCookies: async () => {},
+        route: async (_, fn) => { route = fn; },
+        close: async () => { browser.active--; },
+        newPage: async () => ({
+          on: (ev, fn) => { if (ev === 'response') onResponse = fn; },
+          goto: async () => {
+            await new Promise(r => setTimeout(r, 10));
+            for (const r of load) {
+              const request = { resourceType: () => r.type, url: () => r.url };
+              let allowed = true;
+              if (route) await route({ request: () => request, abort: () => { allowed = false; }, continue: () => {} });
+              browser.requests.push([r.url, allowed]);
+              if (allowed && r.json) onResponse?.({ request: () => request, url: () => r.url, headers: () => ({ 'content-type': 'application/json' }), body: async () => Buffer.from(JSON.stringify(r.json)) });
+            }
+          },
+          content: async () => '<html><body>rendered</body></html>',
+          screenshot: async (opts) => Buffer.from(`png ${opts.fullPage}`),
+          pdf: async (opts) => Buffer.from(`pdf ${opts.format}`),
+        }),
+      };
+    },
+    close: async () => {},
+  };
+
+  it('renders up to `concurrency` pages at once, blocks media and analytics, and returns links from JSON responses', async () => {
+    const pool = await createPlaywrightPool({ concurrency: 2, capture_json: true });
+    const results = await Promise.all(['a', 'b', 'c', 'd'].map(p => pool.render(`https://cat.example.org/${p}`)));
+    expect(browser.maxActive).toBe(2);
+    expect(results[0]).toEqual({ html: '<html><body>rendered</body></html>', links: ['https://cat.example.org/docs/a.pdf', 'https://cat.example.org/api/items?page=2'] });
+    expect(Object.fromEntries(browser.requests.slice(0, 4))).toEqual({
+      'https://cat.example.org/app.css': true, 'https://cat.example.org/hero.jpg': false,
+      'https://www.googletagmanager.com/gtm.js': false, 'https://cat.example.org/api/items?page=1': true,
+    });
+    await pool.close();
+  });
+
+  it('keeps images for snapshot renders and returns the screenshot and PDF', async () => {
+    browser.requests.length = 0;
+    const pool = await createPlaywrightPool({});
+    const result = await pool.render('https://cat.example.org/a', { snapshot: { screenshot: true, pdf: true, pdfFormat: 'Letter' } });
+    expect(result.snapshot.screenshot.toString()).toBe('png true');
+    expect(result.snapshot.pdf.toString()).toBe('pdf Letter');
+    expect(Object.fromEntries(browser.requests)['https://cat.example.org/hero.jpg']).toBe(true);
+    expect(Object.fromEntries(browser.requests)['https://www.googletagmanager.com/gtm.js']).toBe(false);
+    await pool.close();
+  });
+
+  it('rejects actions it does not know', async () => {
+    await expect(createPlaywrightPool({ actions: [{ clik: '.more' }] })).rejects.toThrow(/playwright action needs one of/);
+  });
+});
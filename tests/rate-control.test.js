@@ -0,0 +1,158 @@
+// Rate control BDD tests -- Retry-After parsing, per-host backoff/ramp-up, and mirror's requeue + persisted pause.
+import { describe, it, expect, afterEach, vi } from 'vitest';
+import { rmSync } from 'fs';
+import { join } from 'path';
+import { tmpdir } from 'os';
+
+const testRoot = join(tmpdir(), `site2rag-rate-control-${Date.now()}`);
+process.env.SITE2RAG_ROOT = testRoot;
+
+vi.mock('undici', () => ({ fetch: vi.fn() }));
+vi.mock('../src/score.js', () => ({ scorePdf: vi.fn(), saveQualityScore: vi.fn(), maybeQueue: vi.fn() }));
+
+import { fetch } from 'undici';
+import { openDb } from '../src/db.js';
+import { runMirror } from '../src/mirror.js';
+import { parseRetryAfter, createRateController } from '../src/rate-control.js';
+
+const DOMAIN = 'throttle.example.com';
+const SEED = `https://${DOMAIN}/`;
+const FAST = { min_backoff_ms: 1, max_delay_ms: 5 };
+const ok = (body) => ({ ok: true, status: 200, headers: { get: (h) => h === 'content-type' ? 'text/html' : null }, arrayBuffer: async () => Buffer.from(body) });
+const throttled = (status, retryAfter = null) => ({ ok: false, status, headers: { get: (h) => h === 'retry-after' ? retryAfter : null } });
+
+describe('parseRetryAfter', () => {
+  it('parses delta-seconds', () => {
+    expect(parseRetryAfter('120')).toBe(120000);
+  });
+  it('parses an HTTP-date relative to now', () => {
+    const now = Date.parse('2024-01-01T00:00:00Z');
+    expect(parseRetryAfter('Mon, 01 Jan 2024 00:00:30 GMT', now)).toBe(30000);
+  });
+  it('returns null for missing or garbage values', () => {
+    expect(parseRetryAfter(null)).toBeNull();
+    expect(parseRetryAfter('soon')).toBeNull();
+  });
+});
+
+describe('createRateController', () => {
+  it('backs off exponentially on consecutive 429/503', () => {
+    const rate = createRateController({ min_backoff_ms: 1000 }, 250);
+    rate.record('h', 429);
+    expect(rate.snapshot().h.delay_ms).toBe(2000);
+    rate.record('h', 503);
+    expect(rate.snapshot().h.delay_ms).toBe(4000);
+  });
+  it('caps the delay at max_delay_ms', () => {
+    const rate = createRateController({ max_delay_ms: 3000 }, 1000);
+    for (let i = 0; i < 4; i++) rate.record('h', 429);
+    expect(rate.snapshot().h.delay_ms).toBe(3000);
+  });
+  it('ramps back toward the base delay after a healthy streak', () => {
+    const rate = createRateController({ ramp_after: 2, ramp_factor: 0.5 }, 500);
+    rate.record('h', 429);
+    expect(rate.snapshot().h.delay_ms).toBe(2000);
+    rate.record('h', 200); rate.record('h', 200);
+    expect(rate.snapshot().h.delay_ms).toBe(1000);
+    for (let i = 0; i < 6; i++) rate.record('h', 200);
+    expect(rate.snapshot().h.delay_ms).toBe(500);
+  });
+  it('tracks hosts independently', () => {
+    const rate = createRateController({}, 100);
+    rate.record('a', 429);
+    rate.record('b', 200);
+    expect(rate.snapshot().a.delay_ms).toBeGreaterThan(rate.snapshot().b.delay_ms);
+  });
+  it('flags a block after block_after consecutive throttles', () => {
+    const rate = createRateController({ block_after: 3 }, 0);
+    rate.record('h', 429); rate.record('h', 429);
+    expect(rate.blocked()).toBeNull();
+    rate.record('h', 429);
+    expect(rate.blocked()).toMatchObject({ host: 'h' });
+  });
+  it('flags a block when Retry-After exceeds max_retry_after_ms', () => {
+    const rate = createRateController({ max_retry_after_ms: 60000 }, 0);
+    rate.record('h', 503, 3600000);
+    expect(rate.blocked()).toMatchObject({ host: 'h', retryAfterMs: 3600000 });
+  });
+  it('reports how long until a host may be fetched again', async () => {
+    const rate = createRateController(FAST, 0);
+    expect(rate.readyIn('h')).toBe(0);
+    rate.record('h', 429, 5000);
+    expect(rate.readyIn('h')).toBeGreaterThan(4000);
+    expect(rate.readyIn('other')).toBe(0);
+  });
+
+  it('holds the host until Retry-After has elapsed', async () => {
+    const rate = createRateController(FAST, 0);
+    rate.record('h', 429, 60);
+    const start = Date.now();
+    await rate.wait('h');
+    expect(Date.now() - start).toBeGreaterThanOrEqual(50);
+  });
+});
+
+describe('mirror with rate control', () => {
+  afterEach(() => { fetch.mockReset(); rmSync(testRoot, { recursive: true, force: true }); });
+
+  it('requeues a throttled URL and fetches it once the host recovers', async () => {
+    const db = openDb(DOMAIN);
+    let seedCalls = 0;
+    fetch.mockImplementation(async (url) => {
+      if (url === SEED && ++seedCalls === 1) return throttled(429, '0');
+      if (url === SEED) return ok('<html><body>hello</body></html>');
+      return { ok: false, status: 404, headers: { get: () => null } };
+    });
+    const stats = await runMirror(db, { domain: DOMAIN, url: SEED, request_delay_ms: 0, politeness: FAST, playwright: { enabled: false } });
+    expect(seedCalls).toBe(2);
+    expect(stats.new_pages).toBe(1);
+    expect(db.prepare('SELECT url FROM pages').all().map(r => r.url)).toContain(SEED);
+    db.close();
+  });
+
+  it('pauses the site and keeps the frontier when the host keeps refusing', async () => {
+    const db = openDb(DOMAIN);
+    fetch.mockResolvedValue(throttled(503));
+    const stats = await runMirror(db, { domain: DOMAIN, url: SEED, request_delay_ms: 0, politeness: { ...FAST, block_after: 2, pause_minutes: 30 }, playwright: { enabled: false } });
+    expect(stats.paused_until).toBeTruthy();
+    expect(db.prepare("SELECT value FROM site_meta WHERE key='crawl_paused_until'").get()?.value).toBe(stats.paused_until);
+    expect(db.prepare("SELECT state FROM frontier WHERE url=?").get(SEED)?.state).toBe('pending');
+
+    // Next run inside the pause window does not touch the host at all
+    fetch.mockClear();
+    const again = await runMirror(db, { domain: DOMAIN, url: SEED, request_delay_ms: 0, politeness: FAST, playwright: { enabled: false } });
+    expect(fetch).not.toHaveBeenCalled();
+    expect(again.paused_until).toBe(stats.paused_until);
+    db.close();
+  });
+
+  it('keeps fetching other hosts while one waits out its Retry-After', async () => {
+    const db = openDb(DOMAIN);
+    const cdn = 'https://cdn.example.net/doc';
+    const calls = [];
+    fetch.mockImplementation(async (url) => {
+      calls.push({ url, at: Date.now() });
+      if (url === SEED) return ok(`<html><body><a href="${cdn}">d</a><a href="${SEED}a">a</a><a href="${SEED}b">b</a></body></html>`);
+      if (url === cdn && calls.filter(c => c.url === cdn).length === 1) return throttled(429, '1');
+      if (url.endsWith('/robots.txt')) return { ok: false, status: 404, headers: { get: () => null } };
+      return ok('<html><body>page</body></html>');
+    });
+    await runMirror(db, { domain: DOMAIN, url: SEED, request_delay_ms: 0, crawl_concurrency: 1, allow_domains: ['cdn.example.net'],
+      politeness: { ...FAST, max_delay_ms: 10 }, playwright: { enabled: false } });
+    const at = (url, n = 0) => calls.filter(c => c.url === url)[n]?.at;
+    expect(at(cdn, 1) - at(cdn)).toBeGreaterThanOrEqual(1000);
+    expect(at(`${SEED}a`)).toBeLessThan(at(cdn) + 500);
+    expect(at(`${SEED}b`)).toBeLessThan(at(cdn) + 500);
+    expect(db.prepare("SELECT COUNT(*) as n FROM frontier WHERE state IN ('pending', 'active')").get().n).toBe(0);
+    db.close();
+  });
+
+  it('gives up on a URL after max_attempts throttled responses', async () => {
+    const db = openDb(DOMAIN);
+    fetch.mockResolvedValue(throttled(429));
+    await runMirror(db, { domain: DOMAIN, url: SEED, request_delay_ms: 0, politeness: { ...FAST, max_attempts: 2, block_after: 10 }, playwright: { enabled: false } });
+    expect(fetch.mock.calls.filter(c => c[0] === SEED)).toHaveLength(2);
+    expect(db.prepare("SELECT value FROM site_meta WHERE key='crawl_paused_until'").get()).toBeUndefined();
+    db.close();
+  });
+});
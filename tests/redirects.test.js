@@ -0,0 +1,96 @@
+// Redirect chain BDD tests -- manual hop following against a local HTTP server, stored chains and the _redirects.json export.
+import { describe, it, expect, beforeAll, afterAll, afterEach } from 'vitest';
+import { createServer } from 'http';
+import { rmSync, readFileSync } from 'fs';
+import { join } from 'path';
+import { tmpdir } from 'os';
+
+const testRoot = join(tmpdir(), `site2rag-redirects-${Date.now()}`);
+process.env.SITE2RAG_ROOT = testRoot;
+
+import { fetchFollowing, recordRedirects, redirectsTo, writeRedirectsExport } from '../src/redirects.js';
+import { openDb } from '../src/db.js';
+import { recordAlias } from '../src/canonical.js';
+import { mdDir } from '../src/config.js';
+
+const DOMAIN = 'redirects.example.org';
+let server, other, base, otherBase;
+const requests = [];
+beforeAll(async () => {
+  const handler = (req, res) => {
+    requests.push({ host: req.headers.host, url: req.url, auth: req.headers.authorization ?? null, inm: req.headers['if-none-match'] ?? null });
+    const routes = {
+      '/a': [301, '/b'], '/b': [302, `${base}/c`], '/loop1': [301, '/loop2'], '/loop2': [301, '/loop1'],
+      '/away': [307, `${otherBase}/landing`], '/nowhere': [301, null]
+    };
+    const [status, location] = routes[req.url] ?? [200];
+    if (status !== 200) { res.writeHead(status, location ? { Location: location } : {}); return res.end(); }
+    res.writeHead(200, { 'Content-Type': 'text/plain' });
+    res.end(`body of ${req.url}`);
+  };
+  server = createServer(handler);
+  other = createServer(handler);
+  await new Promise(r => server.listen(0, '127.0.0.1', r));
+  await new Promise(r => other.listen(0, '127.0.0.1', r));
+  base = `http://127.0.0.1:${server.address().port}`;
+  otherBase = `http://localhost:${other.address().port}`;
+});
+afterAll(async () => {
+  await new Promise(r => server.close(r));
+  await new Promise(r => other.close(r));
+});
+afterEach(() => { requests.length = 0; rmSync(testRoot, { recursive: true, force: true }); });
+
+describe('fetchFollowing', () => {
+  it('follows relative and absolute Location hops and records each one', async () => {
+    const { res, url, hops } = await fetchFollowing(`${base}/a`, { headers: { 'If-None-Match': '"old"' } });
+    expect(res.status).toBe(200);
+    expect(await res.text()).toBe('body of /c');
+    expect(url).toBe(`${base}/c`);
+    expect(hops.map(h => [h.url, h.status, h.to])).toEqual([[`${base}/a`, 301, `${base}/b`], [`${base}/b`, 302, `${base}/c`]]);
+    expect(hops[0].location).toBe('/b');
+    // The validator belongs to /a and is not sent to the targets
+    expect(requests.map(r => r.inm)).toEqual(['"old"', null, null]);
+  });
+
+  it('stops at loops and at maxRedirects, returning the last 3xx', async () => {
+    const loop = await fetchFollowing(`${base}/loop1`);
+    expect(loop.res.status).toBe(301);
+    expect(loop.hops).toHaveLength(1);
+    const capped = await fetchFollowing(`${base}/a`, {}, { maxRedirects: 1 });
+    expect(capped).toMatchObject({ url: `${base}/b`, hops: [{ url: `${base}/a` }] });
+    expect(capped.res.status).toBe(302);
+  });
+
+  it('returns a 3xx without Location as the response', async () => {
+    const { res, hops } = await fetchFollowing(`${base}/nowhere`);
+    expect(res.status).toBe(301);
+    expect(hops).toEqual([]);
+  });
+
+  it('drops credentials when a hop leaves the origin', async () => {
+    await fetchFollowing(`${base}/away`, { headers: { Authorization: 'Bearer x' } });
+    expect(requests.map(r => r.auth)).toEqual(['Bearer x', null]);
+  });
+});
+
+describe('redirect records and export', () => {
+  it('replaces stored chains, resolves redirect_from and writes _redirects.json to the final URL', () => {
+    const db = openDb(DOMAIN);
+    const [a, b, c] = ['https://x.org/a', 'https://x.org/b', 'https://x.org/c'];
+    recordRedirects(db, a, [{ url: a, status: 301, location: '/old', to: 'https://x.org/old', at: 't0' }]);
+    recordRedirects(db, a, [{ url: a, status: 301, location: '/b', to: b, at: 't1' }, { url: b, status: 302, location: '/c', to: c, at: 't1' }]);
+    expect(db.prepare('SELECT hop, to_url FROM redirects WHERE url=? ORDER BY hop').all(a)).toEqual([{ hop: 0, to_url: b }, { hop: 1, to_url: c }]);
+    recordAlias(db, a, b, 'redirect');
+    recordAlias(db, b, c, 'redirect');
+    recordAlias(db, 'https://x.org/c?ref=1', c, 'rel_canonical');
+    db.prepare("INSERT INTO exports (url, md_path, status) VALUES (?, ?, 'ok')").run(c, '/md/c.md');
+    expect(redirectsTo(db, c)).toEqual([a, b]);
+    expect(writeRedirectsExport(db, DOMAIN)).toBe(2);
+    expect(JSON.parse(readFileSync(join(mdDir(DOMAIN), '_redirects.json'), 'utf8'))).toEqual([
+      { from: a, to: c, status: 301, md_path: '/md/c.md' },
+      { from: b, to: c, status: 302, md_path: '/md/c.md' }
+    ]);
+    db.close();
+  });
+});
@@ -59,6 +59,14 @@ describe('siteSummary', () => {
     expect(result.total_pages).toBe(2); // gone excluded
     expect(result.total_pdfs).toBe(1); // only non-gone PDF
   });
+
+  it('counts pending, active and deferred frontier URLs as frontier_remaining', () => {
+    const db = openDb(DOMAIN);
+    const insert = db.prepare('INSERT INTO frontier (url, state) VALUES (?, ?)');
+    for (const state of ['pending', 'active', 'deferred', 'done', 'skipped']) insert.run(`https://${DOMAIN}/${state}`, state);
+    db.close();
+    expect(siteSummary(DOMAIN, `https://${DOMAIN}`).frontier_remaining).toBe(3); // deferred URLs wait for the next run
+  });
 });
 
 describe('siteDocs', () => {
@@ -1,5 +1,5 @@
 import { describe, it, expect } from 'vitest';
-import { stripHtml, getLinkContext, buildFreeSummary, mapDoc, buildSummaryPrompt, titleFromUrl, isGenericTitle } from '../bin/report-utils.js';
+import { stripHtml, getLinkContext, buildFreeSummary, mapDoc, buildSummaryPrompt, titleFromUrl, isGenericTitle, siteDomain, siteForUrl } from '../bin/report-utils.js';
 
 describe('stripHtml', () => {
   it('removes HTML tags leaving plain text', () => {
@@ -353,3 +353,22 @@ describe('isGenericTitle', () => {
     expect(isGenericTitle('History of Medicine')).toBe(false);
   });
 });
+
+describe('siteDomain / siteForUrl', () => {
+  const sites = [
+    { domain: 'example.org', url: 'https://example.org/' },
+    { url: 'file:///mnt/drive/collection', domain: 'partner-drive' },
+  ];
+
+  it('uses the configured domain, else the URL host', () => {
+    expect(siteDomain({ url: 'https://news.example.org/' })).toBe('news.example.org');
+    expect(siteDomain(sites[1])).toBe('partner-drive');
+    expect(siteDomain({ url: 'file:///mnt/drive/' })).toBeNull();
+  });
+
+  it('finds http sites by domain and local collections by their root', () => {
+    expect(siteForUrl(sites, 'https://example.org/a.pdf')).toBe(sites[0]);
+    expect(siteForUrl(sites, 'file:///mnt/drive/collection/reports/a.pdf')).toBe(sites[1]);
+    expect(siteForUrl(sites, 'file:///mnt/drive/collection-old/a.pdf')).toBeUndefined();
+  });
+});
@@ -0,0 +1,142 @@
+// robots.txt BDD tests -- RFC 9309 group selection, longest match, wildcards, status handling and per-origin cache.
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+import { rmSync } from 'fs';
+import { join } from 'path';
+import { tmpdir } from 'os';
+
+const testRoot = join(tmpdir(), `site2rag-robots-${Date.now()}`);
+process.env.SITE2RAG_ROOT = testRoot;
+
+vi.mock('undici', () => ({ fetch: vi.fn() }));
+
+import { fetch } from 'undici';
+import { openDb } from '../src/db.js';
+import { parseRobotsTxt, selectGroup, isPathAllowed, robotsPolicy, createRobotsCache } from '../src/robots.js';
+
+const UA = 'site2rag/1.0';
+const rulesFor = (txt, ua = UA) => selectGroup(parseRobotsTxt(txt), ua).rules;
+const allowed = (txt, path, ua = UA) => isPathAllowed(rulesFor(txt, ua), path);
+const robotsRes = (status, body = '') => ({ ok: status >= 200 && status < 300, status, text: async () => body });
+
+describe('group selection', () => {
+  it('prefers a group naming our product token over *', () => {
+    const txt = 'User-agent: *\nDisallow: /\n\nUser-agent: site2rag\nDisallow: /private/\n';
+    expect(allowed(txt, '/public')).toBe(true);
+    expect(allowed(txt, '/private/x')).toBe(false);
+  });
+  it('matches the product token case-insensitively', () => {
+    expect(allowed('User-agent: Site2RAG\nDisallow: /x\n', '/x')).toBe(false);
+  });
+  it('merges every group that names the same agent', () => {
+    const txt = 'User-agent: *\nDisallow: /a\n\nUser-agent: googlebot\nDisallow: /g\n\nUser-agent: *\nDisallow: /b\n';
+    expect(allowed(txt, '/a')).toBe(false);
+    expect(allowed(txt, '/b')).toBe(false);
+    expect(allowed(txt, '/g')).toBe(true);
+  });
+  it('applies consecutive user-agent lines to one group', () => {
+    const txt = 'User-agent: googlebot\nUser-agent: site2rag\nDisallow: /shared\n';
+    expect(allowed(txt, '/shared')).toBe(false);
+  });
+  it('allows everything when no group applies', () => {
+    expect(allowed('User-agent: googlebot\nDisallow: /\n', '/anything')).toBe(true);
+  });
+  it('ignores comments and rules before any user-agent', () => {
+    expect(allowed('Disallow: /\n# User-agent: *\nUser-agent: * # all\nDisallow: /x # secret\n', '/y')).toBe(true);
+  });
+  it('takes Crawl-delay from the selected group', () => {
+    const parsed = parseRobotsTxt('User-agent: *\nCrawl-delay: 9\n\nUser-agent: site2rag\nCrawl-delay: 2\n');
+    expect(selectGroup(parsed, UA).crawlDelay).toBe(2);
+  });
+  it('collects Sitemap lines regardless of group', () => {
+    expect(parseRobotsTxt('Sitemap: https://x.org/sm.xml\nUser-agent: *\nDisallow:\n').sitemaps).toEqual(['https://x.org/sm.xml']);
+  });
+});
+
+describe('isPathAllowed', () => {
+  it('longest match wins: Allow inside a Disallowed directory', () => {
+    const txt = 'User-agent: *\nDisallow: /docs/\nAllow: /docs/public/\n';
+    expect(allowed(txt, '/docs/private.html')).toBe(false);
+    expect(allowed(txt, '/docs/public/a.html')).toBe(true);
+  });
+  it('longest match wins: Disallow inside an Allowed directory', () => {
+    const txt = 'User-agent: *\nAllow: /\nDisallow: /search\n';
+    expect(allowed(txt, '/search?q=1')).toBe(false);
+    expect(allowed(txt, '/about')).toBe(true);
+  });
+  it('Allow wins a tie of equal length', () => {
+    expect(allowed('User-agent: *\nDisallow: /page\nAllow: /page\n', '/page')).toBe(true);
+  });
+  it('* matches any run of characters', () => {
+    const txt = 'User-agent: *\nDisallow: /*.php\nDisallow: /*?sessionid=\n';
+    expect(allowed(txt, '/a/b/index.php')).toBe(false);
+    expect(allowed(txt, '/list?sessionid=9')).toBe(false);
+    expect(allowed(txt, '/a/b/index.html')).toBe(true);
+  });
+  it('$ anchors the end of the path', () => {
+    const txt = 'User-agent: *\nDisallow: /*.pdf$\n';
+    expect(allowed(txt, '/a/report.pdf')).toBe(false);
+    expect(allowed(txt, '/a/report.pdf?download=1')).toBe(true);
+  });
+  it('treats regex metacharacters in patterns literally', () => {
+    expect(allowed('User-agent: *\nDisallow: /a+b(c)\n', '/aab(c)')).toBe(true);
+    expect(allowed('User-agent: *\nDisallow: /a+b(c)\n', '/a+b(c)/d')).toBe(false);
+  });
+  it('compares non-ASCII paths by their percent-encoded octets', () => {
+    const txt = 'User-agent: *\nDisallow: /مقالات/\n';
+    expect(allowed(txt, '/%D9%85%D9%82%D8%A7%D9%84%D8%A7%D8%AA/1')).toBe(false);
+  });
+  it('ignores an empty Disallow and always allows /robots.txt', () => {
+    expect(allowed('User-agent: *\nDisallow:\n', '/x')).toBe(true);
+    expect(allowed('User-agent: *\nDisallow: /\n', '/robots.txt')).toBe(true);
+  });
+});
+
+describe('robotsPolicy status handling', () => {
+  it('4xx means no robots.txt: allow everything', () => {
+    expect(robotsPolicy(404, '', UA).allowed('https://x.org/a')).toBe(true);
+  });
+  it('5xx / network failure means disallow everything', () => {
+    expect(robotsPolicy(503, '', UA).allowed('https://x.org/a')).toBe(false);
+    expect(robotsPolicy(0, '', UA).allowed('https://x.org/a')).toBe(false);
+  });
+});
+
+describe('createRobotsCache', () => {
+  let db;
+  beforeEach(() => { db = openDb('robots.example.com'); fetch.mockReset(); });
+  afterEach(() => { db.close(); rmSync(testRoot, { recursive: true, force: true }); });
+
+  it('fetches each origin once per run and keeps origins separate', async () => {
+    fetch.mockImplementation(async (url) => url.startsWith('https://a.org')
+      ? robotsRes(200, 'User-agent: *\nDisallow: /x\n')
+      : robotsRes(404));
+    const robots = createRobotsCache(db, UA);
+    expect(await robots.isAllowed('https://a.org/x')).toBe(false);
+    expect(await robots.isAllowed('https://a.org/y')).toBe(true);
+    expect(await robots.isAllowed('https://b.org/x')).toBe(true);
+    expect(fetch).toHaveBeenCalledTimes(2);
+  });
+
+  it('reuses the persisted copy across runs until it expires', async () => {
+    fetch.mockResolvedValue(robotsRes(200, 'User-agent: *\nDisallow: /x\n'));
+    await createRobotsCache(db, UA).isAllowed('https://a.org/x');
+    expect(await createRobotsCache(db, UA).isAllowed('https://a.org/x')).toBe(false);
+    expect(fetch).toHaveBeenCalledTimes(1);
+    await createRobotsCache(db, UA, { ttlMs: 0 }).isAllowed('https://a.org/x');
+    expect(fetch).toHaveBeenCalledTimes(2);
+  });
+
+  it('falls back to a stale cached copy when the origin becomes unreachable', async () => {
+    fetch.mockResolvedValue(robotsRes(200, 'User-agent: *\nDisallow: /x\n'));
+    await createRobotsCache(db, UA).isAllowed('https://a.org/x');
+    fetch.mockResolvedValue(robotsRes(500));
+    const robots = createRobotsCache(db, UA, { ttlMs: 0 });
+    expect(await robots.isAllowed('https://a.org/y')).toBe(true);
+    expect(await robots.isAllowed('https://a.org/x')).toBe(false);
+  });
+
+  it('disallows an unreachable origin with no cached copy', async () => {
+    fetch.mockRejectedValue(new Error('ECONNREFUSED'));
+    expect(await createRobotsCache(db, UA).isAllowed('https://down.org/a')).toBe(false);
+  });
+});
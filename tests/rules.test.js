@@ -58,6 +58,12 @@ describe('applyFollowOverride', () => {
     const compiled = compileRules({ follow_overrides: [{ pattern: '/admin/.*', follow: false }] });
     expect(applyFollowOverride(compiled, 'https://example.com/docs')).toBeNull();
   });
+  it('applies an override with kinds only to links of those source kinds', () => {
+    const compiled = compileRules({ follow_overrides: [{ pattern: '/ads/', follow: false, kinds: ['frame', 'embed'] }] });
+    expect(applyFollowOverride(compiled, 'https://example.com/ads/banner', 'frame')).toBe(false);
+    expect(applyFollowOverride(compiled, 'https://example.com/ads/banner', 'a')).toBeNull();
+    expect(applyFollowOverride(compiled, 'https://example.com/ads/banner')).toBeNull();
+  });
 });
 describe('applyOcrOverride', () => {
   it('returns override config object for matching URL', () => {
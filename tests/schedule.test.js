@@ -0,0 +1,72 @@
+// Recrawl scheduling BDD tests -- interval estimate from history + sitemap hints + role, change log in upsertPage.
+import { describe, it, expect, beforeEach, afterEach } from 'vitest';
+import { rmSync } from 'fs';
+import { join } from 'path';
+import { tmpdir } from 'os';
+
+const testRoot = join(tmpdir(), `site2rag-schedule-${Date.now()}`);
+process.env.SITE2RAG_ROOT = testRoot;
+
+import { openDb, upsertPage, upsertSitemap } from '../src/db.js';
+import { estimateIntervalDays, scheduleNextCheck, dueCutoff } from '../src/schedule.js';
+
+const DAY = 86400000;
+const NOW = Date.parse('2025-06-01T00:00:00Z');
+const ago = (days) => new Date(NOW - days * DAY).toISOString();
+
+describe('estimateIntervalDays', () => {
+  it('backs off as an unchanged page ages, up to max_days', () => {
+    expect(estimateIntervalDays({ changes: [], observedSince: ago(0), now: NOW })).toBe(1);
+    expect(estimateIntervalDays({ changes: [], observedSince: ago(8), now: NOW })).toBe(8);
+    expect(estimateIntervalDays({ changes: [], observedSince: ago(2000), now: NOW })).toBe(90);
+    expect(estimateIntervalDays({ changes: [], observedSince: ago(2000), now: NOW }, { max_days: 365 })).toBe(365);
+  });
+
+  it('follows the observed change rate', () => {
+    const weekly = Array.from({ length: 8 }, (_, i) => ago(i * 7));
+    expect(estimateIntervalDays({ changes: weekly, observedSince: ago(62), now: NOW })).toBeCloseTo(62 / 9, 5);
+  });
+
+  it('uses an old sitemap lastmod as evidence of stability', () => {
+    expect(estimateIntervalDays({ changes: [], observedSince: ago(1), lastmod: ago(40), now: NOW })).toBe(40);
+  });
+
+  it('blends changefreq while history is thin, and scales by priority and role', () => {
+    expect(estimateIntervalDays({ changes: [], observedSince: ago(4), changefreq: 'monthly', now: NOW })).toBeCloseTo(Math.sqrt(4 * 30), 5);
+    expect(estimateIntervalDays({ changes: [], observedSince: ago(10), priority: 1.0, now: NOW })).toBe(5);
+    expect(estimateIntervalDays({ changes: [], observedSince: ago(10), role: 'index', now: NOW })).toBe(5);
+    expect(estimateIntervalDays({ changes: [], observedSince: ago(10), role: 'index', now: NOW }, { role_factors: { index: 1 } })).toBe(10);
+  });
+});
+
+describe('page change history + scheduleNextCheck', () => {
+  let db;
+  beforeEach(() => { db = openDb('schedule.example.org'); });
+  afterEach(() => { db.close(); rmSync(testRoot, { recursive: true, force: true }); });
+
+  it('upsertPage logs new and changed content, not unchanged refetches', () => {
+    upsertPage(db, { url: 'https://s/a', content_hash: 'sha256:1' });
+    upsertPage(db, { url: 'https://s/a', content_hash: 'sha256:1' });
+    upsertPage(db, { url: 'https://s/a', content_hash: 'sha256:2' });
+    expect(db.prepare('SELECT kind, old_hash, new_hash FROM page_changes ORDER BY id').all()).toEqual([
+      { kind: 'new', old_hash: null, new_hash: 'sha256:1' },
+      { kind: 'changed', old_hash: 'sha256:1', new_hash: 'sha256:2' },
+    ]);
+  });
+
+  it('stores next_check_at from history and sitemap hints', () => {
+    upsertPage(db, { url: 'https://s/a', content_hash: 'sha256:1' });
+    db.prepare('UPDATE pages SET first_seen_at=? WHERE url=?').run(ago(20), 'https://s/a');
+    upsertSitemap(db, { url: 'https://s/a', lastmod: null, source_sitemap: 'x', changefreq: 'weekly', priority: 0.5 });
+    const next = scheduleNextCheck(db, 'https://s/a', {}, NOW);
+    const row = db.prepare('SELECT next_check_at, recheck_days FROM pages WHERE url=?').get('https://s/a');
+    expect(row.recheck_days).toBeCloseTo(Math.sqrt(20 * 7), 5);
+    expect(row.next_check_at).toBe(next);
+    expect(Date.parse(next)).toBe(Math.floor(NOW + row.recheck_days * DAY));
+    expect(scheduleNextCheck(db, 'https://s/missing', {}, NOW)).toBeNull();
+  });
+
+  it('dueCutoff lets pages due within the hour through', () => {
+    expect(dueCutoff(NOW)).toBe(new Date(NOW + 3600000).toISOString());
+  });
+});
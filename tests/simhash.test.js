@@ -0,0 +1,167 @@
+// SimHash BDD tests -- fingerprints, duplicate clustering + representative choice, and export of clusters.
+import { describe, it, expect, beforeEach, afterEach } from 'vitest';
+import { mkdirSync, rmSync, writeFileSync, readFileSync, existsSync } from 'fs';
+import { join } from 'path';
+import { tmpdir } from 'os';
+
+const testRoot = join(tmpdir(), `site2rag-simhash-${Date.now()}`);
+process.env.SITE2RAG_ROOT = testRoot;
+
+import { openDb } from '../src/db.js';
+import { simhash, hammingDistance, clusterDuplicates } from '../src/simhash.js';
+import { classifyPage, runClassify } from '../src/classify.js';
+import { compileRules } from '../src/rules.js';
+import { runExportHtml } from '../src/export-html.js';
+import { mdDir } from '../src/config.js';
+
+const DOMAIN = 'dups.example.org';
+const ARTICLE = 'The council met on Tuesday to discuss the new library budget and agreed to extend opening hours ' +
+  'on weekends while the reading room is renovated over the summer months by local volunteers and staff members.';
+const OTHER = 'Annual report of the botanical garden covering rare orchid propagation, greenhouse heating costs, ' +
+  'seed exchange programmes with partner institutions and a record number of school visits during the spring.';
+const STORY = [
+  ARTICLE,
+  'Residents who attended the meeting asked whether the children\'s section would stay open, and the chair confirmed',
+  'that story time will move to the community hall on Market Street until the work is finished in September.',
+  'Funding for the project comes from a regional heritage grant, a bequest left by a former head librarian,',
+  'and a small increase in the annual parking charge at the municipal car park next to the station.',
+  'Several councillors raised concerns about accessibility during the works, so temporary ramps and a lift',
+  'will be installed at the side entrance, and the mobile library van will visit outlying villages twice a week.',
+  'The next public consultation takes place in the main hall next month, where architects will present drawings',
+  'of the restored reading room, the new study carrels and the proposed cafe overlooking the river garden.',
+].join(' ');
+
+describe('simhash', () => {
+  it('is stable and identical for identical text', () => {
+    expect(simhash(STORY)).toMatch(/^[0-9a-f]{16}$/);
+    expect(simhash(STORY)).toBe(simhash(STORY.toUpperCase()));
+  });
+  it('drifts only a few bits when one footer word changes on a 300-word page', () => {
+    let seed = 11;
+    const rnd = () => (seed = (seed * 1103515245 + 12345) & 0x7fffffff) % 3000;
+    const dists = Array.from({ length: 50 }, () => {
+      const body = Array.from({ length: 300 }, () => `w${rnd()}`).join(' ');
+      return hammingDistance(simhash(`${body} share this page`), simhash(`${body} print this page`));
+    });
+    expect(dists.filter(d => d <= 6).length).toBeGreaterThanOrEqual(45);
+  });
+  it('is far apart for unrelated text', () => {
+    expect(hammingDistance(simhash(STORY), simhash(`${OTHER} ${OTHER} ${OTHER}`))).toBeGreaterThan(16);
+  });
+  it('returns an empty fingerprint for pages under 50 words', () => {
+    expect(simhash(ARTICLE)).toBe('');
+  });
+});
+
+describe('classifyPage', () => {
+  it('returns the simhash of the clean text on heuristic and rules paths', () => {
+    const html = `<html><body><article><p>${STORY}</p></article></body></html>`;
+    const heuristic = classifyPage(html, 'https://x/a', compileRules({}), 10, null);
+    expect(heuristic.simhash).toMatch(/^[0-9a-f]{16}$/);
+    const ruled = classifyPage(html, 'https://x/a', compileRules({ classify_overrides: [{ pattern: '/a$', role: 'content' }] }), 10, null);
+    expect(ruled.classify_method).toBe('rules');
+    expect(ruled.simhash).toBe(heuristic.simhash);
+  });
+});
+
+describe('runClassify simhash backfill', () => {
+  afterEach(() => rmSync(testRoot, { recursive: true, force: true }));
+
+  it('fingerprints heuristic pages that predate simhash without reclassifying them', async () => {
+    const db = openDb(DOMAIN);
+    const path = join(testRoot, 'old.html');
+    writeFileSync(path, `<html><body><article><p>${STORY}</p></article></body></html>`);
+    db.prepare("INSERT INTO pages (url, local_path, mime_type, gone, page_role, classify_method) VALUES (?, ?, 'text/html', 0, 'index', 'heuristic')").run('https://d/old', path);
+    const stats = await runClassify(db, { domain: DOMAIN });
+    expect(stats).toMatchObject({ classified: 0, fingerprinted: 1 });
+    expect(db.prepare('SELECT page_role, simhash FROM pages').get()).toEqual({ page_role: 'index', simhash: simhash(STORY) });
+    db.close();
+  });
+});
+
+describe('clusterDuplicates', () => {
+  let db;
+  beforeEach(() => { db = openDb(DOMAIN); });
+  afterEach(() => { db.close(); rmSync(testRoot, { recursive: true, force: true }); });
+
+  const insert = (url, hash, extra = {}) => db.prepare(`INSERT INTO pages (url, gone, mime_type, simhash, page_role, from_sitemap, depth, word_count_clean)
+    VALUES (@url, 0, 'text/html', @simhash, @page_role, @from_sitemap, @depth, 300)`).run({ url, simhash: hash, page_role: 'content', from_sitemap: 0, depth: 2, ...extra });
+
+  it('groups near-identical pages and prefers the sitemap-listed, shallow URL as representative', () => {
+    const h = simhash(STORY);
+    const flipped = (parseInt(h[15], 16) ^ 1).toString(16);
+    insert('https://d/tag/library?page=2', h, { page_role: 'index', depth: 3 });
+    insert('https://d/2024/council-budget', h.slice(0, 15) + flipped, { from_sitemap: 1 });
+    insert('https://d/print/council-budget', h, { depth: 1 });
+    insert('https://d/garden', simhash(`${OTHER} ${OTHER} ${OTHER}`));
+    expect(clusterDuplicates(db)).toEqual({ clusters: 1, duplicates: 2, changed: 3 });
+    const rows = db.prepare('SELECT url, dup_cluster, duplicate_of FROM pages ORDER BY url').all();
+    expect(rows).toEqual([
+      { url: 'https://d/2024/council-budget', dup_cluster: 'https://d/2024/council-budget', duplicate_of: null },
+      { url: 'https://d/garden', dup_cluster: null, duplicate_of: null },
+      { url: 'https://d/print/council-budget', dup_cluster: 'https://d/2024/council-budget', duplicate_of: 'https://d/2024/council-budget' },
+      { url: 'https://d/tag/library?page=2', dup_cluster: 'https://d/2024/council-budget', duplicate_of: 'https://d/2024/council-budget' },
+    ]);
+    expect(clusterDuplicates(db).changed).toBe(0);
+  });
+
+  it('ignores empty fingerprints and releases pages whose text diverged', () => {
+    insert('https://d/a', simhash(STORY));
+    insert('https://d/b', simhash(STORY));
+    insert('https://d/c', '');
+    insert('https://d/d', '');
+    clusterDuplicates(db);
+    db.prepare("INSERT INTO exports (url, source_hash, status) VALUES ('https://d/a', 'sha256:x', 'ok')").run();
+    db.prepare('UPDATE pages SET simhash=? WHERE url=?').run(simhash(`${OTHER} ${OTHER} ${OTHER}`), 'https://d/b');
+    expect(clusterDuplicates(db)).toEqual({ clusters: 0, duplicates: 0, changed: 2 });
+    expect(db.prepare('SELECT COUNT(*) AS n FROM pages WHERE dup_cluster IS NOT NULL').get().n).toBe(0);
+    // Representative's export is invalidated so its `duplicates` frontmatter gets rewritten
+    expect(db.prepare("SELECT source_hash FROM exports WHERE url='https://d/a'").get().source_hash).toBeNull();
+  });
+});
+
+describe('runExportHtml with duplicates', () => {
+  let db, htmlDir;
+  beforeEach(() => {
+    htmlDir = join(testRoot, 'html');
+    mkdirSync(htmlDir, { recursive: true });
+    db = openDb(DOMAIN);
+  });
+  afterEach(() => { db.close(); rmSync(testRoot, { recursive: true, force: true }); });
+
+  const addPage = (slug, extra = {}) => {
+    const path = join(htmlDir, `${slug}.html`);
+    writeFileSync(path, `<html><head><title>${slug}</title></head><body><article><p>${STORY}</p></article></body></html>`);
+    db.prepare(`INSERT INTO pages (url, path_slug, local_path, mime_type, gone, page_role, content_hash, depth, from_sitemap, simhash)
+      VALUES (@url, @slug, @path, 'text/html', 0, 'content', @hash, @depth, @from_sitemap, @simhash)`)
+      .run({ url: `https://${DOMAIN}/${slug}`, slug, path, hash: `sha256:${slug}`, depth: 1, from_sitemap: 0, simhash: simhash(STORY), ...extra });
+  };
+  const cfg = { domain: DOMAIN, export_md: true, assets: { rewrite_links: false } };
+
+  it('exports only the representative and lists the duplicates in its frontmatter', () => {
+    addPage('article', { from_sitemap: 1 });
+    addPage('print-article', { depth: 2 });
+    const stats = runExportHtml(db, cfg);
+    expect(stats).toMatchObject({ written: 1, duplicates: 1 });
+    expect(existsSync(join(mdDir(DOMAIN), 'print-article.md'))).toBe(false);
+    expect(readFileSync(join(mdDir(DOMAIN), 'article.md'), 'utf8')).toContain(`duplicates: ["https://${DOMAIN}/print-article"]`);
+    expect(db.prepare('SELECT status, host_page_url FROM exports WHERE url=?').get(`https://${DOMAIN}/print-article`))
+      .toEqual({ status: 'duplicate', host_page_url: `https://${DOMAIN}/article` });
+  });
+
+  it('removes a previously exported page once it becomes a duplicate', () => {
+    addPage('print-article', { depth: 2 });
+    runExportHtml(db, cfg);
+    const mdPath = join(mdDir(DOMAIN), 'print-article.md');
+    expect(existsSync(mdPath)).toBe(true);
+    addPage('article', { from_sitemap: 1 });
+    runExportHtml(db, cfg);
+    expect(existsSync(mdPath)).toBe(false);
+  });
+
+  it('exports every page when dedup is disabled', () => {
+    addPage('article', { from_sitemap: 1 });
+    addPage('print-article', { depth: 2 });
+    expect(runExportHtml(db, { ...cfg, dedup: { enabled: false } }).written).toBe(2);
+  });
+});
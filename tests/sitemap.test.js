@@ -2,6 +2,7 @@
 import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
 import { mkdirSync, rmSync } from 'fs';
 import { join } from 'path';
+import { gzipSync } from 'zlib';
 import { tmpdir } from 'os';
 
 const testRoot = join(tmpdir(), `site2rag-sitemap-${Date.now()}`);
@@ -24,7 +25,7 @@ const mockFetch = (responses) => {
     const entry = responses[url] ?? responses['*'];
     const headers = { get: () => null };
     if (!entry) return { ok: false, status: 404, text: async () => '', headers };
-    return { ok: true, status: 200, text: async () => entry, headers };
+    return { ok: true, status: 200, text: async () => String(entry), arrayBuffer: async () => Buffer.from(entry), headers };
   });
 };
 
@@ -194,6 +195,52 @@ describe('runSitemap', () => {
     expect(result.added).toContain(`${SITE_URL}/fallback-page`);
     expect(result.total).toBeGreaterThanOrEqual(1);
   });
+
+  it('canonicalizes entry URLs so spellings of one page collapse to a single row', async () => {
+    mockFetch({
+      [`${SITE_URL}/robots.txt`]: robotsTxt(`${SITE_URL}/sitemap.xml`),
+      [`${SITE_URL}/sitemap.xml`]: sitemapXml([
+        { url: `http://www.${DOMAIN}/docs/index.html` },
+        { url: `${SITE_URL}/docs/` },
+        { url: `${SITE_URL}/list?b=2&amp;a=1&amp;utm_source=feed` },
+      ]),
+      '*': ''
+    });
+    const result = await runSitemap(db, { url: SITE_URL, domain: DOMAIN });
+    expect(result.added.sort()).toEqual([`${SITE_URL}/docs/`, `${SITE_URL}/list?a=1&b=2`]);
+    expect(db.prepare('SELECT COUNT(*) as n FROM sitemaps').get().n).toBe(2);
+  });
+
+  it('keeps only include_languages entries and stores their hreflang alternates', async () => {
+    const alt = `<xhtml:link rel="alternate" hreflang="en" href="${SITE_URL}/en/about"/><xhtml:link rel="alternate" hreflang="de" href="${SITE_URL}/de/ueber"/>`;
+    mockFetch({
+      [`${SITE_URL}/robots.txt`]: robotsTxt(`${SITE_URL}/sitemap.xml`),
+      [`${SITE_URL}/sitemap.xml`]: `<?xml version="1.0"?><urlset xmlns="http://www.sitemaps.org/schemas/sitemap/0.9" xmlns:xhtml="http://www.w3.org/1999/xhtml">
+        <url><loc>${SITE_URL}/en/about</loc>${alt}</url><url><loc>${SITE_URL}/de/ueber</loc>${alt}</url><url><loc>${SITE_URL}/fr/contact</loc></url></urlset>`,
+      '*': ''
+    });
+    const result = await runSitemap(db, { url: SITE_URL, domain: DOMAIN, sitemap: { include_languages: ['en'] } });
+    expect(result.added).toEqual([`${SITE_URL}/en/about`]);
+    expect(db.prepare('SELECT hreflang, alt_url FROM page_alternates WHERE url=? ORDER BY hreflang').all(`${SITE_URL}/en/about`)).toEqual([
+      { hreflang: 'de', alt_url: `${SITE_URL}/de/ueber` },
+      { hreflang: 'en', alt_url: `${SITE_URL}/en/about` },
+    ]);
+  });
+
+  it('reads gzipped, plain-text and feed sitemaps listed in robots.txt', async () => {
+    mockFetch({
+      [`${SITE_URL}/robots.txt`]: `Sitemap: ${SITE_URL}/sitemap.xml.gz\nSitemap: ${SITE_URL}/urls.txt\nSitemap: ${SITE_URL}/feed.xml`,
+      [`${SITE_URL}/sitemap.xml.gz`]: gzipSync(sitemapXml([{ url: `${SITE_URL}/gz-page`, lastmod: '2024-01-01' }])),
+      [`${SITE_URL}/urls.txt`]: `${SITE_URL}/text-page\n\n# comment\n${SITE_URL}/text-page-2\n`,
+      [`${SITE_URL}/feed.xml`]: `<?xml version="1.0"?><rss version="2.0"><channel><language>de</language>
+        <item><title>Neue Bibliothek</title><link>${SITE_URL}/news/library</link><pubDate>Tue, 02 Jan 2024 10:00:00 GMT</pubDate></item></channel></rss>`,
+      '*': ''
+    });
+    const result = await runSitemap(db, { url: SITE_URL, domain: DOMAIN });
+    expect(result.added.sort()).toEqual([`${SITE_URL}/gz-page`, `${SITE_URL}/news/library`, `${SITE_URL}/text-page`, `${SITE_URL}/text-page-2`]);
+    expect(db.prepare('SELECT title, published_at, language FROM sitemaps WHERE url=?').get(`${SITE_URL}/news/library`))
+      .toEqual({ title: 'Neue Bibliothek', published_at: '2024-01-02T10:00:00.000Z', language: 'de' });
+  });
 });
 describe('parseSitemapXml', () => {
   it('malformed XML returns empty array with type=empty, no throw', () => {
@@ -247,6 +294,49 @@ describe('parseSitemapXml', () => {
     expect(result.urls[0].url).toBe('https://example.com/only-one');
   });
 
+  it('reads news, image and video extensions on urlset entries', () => {
+    const xml = `<?xml version="1.0"?><urlset xmlns="http://www.sitemaps.org/schemas/sitemap/0.9"
+      xmlns:news="http://www.google.com/schemas/sitemap-news/0.9" xmlns:image="http://www.google.com/schemas/sitemap-image/1.1"
+      xmlns:video="http://www.google.com/schemas/sitemap-video/1.1">
+      <url><loc>https://example.com/story</loc>
+        <news:news><news:publication><news:name>Daily</news:name><news:language>fr</news:language></news:publication>
+          <news:publication_date>2024-03-04</news:publication_date><news:title>Budget adopted</news:title></news:news>
+        <image:image><image:loc>https://example.com/a.jpg</image:loc><image:caption>Council chamber</image:caption></image:image>
+        <image:image><image:loc>https://example.com/b.jpg</image:loc></image:image>
+        <video:video><video:title>Session recording</video:title><video:content_loc>https://example.com/s.mp4</video:content_loc><video:duration>600</video:duration></video:video>
+      </url></urlset>`;
+    const [entry] = parseSitemapXml(xml).urls;
+    expect(entry).toMatchObject({ url: 'https://example.com/story', title: 'Budget adopted', published_at: '2024-03-04', language: 'fr' });
+    expect(entry.images).toEqual([
+      { loc: 'https://example.com/a.jpg', title: null, caption: 'Council chamber' },
+      { loc: 'https://example.com/b.jpg', title: null, caption: null },
+    ]);
+    expect(entry.videos).toEqual([{ title: 'Session recording', description: null, thumbnail_loc: null, content_loc: 'https://example.com/s.mp4', player_loc: null, duration: '600', publication_date: null }]);
+  });
+
+  it('reads changefreq and priority for recrawl scheduling', () => {
+    const xml = `<?xml version="1.0"?><urlset xmlns="http://www.sitemaps.org/schemas/sitemap/0.9"><url><loc>https://example.com/a</loc><changefreq>Weekly</changefreq><priority>0.8</priority></url><url><loc>https://example.com/b</loc></url></urlset>`;
+    const [a, b] = parseSitemapXml(xml).urls;
+    expect(a).toMatchObject({ changefreq: 'weekly', priority: 0.8 });
+    expect(b).toMatchObject({ changefreq: null, priority: null });
+  });
+
+  it('Atom feed entries use the alternate link and updated date', () => {
+    const xml = `<?xml version="1.0"?><feed xmlns="http://www.w3.org/2005/Atom" xml:lang="en">
+      <entry><title>Post</title><link rel="edit" href="https://example.com/edit/1"/><link rel="alternate" href="https://example.com/post"/>
+        <published>2024-01-01T00:00:00Z</published><updated>2024-02-01T00:00:00Z</updated></entry></feed>`;
+    const result = parseSitemapXml(xml);
+    expect(result.type).toBe('feed');
+    expect(result.urls).toEqual([{ url: 'https://example.com/post', lastmod: '2024-02-01T00:00:00.000Z', title: 'Post',
+      published_at: '2024-01-01T00:00:00.000Z', language: 'en', images: null, videos: null }]);
+  });
+
+  it('plain-text sitemap keeps only absolute http(s) lines', () => {
+    expect(parseSitemapXml('\uFEFFhttps://example.com/a\r\nnot a url\r\nhttp://example.com/b')).toEqual({
+      type: 'text', urls: [{ url: 'https://example.com/a', lastmod: null }, { url: 'http://example.com/b', lastmod: null }],
+    });
+  });
+
   it('single-item sitemapindex (non-array) is treated as array', () => {
     const xml = `<?xml version="1.0"?><sitemapindex xmlns="http://www.sitemaps.org/schemas/sitemap/0.9"><sitemap><loc>https://example.com/sitemap-only.xml</loc></sitemap></sitemapindex>`;
     const result = parseSitemapXml(xml);
@@ -323,6 +413,19 @@ describe('filterEntries', () => {
     expect(result[0].url).toBe('https://example.com/valid');
   });
 
+  it('filters by include_languages using hreflang self-entry, locale prefix, then news language', () => {
+    const hreflang = [{ '@_rel': 'alternate', '@_hreflang': 'de', '@_href': 'https://example.com/a' }, { '@_rel': 'alternate', '@_hreflang': 'en', '@_href': 'https://example.com/b' }];
+    const entries = [
+      { url: 'https://example.com/a', hreflang },
+      { url: 'https://example.com/b', hreflang },
+      { url: 'https://example.com/es/c' },
+      { url: 'https://example.com/d', language: 'fr' },
+      { url: 'https://example.com/e' },
+    ];
+    const kept = filterEntries(entries, { sitemap: { include_languages: ['en', 'es'] } }).map(e => e.url);
+    expect(kept).toEqual(['https://example.com/b', 'https://example.com/es/c', 'https://example.com/e']);
+  });
+
   it('filters out entries with no url field', () => {
     const entries = [{ url: null, lastmod: null }, { url: 'https://example.com/ok', lastmod: null }];
     const result = filterEntries(entries, {});
@@ -0,0 +1,75 @@
+// Page snapshot BDD tests -- config parsing, mirror-relative paths, storing/skipping by content hash and deletion.
+import { describe, it, expect, afterEach } from 'vitest';
+import { rmSync, existsSync, readFileSync } from 'fs';
+import { join } from 'path';
+import { tmpdir } from 'os';
+
+const testRoot = join(tmpdir(), `site2rag-snapshots-${Date.now()}`);
+process.env.SITE2RAG_ROOT = testRoot;
+
+import { snapshotOptions, snapshotDue, snapshotPath, storeSnapshots, listSnapshots, deleteSnapshots } from '../src/snapshots.js';
+import { openDb } from '../src/db.js';
+import { metaDir } from '../src/config.js';
+
+const DOMAIN = 'snapshots.example.org';
+const URL_A = `https://${DOMAIN}/about/`;
+
+afterEach(() => rmSync(testRoot, { recursive: true, force: true }));
+
+describe('snapshotOptions', () => {
+  it('is off unless enabled, and captures both kinds by default', () => {
+    expect(snapshotOptions(undefined)).toBeNull();
+    expect(snapshotOptions({ screenshot: true })).toBeNull();
+    expect(snapshotOptions({ enabled: true })).toEqual({ screenshot: true, pdf: true, pdfFormat: 'A4' });
+    expect(snapshotOptions({ enabled: true, pdf: false, pdf_format: 'Letter' })).toEqual({ screenshot: true, pdf: false, pdfFormat: 'Letter' });
+  });
+});
+
+describe('snapshotPath', () => {
+  it('mirrors the page path under _meta/snapshots', () => {
+    const path = snapshotPath(DOMAIN, URL_A, 'pdf');
+    expect(path.startsWith(join(metaDir(DOMAIN), 'snapshots'))).toBe(true);
+    expect(path.endsWith('.pdf')).toBe(true);
+    expect(snapshotPath(DOMAIN, URL_A, 'screenshot')).toBe(path.replace(/\.pdf$/, '.png'));
+  });
+});
+
+describe('storeSnapshots', () => {
+  it('writes and records each kind, skips unchanged content and deletes files and rows', () => {
+    const db = openDb(DOMAIN);
+    const shots = { screenshot: Buffer.from('png-bytes'), pdf: Buffer.from('%PDF-1.7') };
+    expect(storeSnapshots(db, DOMAIN, URL_A, shots, 'sha256:a')).toBe(2);
+    const rows = listSnapshots(db, URL_A);
+    expect(rows.map(r => [r.kind, r.bytes, r.content_hash])).toEqual([['pdf', 8, 'sha256:a'], ['screenshot', 9, 'sha256:a']]);
+    expect(readFileSync(rows[1].path, 'utf8')).toBe('png-bytes');
+
+    expect(storeSnapshots(db, DOMAIN, URL_A, shots, 'sha256:a')).toBe(0);
+    expect(storeSnapshots(db, DOMAIN, URL_A, { screenshot: Buffer.from('new') }, 'sha256:b')).toBe(1);
+    expect(readFileSync(rows[1].path, 'utf8')).toBe('new');
+
+    expect(deleteSnapshots(db, URL_A)).toBe(2);
+    expect(listSnapshots(db, URL_A)).toEqual([]);
+    expect(rows.some(r => existsSync(r.path))).toBe(false);
+    db.close();
+  });
+});
+
+describe('snapshotDue', () => {
+  it('skips unchanged pages that already have a snapshot and roles snapshots do not keep', () => {
+    const db = openDb(DOMAIN);
+    const cfg = { enabled: true };
+    expect(snapshotDue(db, cfg, undefined, 'sha256:a')).toBe(true);
+    const existing = { url: URL_A, content_hash: 'sha256:a', page_role: 'content' };
+    expect(snapshotDue(db, cfg, existing, 'sha256:a')).toBe(true);
+
+    storeSnapshots(db, DOMAIN, URL_A, { screenshot: Buffer.from('png-bytes') }, 'sha256:a');
+    expect(snapshotDue(db, cfg, existing, 'sha256:a')).toBe(false);
+    expect(snapshotDue(db, cfg, existing, 'sha256:b')).toBe(true);
+
+    const listing = { url: `https://${DOMAIN}/news/`, content_hash: 'sha256:c', page_role: 'listing' };
+    expect(snapshotDue(db, cfg, listing, 'sha256:d')).toBe(false);
+    expect(snapshotDue(db, { ...cfg, roles: ['content', 'listing'] }, listing, 'sha256:d')).toBe(true);
+    expect(snapshotDue(db, { ...cfg, roles: [] }, listing, 'sha256:d')).toBe(true);
+    db.close();
+  });
+});
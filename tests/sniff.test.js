@@ -0,0 +1,137 @@
+// Content sniffing BDD tests -- magic bytes, ZIP container types, reconciliation with the declared type, stored-file resniff.
+import { describe, it, expect, beforeEach, afterEach } from 'vitest';
+import { mkdirSync, rmSync, writeFileSync } from 'fs';
+import { join } from 'path';
+import { tmpdir } from 'os';
+import { deflateRawSync } from 'zlib';
+
+const testRoot = join(tmpdir(), `site2rag-sniff-${Date.now()}`);
+process.env.SITE2RAG_ROOT = testRoot;
+
+import { openDb } from '../src/db.js';
+import { sniffBytes, sniffFile, reconcileMime, resniffPage, EMPTY_MIME, UNKNOWN_MIME } from '../src/sniff.js';
+
+const DOCX = 'application/vnd.openxmlformats-officedocument.wordprocessingml.document';
+const hex = (h) => Buffer.from(h.replace(/\s/g, ''), 'hex');
+
+/** ZIP with a central directory; `deflated` entries have data-descriptor flags so only the directory names them. */
+const zip = (files, { deflated = false } = {}) => {
+  const locals = [], centrals = [];
+  let offset = 0;
+  for (const [name, text] of files) {
+    const n = Buffer.from(name), raw = Buffer.from(text);
+    const data = deflated ? deflateRawSync(raw) : raw;
+    const lfh = Buffer.alloc(30); lfh.writeUInt32LE(0x04034b50, 0); lfh.writeUInt16LE(deflated ? 0x08 : 0, 6); lfh.writeUInt16LE(deflated ? 8 : 0, 8);
+    if (!deflated) { lfh.writeUInt32LE(data.length, 18); lfh.writeUInt32LE(raw.length, 22); }
+    lfh.writeUInt16LE(n.length, 26);
+    const cdh = Buffer.alloc(46); cdh.writeUInt32LE(0x02014b50, 0); cdh.writeUInt16LE(deflated ? 8 : 0, 10); cdh.writeUInt32LE(data.length, 20); cdh.writeUInt32LE(raw.length, 24); cdh.writeUInt16LE(n.length, 28); cdh.writeUInt32LE(offset, 42);
+    locals.push(lfh, n, data); centrals.push(cdh, n);
+    offset += 30 + n.length + data.length;
+  }
+  const cd = Buffer.concat(centrals);
+  const eocd = Buffer.alloc(22); eocd.writeUInt32LE(0x06054b50, 0); eocd.writeUInt16LE(files.length, 8); eocd.writeUInt16LE(files.length, 10); eocd.writeUInt32LE(cd.length, 12); eocd.writeUInt32LE(offset, 16);
+  return Buffer.concat([...locals, cd, eocd]);
+};
+
+describe('sniffBytes', () => {
+  it('recognises documents, archives and images by magic bytes', () => {
+    expect(sniffBytes(Buffer.from('%PDF-1.7\n%âãÏÓ'))).toBe('application/pdf');
+    expect(sniffBytes(Buffer.from('\r\n\r\n%PDF-1.4 after junk'))).toBe('application/pdf');
+    expect(sniffBytes(hex('1f8b 0800 0000'))).toBe('application/gzip');
+    expect(sniffBytes(hex('d0cf11e0 a1b11ae1 0000'))).toBe('application/x-ole-storage');
+    expect(sniffBytes(hex('89504e47 0d0a1a0a 0000'))).toBe('image/png');
+    expect(sniffBytes(hex('ffd8ffe0 0010'))).toBe('image/jpeg');
+    expect(sniffBytes(Buffer.from('GIF89a...'))).toBe('image/gif');
+    expect(sniffBytes(Buffer.from('RIFF\0\0\0\0WEBPVP8 '))).toBe('image/webp');
+  });
+
+  it('tells HTML, SVG, XML and plain text apart', () => {
+    expect(sniffBytes(Buffer.from('﻿  <!DOCTYPE html><html><body>Not found</body></html>'))).toBe('text/html');
+    expect(sniffBytes(Buffer.from('<!-- cached --><div>x</div>'))).toBe('text/html');
+    expect(sniffBytes(Buffer.from('<?xml version="1.0"?><svg xmlns="http://www.w3.org/2000/svg"></svg>'))).toBe('image/svg+xml');
+    expect(sniffBytes(Buffer.from('<?xml version="1.0"?><rss></rss>'))).toBe('application/xml');
+    expect(sniffBytes(Buffer.from('Plain notes, no markup. Mentions %PDF- later <b>'))).toBe('text/plain');
+    expect(sniffBytes(Buffer.from('<p>quoting %PDF-1.4 in a page</p>'))).toBe('text/html');
+    expect(sniffBytes(hex('00010203 0405'))).toBeNull();
+    expect(sniffBytes(Buffer.alloc(0))).toBe(EMPTY_MIME);
+  });
+
+  it('names ZIP containers from the stored mimetype entry or OOXML part folders', () => {
+    expect(sniffBytes(zip([['mimetype', 'application/epub+zip'], ['META-INF/container.xml', '<x/>']]))).toBe('application/epub+zip');
+    expect(sniffBytes(zip([['mimetype', 'application/vnd.oasis.opendocument.text'], ['content.xml', '<x/>']]))).toBe('application/vnd.oasis.opendocument.text');
+    expect(sniffBytes(zip([['[Content_Types].xml', '<Types/>'], ['_rels/.rels', '<R/>'], ['word/document.xml', '<w/>']]))).toBe(DOCX);
+    expect(sniffBytes(zip([['readme.txt', 'hi']]))).toBe('application/zip');
+  });
+});
+
+describe('sniffFile', () => {
+  beforeEach(() => mkdirSync(testRoot, { recursive: true }));
+  afterEach(() => rmSync(testRoot, { recursive: true, force: true }));
+
+  it('reads the ZIP central directory when local headers cannot be walked', () => {
+    const path = join(testRoot, 'report.docx');
+    const body = zip([['[Content_Types].xml', '<Types/>'], ['word/document.xml', '<w/>']], { deflated: true });
+    writeFileSync(path, body);
+    expect(sniffBytes(body)).toBe('application/zip');
+    expect(sniffFile(path)).toBe(DOCX);
+    expect(sniffFile(join(testRoot, 'ghost.pdf'))).toBeNull();
+  });
+
+  it('tells content no signature matches apart from a file it cannot read', () => {
+    const path = join(testRoot, 'blob.bin');
+    writeFileSync(path, Buffer.from([0x00, 0x01, 0x02, 0x03, 0xfe, 0x00, 0x7f]));
+    expect(sniffFile(path)).toBe(UNKNOWN_MIME);
+    expect(sniffFile(testRoot)).toBeNull();
+  });
+});
+
+describe('reconcileMime', () => {
+  it('takes the sniffed type over generic or missing declarations', () => {
+    expect(reconcileMime('application/octet-stream', 'application/pdf')).toEqual({ mimeType: 'application/pdf', softError: null });
+    expect(reconcileMime(null, 'image/png')).toEqual({ mimeType: 'image/png', softError: null });
+  });
+
+  it('keeps the declared type for compatible pairs and aliases', () => {
+    expect(reconcileMime('text/html; charset=utf-8', 'text/plain')).toEqual({ mimeType: 'text/html', softError: null });
+    expect(reconcileMime('image/jpg', 'image/jpeg')).toEqual({ mimeType: 'image/jpeg', softError: null });
+    expect(reconcileMime(DOCX, 'application/zip')).toEqual({ mimeType: DOCX, softError: null });
+    expect(reconcileMime('application/zip', 'application/epub+zip')).toEqual({ mimeType: 'application/epub+zip', softError: null });
+    expect(reconcileMime('application/msword', 'application/x-ole-storage')).toEqual({ mimeType: 'application/msword', softError: null });
+    expect(reconcileMime('application/pdf', null)).toEqual({ mimeType: 'application/pdf', softError: null });
+    expect(reconcileMime('video/mp4', UNKNOWN_MIME)).toEqual({ mimeType: 'video/mp4', softError: null });
+  });
+
+  it('flags bodies that are not what was declared, and empty bodies', () => {
+    expect(reconcileMime('application/pdf', 'text/html')).toEqual({ mimeType: 'text/html', softError: 'declared application/pdf, content is text/html' });
+    expect(reconcileMime('text/html', 'application/pdf')).toEqual({ mimeType: 'application/pdf', softError: 'declared text/html, content is application/pdf' });
+    expect(reconcileMime(DOCX, 'application/epub+zip').softError).toBe(`declared ${DOCX}, content is application/epub+zip`);
+    expect(reconcileMime('application/pdf', EMPTY_MIME)).toEqual({ mimeType: EMPTY_MIME, softError: 'empty body' });
+  });
+});
+
+describe('resniffPage', () => {
+  let db;
+  beforeEach(() => { db = openDb('sniff.example.org'); mkdirSync(testRoot, { recursive: true }); });
+  afterEach(() => { db.close(); rmSync(testRoot, { recursive: true, force: true }); });
+
+  it('records the real type and a soft error on rows stored before sniffing, without marking them gone', () => {
+    const path = join(testRoot, 'paper.pdf');
+    writeFileSync(path, '<html><body>Session expired</body></html>');
+    const url = 'https://sniff.example.org/paper.pdf';
+    db.prepare("INSERT INTO pages (url, local_path, mime_type, gone) VALUES (?, ?, 'application/pdf', 0)").run(url, path);
+    const page = db.prepare('SELECT * FROM pages WHERE url=?').get(url);
+    expect(resniffPage(db, page)).toEqual({ mimeType: 'text/html', softError: 'declared application/pdf, content is text/html' });
+    expect(db.prepare('SELECT gone, mime_type, declared_mime, sniffed_mime FROM pages WHERE url=?').get(url))
+      .toEqual({ gone: 0, mime_type: 'text/html', declared_mime: 'application/pdf', sniffed_mime: 'text/html' });
+  });
+
+  it('records unrecognised content under its declared type and returns null only for unreadable files', () => {
+    const path = join(testRoot, 'scan.pdf');
+    writeFileSync(path, Buffer.from([0x00, 0x01, 0x02, 0x03]));
+    const url = 'https://sniff.example.org/scan.pdf';
+    db.prepare("INSERT INTO pages (url, local_path, mime_type, gone) VALUES (?, ?, 'application/pdf', 0)").run(url, path);
+    expect(resniffPage(db, db.prepare('SELECT * FROM pages WHERE url=?').get(url))).toEqual({ mimeType: 'application/pdf', softError: null });
+    expect(db.prepare('SELECT sniffed_mime FROM pages WHERE url=?').get(url).sniffed_mime).toBe(UNKNOWN_MIME);
+    expect(resniffPage(db, { url, local_path: join(testRoot, 'ghost.pdf'), mime_type: 'application/pdf' })).toBeNull();
+  });
+});
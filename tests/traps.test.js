@@ -0,0 +1,91 @@
+// Crawler trap BDD tests -- repeated segments, query permutations, fan-out, duplicate content, persisted quarantine.
+import { describe, it, expect, beforeEach, afterEach } from 'vitest';
+import { rmSync } from 'fs';
+import { join } from 'path';
+import { tmpdir } from 'os';
+
+const testRoot = join(tmpdir(), `site2rag-traps-${Date.now()}`);
+process.env.SITE2RAG_ROOT = testRoot;
+
+import { openDb, upsertPage } from '../src/db.js';
+import { repeatedSegments, createTrapDetector, listTraps } from '../src/traps.js';
+
+const BASE = 'https://traps.example.org';
+let db;
+beforeEach(() => { db = openDb('traps.example.org'); });
+afterEach(() => { db.close(); rmSync(testRoot, { recursive: true, force: true }); });
+
+describe('repeatedSegments', () => {
+  it('finds runs of 1-3 segments repeated back to back', () => {
+    expect(repeatedSegments('/x/a/b/a/b/a/b/page')).toBe('/a/b');
+    expect(repeatedSegments('/img/img/img/logo.png')).toBe('/img');
+    expect(repeatedSegments('/a/b/a/b')).toBeNull();
+    expect(repeatedSegments('/docs/2024/docs/2025/docs')).toBeNull();
+  });
+});
+
+describe('createTrapDetector', () => {
+  it('quarantines repeated segments with a follow_overrides suggestion that matches the URL', () => {
+    const traps = createTrapDetector(db);
+    const url = `${BASE}/en/news/en/news/en/news/item`;
+    const pattern = traps.checkLink(url);
+    expect(new RegExp(pattern).test(url)).toBe(true);
+    expect(new RegExp(pattern).test(`${BASE}/en/news/item`)).toBe(false);
+    expect(listTraps(db)[0]).toMatchObject({ kind: 'repeated_segments', example_url: url, suggestion: { follow_overrides: [{ pattern, follow: false }] } });
+  });
+
+  it('quarantines a path once its query variants span several parameter combinations, but not a single ID parameter', () => {
+    const traps = createTrapDetector(db, { max_query_variants: 10 });
+    for (let i = 0; i < 30; i++) expect(traps.checkLink(`${BASE}/thread?t=${i}`)).toBeNull();
+    const facets = ['color', 'size', 'brand', 'sort', 'page'];
+    const held = [];
+    for (let i = 0; i < 12; i++) held.push(traps.checkLink(`${BASE}/shop?${facets[i % 5]}=${i}&${facets[(i + 1) % 5]}=x`));
+    const pattern = held.find(Boolean);
+    expect(pattern).toBe(`^${BASE.replace(/\./g, '\\.')}/shop\\?`);
+    expect(traps.match(`${BASE}/shop?any=1`)).toBe(pattern);
+    expect(traps.match(`${BASE}/shop`)).toBeNull();
+  });
+
+  it('only suggests an exclude prefix for a directory with large fan-out, holding nothing back', () => {
+    const traps = createTrapDetector(db, { max_fanout: 20 });
+    for (let d = 1; d <= 25; d++) expect(traps.checkLink(`${BASE}/wiki/Page_${d}`)).toBeNull();
+    expect(listTraps(db)).toEqual([expect.objectContaining({ kind: 'fanout', status: 'suggested', suggestion: expect.objectContaining({ exclude: ['/wiki/'] }) })]);
+    expect(listTraps(db, { activeOnly: true })).toEqual([]);
+    expect(traps.match(`${BASE}/wiki/Page_2`)).toBeNull();
+    expect(createTrapDetector(db).checkLink(`${BASE}/wiki/Page_99`)).toBeNull();
+  });
+
+  it('quarantines a fan-out directory once duplicate content or repeated segments show up under it', () => {
+    const traps = createTrapDetector(db, { max_fanout: 20, max_duplicate_content: 3 });
+    for (let d = 1; d <= 25; d++) traps.checkLink(`${BASE}/calendar/2024-01-${d}/`);
+    const pattern = `^${BASE.replace(/\./g, '\\.')}/calendar/`;
+    ['/calendar/2024-01-1/', '/calendar/2024-01-2/', '/calendar/2024-01-3/'].forEach(p => upsertPage(db, { url: BASE + p, content_hash: 'sha256:empty-day' }));
+    expect(traps.checkContent(`${BASE}/calendar/2024-01-3/`, 'sha256:empty-day')).toBe(pattern);
+    expect(traps.checkLink(`${BASE}/calendar/2030-01-01/`)).toBe(pattern);
+
+    const other = createTrapDetector(db, { max_fanout: 20 });
+    other.checkLink(`${BASE}/tags/x/x/x/`);
+    let held = null;
+    for (let d = 1; d <= 25 && !held; d++) held = other.checkLink(`${BASE}/tags/t${d}/`);
+    expect(held).toBe(`^${BASE.replace(/\./g, '\\.')}/tags/`);
+  });
+
+  it('quarantines the shared directory of URLs serving the same body, never the site root', () => {
+    const traps = createTrapDetector(db, { max_duplicate_content: 3 });
+    const store = (url, hash) => upsertPage(db, { url, content_hash: hash });
+    ['/s/x1/a', '/s/x2/b', '/s/y/c'].forEach(p => store(BASE + p, 'sha256:same'));
+    expect(traps.checkContent(`${BASE}/s/y/c`, 'sha256:same')).toBe(`^${BASE.replace(/\./g, '\\.')}/s/`);
+    ['/a', '/b/c', '/d'].forEach(p => store(BASE + p, 'sha256:template'));
+    expect(traps.checkContent(`${BASE}/d`, 'sha256:template')).toBeNull();
+  });
+
+  it('keeps active traps across runs, counts hits and lets ignored ones through', () => {
+    createTrapDetector(db).checkLink(`${BASE}/a/a/a/x`);
+    const next = createTrapDetector(db);
+    expect(next.match(`${BASE}/b/a/a/a`)).toBeTruthy();
+    expect(listTraps(db)[0].hits).toBe(2);
+    db.prepare("UPDATE crawl_traps SET status='ignored'").run();
+    expect(createTrapDetector(db).match(`${BASE}/b/a/a/a`)).toBeNull();
+    expect(listTraps(db, { activeOnly: true })).toEqual([]);
+  });
+});
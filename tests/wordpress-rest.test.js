@@ -0,0 +1,113 @@
+// WordPress REST adapter BDD tests -- paginated enumeration of posts/pages/media, HTML with authors/categories/tags
+// for the frontmatter, modified_gmt change detection and plain-HTTP fallback, against a local wp-json server.
+import { describe, it, expect, beforeAll, afterAll, afterEach } from 'vitest';
+import { createServer } from 'http';
+import { rmSync } from 'fs';
+import { join } from 'path';
+import { tmpdir } from 'os';
+
+const testRoot = join(tmpdir(), `site2rag-wp-rest-${Date.now()}`);
+process.env.SITE2RAG_ROOT = testRoot;
+
+import { getAdapter, adapterDiscovery } from '../src/fetch-adapters.js';
+import { extractMetadata } from '../src/metadata.js';
+
+const DOMAIN = 'wp.example.org';
+const requests = [];
+let server, base, apiUp = true;
+
+const post = (id, extra) => ({ id, type: 'post', link: `${base}/${id === 1 ? 'hello-world' : 'second'}/`, modified_gmt: '2026-03-01T10:00:00', ...extra });
+const full = () => ({
+  ...post(1), date_gmt: '2026-02-01T09:00:00',
+  title: { rendered: 'Hello &#8220;World&#8221;' }, excerpt: { rendered: '<p>Short &amp; sweet</p>' },
+  content: { rendered: '<p>Body text</p><a href="/wp-content/uploads/report.pdf">Report</a>' },
+  _embedded: {
+    author: [{ name: 'Ada Lovelace', link: `${base}/author/ada/` }],
+    'wp:term': [[{ taxonomy: 'category', name: 'News' }], [{ taxonomy: 'post_tag', name: 'Science' }, { taxonomy: 'post_tag', name: 'History' }]],
+  },
+});
+
+beforeAll(async () => {
+  server = createServer((req, res) => {
+    const u = new URL(req.url, base);
+    requests.push(u.pathname + u.search);
+    const json = (body, headers = {}) => { res.writeHead(200, { 'Content-Type': 'application/json', ...headers }); res.end(JSON.stringify(body)); };
+    if (u.pathname.startsWith('/wp-json/') && !apiUp) { res.writeHead(404); return res.end(); }
+    if (u.pathname === '/wp-json/wp/v2/types') return json({ post: {}, page: {} });
+    if (u.pathname === '/wp-json/wp/v2/posts') {
+      const page = Number(u.searchParams.get('page'));
+      return json([post(page)].filter(p => page <= 2).map(p => ({ id: p.id, link: p.link, modified_gmt: p.modified_gmt })), { 'X-WP-TotalPages': '2' });
+    }
+    if (u.pathname === '/wp-json/wp/v2/pages') return json([{ id: 10, link: `${base}/about/`, modified_gmt: '2026-01-05T00:00:00' }], { 'X-WP-TotalPages': '1' });
+    if (u.pathname === '/wp-json/wp/v2/media') {
+      return json(u.searchParams.get('mime_type') === 'application/pdf'
+        ? [{ id: 20, source_url: `${base}/wp-content/uploads/report.pdf`, modified_gmt: '2026-02-02T00:00:00' }] : [], { 'X-WP-TotalPages': '1' });
+    }
+    if (u.pathname === '/wp-json/wp/v2/posts/1') return json(full());
+    if (u.pathname === '/wp-content/uploads/report.pdf') { res.writeHead(200, { 'Content-Type': 'application/pdf' }); return res.end('%PDF-1.7 report'); }
+    res.writeHead(200, { 'Content-Type': 'text/html' });
+    res.end(`<html><body>plain ${u.pathname}</body></html>`);
+  });
+  await new Promise(r => server.listen(0, '127.0.0.1', r));
+  base = `http://127.0.0.1:${server.address().port}`;
+});
+afterAll(() => new Promise(r => server.close(r)));
+afterEach(() => { requests.length = 0; apiUp = true; rmSync(testRoot, { recursive: true, force: true }); });
+
+const site = (extra) => ({ domain: DOMAIN, url: `${base}/`, playwright: { enabled: false }, fetch_adapter: 'wordpress_rest', wordpress_rest: { per_page: 1 }, ...extra });
+
+describe('wordpress_rest discovery', () => {
+  it('lists every post page by page, pages and PDF media with modified_gmt as lastmod', async () => {
+    const { entries } = await adapterDiscovery(site());
+    expect(entries).toEqual([
+      { url: `${base}/hello-world/`, lastmod: '2026-03-01T10:00:00Z' },
+      { url: `${base}/second/`, lastmod: '2026-03-01T10:00:00Z' },
+      { url: `${base}/about/`, lastmod: '2026-01-05T00:00:00Z' },
+      { url: `${base}/wp-content/uploads/report.pdf`, lastmod: '2026-02-02T00:00:00Z' },
+    ]);
+    expect(requests.filter(r => r.startsWith('/wp-json/wp/v2/posts?'))).toHaveLength(2);
+  });
+});
+
+describe('wordpress_rest adapter', () => {
+  it('builds the post page from the API with authors, categories, tags and dates for the frontmatter', async () => {
+    const adapter = await getAdapter(site());
+    const result = await adapter.fetch(`${base}/hello-world/`, null);
+    expect(result).toMatchObject({ status: 200, mimeType: 'text/html', etag: 'W/"wp-2026-03-01T10:00:00"' });
+    expect(requests.at(-1)).toBe('/wp-json/wp/v2/posts/1?_embed=author,wp:term');
+    const html = result.buf.toString();
+    expect(html).toContain('<p>Body text</p>');
+    const meta = extractMetadata(html, `${base}/hello-world/`);
+    expect(meta).toMatchObject({
+      title: 'Hello “World”', authors: [{ name: 'Ada Lovelace', url: `${base}/author/ada/` }],
+      categories: ['News'], keywords: ['Science', 'History'],
+      date_published: '2026-02-01T09:00:00.000Z', date_modified: '2026-03-01T10:00:00.000Z', schema_org_type: 'BlogPosting',
+    });
+    await adapter.close();
+  });
+
+  it('answers 304 without a request while modified_gmt matches the stored ETag', async () => {
+    const adapter = await getAdapter(site());
+    requests.length = 0;
+    expect(await adapter.fetch(`${base}/hello-world/`, { etag: 'W/"wp-2026-03-01T10:00:00"' })).toMatchObject({ status: 304 });
+    expect(requests).toEqual([]);
+    expect((await adapter.fetch(`${base}/hello-world/`, { etag: 'W/"wp-2025-01-01T00:00:00"' })).status).toBe(200);
+    await adapter.close();
+  });
+
+  it('downloads media files and URLs outside the API over plain HTTP', async () => {
+    const adapter = await getAdapter(site());
+    const pdf = await adapter.fetch(`${base}/wp-content/uploads/report.pdf`, null);
+    expect(pdf).toMatchObject({ status: 200, mimeType: 'application/pdf', buf: null, file: { bytes: 15 } });
+    expect((await adapter.fetch(`${base}/category/news/`, null)).buf.toString()).toContain('plain /category/news/');
+    await adapter.close();
+  });
+
+  it('does not start without the REST API, so a chain falls back to plain HTTP', async () => {
+    apiUp = false;
+    await expect(getAdapter(site())).rejects.toThrow(/WordPress REST API not available/);
+    const adapter = await getAdapter(site({ fetch_adapter: ['wordpress_rest', 'http'] }));
+    expect(await adapter.fetch(`${base}/hello-world/`, null)).toMatchObject({ status: 200, adapter: 'http' });
+    await adapter.close();
+  });
+});